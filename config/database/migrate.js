@@ -1,5 +1,7 @@
 const fs = require('fs');
 const path = require('path');
+const { parseConventionalCommit } = require('../../lib/conventionalCommits');
+const { utcOffsetMinutes } = require('../../lib/gitLogParse');
 
 async function runMigrations(db) {
     const migrationsDir = path.join(__dirname, '..', '..', 'migrations');
@@ -8,6 +10,7 @@ async function runMigrations(db) {
     const files = fs.readdirSync(migrationsDir)
         .filter((f) => f.endsWith('.sql'))
         .sort();
+    const applied = [];
 
     for (const file of files) {
         const name = file;
@@ -38,14 +41,39 @@ async function runMigrations(db) {
 
         await db.run('INSERT INTO schema_migrations (name) VALUES (?)', [name]);
         console.log(`Applied migration: ${name}`);
+        applied.push(name);
     }
 
     await ensureRepoColumns(db);
     await ensureFilesIndexedAt(db);
+    await ensureCommitSearch(db);
+    await ensureBodyIndexedAt(db);
+    await ensureCommitFileRenames(db);
+    await ensureCommitTypes(db);
+    await ensureCommitTzOffset(db);
+    await ensureBotFlags(db);
+    await ensureLineOriginsColumn(db);
+    await ensureFileLanguages(db);
+    await ensureGeneratedFileFlags(db);
+    await ensureHistoryStart(db);
+    if (applied.includes('007_commit_references.sql')) {
+        await backfillCommitReferences(db);
+    }
+}
+
+/**
+ * Extract ticket references for commits indexed before commit_references
+ * existed. Later pattern changes are handled by the settings route.
+ */
+async function backfillCommitReferences(db) {
+    // Required lazily: the indexer pulls in services that load this module
+    const CommitIndexer = require('../../services/CommitIndexer');
+    const scanned = await new CommitIndexer(db).rebuildReferences();
+    if (scanned) console.log(`Extracted ticket references for ${scanned} commits`);
 }
 
 async function ensureFilesIndexedAt(db) {
-    const hasColumn = await commitsHasColumn(db, 'files_indexed_at');
+    const hasColumn = await tableHasColumn(db, 'commits', 'files_indexed_at');
     if (!hasColumn) {
         const type = db.dialect === 'postgres' ? 'TIMESTAMPTZ' : 'DATETIME';
         await db.run(`ALTER TABLE commits ADD COLUMN files_indexed_at ${type}`);
@@ -58,16 +86,235 @@ async function ensureFilesIndexedAt(db) {
     `);
 }
 
-async function commitsHasColumn(db, name) {
+/**
+ * Commit bodies plus a full-text index over message + body:
+ * FTS5 external-content table kept in sync by triggers on SQLite,
+ * generated tsvector column with a GIN index on PostgreSQL.
+ */
+async function ensureCommitSearch(db) {
+    if (!(await tableHasColumn(db, 'commits', 'body'))) {
+        await db.run('ALTER TABLE commits ADD COLUMN body TEXT');
+    }
+
+    if (db.dialect === 'postgres') {
+        if (!(await tableHasColumn(db, 'commits', 'search_vector'))) {
+            await db.run(`
+                ALTER TABLE commits ADD COLUMN search_vector tsvector
+                GENERATED ALWAYS AS (
+                    setweight(to_tsvector('english', COALESCE(message, '')), 'A') ||
+                    setweight(to_tsvector('english', COALESCE(body, '')), 'B')
+                ) STORED
+            `);
+        }
+        await db.run('CREATE INDEX IF NOT EXISTS idx_commits_search ON commits USING GIN (search_vector)');
+        return;
+    }
+
+    const existing = await db.get(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'commits_fts'"
+    );
+    if (existing) return;
+
+    await db.exec(`
+        CREATE VIRTUAL TABLE commits_fts USING fts5(
+            message, body, content='commits', content_rowid='id', tokenize='unicode61'
+        );
+        CREATE TRIGGER IF NOT EXISTS commits_fts_ai AFTER INSERT ON commits BEGIN
+            INSERT INTO commits_fts(rowid, message, body) VALUES (new.id, new.message, new.body);
+        END;
+        CREATE TRIGGER IF NOT EXISTS commits_fts_ad AFTER DELETE ON commits BEGIN
+            INSERT INTO commits_fts(commits_fts, rowid, message, body) VALUES ('delete', old.id, old.message, old.body);
+        END;
+        CREATE TRIGGER IF NOT EXISTS commits_fts_au AFTER UPDATE OF message, body ON commits BEGIN
+            INSERT INTO commits_fts(commits_fts, rowid, message, body) VALUES ('delete', old.id, old.message, old.body);
+            INSERT INTO commits_fts(rowid, message, body) VALUES (new.id, new.message, new.body);
+        END;
+        INSERT INTO commits_fts(commits_fts) VALUES ('rebuild');
+    `);
+}
+
+/**
+ * `body_indexed_at` marks commits whose body was read from git. Rows indexed
+ * before `commits.body` existed keep it NULL: at startup the scheduler queues
+ * their repositories (CommitIndexer.queuePendingBodies) and the indexer
+ * re-reads them, filling search, Co-authored-by credit, body ticket keys and
+ * `BREAKING CHANGE:` flags. Until then those commits are matched on subject only.
+ */
+async function ensureBodyIndexedAt(db) {
+    if (await tableHasColumn(db, 'commits', 'body_indexed_at')) return;
+    const type = db.dialect === 'postgres' ? 'TIMESTAMPTZ' : 'DATETIME';
+    await db.run(`ALTER TABLE commits ADD COLUMN body_indexed_at ${type}`);
+    await db.run('UPDATE commits SET body_indexed_at = CURRENT_TIMESTAMP WHERE body IS NOT NULL');
+}
+
+/**
+ * Rename/copy source paths on commit_files. Commits indexed before this
+ * stored `{old => new}` as the filename; their file stats are dropped so
+ * the indexer backfills them with rename detection.
+ */
+async function ensureCommitFileRenames(db) {
+    if (await tableHasColumn(db, 'commit_files', 'old_filename')) return;
+    await db.run('ALTER TABLE commit_files ADD COLUMN old_filename TEXT');
+    await db.run("ALTER TABLE commit_files ADD COLUMN change_type TEXT DEFAULT 'M'");
+    await db.run('CREATE INDEX IF NOT EXISTS idx_commit_files_filename ON commit_files(filename)');
+    await db.run(`
+        UPDATE commits SET files_indexed_at = NULL
+        WHERE id IN (SELECT commit_id FROM commit_files WHERE filename LIKE '% => %')
+    `);
+    await db.run(`
+        DELETE FROM commit_files
+        WHERE commit_id IN (SELECT id FROM commits WHERE files_indexed_at IS NULL)
+    `);
+}
+
+/**
+ * Conventional Commit type, scope and breaking flag on commits. Rows indexed
+ * before the columns existed are parsed once when they are added.
+ */
+async function ensureCommitTypes(db) {
+    if (await tableHasColumn(db, 'commits', 'commit_type')) return;
+    await db.run('ALTER TABLE commits ADD COLUMN commit_type TEXT');
+    await db.run('ALTER TABLE commits ADD COLUMN commit_scope TEXT');
+    await db.run('ALTER TABLE commits ADD COLUMN is_breaking INTEGER DEFAULT 0');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_commits_type ON commits(repository_id, commit_type)');
+
+    let lastId = 0;
+    for (;;) {
+        const rows = await db.all(
+            'SELECT id, message, body FROM commits WHERE id > ? ORDER BY id LIMIT 500',
+            [lastId]
+        );
+        if (!rows.length) break;
+        for (const row of rows) {
+            const cc = parseConventionalCommit(row.message, row.body);
+            if (cc.type || cc.breaking) {
+                await db.run(
+                    'UPDATE commits SET commit_type = ?, commit_scope = ?, is_breaking = ? WHERE id = ?',
+                    [cc.type, cc.scope, cc.breaking ? 1 : 0, row.id]
+                );
+            }
+        }
+        lastId = rows[rows.length - 1].id;
+    }
+}
+
+/**
+ * Author UTC offset in minutes, taken from the `%aI` date when indexing.
+ * Existing rows are filled from the offset suffix of a TEXT `committed_at`.
+ * A PostgreSQL TIMESTAMPTZ column keeps no offset, so there the rows stay NULL
+ * (read as UTC) until a re-index (`POST /api/git/index`) rewrites them.
+ */
+async function ensureCommitTzOffset(db) {
+    if (await tableHasColumn(db, 'commits', 'author_tz_offset')) return;
+    await db.run('ALTER TABLE commits ADD COLUMN author_tz_offset INTEGER');
+    if (db.dialect === 'postgres') {
+        const column = await db.get(
+            `SELECT data_type FROM information_schema.columns
+             WHERE table_schema = 'public' AND table_name = 'commits' AND column_name = 'committed_at'`
+        );
+        if (column && /timestamp/i.test(column.data_type)) return;
+    }
+
+    let lastId = 0;
+    for (;;) {
+        const rows = await db.all(
+            'SELECT id, committed_at FROM commits WHERE id > ? ORDER BY id LIMIT 500',
+            [lastId]
+        );
+        if (!rows.length) break;
+        for (const row of rows) {
+            const offset = utcOffsetMinutes(row.committed_at);
+            if (offset !== null) {
+                await db.run('UPDATE commits SET author_tz_offset = ? WHERE id = ?', [offset, row.id]);
+            }
+        }
+        lastId = rows[rows.length - 1].id;
+    }
+}
+
+/**
+ * `is_bot` on contributors (auto-detected unless `bot_manual`) and on commits
+ * (the author's effective flag, so analytics can exclude bots without a join).
+ */
+async function ensureBotFlags(db) {
+    if (!(await tableHasColumn(db, 'contributors', 'is_bot'))) {
+        await db.run('ALTER TABLE contributors ADD COLUMN is_bot INTEGER DEFAULT 0');
+    }
+    if (!(await tableHasColumn(db, 'contributors', 'bot_manual'))) {
+        await db.run('ALTER TABLE contributors ADD COLUMN bot_manual INTEGER DEFAULT 0');
+    }
+    if (await tableHasColumn(db, 'commits', 'is_bot')) return;
+    await db.run('ALTER TABLE commits ADD COLUMN is_bot INTEGER DEFAULT 0');
+
+    // Required lazily, like backfillCommitReferences
+    const ContributorService = require('../../services/ContributorService');
+    const SettingsService = require('../../services/SettingsService');
+    const patterns = await new SettingsService(db).getBotPatterns();
+    const result = await new ContributorService(db).refreshBotFlags(patterns);
+    if (result.botCommits) console.log(`Flagged ${result.botCommits} bot commits`);
+}
+
+/**
+ * When a commit's rewritten lines were attributed (see commit_line_origins).
+ * Existing commits are picked up by the next indexing run.
+ */
+async function ensureLineOriginsColumn(db) {
+    if (await tableHasColumn(db, 'commits', 'lines_attributed_at')) return;
+    const type = db.dialect === 'postgres' ? 'TIMESTAMPTZ' : 'DATETIME';
+    await db.run(`ALTER TABLE commits ADD COLUMN lines_attributed_at ${type}`);
+}
+
+/**
+ * Language of each commit_files row (see lib/languages). Rows indexed before
+ * the column existed are classified once when it is added.
+ */
+async function ensureFileLanguages(db) {
+    if (await tableHasColumn(db, 'commit_files', 'language')) return;
+    await db.run('ALTER TABLE commit_files ADD COLUMN language TEXT');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_commit_files_language ON commit_files(language)');
+
+    // Required lazily, like backfillCommitReferences
+    const CommitIndexer = require('../../services/CommitIndexer');
+    const classified = await new CommitIndexer(db).reclassifyLanguages();
+    if (classified) console.log(`Classified languages for ${classified} files`);
+}
+
+/**
+ * `is_generated` / `is_vendored` on commit_files (see lib/generatedFiles) and
+ * per-repository patterns added to the global ones. Existing rows are flagged
+ * once when the columns are added.
+ */
+async function ensureGeneratedFileFlags(db) {
+    if (!(await tableHasColumn(db, 'git_repositories', 'generated_patterns'))) {
+        await db.run('ALTER TABLE git_repositories ADD COLUMN generated_patterns TEXT');
+        await db.run('ALTER TABLE git_repositories ADD COLUMN vendored_patterns TEXT');
+    }
+    if (await tableHasColumn(db, 'commit_files', 'is_generated')) return;
+    await db.run('ALTER TABLE commit_files ADD COLUMN is_generated INTEGER DEFAULT 0');
+    await db.run('ALTER TABLE commit_files ADD COLUMN is_vendored INTEGER DEFAULT 0');
+
+    // Required lazily, like backfillCommitReferences
+    const CommitIndexer = require('../../services/CommitIndexer');
+    const flagged = await new CommitIndexer(db).reflagFiles();
+    if (flagged) console.log(`Flagged ${flagged} generated or vendored files`);
+}
+
+/** Author date of a repository's oldest root commit; backfills stop there. */
+async function ensureHistoryStart(db) {
+    if (await tableHasColumn(db, 'index_coverage', 'history_start_at')) return;
+    await db.run('ALTER TABLE index_coverage ADD COLUMN history_start_at TEXT');
+}
+
+async function tableHasColumn(db, table, name) {
     if (db.dialect === 'postgres') {
         const row = await db.get(
             `SELECT 1 AS ok FROM information_schema.columns
-             WHERE table_schema = 'public' AND table_name = 'commits' AND column_name = ?`,
-            [name]
+             WHERE table_schema = 'public' AND table_name = ? AND column_name = ?`,
+            [table, name]
         );
         return !!row;
     }
-    const columns = await db.all("PRAGMA table_info('commits')");
+    const columns = await db.all(`PRAGMA table_info('${table}')`);
     return columns.some((c) => c.name === name);
 }
 
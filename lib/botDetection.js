@@ -0,0 +1,46 @@
+// Automation accounts: GitHub/GitLab app bots, dependency updaters, CI and release jobs
+const DEFAULT_BOT_PATTERNS = [
+    '\\[bot\\]',
+    '^(dependabot|renovate|greenkeeper|snyk-bot|mergify|bors|semantic-release-bot|github-actions|gitlab-bot)\\b',
+    '^(noreply|no-reply|ci|build|jenkins|release|bot)@',
+    '-bot@',
+    '^project_\\d+_bot'
+].join('\n');
+
+/**
+ * Compile the `bot_patterns` setting: one case-insensitive regular expression
+ * per line, blank lines and `//` comments ignored. Invalid expressions are skipped.
+ * @param {string|null|undefined} text
+ * @returns {RegExp[]}
+ */
+function compileBotPatterns(text) {
+    const patterns = [];
+    for (const raw of String(text || '').split(/\r?\n/)) {
+        const line = raw.trim();
+        if (!line || line.startsWith('//')) continue;
+        try {
+            patterns.push(new RegExp(line, 'i'));
+        } catch (_) {
+            // invalid pattern; ignore
+        }
+    }
+    return patterns;
+}
+
+/**
+ * Whether an author identity looks like an automation account. Each pattern
+ * is tried against the name and the email separately.
+ * @param {string|null} name
+ * @param {string|null} email
+ * @param {RegExp[]} patterns
+ */
+function isBotIdentity(name, email, patterns) {
+    const values = [name, email].filter(Boolean).map(String);
+    return (patterns || []).some((re) => values.some((v) => re.test(v)));
+}
+
+module.exports = {
+    DEFAULT_BOT_PATTERNS,
+    compileBotPatterns,
+    isBotIdentity
+};
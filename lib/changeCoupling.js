@@ -0,0 +1,96 @@
+/**
+ * Change coupling: files that keep changing in the same commits.
+ *
+ * For a pair of files A and B:
+ * - `coChanges`: commits touching both
+ * - `support`: `coChanges` as a share of all commits considered
+ * - `confidence`: the larger of P(B | A) and P(A | B), i.e. how often one file
+ *   changing drags the other along
+ * - `degree`: `coChanges` over the average of both files' change counts
+ */
+
+/** Commits touching more files than this (mass renames, formatting) are skipped by default. */
+const DEFAULT_MAX_FILES_PER_COMMIT = 50;
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+/** First `depth` path segments, or `.` for a file at the root. */
+function moduleOf(path, depth = 1) {
+    const parts = String(path).split('/');
+    if (parts.length === 1) return '.';
+    return parts.slice(0, Math.min(depth, parts.length - 1)).join('/');
+}
+
+/**
+ * @param {{ files: string[] }[]} commits one entry per commit with the paths it changed
+ * @param {object} [options]
+ * @param {number} [options.minCoChanges=2]
+ * @param {number} [options.minDegree=0] 0–1
+ * @param {number} [options.maxFilesPerCommit=50]
+ * @param {number} [options.moduleDepth=1] path segments that make up a module, for `crossModule`
+ * @param {number} [options.limit=100]
+ * @returns {{ commits: number, skippedCommits: number,
+ *   pairs: { fileA: string, fileB: string, coChanges: number, changesA: number, changesB: number,
+ *     support: number, confidence: number, degree: number, crossModule: boolean }[] }}
+ *   pairs sorted by degree, then co-changes
+ */
+function computeCoupling(commits, options = {}) {
+    const {
+        minCoChanges = 2,
+        minDegree = 0,
+        maxFilesPerCommit = DEFAULT_MAX_FILES_PER_COMMIT,
+        moduleDepth = 1,
+        limit = 100
+    } = options;
+    const changes = new Map();
+    const together = new Map();
+    let considered = 0;
+    let skipped = 0;
+
+    for (const commit of commits) {
+        const files = [...new Set(commit.files)].sort();
+        if (files.length > maxFilesPerCommit) {
+            skipped += 1;
+            continue;
+        }
+        considered += 1;
+        for (const f of files) changes.set(f, (changes.get(f) || 0) + 1);
+        for (let i = 0; i < files.length; i += 1) {
+            for (let j = i + 1; j < files.length; j += 1) {
+                const key = `${files[i]}\0${files[j]}`;
+                together.set(key, (together.get(key) || 0) + 1);
+            }
+        }
+    }
+
+    const pairs = [];
+    for (const [key, coChanges] of together) {
+        if (coChanges < minCoChanges) continue;
+        const [fileA, fileB] = key.split('\0');
+        const changesA = changes.get(fileA);
+        const changesB = changes.get(fileB);
+        const degree = coChanges / ((changesA + changesB) / 2);
+        if (degree < minDegree) continue;
+        pairs.push({
+            fileA,
+            fileB,
+            coChanges,
+            changesA,
+            changesB,
+            support: round(coChanges / considered),
+            confidence: round(coChanges / Math.min(changesA, changesB)),
+            degree: round(degree),
+            crossModule: moduleOf(fileA, moduleDepth) !== moduleOf(fileB, moduleDepth)
+        });
+    }
+    pairs.sort((a, b) => b.degree - a.degree || b.coChanges - a.coChanges
+        || a.fileA.localeCompare(b.fileA) || a.fileB.localeCompare(b.fileB));
+
+    return { commits: considered, skippedCommits: skipped, pairs: pairs.slice(0, limit) };
+}
+
+module.exports = {
+    DEFAULT_MAX_FILES_PER_COMMIT,
+    moduleOf,
+    computeCoupling
+};
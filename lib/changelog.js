@@ -0,0 +1,105 @@
+const { parseConventionalCommit } = require('./conventionalCommits');
+
+/** Release-note sections in output order. Breaking changes are listed only under `breaking`. */
+const CHANGELOG_SECTIONS = [
+    { key: 'breaking', title: 'Breaking Changes' },
+    { key: 'feat', title: 'Features' },
+    { key: 'fix', title: 'Bug Fixes' },
+    { key: 'perf', title: 'Performance' },
+    { key: 'refactor', title: 'Refactoring' },
+    { key: 'docs', title: 'Documentation' },
+    { key: 'chore', title: 'Chores' },
+    { key: 'other', title: 'Other Changes' }
+];
+
+const CHORE_TYPES = new Set(['chore', 'build', 'ci', 'style', 'test', 'tests', 'deps']);
+
+/**
+ * @param {ReturnType<typeof parseConventionalCommit>} parsed
+ * @returns {string} a CHANGELOG_SECTIONS key
+ */
+function sectionFor(parsed) {
+    if (parsed.breaking) return 'breaking';
+    if (!parsed.type) return 'other';
+    if (CHORE_TYPES.has(parsed.type)) return 'chore';
+    return CHANGELOG_SECTIONS.some((s) => s.key === parsed.type) ? parsed.type : 'other';
+}
+
+/**
+ * Group commits into release-note sections and tally contributor credits
+ * (authors and co-authors, by contributor when resolved, else by email).
+ * @param {{ hash: string, message: string, body?: string|null, author?: string, authorEmail?: string, contributorId?: number|null, contributorName?: string|null, coAuthors?: object[] }[]} commits
+ */
+function buildChangelog(commits) {
+    const sections = new Map(CHANGELOG_SECTIONS.map((s) => [s.key, { ...s, commits: [] }]));
+    const credits = new Map();
+    const credit = (person) => {
+        const key = person.contributorId
+            ? `c:${person.contributorId}`
+            : `e:${String(person.email || person.name || '').toLowerCase()}`;
+        if (!credits.has(key)) {
+            credits.set(key, {
+                contributorId: person.contributorId || null,
+                name: person.contributorName || person.name,
+                email: person.email || null,
+                commits: 0
+            });
+        }
+        credits.get(key).commits += 1;
+    };
+
+    for (const commit of commits) {
+        const parsed = parseConventionalCommit(commit.message, commit.body);
+        sections.get(sectionFor(parsed)).commits.push({
+            hash: commit.hash,
+            type: parsed.type,
+            scope: parsed.scope,
+            description: parsed.description,
+            breaking: parsed.breaking,
+            breakingNote: parsed.breakingNote,
+            author: commit.contributorName || commit.author
+        });
+        credit({
+            contributorId: commit.contributorId,
+            contributorName: commit.contributorName,
+            name: commit.author,
+            email: commit.authorEmail
+        });
+        for (const co of commit.coAuthors || []) credit(co);
+    }
+
+    return {
+        sections: [...sections.values()].filter((s) => s.commits.length),
+        contributors: [...credits.values()].sort((a, b) => b.commits - a.commits || String(a.name).localeCompare(String(b.name)))
+    };
+}
+
+/**
+ * Render grouped release notes as Markdown.
+ * @param {{ title: string, subtitle?: string, sections: object[], contributors: object[] }} notes
+ * @returns {string}
+ */
+function renderChangelogMarkdown({ title, subtitle, sections, contributors }) {
+    const lines = [`# ${title}`, ''];
+    if (subtitle) lines.push(subtitle, '');
+    if (!sections.length) lines.push('No changes.', '');
+    for (const section of sections) {
+        lines.push(`## ${section.title}`, '');
+        for (const c of section.commits) {
+            const scope = c.scope ? `**${c.scope}:** ` : '';
+            const note = c.breakingNote && c.breakingNote !== c.description ? ` — ${c.breakingNote}` : '';
+            lines.push(`- ${scope}${c.description}${note} (${c.hash.slice(0, 7)})`);
+        }
+        lines.push('');
+    }
+    if (contributors.length) {
+        lines.push('## Contributors', '');
+        for (const p of contributors) {
+            lines.push(`- ${p.name || p.email} (${p.commits} ${p.commits === 1 ? 'commit' : 'commits'})`);
+        }
+        lines.push('');
+    }
+    return lines.join('\n');
+}
+
+module.exports = { CHANGELOG_SECTIONS, sectionFor, buildChangelog, renderChangelogMarkdown };
@@ -0,0 +1,83 @@
+const { escapeLikePattern } = require('./userFilter');
+
+const NUMSTAT_RE = /^(\d+|-)\t(\d+|-)\t([\s\S]*)$/;
+
+/**
+ * Parse `git show -M -C --raw --numstat -z --format=` output into per-file
+ * stats. Renames and copies keep their source path in `oldFilename`, so
+ * `{old => new}` never ends up in a filename.
+ * @param {string} output
+ * @returns {{ filename: string, oldFilename: string|null, changeType: string, additions: number, deletions: number }[]}
+ */
+function parseRawNumstat(output) {
+    const tokens = String(output || '').split('\0');
+    const statusByPath = new Map();
+    const files = [];
+
+    let i = 0;
+    while (i < tokens.length) {
+        const tok = tokens[i].replace(/^\n+/, '');
+        if (tok.startsWith(':')) {
+            const status = (tok.split(' ').pop() || 'M').charAt(0);
+            if (status === 'R' || status === 'C') {
+                statusByPath.set(tokens[i + 2], status);
+                i += 3;
+            } else {
+                statusByPath.set(tokens[i + 1], status);
+                i += 2;
+            }
+            continue;
+        }
+        const match = NUMSTAT_RE.exec(tok);
+        if (!match) {
+            i += 1;
+            continue;
+        }
+        const file = {
+            filename: match[3],
+            oldFilename: null,
+            changeType: 'M',
+            additions: parseInt(match[1], 10) || 0,
+            deletions: parseInt(match[2], 10) || 0
+        };
+        if (match[3]) {
+            i += 1;
+        } else {
+            file.oldFilename = tokens[i + 1];
+            file.filename = tokens[i + 2];
+            i += 3;
+        }
+        if (!file.filename) continue;
+        file.changeType = statusByPath.get(file.filename) || (file.oldFilename ? 'R' : 'M');
+        files.push(file);
+    }
+    return files;
+}
+
+/**
+ * Classify a path filter:
+ * - `src/app.js` matches that file exactly
+ * - `src/api/` (trailing slash) matches everything under the directory
+ * - `*.md`, `src/*.test.js`, `docs/v?.txt` are globs; `*` (and `**`) match any
+ *   run of characters, including `/`; `?` matches one character
+ * `value` is the path itself for `exact`, otherwise a LIKE pattern for `ESCAPE '\\'`.
+ * @param {string|null|undefined} path
+ * @returns {{ mode: 'exact'|'prefix'|'glob', path: string, value: string }|null}
+ */
+function toPathFilter(path) {
+    const trimmed = String(path || '').trim().replace(/^(\.\/|\/)+/, '');
+    if (!trimmed) return null;
+    if (/[*?]/.test(trimmed)) {
+        const value = escapeLikePattern(trimmed)
+            .replace(/\*\*\//g, '%')
+            .replace(/\*+/g, '%')
+            .replace(/\?/g, '_');
+        return { mode: 'glob', path: trimmed, value };
+    }
+    if (trimmed.endsWith('/')) {
+        return { mode: 'prefix', path: trimmed, value: `${escapeLikePattern(trimmed)}%` };
+    }
+    return { mode: 'exact', path: trimmed, value: trimmed };
+}
+
+module.exports = { parseRawNumstat, toPathFilter };
@@ -0,0 +1,141 @@
+/**
+ * Parse a user search string into terms for full-text commit search.
+ *
+ * Supported syntax:
+ * - bare words (implicitly AND-ed): `timeout retry`
+ * - quoted phrases: `"connection reset"`
+ * - prefix match: `deploy*`
+ * - OR between terms: `outage OR incident`
+ * - negation: `-revert` or `NOT revert`
+ *
+ * @param {string} raw
+ * @returns {{ groups: { text: string, phrase: boolean, prefix: boolean }[][], excluded: { text: string, phrase: boolean, prefix: boolean }[] }}
+ */
+function parseSearchQuery(raw) {
+    const tokens = [];
+    const re = /(-?)"([^"]*)"|(\S+)/g;
+    let match;
+    while ((match = re.exec(String(raw || ''))) !== null) {
+        if (match[2] !== undefined) {
+            tokens.push({ word: match[2], quoted: true, negate: match[1] === '-' });
+        } else {
+            tokens.push({ word: match[3], quoted: false, negate: false });
+        }
+    }
+
+    const groups = [];
+    const excluded = [];
+    let pendingOr = false;
+    let pendingNot = false;
+
+    for (const token of tokens) {
+        if (!token.quoted && token.word === 'OR') {
+            pendingOr = groups.length > 0;
+            continue;
+        }
+        if (!token.quoted && token.word === 'AND') continue;
+        if (!token.quoted && token.word === 'NOT') {
+            pendingNot = true;
+            continue;
+        }
+
+        let text = token.word;
+        let negate = token.negate || pendingNot;
+        let prefix = false;
+        if (!token.quoted) {
+            if (text.startsWith('-') && text.length > 1) {
+                negate = true;
+                text = text.slice(1);
+            }
+            if (text.endsWith('*')) {
+                prefix = true;
+                text = text.replace(/\*+$/, '');
+            }
+        }
+        text = text.trim();
+        pendingNot = false;
+        if (!text) {
+            pendingOr = false;
+            continue;
+        }
+
+        const term = { text, phrase: token.quoted, prefix };
+        if (negate) {
+            excluded.push(term);
+            pendingOr = false;
+            continue;
+        }
+        if (pendingOr) {
+            groups[groups.length - 1].push(term);
+        } else {
+            groups.push([term]);
+        }
+        pendingOr = false;
+    }
+
+    return { groups, excluded };
+}
+
+/**
+ * Split a term into indexable words (letters, digits, underscore).
+ * @param {string} text
+ * @returns {string[]}
+ */
+function termWords(text) {
+    return String(text).match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+function ftsTerm(term) {
+    const words = termWords(term.text);
+    if (!words.length) return null;
+    const quoted = `"${words.join(' ')}"`;
+    return term.prefix ? `${quoted}*` : quoted;
+}
+
+function tsTerm(term) {
+    const words = termWords(term.text).map((w) => w.toLowerCase());
+    if (!words.length) return null;
+    if (term.prefix) words[words.length - 1] += ':*';
+    return words.length > 1 ? `(${words.join(' <-> ')})` : words[0];
+}
+
+function render(parsed, renderTerm, { and, or, not, leadingNot }) {
+    const groups = parsed.groups
+        .map((g) => g.map(renderTerm).filter(Boolean))
+        .filter((g) => g.length)
+        .map((g) => (g.length > 1 ? `(${g.join(or)})` : g[0]));
+    if (!groups.length) {
+        throw new Error('Search query must contain at least one word that is not excluded');
+    }
+    const excluded = parsed.excluded.map(renderTerm).filter(Boolean);
+    let expr = groups.join(and);
+    for (const ex of excluded) {
+        expr += leadingNot ? `${and}${not}${ex}` : `${not}${ex}`;
+    }
+    return expr;
+}
+
+/**
+ * Build an SQLite FTS5 MATCH expression. Every word is quoted so user input
+ * can never produce an FTS syntax error.
+ * @param {string} raw
+ * @returns {string}
+ */
+function toFtsMatch(raw) {
+    return render(parseSearchQuery(raw), ftsTerm, { and: ' AND ', or: ' OR ', not: ' NOT ' });
+}
+
+/**
+ * Build a PostgreSQL to_tsquery() expression.
+ * @param {string} raw
+ * @returns {string}
+ */
+function toTsQuery(raw) {
+    return render(parseSearchQuery(raw), tsTerm, { and: ' & ', or: ' | ', not: '!', leadingNot: true });
+}
+
+module.exports = {
+    parseSearchQuery,
+    toFtsMatch,
+    toTsQuery
+};
@@ -0,0 +1,38 @@
+const CO_AUTHOR_RE = /^[ \t]*co-authored-by:[ \t]*(.*?)[ \t]*<([^<>\s]+)>[ \t]*$/gim;
+
+/**
+ * Extract `Co-authored-by: Name <email>` trailers from a commit body.
+ * Duplicates (same email, case-insensitive) and the primary author are dropped.
+ * @param {string|null|undefined} body
+ * @param {{ authorEmail?: string|null }} [primary]
+ * @returns {{ name: string|null, email: string }[]}
+ */
+function parseCoAuthors(body, primary = {}) {
+    if (!body) return [];
+    const primaryEmail = (primary.authorEmail || '').toLowerCase();
+    const seen = new Set();
+    const out = [];
+    let match;
+    CO_AUTHOR_RE.lastIndex = 0;
+    while ((match = CO_AUTHOR_RE.exec(String(body))) !== null) {
+        const name = match[1].trim() || null;
+        const email = match[2].trim();
+        const key = email.toLowerCase();
+        if (!email || key === primaryEmail || seen.has(key)) continue;
+        seen.add(key);
+        out.push({ name, email });
+    }
+    return out;
+}
+
+/**
+ * How commits are credited to contributors: `primary` counts only the git
+ * author, `shared` also credits every Co-authored-by trailer.
+ * @param {string|null|undefined} value
+ * @returns {'primary'|'shared'}
+ */
+function normalizeCredit(value) {
+    return String(value || '').trim().toLowerCase() === 'shared' ? 'shared' : 'primary';
+}
+
+module.exports = { parseCoAuthors, normalizeCredit };
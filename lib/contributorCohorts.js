@@ -0,0 +1,96 @@
+/**
+ * Monthly contributor lifecycle from each contributor's active months.
+ *
+ * - `new`: the contributor's first commit falls in the month, unless that
+ *   month is where indexed history begins (`truncated`), since they may have
+ *   committed before it
+ * - `retained`: active in the month and first seen in an earlier month
+ * - `churned`: the month after the contributor's last commit, once they have
+ *   been inactive for `churnAfterMonths` whole months as of `currentMonth`
+ *   (so recent leavers are not reported until that is certain)
+ */
+
+/** `2024-03` → months since year 0, for month arithmetic. */
+function monthIndex(month) {
+    const [y, m] = String(month).split('-').map(Number);
+    return y * 12 + (m - 1);
+}
+
+function monthFromIndex(index) {
+    const y = Math.floor(index / 12);
+    const m = (index % 12) + 1;
+    return `${y}-${String(m).padStart(2, '0')}`;
+}
+
+/** Every `YYYY-MM` from `start` to `end`, inclusive. */
+function monthRange(start, end) {
+    const months = [];
+    for (let i = monthIndex(start); i <= monthIndex(end); i += 1) months.push(monthFromIndex(i));
+    return months;
+}
+
+/**
+ * @param {{ key: string, month: string, truncated?: boolean }[]} activity one row per contributor and
+ *   `YYYY-MM` month with commits; `truncated` marks the first indexed month of the row's repository
+ * @param {object} options
+ * @param {string} options.startMonth first reported month
+ * @param {string} options.endMonth last reported month
+ * @param {string} options.currentMonth month churn is judged from (usually today's)
+ * @param {number} [options.churnAfterMonths=3]
+ * @returns {{ months: { month: string, new: number, retained: number, churned: number, active: number }[],
+ *   totals: { contributors: number, new: number, churned: number, active: number } }}
+ *   `totals.contributors` counts everyone first seen by `endMonth`; `totals.active` those active in `endMonth`
+ */
+function buildLifecycle(activity, { startMonth, endMonth, currentMonth, churnAfterMonths = 3 }) {
+    const spans = new Map();
+    for (const row of activity) {
+        const idx = monthIndex(row.month);
+        let span = spans.get(row.key);
+        if (!span) {
+            span = { first: idx, last: idx, active: new Set([idx]), truncated: new Set() };
+            spans.set(row.key, span);
+        } else {
+            span.first = Math.min(span.first, idx);
+            span.last = Math.max(span.last, idx);
+            span.active.add(idx);
+        }
+        if (row.truncated) span.truncated.add(idx);
+    }
+
+    const now = monthIndex(currentMonth);
+    const months = monthRange(startMonth, endMonth).map((month) => ({ month, new: 0, retained: 0, churned: 0, active: 0 }));
+    const byIndex = new Map(months.map((m) => [monthIndex(m.month), m]));
+    const end = monthIndex(endMonth);
+    let contributors = 0;
+
+    for (const span of spans.values()) {
+        if (span.first <= end) contributors += 1;
+        for (const idx of span.active) {
+            const bucket = byIndex.get(idx);
+            if (!bucket) continue;
+            bucket.active += 1;
+            if (idx === span.first && !span.truncated.has(idx)) bucket.new += 1;
+            else bucket.retained += 1;
+        }
+        if (now - span.last > churnAfterMonths) {
+            const bucket = byIndex.get(span.last + 1);
+            if (bucket) bucket.churned += 1;
+        }
+    }
+
+    return {
+        months,
+        totals: {
+            contributors,
+            new: months.reduce((n, m) => n + m.new, 0),
+            churned: months.reduce((n, m) => n + m.churned, 0),
+            active: months.length ? months[months.length - 1].active : 0
+        }
+    };
+}
+
+module.exports = {
+    monthIndex,
+    monthRange,
+    buildLifecycle
+};
@@ -0,0 +1,29 @@
+const HEADER_RE = /^([A-Za-z]+)(?:\(([^()\r\n]*)\))?(!)?:[ \t]*(\S.*)$/;
+const BREAKING_FOOTER_RE = /^BREAKING[ -]CHANGE:[ \t]*(.+)$/m;
+
+/**
+ * Parse a Conventional Commits header (`type(scope)!: description`) plus a
+ * `BREAKING CHANGE:` footer in the body. Subjects that do not follow the
+ * convention get `type: null` and keep the subject as their description.
+ * @param {string|null|undefined} subject
+ * @param {string|null|undefined} [body]
+ * @returns {{ type: string|null, scope: string|null, breaking: boolean, description: string, breakingNote: string|null }}
+ */
+function parseConventionalCommit(subject, body) {
+    const header = String(subject || '').trim();
+    const footer = BREAKING_FOOTER_RE.exec(String(body || ''));
+    const breakingNote = footer ? footer[1].trim() : null;
+    const match = HEADER_RE.exec(header);
+    if (!match) {
+        return { type: null, scope: null, breaking: Boolean(footer), description: header, breakingNote };
+    }
+    return {
+        type: match[1].toLowerCase(),
+        scope: (match[2] || '').trim() || null,
+        breaking: Boolean(match[3] || footer),
+        description: match[4].trim(),
+        breakingNote
+    };
+}
+
+module.exports = { parseConventionalCommit };
@@ -0,0 +1,173 @@
+/**
+ * Generated and vendored file detection for commit_files flags.
+ *
+ * Patterns are gitignore-style globs, one per line: `*` stays within a path
+ * segment, `**` crosses segments, a leading `/` or an inner `/` anchors the
+ * pattern at the repository root, and a pattern without one matches at any
+ * depth. A pattern also matches everything under a directory it names, and
+ * `!pattern` un-flags earlier matches. `#` starts a comment.
+ *
+ * `.gitattributes` entries with `linguist-generated` / `linguist-vendored`
+ * (set, `=true`, `-`, `=false`) take precedence over the patterns.
+ */
+
+// Lockfiles, protobuf/gRPC output, minified bundles and source maps
+const DEFAULT_GENERATED_PATTERNS = [
+    'package-lock.json',
+    'npm-shrinkwrap.json',
+    'yarn.lock',
+    'pnpm-lock.yaml',
+    'bun.lockb',
+    'Gemfile.lock',
+    'Cargo.lock',
+    'composer.lock',
+    'poetry.lock',
+    'Pipfile.lock',
+    'go.sum',
+    'packages.lock.json',
+    '*.pb.go',
+    '*.pb.cc',
+    '*.pb.h',
+    '*_pb2.py',
+    '*_pb2_grpc.py',
+    '*.min.js',
+    '*.min.css',
+    '*.map'
+].join('\n');
+
+const DEFAULT_VENDORED_PATTERNS = [
+    'vendor/',
+    'node_modules/',
+    'bower_components/',
+    'third_party/',
+    'third-party/',
+    'Pods/'
+].join('\n');
+
+const ATTRIBUTES = { 'linguist-generated': 'generated', 'linguist-vendored': 'vendored' };
+
+/**
+ * @param {string} pattern
+ * @param {object} [options]
+ * @param {boolean} [options.matchDirectories=true] also match paths under a matched directory
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern, { matchDirectories = true } = {}) {
+    let p = String(pattern).trim();
+    const dirOnly = p.endsWith('/');
+    p = p.replace(/\/+$/, '');
+    const anchored = p.startsWith('/') || p.includes('/');
+    p = p.replace(/^\/+/, '');
+
+    let body = '';
+    for (let i = 0; i < p.length; i += 1) {
+        const ch = p[i];
+        if (ch === '*' && p[i + 1] === '*') {
+            if (p[i + 2] === '/') {
+                body += '(?:.*/)?';
+                i += 2;
+            } else {
+                body += '.*';
+                i += 1;
+            }
+        } else if (ch === '*') {
+            body += '[^/]*';
+        } else if (ch === '?') {
+            body += '[^/]';
+        } else {
+            body += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    const tail = dirOnly ? '/.*' : (matchDirectories ? '(?:/.*)?' : '');
+    return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${body}${tail}$`);
+}
+
+/**
+ * Compile pattern lines into ordered rules; later rules win.
+ * @param {string|null|undefined} text
+ * @returns {{ re: RegExp, value: boolean }[]}
+ */
+function compilePatterns(text) {
+    const rules = [];
+    for (const raw of String(text || '').split(/\r?\n/)) {
+        const line = raw.trim();
+        if (!line || line.startsWith('#')) continue;
+        const negated = line.startsWith('!');
+        const pattern = negated ? line.slice(1).trim() : line;
+        if (!pattern) continue;
+        rules.push({ re: globToRegExp(pattern), value: !negated });
+    }
+    return rules;
+}
+
+/**
+ * Linguist attributes from a `.gitattributes` file. `!attr` (unspecified)
+ * resets the attribute to the pattern-based default.
+ * @param {string|null|undefined} text
+ * @returns {{ re: RegExp, generated?: boolean|null, vendored?: boolean|null }[]}
+ */
+function parseGitattributes(text) {
+    const rules = [];
+    for (const raw of String(text || '').split(/\r?\n/)) {
+        const line = raw.trim();
+        if (!line || line.startsWith('#')) continue;
+        const [pattern, ...attrs] = line.split(/\s+/);
+        const rule = {};
+        for (const attr of attrs) {
+            const m = /^([-!]?)([\w-]+)(?:=(.*))?$/.exec(attr);
+            if (!m || !ATTRIBUTES[m[2]]) continue;
+            const key = ATTRIBUTES[m[2]];
+            if (m[1] === '!') rule[key] = null;
+            else if (m[1] === '-') rule[key] = false;
+            else rule[key] = m[3] === undefined ? true : !/^(false|0)$/i.test(m[3]);
+        }
+        if (Object.keys(rule).length) {
+            rules.push({ re: globToRegExp(pattern, { matchDirectories: false }), ...rule });
+        }
+    }
+    return rules;
+}
+
+/**
+ * @param {object} sources
+ * @param {string} [sources.generated] global then per-repository pattern text, newline-joined
+ * @param {string} [sources.vendored]
+ * @param {string} [sources.gitattributes] contents of the repository's root `.gitattributes`
+ */
+function buildFileRules({ generated = '', vendored = '', gitattributes = '' } = {}) {
+    return {
+        generated: compilePatterns(generated),
+        vendored: compilePatterns(vendored),
+        attributes: parseGitattributes(gitattributes)
+    };
+}
+
+/**
+ * @param {string} path repository-relative
+ * @param {ReturnType<typeof buildFileRules>} rules
+ * @returns {{ generated: boolean, vendored: boolean }}
+ */
+function classifyFile(path, rules) {
+    const result = {};
+    for (const key of ['generated', 'vendored']) {
+        let value = false;
+        for (const rule of rules[key]) {
+            if (rule.re.test(path)) value = rule.value;
+        }
+        let attribute = null;
+        for (const rule of rules.attributes) {
+            if (rule[key] !== undefined && rule.re.test(path)) attribute = rule[key];
+        }
+        result[key] = attribute === null ? value : attribute;
+    }
+    return result;
+}
+
+module.exports = {
+    DEFAULT_GENERATED_PATTERNS,
+    DEFAULT_VENDORED_PATTERNS,
+    globToRegExp,
+    parseGitattributes,
+    buildFileRules,
+    classifyFile
+};
@@ -0,0 +1,61 @@
+const HEADER_RE = /^([0-9a-f]{40}|[0-9a-f]{64}) (\d+) (\d+)(?: (\d+))?$/;
+
+/**
+ * Parse `git blame --porcelain` output into one entry per final line.
+ * Commit metadata is only printed the first time a commit appears, so it is
+ * carried over to later lines from the same commit.
+ * @param {string} output
+ * @returns {{ line: number, hash: string, author: string|null, authorEmail: string|null, authorTime: number|null, summary: string|null }[]}
+ */
+function parseBlamePorcelain(output) {
+    const commits = new Map();
+    const lines = [];
+    let current = null;
+
+    for (const raw of String(output || '').split('\n')) {
+        if (current && raw.startsWith('\t')) {
+            lines.push({ line: current.line, hash: current.hash, ...commits.get(current.hash) });
+            current = null;
+            continue;
+        }
+        const header = HEADER_RE.exec(raw);
+        if (header) {
+            current = { hash: header[1], line: parseInt(header[3], 10) };
+            if (!commits.has(current.hash)) {
+                commits.set(current.hash, { author: null, authorEmail: null, authorTime: null, summary: null });
+            }
+            continue;
+        }
+        if (!current) continue;
+        const space = raw.indexOf(' ');
+        const key = space === -1 ? raw : raw.slice(0, space);
+        const value = space === -1 ? '' : raw.slice(space + 1);
+        const meta = commits.get(current.hash);
+        if (key === 'author') meta.author = value;
+        else if (key === 'author-mail') meta.authorEmail = value.replace(/^<|>$/g, '') || null;
+        else if (key === 'author-time') meta.authorTime = parseInt(value, 10) || null;
+        else if (key === 'summary') meta.summary = value;
+    }
+    return lines;
+}
+
+/**
+ * Collapse consecutive lines from the same commit into `[startLine, endLine]` ranges.
+ * @param {ReturnType<typeof parseBlamePorcelain>} lines
+ */
+function toBlameRanges(lines) {
+    const ranges = [];
+    for (const entry of lines) {
+        const last = ranges[ranges.length - 1];
+        if (last && last.hash === entry.hash && last.endLine === entry.line - 1) {
+            last.endLine = entry.line;
+            last.lines += 1;
+            continue;
+        }
+        const { line, ...rest } = entry;
+        ranges.push({ ...rest, startLine: line, endLine: line, lines: 1 });
+    }
+    return ranges;
+}
+
+module.exports = { parseBlamePorcelain, toBlameRanges };
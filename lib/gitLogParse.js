@@ -17,4 +17,78 @@ function parseCommitLogLine(line) {
     };
 }
 
-module.exports = { parseCommitLogLine };
+/** `git log --numstat` pretty format understood by parseNumstatLog; the body ends at `\x1d`. */
+const NUMSTAT_LOG_FORMAT = '%x1e%H%x1f%an%x1f%ae%x1f%aI%x1f%s%x1f%b%x1d';
+
+/**
+ * Path of a `--numstat` line, taking the new side of a rename
+ * (`old => new` or `dir/{a => b}/file`).
+ * @param {string} raw
+ * @returns {string}
+ */
+function numstatPath(raw) {
+    const braced = /^(.*)\{(.*) => (.*)\}(.*)$/.exec(raw);
+    if (braced) return `${braced[1]}${braced[3]}${braced[4]}`.replace(/\/\//g, '/');
+    const arrow = raw.indexOf(' => ');
+    return arrow === -1 ? raw : raw.slice(arrow + 4);
+}
+
+/**
+ * Parse `git log --numstat --format=NUMSTAT_LOG_FORMAT` output. Binary files
+ * (`-` counts) add no lines but still count as changed files. Files for which
+ * `skipFile(path)` is true are left out of the counts and tallied in `skippedFiles`.
+ * @param {string} output
+ * @param {{ skipFile?: (path: string) => boolean }} [options]
+ * @returns {{ hash: string, author: string, email: string, date: string, message: string, body: string|null, files: number, additions: number, deletions: number, skippedFiles: number }[]}
+ */
+function parseNumstatLog(output, { skipFile = null } = {}) {
+    const commits = [];
+    for (const record of String(output || '').split('\x1e')) {
+        const end = record.indexOf('\x1d');
+        if (end === -1) continue;
+        const fields = record.slice(0, end).split('\x1f');
+        if (fields.length < 6 || !fields[0]) continue;
+        const [hash, author, email, date, message, ...body] = fields;
+        const commit = {
+            hash,
+            author,
+            email,
+            date,
+            message,
+            body: body.join('\x1f').trim() || null,
+            files: 0,
+            additions: 0,
+            deletions: 0,
+            skippedFiles: 0
+        };
+        for (const line of record.slice(end + 1).split('\n')) {
+            const match = /^(\d+|-)\t(\d+|-)\t(.*)$/.exec(line);
+            if (!match) continue;
+            if (skipFile && skipFile(numstatPath(match[3]))) {
+                commit.skippedFiles += 1;
+                continue;
+            }
+            commit.files += 1;
+            commit.additions += parseInt(match[1], 10) || 0;
+            commit.deletions += parseInt(match[2], 10) || 0;
+        }
+        commits.push(commit);
+    }
+    return commits;
+}
+
+/**
+ * UTC offset of a strict ISO 8601 date (`%aI`) in minutes east of UTC,
+ * e.g. `+05:30` → 330 and `Z` → 0.
+ * @param {string|null|undefined} isoDate
+ * @returns {number|null} null when the date carries no offset
+ */
+function utcOffsetMinutes(isoDate) {
+    const m = /(?:([+-])(\d{2}):?(\d{2})|Z)$/i.exec(String(isoDate || '').trim());
+    if (!m) return null;
+    if (!m[1]) return 0;
+    const minutes = parseInt(m[2], 10) * 60 + parseInt(m[3], 10);
+    return m[1] === '-' ? -minutes : minutes;
+}
+
+module.exports = { parseCommitLogLine, NUMSTAT_LOG_FORMAT, numstatPath, parseNumstatLog, utcOffsetMinutes };
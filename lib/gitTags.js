@@ -0,0 +1,48 @@
+const FIELD_SEP = '\x1f';
+const RECORD_SEP = '\x1e';
+
+/**
+ * `git for-each-ref refs/tags --format=...` producing one record per tag.
+ * `*objectname` is the peeled commit for annotated tags and empty for lightweight ones.
+ */
+const TAG_REF_FORMAT = [
+    '%(refname:strip=2)',
+    '%(objecttype)',
+    '%(objectname)',
+    '%(*objecttype)',
+    '%(*objectname)',
+    '%(taggername)',
+    '%(taggeremail)',
+    '%(taggerdate:iso-strict)',
+    '%(creatordate:iso-strict)',
+    '%(contents:subject)'
+].join('%1f') + '%1e';
+
+/**
+ * @param {string} output
+ * @returns {{ name: string, type: 'annotated'|'lightweight', commitHash: string|null, taggerName: string|null, taggerEmail: string|null, date: string|null, message: string|null }[]}
+ */
+function parseTagRefs(output) {
+    const tags = [];
+    for (const record of String(output || '').split(RECORD_SEP)) {
+        const fields = record.replace(/^\n+/, '').split(FIELD_SEP);
+        if (fields.length < 10 || !fields[0]) continue;
+        const [name, type, hash, peeledType, peeledHash, taggerName, taggerEmail, taggerDate, creatorDate, subject] = fields;
+        const annotated = type === 'tag';
+        let commitHash = null;
+        if (!annotated && type === 'commit') commitHash = hash;
+        else if (annotated && peeledType === 'commit') commitHash = peeledHash;
+        tags.push({
+            name,
+            type: annotated ? 'annotated' : 'lightweight',
+            commitHash,
+            taggerName: annotated ? (taggerName || null) : null,
+            taggerEmail: annotated ? (taggerEmail.replace(/^<|>$/g, '') || null) : null,
+            date: (annotated ? taggerDate : creatorDate) || creatorDate || null,
+            message: annotated ? (subject || null) : null
+        });
+    }
+    return tags;
+}
+
+module.exports = { TAG_REF_FORMAT, parseTagRefs };
@@ -0,0 +1,211 @@
+/**
+ * Group author identities (name + email pairs) that probably belong to the
+ * same person, for bulk contributor mapping.
+ *
+ * Signals, strongest first:
+ * - `email`: the same address (case-insensitive)
+ * - `gitlab`: both match one GitLab user by email, username or name (an author
+ *   name equal to the username counts)
+ * - `co-occurrence`: the same commit (author date + message) recorded under both
+ * - `email-local`: the same address local part, ignoring `+tags`, dots,
+ *   dashes and underscores (GitHub `id+user@users.noreply` counts as `user`)
+ * - `name`: the same name ignoring case, accents, punctuation and word order
+ */
+const crypto = require('crypto');
+
+const SIGNAL_WEIGHTS = {
+    email: 0.9,
+    gitlab: 0.8,
+    'co-occurrence': 0.7,
+    'email-local': 0.5,
+    name: 0.4
+};
+
+// Local parts and one-word names shared by unrelated people; never used as a signal
+const GENERIC_LOCAL_PARTS = new Set([
+    'admin', 'administrator', 'build', 'ci', 'dev', 'developer', 'git', 'github',
+    'gitlab', 'info', 'mail', 'me', 'noreply', 'root', 'test', 'user', 'ubuntu'
+]);
+
+// A signal shared by more identities than this is too generic to cluster on
+const MAX_GROUP_SIZE = 25;
+
+function identityKey(name, email) {
+    return `${name || ''}\0${email || ''}`;
+}
+
+/** `Smith, John` → `john smith`; null when nothing meaningful is left. */
+function normalizePersonName(name) {
+    const tokens = String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean)
+        .sort();
+    if (tokens.length === 1 && GENERIC_LOCAL_PARTS.has(tokens[0])) return null;
+    const joined = tokens.join(' ');
+    return joined.length >= 3 ? joined : null;
+}
+
+/** `John.Smith+git@x.com` → `johnsmith`; null for generic or very short local parts. */
+function normalizeEmailLocal(email) {
+    const at = String(email || '').lastIndexOf('@');
+    if (at <= 0) return null;
+    let local = String(email).slice(0, at).toLowerCase();
+    const domain = String(email).slice(at + 1).toLowerCase();
+    if (domain === 'users.noreply.github.com') local = local.replace(/^\d+\+/, '');
+    local = local.replace(/\+.*$/, '').replace(/[._-]+/g, '');
+    if (local.length < 3 || GENERIC_LOCAL_PARTS.has(local)) return null;
+    return local;
+}
+
+/** 1 − Π(1 − weight) over the signal types linking a cluster. */
+function scoreSignals(signals) {
+    const miss = signals.reduce((p, s) => p * (1 - (SIGNAL_WEIGHTS[s] || 0)), 1);
+    return Math.round((1 - miss) * 100) / 100;
+}
+
+function pickDisplayName(identities) {
+    const named = identities.filter((i) => i.authorName);
+    const full = named.filter((i) => /\s/.test(String(i.authorName).trim()));
+    const pool = full.length ? full : named;
+    return pool.length ? pool[0].authorName : null;
+}
+
+function pickPrimaryEmail(identities) {
+    const emails = identities.filter((i) => i.authorEmail);
+    const real = emails.filter((i) => !/noreply|no-reply|\.local$/i.test(i.authorEmail));
+    const pool = real.length ? real : emails;
+    return pool.length ? pool[0].authorEmail : null;
+}
+
+/**
+ * @param {{ authorName: string|null, authorEmail: string|null, commitCount?: number, contributorId?: number|null, contributorName?: string|null }[]} identities
+ *   unmapped identities plus, to suggest existing contributors, mapped ones (with `contributorId`)
+ * @param {object} [context]
+ * @param {{ gitlabId: number, username: string|null, name: string|null, email: string|null }[]} [context.gitlabUsers]
+ * @param {[string, string][]} [context.sharedCommits] pairs of identity keys (`name\0email`) seen on the same commit
+ * @returns {{ key: string, score: number, signals: string[], contributorId: number|null, contributorName: string|null,
+ *   displayName: string|null, primaryEmail: string|null, commitCount: number, identities: object[] }[]}
+ *   clusters with at least two unmapped identities, or one unmapped identity and a single existing contributor; best first
+ */
+function clusterIdentities(identities, context = {}) {
+    const nodes = identities.map((i) => ({ ...i, key: identityKey(i.authorName, i.authorEmail) }));
+    const indexByKey = new Map(nodes.map((n, idx) => [n.key, idx]));
+    const parent = nodes.map((_, idx) => idx);
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+
+    const groups = [];
+    const addGroups = (type, keyOf) => {
+        const byValue = new Map();
+        nodes.forEach((node, idx) => {
+            for (const value of [].concat(keyOf(node) || [])) {
+                if (!byValue.has(value)) byValue.set(value, new Set());
+                byValue.get(value).add(idx);
+            }
+        });
+        for (const members of byValue.values()) {
+            if (members.size >= 2 && members.size <= MAX_GROUP_SIZE) groups.push({ type, members: [...members] });
+        }
+    };
+
+    addGroups('email', (n) => (n.authorEmail ? String(n.authorEmail).toLowerCase() : null));
+    addGroups('email-local', (n) => normalizeEmailLocal(n.authorEmail));
+    addGroups('name', (n) => normalizePersonName(n.authorName));
+
+    const gitlabUsers = context.gitlabUsers || [];
+    if (gitlabUsers.length) {
+        const byEmail = new Map();
+        const byLocal = new Map();
+        const byName = new Map();
+        for (const u of gitlabUsers) {
+            if (u.email) byEmail.set(String(u.email).toLowerCase(), u.gitlabId);
+            const local = normalizeEmailLocal(`${u.username || ''}@gitlab`);
+            if (local) byLocal.set(local, u.gitlabId);
+            const name = normalizePersonName(u.name);
+            if (name) byName.set(name, u.gitlabId);
+        }
+        addGroups('gitlab', (n) => {
+            const ids = new Set();
+            const email = n.authorEmail ? String(n.authorEmail).toLowerCase() : null;
+            const local = normalizeEmailLocal(n.authorEmail);
+            const name = normalizePersonName(n.authorName);
+            if (email && byEmail.has(email)) ids.add(byEmail.get(email));
+            if (local && byLocal.has(local)) ids.add(byLocal.get(local));
+            if (name && byName.has(name)) ids.add(byName.get(name));
+            // Author names are often the GitLab username
+            if (name && byLocal.has(name.replace(/ /g, ''))) ids.add(byLocal.get(name.replace(/ /g, '')));
+            return [...ids].map(String);
+        });
+    }
+
+    for (const [a, b] of context.sharedCommits || []) {
+        const ia = indexByKey.get(a);
+        const ib = indexByKey.get(b);
+        if (ia != null && ib != null && ia !== ib) groups.push({ type: 'co-occurrence', members: [ia, ib] });
+    }
+
+    for (const g of groups) {
+        for (const idx of g.members.slice(1)) {
+            const ra = find(g.members[0]);
+            const rb = find(idx);
+            if (ra !== rb) parent[rb] = ra;
+        }
+    }
+
+    const clusters = new Map();
+    nodes.forEach((node, idx) => {
+        const root = find(idx);
+        if (!clusters.has(root)) clusters.set(root, { nodes: [], signals: new Set() });
+        clusters.get(root).nodes.push(node);
+    });
+    for (const g of groups) {
+        // Links between aliases of one contributor say nothing about the unmapped identities
+        if (g.members.every((idx) => nodes[idx].contributorId)) continue;
+        clusters.get(find(g.members[0])).signals.add(g.type);
+    }
+
+    const result = [];
+    for (const cluster of clusters.values()) {
+        const unmapped = cluster.nodes
+            .filter((n) => !n.contributorId)
+            .sort((a, b) => (b.commitCount || 0) - (a.commitCount || 0));
+        const contributorIds = [...new Set(cluster.nodes.filter((n) => n.contributorId).map((n) => n.contributorId))];
+        const anchored = contributorIds.length === 1;
+        if (!unmapped.length || (unmapped.length < 2 && !anchored)) continue;
+        const anchor = anchored ? cluster.nodes.find((n) => n.contributorId === contributorIds[0]) : null;
+        const signals = Object.keys(SIGNAL_WEIGHTS).filter((s) => cluster.signals.has(s));
+        result.push({
+            key: crypto.createHash('sha1').update(unmapped.map((n) => n.key).sort().join('\n')).digest('hex'),
+            score: scoreSignals(signals),
+            signals,
+            contributorId: anchor ? anchor.contributorId : null,
+            contributorName: anchor ? anchor.contributorName || null : null,
+            displayName: anchor ? anchor.contributorName || null : pickDisplayName(unmapped),
+            primaryEmail: pickPrimaryEmail(unmapped),
+            commitCount: unmapped.reduce((n, i) => n + (i.commitCount || 0), 0),
+            identities: unmapped.map((n) => ({
+                authorName: n.authorName,
+                authorEmail: n.authorEmail,
+                commitCount: n.commitCount || 0
+            }))
+        });
+    }
+    return result.sort((a, b) => b.score - a.score || b.commitCount - a.commitCount);
+}
+
+module.exports = {
+    SIGNAL_WEIGHTS,
+    identityKey,
+    normalizePersonName,
+    normalizeEmailLocal,
+    scoreSignals,
+    clusterIdentities
+};
@@ -0,0 +1,104 @@
+// Built-in extension and file-name table, in the spirit of GitHub Linguist
+const EXTENSION_LANGUAGES = {
+    js: 'JavaScript', mjs: 'JavaScript', cjs: 'JavaScript', jsx: 'JavaScript',
+    ts: 'TypeScript', mts: 'TypeScript', cts: 'TypeScript', tsx: 'TypeScript',
+    vue: 'Vue', svelte: 'Svelte',
+    html: 'HTML', htm: 'HTML',
+    css: 'CSS', scss: 'SCSS', sass: 'SCSS', less: 'Less',
+    json: 'JSON', jsonc: 'JSON',
+    yml: 'YAML', yaml: 'YAML',
+    toml: 'TOML', ini: 'INI', xml: 'XML',
+    md: 'Markdown', markdown: 'Markdown', mdx: 'Markdown', rst: 'reStructuredText', adoc: 'AsciiDoc', txt: 'Text',
+    py: 'Python', pyi: 'Python', ipynb: 'Jupyter Notebook',
+    rb: 'Ruby', erb: 'Ruby', rake: 'Ruby', gemspec: 'Ruby',
+    php: 'PHP',
+    java: 'Java', kt: 'Kotlin', kts: 'Kotlin', scala: 'Scala', groovy: 'Groovy', gradle: 'Groovy', clj: 'Clojure',
+    go: 'Go', rs: 'Rust', swift: 'Swift', dart: 'Dart',
+    c: 'C', h: 'C', cc: 'C++', cpp: 'C++', cxx: 'C++', hpp: 'C++', hh: 'C++', m: 'Objective-C', mm: 'Objective-C',
+    cs: 'C#', fs: 'F#', vb: 'Visual Basic',
+    ex: 'Elixir', exs: 'Elixir', erl: 'Erlang', hs: 'Haskell', ml: 'OCaml', elm: 'Elm',
+    lua: 'Lua', pl: 'Perl', pm: 'Perl', r: 'R', jl: 'Julia',
+    sh: 'Shell', bash: 'Shell', zsh: 'Shell', fish: 'Shell', ps1: 'PowerShell', psm1: 'PowerShell', bat: 'Batchfile', cmd: 'Batchfile',
+    sql: 'SQL', graphql: 'GraphQL', gql: 'GraphQL', proto: 'Protocol Buffers',
+    tf: 'Terraform', tfvars: 'Terraform', hcl: 'HCL',
+    dockerfile: 'Dockerfile', nix: 'Nix', bzl: 'Starlark',
+    svg: 'SVG', csv: 'CSV',
+    png: 'Image', jpg: 'Image', jpeg: 'Image', gif: 'Image', webp: 'Image', ico: 'Image'
+};
+
+const FILENAME_LANGUAGES = {
+    dockerfile: 'Dockerfile',
+    containerfile: 'Dockerfile',
+    makefile: 'Makefile',
+    gnumakefile: 'Makefile',
+    'cmakelists.txt': 'CMake',
+    jenkinsfile: 'Groovy',
+    gemfile: 'Ruby',
+    rakefile: 'Ruby',
+    vagrantfile: 'Ruby',
+    'build.bazel': 'Starlark',
+    workspace: 'Starlark'
+};
+
+const OTHER = 'Other';
+
+const own = (table, key) => (Object.prototype.hasOwnProperty.call(table, key) ? table[key] : null);
+
+/**
+ * Compile the `language_mappings` setting: one `pattern = Language` per line,
+ * where the pattern is an extension (`.tf` or `*.tf`, multi-part like `.d.ts`
+ * allowed) or an exact file name (`Jenkinsfile`). Blank lines and `//`
+ * comments are ignored; later lines win.
+ * @param {string|null|undefined} text
+ * @returns {{ extensions: Map<string, string>, filenames: Map<string, string> }}
+ */
+function compileLanguageMappings(text) {
+    const extensions = new Map();
+    const filenames = new Map();
+    for (const raw of String(text || '').split(/\r?\n/)) {
+        const line = raw.trim();
+        if (!line || line.startsWith('//')) continue;
+        const eq = line.indexOf('=');
+        if (eq === -1) continue;
+        const pattern = line.slice(0, eq).trim().toLowerCase();
+        const language = line.slice(eq + 1).trim();
+        if (!pattern || !language) continue;
+        if (pattern.startsWith('*.') || pattern.startsWith('.')) {
+            extensions.set(pattern.replace(/^\*?\./, ''), language);
+        } else {
+            filenames.set(pattern, language);
+        }
+    }
+    return { extensions, filenames };
+}
+
+/**
+ * Language of a path from its file name, then its longest matching extension.
+ * Admin mappings take precedence over the built-in table.
+ * @param {string} path
+ * @param {ReturnType<typeof compileLanguageMappings>} [mappings]
+ * @returns {string} `Other` when nothing matches
+ */
+function classifyLanguage(path, mappings = null) {
+    const name = String(path || '').split('/').pop().toLowerCase();
+    if (!name) return OTHER;
+    const custom = mappings || { extensions: new Map(), filenames: new Map() };
+
+    if (custom.filenames.has(name)) return custom.filenames.get(name);
+    if (own(FILENAME_LANGUAGES, name)) return FILENAME_LANGUAGES[name];
+
+    // `a.d.ts` tries `d.ts` then `ts`; a leading dot (`.eslintrc`) is not an extension
+    const parts = name.replace(/^\.+/, '').split('.');
+    for (let i = 1; i < parts.length; i += 1) {
+        const ext = parts.slice(i).join('.');
+        if (custom.extensions.has(ext)) return custom.extensions.get(ext);
+        if (own(EXTENSION_LANGUAGES, ext)) return EXTENSION_LANGUAGES[ext];
+    }
+    return OTHER;
+}
+
+module.exports = {
+    OTHER,
+    compileLanguageMappings,
+    classifyLanguage
+};
@@ -0,0 +1,99 @@
+/**
+ * Helpers for rework analysis: which pre-existing lines a commit deleted or
+ * rewrote, so `git blame` on its parent can say who wrote them and when.
+ */
+
+/** Rework older than this is not recorded, so query windows are capped here. */
+const MAX_REWORK_WINDOW_DAYS = 90;
+
+const HUNK_RE = /^@@ -(\d+)(?:,(\d+))? \+\d+(?:,(\d+))? @@/;
+
+function unquotePath(raw) {
+    let path = String(raw);
+    if (path.startsWith('"') && path.endsWith('"')) {
+        path = path.slice(1, -1).replace(/\\(["\\])/g, '$1').replace(/\\t/g, '\t').replace(/\\n/g, '\n');
+    }
+    return path;
+}
+
+/**
+ * Old-side line ranges removed by each file in `git show -U0 --format=` output.
+ * A modified line shows up as a deletion plus an addition, so rewrites count too.
+ * Added and binary files have nothing to attribute and are left out. Hunk
+ * bodies are skipped by their line counts, so a deleted `-- comment` line
+ * (`--- comment` in the diff) is not mistaken for a file header.
+ * @param {string} diff
+ * @returns {{ path: string, ranges: [number, number][], lines: number }[]} `path` as it was in the parent
+ */
+function parseDeletedRanges(diff) {
+    const files = [];
+    let current = null;
+    let oldLeft = 0;
+    let newLeft = 0;
+    for (const line of String(diff || '').split('\n')) {
+        if (line.startsWith('diff --git ')) {
+            current = null;
+            oldLeft = 0;
+            newLeft = 0;
+            continue;
+        }
+        if (oldLeft > 0 || newLeft > 0) {
+            if (line.startsWith('-')) {
+                oldLeft -= 1;
+                continue;
+            }
+            if (line.startsWith('+')) {
+                newLeft -= 1;
+                continue;
+            }
+            if (line.startsWith(' ')) {
+                oldLeft -= 1;
+                newLeft -= 1;
+                continue;
+            }
+            if (line.startsWith('\\')) continue;
+            // Anything else ends the hunk early (e.g. the next `@@` header)
+            oldLeft = 0;
+            newLeft = 0;
+        }
+        if (line.startsWith('--- ')) {
+            const path = line.slice(4);
+            current = path === '/dev/null' ? null : { path: unquotePath(path).replace(/^a\//, ''), ranges: [], lines: 0 };
+            if (current) files.push(current);
+            continue;
+        }
+        if (!current) continue;
+        const hunk = HUNK_RE.exec(line);
+        if (!hunk) continue;
+        const start = parseInt(hunk[1], 10);
+        const count = hunk[2] === undefined ? 1 : parseInt(hunk[2], 10);
+        oldLeft = count;
+        newLeft = hunk[3] === undefined ? 1 : parseInt(hunk[3], 10);
+        if (count > 0) {
+            current.ranges.push([start, start + count - 1]);
+            current.lines += count;
+        }
+    }
+    return files.filter((f) => f.ranges.length);
+}
+
+/**
+ * Lines per originating commit from parsed blame output.
+ * @param {{ hash: string, authorTime: number|null }[]} blameLines see lib/gitBlame.parseBlamePorcelain
+ * @returns {Map<string, { lines: number, authorTime: number|null }>}
+ */
+function countLineOrigins(blameLines) {
+    const origins = new Map();
+    for (const line of blameLines) {
+        const entry = origins.get(line.hash) || { lines: 0, authorTime: line.authorTime };
+        entry.lines += 1;
+        origins.set(line.hash, entry);
+    }
+    return origins;
+}
+
+module.exports = {
+    MAX_REWORK_WINDOW_DAYS,
+    parseDeletedRanges,
+    countLineOrigins
+};
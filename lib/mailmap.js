@@ -0,0 +1,120 @@
+/**
+ * Parse and format git `.mailmap` files (see gitmailmap(5)).
+ *
+ * Supported line forms:
+ * - `Proper Name <commit@email>`
+ * - `<proper@email> <commit@email>`
+ * - `Proper Name <proper@email> <commit@email>`
+ * - `Proper Name <proper@email> Commit Name <commit@email>`
+ */
+
+const LINE_RE = /^([^<]*)<([^>]*)>\s*(?:([^<]*)<([^>]*)>)?\s*$/;
+
+/**
+ * @param {string} text
+ * @returns {{ properName: string|null, properEmail: string|null, commitName: string|null, commitEmail: string }[]}
+ */
+function parseMailmap(text) {
+    const entries = [];
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+        const line = rawLine.replace(/(^|\s)#.*$/, '').trim();
+        if (!line) continue;
+        const match = LINE_RE.exec(line);
+        if (!match) continue;
+        const name1 = match[1].trim() || null;
+        const email1 = match[2].trim() || null;
+        if (match[4] === undefined) {
+            if (!email1 || !name1) continue;
+            entries.push({ properName: name1, properEmail: null, commitName: null, commitEmail: email1 });
+            continue;
+        }
+        const commitEmail = match[4].trim();
+        if (!commitEmail) continue;
+        entries.push({
+            properName: name1,
+            properEmail: email1,
+            commitName: match[3].trim() || null,
+            commitEmail
+        });
+    }
+    return entries;
+}
+
+/**
+ * Map a commit identity to its canonical identity. Like git, a name+email
+ * entry beats an email-only entry, and later entries override earlier ones.
+ * @param {ReturnType<typeof parseMailmap>} entries
+ * @param {string|null} name
+ * @param {string|null} email
+ * @returns {{ name: string|null, email: string|null, matched: boolean }}
+ */
+function resolveMailmap(entries, name, email) {
+    const emailKey = String(email || '').toLowerCase();
+    const nameKey = String(name || '').toLowerCase();
+    let byEmail = null;
+    let byNameEmail = null;
+    for (const entry of entries || []) {
+        if (entry.commitEmail.toLowerCase() !== emailKey) continue;
+        if (entry.commitName) {
+            if (entry.commitName.toLowerCase() === nameKey) byNameEmail = entry;
+        } else {
+            byEmail = entry;
+        }
+    }
+    const hit = byNameEmail || byEmail;
+    if (!hit) return { name: name || null, email: email || null, matched: false };
+    return {
+        name: hit.properName || name || null,
+        email: hit.properEmail || email || null,
+        matched: true
+    };
+}
+
+/**
+ * Whether an identity is the canonical (proper) side of some entry, so commits
+ * authored under it can join the contributor the entry maps others to. An entry
+ * without a proper name accepts any name on the proper email.
+ * @param {ReturnType<typeof parseMailmap>} entries
+ * @returns {boolean}
+ */
+function isMailmapTarget(entries, name, email) {
+    const emailKey = String(email || '').toLowerCase();
+    const nameKey = String(name || '').toLowerCase();
+    if (!emailKey) return false;
+    return (entries || []).some((entry) => {
+        const properEmail = (entry.properEmail || entry.commitEmail).toLowerCase();
+        if (properEmail !== emailKey) return false;
+        return !entry.properName || entry.properName.toLowerCase() === nameKey;
+    });
+}
+
+function formatIdentity(name, email) {
+    return name ? `${name} <${email || ''}>` : `<${email || ''}>`;
+}
+
+/**
+ * Render mailmap entries as `.mailmap` text.
+ * @param {ReturnType<typeof parseMailmap>} entries
+ * @param {string} [header] comment placed at the top of the file
+ * @returns {string}
+ */
+function formatMailmap(entries, header) {
+    const lines = header ? String(header).split('\n').map((l) => `# ${l}`) : [];
+    for (const e of entries) {
+        if (!e.properEmail) {
+            lines.push(formatIdentity(e.properName, e.commitEmail));
+        } else if (e.commitName) {
+            lines.push(`${formatIdentity(e.properName, e.properEmail)} ${formatIdentity(e.commitName, e.commitEmail)}`);
+        } else {
+            lines.push(`${formatIdentity(e.properName, e.properEmail)} <${e.commitEmail}>`);
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    parseMailmap,
+    resolveMailmap,
+    isMailmapTarget,
+    formatMailmap
+};
@@ -0,0 +1,78 @@
+// Issue keys like ABC-123 (Jira, Linear, YouTrack) and #456 (GitHub, GitLab)
+const DEFAULT_TICKET_PATTERNS = [
+    '\\b[A-Z][A-Z0-9]+-\\d+\\b',
+    '(?<![\\w&/])#\\d+\\b'
+].join('\n');
+
+/**
+ * Compile the `ticket_patterns` setting: one regular expression per line,
+ * blank lines and `//` comments ignored. When a pattern has a capture group,
+ * the first group is the key (e.g. `(?:fixes|closes) (#\d+)`). Invalid
+ * expressions are skipped.
+ * @param {string|null|undefined} text
+ * @returns {RegExp[]}
+ */
+function compileTicketPatterns(text) {
+    const patterns = [];
+    for (const raw of String(text || '').split(/\r?\n/)) {
+        const line = raw.trim();
+        if (!line || line.startsWith('//')) continue;
+        try {
+            patterns.push(new RegExp(line, 'g'));
+        } catch (_) {
+            // invalid pattern; ignore
+        }
+    }
+    return patterns;
+}
+
+/** Upper-cased and trimmed so `abc-1` and `ABC-1` are the same ticket. */
+function normalizeTicketKey(key) {
+    return String(key || '').trim().toUpperCase();
+}
+
+/**
+ * Distinct ticket keys referenced in a commit subject and body, in order of appearance.
+ * @param {string|null|undefined} text
+ * @param {RegExp[]} patterns
+ * @returns {string[]}
+ */
+function extractTicketKeys(text, patterns) {
+    const found = [];
+    const source = String(text || '');
+    for (const re of patterns || []) {
+        re.lastIndex = 0;
+        let m;
+        while ((m = re.exec(source)) !== null) {
+            if (m[0] === '') {
+                re.lastIndex += 1;
+                continue;
+            }
+            const key = normalizeTicketKey(m[1] !== undefined ? m[1] : m[0]);
+            if (key && !found.includes(key)) found.push(key);
+        }
+    }
+    return found;
+}
+
+/**
+ * Fill the `ticket_url_template` setting for one key. `{key}` is the key
+ * without a leading `#`, `{number}` its trailing digits.
+ * @returns {string|null} null when no template is configured
+ */
+function ticketUrl(template, key) {
+    if (!template) return null;
+    const bare = String(key).replace(/^#/, '');
+    const number = (/(\d+)$/.exec(bare) || [])[1] || bare;
+    return template
+        .replace(/\{key\}/g, encodeURIComponent(bare))
+        .replace(/\{number\}/g, encodeURIComponent(number));
+}
+
+module.exports = {
+    DEFAULT_TICKET_PATTERNS,
+    compileTicketPatterns,
+    normalizeTicketKey,
+    extractTicketKeys,
+    ticketUrl
+};
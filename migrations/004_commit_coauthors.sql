@@ -0,0 +1,14 @@
+-- Co-authored-by trailers parsed from commit bodies
+CREATE TABLE IF NOT EXISTS commit_coauthors (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    commit_id INTEGER NOT NULL,
+    author_name TEXT,
+    author_email TEXT,
+    contributor_id INTEGER,
+    FOREIGN KEY (commit_id) REFERENCES commits(id) ON DELETE CASCADE,
+    FOREIGN KEY (contributor_id) REFERENCES contributors(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_commit_coauthors_commit ON commit_coauthors(commit_id);
+CREATE INDEX IF NOT EXISTS idx_commit_coauthors_contributor ON commit_coauthors(contributor_id);
+CREATE INDEX IF NOT EXISTS idx_commit_coauthors_email ON commit_coauthors(author_email);
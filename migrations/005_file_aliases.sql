@@ -0,0 +1,11 @@
+-- Former paths of renamed files, resolved to the file's latest known path
+CREATE TABLE IF NOT EXISTS file_aliases (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    repository_id INTEGER NOT NULL,
+    path TEXT NOT NULL,
+    canonical_path TEXT NOT NULL,
+    FOREIGN KEY (repository_id) REFERENCES git_repositories(id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_file_aliases_repo_path ON file_aliases(repository_id, path);
+CREATE INDEX IF NOT EXISTS idx_file_aliases_canonical ON file_aliases(repository_id, canonical_path);
@@ -0,0 +1,17 @@
+-- Annotated and lightweight tags, refreshed from `git for-each-ref refs/tags`
+CREATE TABLE IF NOT EXISTS repository_tags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    repository_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    commit_hash TEXT NOT NULL,
+    tag_type TEXT NOT NULL DEFAULT 'lightweight',
+    tagger_name TEXT,
+    tagger_email TEXT,
+    tagged_at TEXT,
+    message TEXT,
+    indexed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (repository_id) REFERENCES git_repositories(id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_repository_tags_repo_name ON repository_tags(repository_id, name);
+CREATE INDEX IF NOT EXISTS idx_repository_tags_commit ON repository_tags(repository_id, commit_hash);
@@ -0,0 +1,13 @@
+-- Issue-tracker keys referenced in commit messages (see lib/ticketRefs.js)
+CREATE TABLE IF NOT EXISTS commit_references (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    commit_id INTEGER NOT NULL,
+    repository_id INTEGER NOT NULL,
+    ticket_key TEXT NOT NULL,
+    FOREIGN KEY (commit_id) REFERENCES commits(id) ON DELETE CASCADE,
+    FOREIGN KEY (repository_id) REFERENCES git_repositories(id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_commit_references_commit_key ON commit_references(commit_id, ticket_key);
+CREATE INDEX IF NOT EXISTS idx_commit_references_key ON commit_references(ticket_key);
+CREATE INDEX IF NOT EXISTS idx_commit_references_repo ON commit_references(repository_id);
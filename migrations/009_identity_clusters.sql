@@ -0,0 +1,27 @@
+-- Suggested groups of unmapped author identities (see services/IdentityClusterService.js)
+-- status: open | accepted | dismissed; resolved clusters keep their key so a rebuild does not re-suggest them
+CREATE TABLE IF NOT EXISTS identity_clusters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    cluster_key TEXT NOT NULL UNIQUE,
+    score REAL NOT NULL DEFAULT 0,
+    signals TEXT,
+    contributor_id INTEGER,
+    display_name TEXT,
+    primary_email TEXT,
+    commit_count INTEGER DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'open',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS identity_cluster_members (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    cluster_id INTEGER NOT NULL,
+    author_name TEXT,
+    author_email TEXT,
+    commit_count INTEGER DEFAULT 0,
+    FOREIGN KEY (cluster_id) REFERENCES identity_clusters(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_identity_clusters_status ON identity_clusters(status, score);
+CREATE INDEX IF NOT EXISTS idx_identity_cluster_members_cluster ON identity_cluster_members(cluster_id);
@@ -0,0 +1,18 @@
+-- Contributor merge history so a merge can be undone (see ContributorService.undoMerge).
+-- The *_ids columns are comma-separated row ids moved from the source to the target.
+CREATE TABLE IF NOT EXISTS contributor_merges (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    target_id INTEGER NOT NULL,
+    source_id INTEGER NOT NULL,
+    source_display_name TEXT,
+    source_primary_email TEXT,
+    source_gitlab_user_id INTEGER,
+    source_is_bot INTEGER DEFAULT 0,
+    source_bot_manual INTEGER DEFAULT 0,
+    alias_ids TEXT,
+    team_member_ids TEXT,
+    undone_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_contributor_merges_target ON contributor_merges(target_id);
@@ -0,0 +1,18 @@
+-- Pre-existing lines each commit deleted or rewrote, grouped by the commit that
+-- wrote them (blame on the parent; see CommitIndexer.indexLineOrigins).
+-- Origins are matched on hash so they need not be indexed yet; age_seconds is
+-- the author-time gap, and only rework younger than 90 days is kept.
+CREATE TABLE IF NOT EXISTS commit_line_origins (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    commit_id INTEGER NOT NULL,
+    repository_id INTEGER NOT NULL,
+    origin_hash TEXT NOT NULL,
+    filename TEXT NOT NULL,
+    lines INTEGER NOT NULL,
+    age_seconds INTEGER NOT NULL,
+    FOREIGN KEY (commit_id) REFERENCES commits(id) ON DELETE CASCADE,
+    FOREIGN KEY (repository_id) REFERENCES git_repositories(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_commit_line_origins_commit ON commit_line_origins(commit_id);
+CREATE INDEX IF NOT EXISTS idx_commit_line_origins_origin ON commit_line_origins(repository_id, origin_hash);
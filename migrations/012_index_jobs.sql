@@ -0,0 +1,22 @@
+-- Persistent indexing queue (see CommitIndexer._enqueueTasks / _runQueue)
+-- status: queued | running | failed | done; failed jobs are retried with backoff
+-- until max_attempts, then wait for an admin retry. Timestamps are ISO strings.
+CREATE TABLE IF NOT EXISTS index_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    repository_id INTEGER NOT NULL,
+    start_date TEXT,
+    end_date TEXT,
+    status TEXT NOT NULL DEFAULT 'queued',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    next_run_at DATETIME,
+    last_error TEXT,
+    commits_indexed INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    started_at DATETIME,
+    finished_at DATETIME,
+    FOREIGN KEY (repository_id) REFERENCES git_repositories(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_index_jobs_status ON index_jobs(status, next_run_at);
+CREATE INDEX IF NOT EXISTS idx_index_jobs_repository ON index_jobs(repository_id, status);
@@ -3,7 +3,8 @@ const fs = require('fs').promises;
 const path = require('path');
 const moment = require('moment');
 const Database = require('../config/database');
-const { parseCommitLogLine } = require('../lib/gitLogParse');
+const { parseCommitLogLine, NUMSTAT_LOG_FORMAT, numstatPath, parseNumstatLog } = require('../lib/gitLogParse');
+const { parseBlamePorcelain } = require('../lib/gitBlame');
 
 class GitService {
     constructor() {
@@ -406,6 +407,40 @@ class GitService {
         return updated;
     }
 
+    /**
+     * Per-repository generated/vendored patterns, added after the global ones
+     * (see lib/generatedFiles). Empty text clears them. Indexed rows are
+     * re-flagged in the background.
+     */
+    async updateRepositoryFileRules(repositoryId, { generatedPatterns, vendoredPatterns } = {}) {
+        const id = parseInt(repositoryId, 10);
+        if (Number.isNaN(id)) throw new Error('Invalid repository id');
+
+        const row = await this.db.get('SELECT * FROM git_repositories WHERE id = ?', [id]);
+        if (!row) throw new Error('Repository not found');
+
+        const clean = (value, current) => {
+            if (value === undefined) return current;
+            const text = String(value || '').trim();
+            return text || null;
+        };
+        await this.db.run(
+            'UPDATE git_repositories SET generated_patterns = ?, vendored_patterns = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [clean(generatedPatterns, row.generated_patterns), clean(vendoredPatterns, row.vendored_patterns), id]
+        );
+
+        const updated = await this.db.get('SELECT * FROM git_repositories WHERE id = ?', [id]);
+        if (this.repositories.has(id)) {
+            Object.assign(this.repositories.get(id), updated);
+        }
+        this.workspaceRepoCache.clear();
+        if (this.indexer) {
+            this.indexer.reflagFiles(id)
+                .catch((err) => console.warn(`Re-flagging files for repository ${id} failed:`, err.message));
+        }
+        return updated;
+    }
+
     async initialize() {
         await this.db.connect();
         await this.loadRepositories();
@@ -996,7 +1031,8 @@ class GitService {
         return commits;
     }
 
-    async getCommitDetails(repositoryId, commitHash) {
+    // Loaded repository by id, falling back to the DB row for repos not yet in memory
+    async _getRepositoryById(repositoryId) {
         const id = parseInt(repositoryId, 10);
         if (!Number.isFinite(id)) throw new Error('Invalid repository id');
 
@@ -1016,6 +1052,12 @@ class GitService {
                 throw new Error(`Repository not accessible: ${e.message}`);
             }
         }
+        return repo;
+    }
+
+    async getCommitDetails(repositoryId, commitHash) {
+        const id = parseInt(repositoryId, 10);
+        const repo = await this._getRepositoryById(id);
 
         try {
             const show = await repo.git.show([commitHash, '--name-status']);
@@ -1111,6 +1153,78 @@ class GitService {
         }
     }
 
+    // Per-line authorship of a file at `rev` (default HEAD), parsed from `git blame --porcelain`
+    async getFileBlame(repositoryId, filePath, rev = 'HEAD') {
+        if (!filePath) throw new Error('File path is required');
+        if (String(rev).startsWith('-')) throw new Error('Invalid revision');
+        const repo = await this._getRepositoryById(repositoryId);
+        try {
+            const output = await repo.git.raw(['blame', '--porcelain', rev || 'HEAD', '--', filePath]);
+            return {
+                repositoryId: repo.id,
+                repository: repo.display_name || repo.name,
+                lines: parseBlamePorcelain(output)
+            };
+        } catch (error) {
+            throw new Error(`Error getting blame: ${error.message}`);
+        }
+    }
+
+    // Commits reachable from `head` but not `base`, with per-commit and net line stats.
+    // Without `base`, the nearest tag before `head` is used (previous release).
+    // Paths for which `skipFile` returns true are left out of the line stats.
+    async getCommitRange(repositoryId, base, head = 'HEAD', { includeMerges = false, skipFile = null } = {}) {
+        const repo = await this._getRepositoryById(repositoryId);
+        for (const ref of [base, head]) {
+            if (ref && String(ref).startsWith('-')) throw new Error('Invalid revision');
+        }
+        const resolve = async (ref) => {
+            try {
+                return (await repo.git.raw(['rev-parse', '--verify', '--end-of-options', `${ref}^{commit}`])).trim();
+            } catch (e) {
+                throw new Error(`Unknown revision: ${ref}`);
+            }
+        };
+
+        const headRef = head || 'HEAD';
+        const headHash = await resolve(headRef);
+        let baseRef = base;
+        if (!baseRef) {
+            try {
+                baseRef = (await repo.git.raw(['describe', '--tags', '--abbrev=0', `${headHash}^`])).trim();
+            } catch (e) {
+                throw new Error(`No tag found before ${headRef}; pass a base ref`);
+            }
+        }
+        const baseHash = await resolve(baseRef);
+
+        const logArgs = ['log', '--numstat', `--format=${NUMSTAT_LOG_FORMAT}`];
+        if (!includeMerges) logArgs.push('--no-merges');
+        logArgs.push(`${baseHash}..${headHash}`);
+        const [log, diff] = await Promise.all([
+            repo.git.raw(logArgs),
+            repo.git.raw(['diff', '--numstat', baseHash, headHash])
+        ]);
+
+        const net = { files: 0, additions: 0, deletions: 0 };
+        for (const line of diff.split('\n')) {
+            const match = /^(\d+|-)\t(\d+|-)\t(.*)$/.exec(line);
+            if (!match || (skipFile && skipFile(numstatPath(match[3])))) continue;
+            net.files += 1;
+            net.additions += parseInt(match[1], 10) || 0;
+            net.deletions += parseInt(match[2], 10) || 0;
+        }
+
+        return {
+            repositoryId: repo.id,
+            repository: repo.display_name || repo.name,
+            base: { ref: baseRef, hash: baseHash },
+            head: { ref: headRef, hash: headHash },
+            commits: parseNumstatLog(log, { skipFile }),
+            diff: net
+        };
+    }
+
     // Get diff for a single file in a commit by repository path (workspace-scanned)
     async getFileDiffByPath(repoPath, commitHash, filePath) {
         if (!repoPath) throw new Error('Repository path is required');
@@ -1364,12 +1478,17 @@ class GitService {
             }
 
             const branches = await repo.git.branch(['-a']);
+            // Languages come from indexed history, so they cover the index window only
+            const languages = this.analytics
+                ? await this.analytics.getLanguageBreakdown({ repositoryIds: [repositoryId] })
+                : [];
             
             return {
                 repository: repo.display_name || repo.name,
                 totalCommits: log.total,
                 contributors: contributors.size,
                 branches: branches.all.length,
+                languages,
                 lastCommit: log.latest ? {
                     hash: log.latest.hash,
                     author: log.latest.author_name,
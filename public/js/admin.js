@@ -13,6 +13,16 @@ class AdminManager {
             });
         }
 
+        const addTeamBtn = document.getElementById('add-team-btn');
+        if (addTeamBtn) {
+            addTeamBtn.addEventListener('click', () => this.showAddTeamModal());
+        }
+
+        const importGroupBtn = document.getElementById('import-gitlab-group-btn');
+        if (importGroupBtn) {
+            importGroupBtn.addEventListener('click', () => this.showImportGroupModal());
+        }
+
         // Add repository button  
         const addRepoBtn = document.getElementById('add-repo-btn');
         if (addRepoBtn) {
@@ -29,6 +39,8 @@ class AdminManager {
             
             // Load users list
             await this.loadUsersList();
+
+            await this.loadTeamsList();
         } catch (error) {
             console.error('Error loading admin page:', error);
             app.showError('Failed to load admin data');
@@ -292,6 +304,249 @@ class AdminManager {
         }
     }
 
+    async loadTeamsList() {
+        const container = document.getElementById('teams-list');
+        if (!container) return;
+        try {
+            const teams = await app.apiCall('/api/git/teams');
+            if (!teams.length) {
+                container.innerHTML = ui.emptyState('No teams yet. Add one or import a GitLab group.');
+                return;
+            }
+            container.innerHTML = `
+                <div class="overflow-x-auto">
+                    <table class="w-full text-sm text-gray-700 dark:text-dark-text">
+                        <thead>
+                            <tr class="text-left text-xs uppercase text-gray-500 dark:text-dark-text-secondary">
+                                <th class="pb-2 pr-3">Team</th>
+                                <th class="pb-2 pr-3 text-right">Current members</th>
+                                <th class="pb-2 pr-3">GitLab group</th>
+                                <th class="pb-2 text-right">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${teams.map((t) => `
+                                <tr class="border-b border-gray-100 dark:border-dark-border">
+                                    <td class="py-2 pr-3">
+                                        <div class="font-medium">${ui.escape(t.name)}</div>
+                                        ${t.description ? `<div class="text-xs text-gray-500 dark:text-dark-text-secondary">${ui.escape(t.description)}</div>` : ''}
+                                    </td>
+                                    <td class="py-2 pr-3 text-right">${t.member_count}</td>
+                                    <td class="py-2 pr-3 font-mono text-xs">${ui.escape(t.gitlab_group_path || '—')}</td>
+                                    <td class="py-2 text-right space-x-2 whitespace-nowrap">
+                                        <button onclick="admin.showTeamModal(${t.id})" class="btn btn-secondary btn-sm">Members</button>
+                                        <button onclick="admin.deleteTeam(${t.id})" class="btn btn-danger btn-sm">Delete</button>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        } catch (error) {
+            console.error('Error loading teams:', error);
+        }
+    }
+
+    showAddTeamModal() {
+        const modal = ui.showModal('add-team-modal', 'Add Team', `
+            <form id="add-team-form" class="space-y-4">
+                <div>
+                    <label class="form-label">Name</label>
+                    <input type="text" id="team-name" class="input" required>
+                </div>
+                <div>
+                    <label class="form-label">Description (optional)</label>
+                    <input type="text" id="team-description" class="input">
+                </div>
+                <div id="add-team-error" class="text-red-600 text-sm hidden"></div>
+                <button type="submit" class="btn btn-primary w-full">Add Team</button>
+            </form>
+        `);
+        modal.querySelector('#add-team-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const errorDiv = modal.querySelector('#add-team-error');
+            try {
+                const team = await app.apiCall('/api/admin/teams', {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        name: modal.querySelector('#team-name').value,
+                        description: modal.querySelector('#team-description').value
+                    })
+                });
+                modal.remove();
+                app.showSuccess('Team added');
+                await this.loadTeamsList();
+                this.showTeamModal(team.id);
+            } catch (error) {
+                errorDiv.textContent = error.message;
+                errorDiv.classList.remove('hidden');
+            }
+        });
+    }
+
+    showImportGroupModal() {
+        const modal = ui.showModal('import-group-modal', 'Import GitLab Group', `
+            <form id="import-group-form" class="space-y-4">
+                <div>
+                    <label class="form-label">Group path</label>
+                    <input type="text" id="import-group-path" class="input" placeholder="engineering/platform" required>
+                    <p class="text-xs text-gray-500 dark:text-dark-text-secondary mt-1">Members, including inherited ones, join the team linked to this group (created if needed).</p>
+                </div>
+                <div>
+                    <label class="form-label">Members from (optional)</label>
+                    <input type="date" id="import-group-start" class="input">
+                    <p class="text-xs text-gray-500 dark:text-dark-text-secondary mt-1">Leave empty to count their earlier commits for the team too.</p>
+                </div>
+                <div id="import-group-error" class="text-red-600 text-sm hidden"></div>
+                <button type="submit" class="btn btn-primary w-full">Import</button>
+            </form>
+        `);
+        modal.querySelector('#import-group-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const errorDiv = modal.querySelector('#import-group-error');
+            errorDiv.classList.add('hidden');
+            try {
+                const result = await app.apiCall('/api/admin/gitlab/import-group', {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        groupPath: modal.querySelector('#import-group-path').value,
+                        startDate: modal.querySelector('#import-group-start').value || null
+                    })
+                });
+                modal.remove();
+                app.showSuccess(`Imported ${result.group}: ${result.added} added, ${result.existing} already on the team`);
+                await this.loadTeamsList();
+            } catch (error) {
+                errorDiv.textContent = error.message;
+                errorDiv.classList.remove('hidden');
+            }
+        });
+    }
+
+    async showTeamModal(teamId) {
+        const [team, teams, contributors] = await Promise.all([
+            app.apiCall(`/api/git/teams/${teamId}`),
+            app.apiCall('/api/git/teams'),
+            app.apiCall('/api/git/contributors')
+        ]).catch((error) => {
+            app.showError(error.message);
+            return [];
+        });
+        if (!team) return;
+
+        const period = (m) => `${m.start_date || 'always'} → ${m.end_date || 'now'}`;
+        const otherTeams = teams.filter((t) => t.id !== team.id);
+        const rows = team.members.map((m) => `
+            <tr class="border-b border-gray-100 dark:border-dark-border">
+                <td class="py-2 pr-3">${ui.escape(m.display_name)}</td>
+                <td class="py-2 pr-3 text-xs">${ui.escape(period(m))}</td>
+                <td class="py-2 text-right space-x-1 whitespace-nowrap">
+                    ${m.end_date ? '' : `<button type="button" data-end="${m.id}" class="btn btn-secondary btn-sm">End</button>`}
+                    ${m.end_date || !otherTeams.length ? '' : `<button type="button" data-move="${m.contributor_id}" class="btn btn-secondary btn-sm">Move</button>`}
+                    <button type="button" data-remove="${m.id}" class="btn btn-danger btn-sm">Remove</button>
+                </td>
+            </tr>
+        `).join('');
+
+        const modal = ui.showModal('team-modal', `Team · ${ui.escape(team.name)}`, `
+            ${team.members.length ? `
+                <div class="overflow-x-auto max-h-80 mb-4">
+                    <table class="w-full text-sm text-gray-700 dark:text-dark-text">
+                        <thead>
+                            <tr class="text-left text-xs uppercase text-gray-500 dark:text-dark-text-secondary">
+                                <th class="pb-2 pr-3">Contributor</th>
+                                <th class="pb-2 pr-3">Period</th>
+                                <th class="pb-2"></th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            ` : ui.emptyState('No members yet.', 'mb-4')}
+            <form id="team-member-form" class="grid grid-cols-1 sm:grid-cols-4 gap-2 items-end">
+                <div class="sm:col-span-2">
+                    <label class="form-label">Contributor</label>
+                    <select id="team-member-contributor" class="select" required>
+                        <option value="">Select…</option>
+                        ${contributors.map((c) => `<option value="${c.id}">${ui.escape(c.display_name)}</option>`).join('')}
+                    </select>
+                </div>
+                <div>
+                    <label class="form-label">From</label>
+                    <input type="date" id="team-member-start" class="input">
+                </div>
+                <div>
+                    <label class="form-label">Until</label>
+                    <input type="date" id="team-member-end" class="input">
+                </div>
+                <div class="sm:col-span-4 flex items-center justify-between gap-2">
+                    <p id="team-member-error" class="text-red-600 text-sm"></p>
+                    <button type="submit" class="btn btn-primary">Add Member</button>
+                </div>
+            </form>
+        `, '', { wide: true });
+
+        const errorEl = modal.querySelector('#team-member-error');
+        const run = async (request) => {
+            try {
+                await request();
+                await this.loadTeamsList();
+                this.showTeamModal(teamId);
+            } catch (error) {
+                errorEl.textContent = error.message;
+            }
+        };
+        const today = new Date().toISOString().slice(0, 10);
+
+        modal.querySelector('#team-member-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            run(() => app.apiCall(`/api/admin/teams/${teamId}/members`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    contributorId: modal.querySelector('#team-member-contributor').value,
+                    startDate: modal.querySelector('#team-member-start').value || null,
+                    endDate: modal.querySelector('#team-member-end').value || null
+                })
+            }));
+        });
+        modal.querySelectorAll('[data-end]').forEach((btn) => btn.addEventListener('click', () => {
+            const endDate = prompt('Last day on the team (YYYY-MM-DD)', today);
+            if (!endDate) return;
+            run(() => app.apiCall(`/api/admin/teams/${teamId}/members/${btn.dataset.end}`, {
+                method: 'PUT',
+                body: JSON.stringify({ endDate })
+            }));
+        }));
+        modal.querySelectorAll('[data-move]').forEach((btn) => btn.addEventListener('click', () => {
+            const names = otherTeams.map((t) => t.name).join(', ');
+            const targetName = prompt(`Move to which team? (${names})`);
+            const target = otherTeams.find((t) => t.name === (targetName || '').trim());
+            if (!target) return;
+            const date = prompt(`First day on ${target.name} (YYYY-MM-DD)`, today);
+            if (!date) return;
+            run(() => app.apiCall('/api/admin/teams/move', {
+                method: 'POST',
+                body: JSON.stringify({ contributorId: btn.dataset.move, fromTeamId: teamId, toTeamId: target.id, date })
+            }));
+        }));
+        modal.querySelectorAll('[data-remove]').forEach((btn) => btn.addEventListener('click', () => {
+            if (!confirm('Remove this membership? Its commits will no longer count for the team.')) return;
+            run(() => app.apiCall(`/api/admin/teams/${teamId}/members/${btn.dataset.remove}`, { method: 'DELETE' }));
+        }));
+    }
+
+    async deleteTeam(teamId) {
+        if (!confirm('Delete this team and all of its memberships?')) return;
+        try {
+            await app.apiCall(`/api/admin/teams/${teamId}`, { method: 'DELETE' });
+            app.showSuccess('Team deleted');
+            await this.loadTeamsList();
+        } catch (error) {
+            app.showError(error.message);
+        }
+    }
+
     showAddRepositoryModal() {
         const modal = document.createElement('div');
         modal.id = 'add-repo-modal';
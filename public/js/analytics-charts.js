@@ -7,6 +7,18 @@
         red: '#d73a49'
     };
 
+    // Conventional Commit types; anything else is drawn in the `other` colour
+    const TYPE_COLORS = {
+        feat: 'rgba(40, 167, 69, 0.8)',
+        fix: 'rgba(215, 58, 73, 0.8)',
+        refactor: 'rgba(111, 66, 193, 0.8)',
+        perf: 'rgba(227, 98, 9, 0.8)',
+        docs: 'rgba(3, 102, 214, 0.8)',
+        test: 'rgba(219, 171, 9, 0.8)',
+        chore: 'rgba(106, 115, 125, 0.8)',
+        other: 'rgba(149, 157, 165, 0.45)'
+    };
+
     const charts = [];
 
     function isDark() {
@@ -204,7 +216,121 @@
         }));
     }
 
-    function renderHorizontalRankChart(canvas, items, labelKey, countKey, barColor) {
+    function renderCommitTypesChart(canvas, buckets, startDate, endDate) {
+        const t = theme();
+        const byDay = new Map();
+        const totals = new Map();
+        for (const b of buckets || []) {
+            const type = TYPE_COLORS[b.type] ? b.type : 'other';
+            if (!byDay.has(b.bucket)) byDay.set(b.bucket, { bucket: b.bucket });
+            const day = byDay.get(b.bucket);
+            day[type] = (day[type] || 0) + b.count;
+            totals.set(type, (totals.get(type) || 0) + b.count);
+        }
+        const types = [...totals.keys()].sort((a, b) => totals.get(b) - totals.get(a));
+        const { labels, rows } = fillDailySeries([...byDay.values()], startDate, endDate, {});
+
+        return track(new Chart(canvas, {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: types.map((type) => ({
+                    label: type,
+                    data: rows.map((r) => r[type] || 0),
+                    backgroundColor: TYPE_COLORS[type],
+                    borderRadius: 4,
+                    stack: 'types'
+                }))
+            },
+            options: {
+                ...baseOptions(t),
+                scales: {
+                    ...baseOptions(t).scales,
+                    x: { ...baseOptions(t).scales.x, stacked: true },
+                    y: { ...baseOptions(t).scales.y, stacked: true }
+                }
+            }
+        }));
+    }
+
+    // Monthly lifecycle from /analytics/lifecycle: new and retained stack up, churned is drawn below zero
+    function renderLifecycleChart(canvas, months) {
+        const t = theme();
+        const labels = (months || []).map((m) => parseLocalDate(`${m.month}-01`)
+            .toLocaleDateString(undefined, { month: 'short', year: 'numeric' }));
+        const dataset = (label, key, color, sign = 1) => ({
+            label,
+            data: (months || []).map((m) => sign * (m[key] || 0)),
+            backgroundColor: color,
+            borderRadius: 4,
+            stack: 'lifecycle'
+        });
+        return track(new Chart(canvas, {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: [
+                    dataset('New', 'new', 'rgba(40, 167, 69, 0.8)'),
+                    dataset('Retained', 'retained', 'rgba(3, 102, 214, 0.75)'),
+                    dataset('Churned', 'churned', 'rgba(215, 58, 73, 0.8)', -1)
+                ]
+            },
+            options: {
+                ...baseOptions(t),
+                scales: {
+                    ...baseOptions(t).scales,
+                    x: { ...baseOptions(t).scales.x, stacked: true },
+                    y: { ...baseOptions(t).scales.y, stacked: true, beginAtZero: false }
+                },
+                plugins: {
+                    ...baseOptions(t).plugins,
+                    tooltip: {
+                        ...baseOptions(t).plugins.tooltip,
+                        callbacks: {
+                            label: (item) => `${item.dataset.label}: ${fmtNum(Math.abs(item.parsed.y))}`
+                        }
+                    }
+                }
+            }
+        }));
+    }
+
+    function renderFixRatioChart(canvas, buckets) {
+        const t = theme();
+        return track(new Chart(canvas, {
+            type: 'line',
+            data: {
+                labels: (buckets || []).map((b) => shortLabel(b.bucket)),
+                datasets: [{
+                    label: 'Fixes per feature',
+                    data: (buckets || []).map((b) => b.ratio),
+                    borderColor: COLORS.red,
+                    backgroundColor: 'rgba(215, 58, 73, 0.15)',
+                    fill: true,
+                    tension: 0.3,
+                    spanGaps: true
+                }]
+            },
+            options: {
+                ...baseOptions(t),
+                plugins: {
+                    ...baseOptions(t).plugins,
+                    legend: { display: false },
+                    tooltip: {
+                        ...baseOptions(t).plugins.tooltip,
+                        callbacks: {
+                            label: (ctx) => {
+                                const b = buckets[ctx.dataIndex];
+                                return ` ${ctx.parsed.y} (${fmtNum(b.fix)} fix / ${fmtNum(b.feat)} feat)`;
+                            }
+                        }
+                    }
+                }
+            }
+        }));
+    }
+
+    function renderHorizontalRankChart(canvas, items, labelKey, countKey, barColor, { unit = 'commits' } = {}) {
         const t = theme();
         const top = (items || []).slice(0, 8);
         const labels = top.map((i) => {
@@ -238,7 +364,7 @@
                         borderColor: t.tooltipBorder,
                         borderWidth: 1,
                         callbacks: {
-                            label: (ctx) => ` ${fmtNum(ctx.parsed.x)} commits`
+                            label: (ctx) => ` ${fmtNum(ctx.parsed.x)} ${unit}`
                         }
                     }
                 },
@@ -257,6 +383,185 @@
         }));
     }
 
+    function worstRatio(row, side) {
+        const sum = row.reduce((s, a) => s + a, 0);
+        const max = Math.max(...row);
+        const min = Math.min(...row);
+        return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+    }
+
+    // Squarified treemap layout; `values` must be sorted descending.
+    function layoutTreemap(values, width, height) {
+        const total = values.reduce((s, v) => s + v, 0);
+        const rects = [];
+        if (!total) return rects;
+        const areas = values.map((v) => (v * width * height) / total);
+        let x = 0;
+        let y = 0;
+        let w = width;
+        let h = height;
+        let i = 0;
+        while (i < areas.length) {
+            const side = Math.min(w, h);
+            const row = [areas[i]];
+            let j = i + 1;
+            while (j < areas.length && worstRatio([...row, areas[j]], side) <= worstRatio(row, side)) {
+                row.push(areas[j]);
+                j += 1;
+            }
+            const thickness = row.reduce((s, a) => s + a, 0) / side;
+            let offset = 0;
+            for (const area of row) {
+                const len = area / thickness;
+                rects.push(w >= h
+                    ? { x, y: y + offset, w: thickness, h: len }
+                    : { x: x + offset, y, w: len, h: thickness });
+                offset += len;
+            }
+            if (w >= h) {
+                x += thickness;
+                w -= thickness;
+            } else {
+                y += thickness;
+                h -= thickness;
+            }
+            i = j;
+        }
+        return rects;
+    }
+
+    /**
+     * Render hotspot items as a treemap: tile area follows `valueKey`, colour
+     * follows distinct authors. Directory tiles call `onSelect(item)` on click.
+     */
+    function renderTreemap(el, items, { valueKey = 'churn', onSelect } = {}) {
+        const sized = (items || [])
+            .filter((i) => (i[valueKey] || 0) > 0)
+            .sort((a, b) => b[valueKey] - a[valueKey]);
+        if (!sized.length) {
+            el.innerHTML = '<p class="empty-state py-8">No file changes in this range.</p>';
+            return;
+        }
+        const width = el.clientWidth || 600;
+        const height = el.clientHeight || 320;
+        const rects = layoutTreemap(sized.map((i) => i[valueKey]), width, height);
+        const maxAuthors = Math.max(...sized.map((i) => i.authors || 0), 1);
+        const lightness = isDark() ? 38 : 48;
+        const multiRepo = new Set(sized.map((i) => i.repositoryId)).size > 1;
+
+        el.innerHTML = sized.map((item, idx) => {
+            const r = rects[idx];
+            const hue = Math.round(210 - 210 * ((item.authors || 0) / maxAuthors));
+            const label = `${multiRepo ? `${item.repository}: ` : ''}${item.name}${item.isDirectory ? '/' : ''}`;
+            const title = `${item.path}${item.isDirectory ? '/' : ''} — ${fmtNum(item.changes)} changes, `
+                + `${fmtNum(item.churn)} lines churned, ${fmtNum(item.authors)} authors`;
+            const showLabel = r.w > 48 && r.h > 18;
+            return `
+                <div class="treemap-tile${item.isDirectory ? ' treemap-tile--dir' : ''}" data-idx="${idx}"
+                    style="left:${r.x}px;top:${r.y}px;width:${r.w}px;height:${r.h}px;background:hsl(${hue}, 65%, ${lightness}%)"
+                    title="${ui.escape(title).replace(/"/g, '&quot;')}">
+                    ${showLabel ? `<span class="block truncate font-medium">${ui.escape(label)}</span>` : ''}
+                    ${showLabel && r.h > 34 ? `<span class="block truncate opacity-80">${fmtNum(item[valueKey])}</span>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        if (onSelect) {
+            el.querySelectorAll('.treemap-tile--dir').forEach((tile) => {
+                tile.addEventListener('click', () => onSelect(sized[parseInt(tile.dataset.idx, 10)]));
+            });
+        }
+    }
+
+    const HEATMAP_DAYS = [[1, 'Mon'], [2, 'Tue'], [3, 'Wed'], [4, 'Thu'], [5, 'Fri'], [6, 'Sat'], [0, 'Sun']];
+
+    // Day × hour grid from /analytics/working-hours; cells outside working hours are outlined
+    function renderHeatmap(el, report) {
+        const cells = (report && report.cells) || [];
+        if (!cells.length) {
+            el.innerHTML = '<p class="empty-state py-8">No commits in this range.</p>';
+            return;
+        }
+        const counts = new Map(cells.map((c) => [`${c.day}:${c.hour}`, c.count]));
+        const max = Math.max(...cells.map((c) => c.count), 1);
+        const hours = Array.from({ length: 24 }, (_, h) => h);
+        const header = ['<span></span>']
+            .concat(hours.map((h) => `<span class="text-center">${h % 3 === 0 ? h : ''}</span>`))
+            .join('');
+        const rows = HEATMAP_DAYS.map(([day, label]) => {
+            const weekend = day === 0 || day === 6;
+            const tiles = hours.map((h) => {
+                const count = counts.get(`${day}:${h}`) || 0;
+                const off = weekend || h < report.workdayStart || h >= report.workdayEnd;
+                const style = count ? ` style="background:rgba(3, 102, 214, ${(0.15 + 0.85 * (count / max)).toFixed(2)})"` : '';
+                const title = `${label} ${String(h).padStart(2, '0')}:00 — ${fmtNum(count)} commits`;
+                return `<div class="heatmap-cell${off ? ' heatmap-cell--off' : ''}"${style} title="${title}"></div>`;
+            }).join('');
+            return `<span class="self-center">${label}</span>${tiles}`;
+        }).join('');
+        el.innerHTML = `<div class="heatmap">${header}${rows}</div>`;
+    }
+
+    // File × file grid for the files in the strongest pairs from /analytics/coupling;
+    // shade follows degree, cross-module pairs are outlined
+    function renderCouplingMatrix(el, pairs, { maxFiles = 12 } = {}) {
+        const files = [];
+        const keyOf = (p, file) => `${p.repositoryId}:${file}`;
+        for (const p of pairs || []) {
+            for (const file of [p.fileA, p.fileB]) {
+                const key = keyOf(p, file);
+                if (files.length < maxFiles && !files.some((f) => f.key === key)) {
+                    files.push({ key, path: file, repository: p.repository });
+                }
+            }
+        }
+        if (!files.length) {
+            el.innerHTML = '<p class="empty-state py-8">No files changed together often enough in this range.</p>';
+            return;
+        }
+        const byPair = new Map();
+        for (const p of pairs) {
+            byPair.set(`${keyOf(p, p.fileA)}|${keyOf(p, p.fileB)}`, p);
+            byPair.set(`${keyOf(p, p.fileB)}|${keyOf(p, p.fileA)}`, p);
+        }
+        const multiRepo = new Set(files.map((f) => f.repository)).size > 1;
+        const attr = (text) => ui.escape(text).replace(/"/g, '&quot;');
+        const label = (f) => `${multiRepo ? `${f.repository}: ` : ''}${f.path}`;
+        const header = ['<span></span>']
+            .concat(files.map((f, i) => `<span class="text-center" title="${attr(label(f))}">${i + 1}</span>`))
+            .join('');
+        const rows = files.map((row, i) => {
+            const tiles = files.map((col) => {
+                if (col === row) return '<div class="coupling-cell coupling-cell--self"></div>';
+                const p = byPair.get(`${row.key}|${col.key}`);
+                if (!p) return '<div class="coupling-cell"></div>';
+                const title = `${label(row)} ↔ ${col.path} — ${fmtNum(p.coChanges)} commits together, `
+                    + `degree ${Math.round(p.degree * 100)}%, confidence ${Math.round(p.confidence * 100)}%`;
+                return `<div class="coupling-cell${p.crossModule ? ' coupling-cell--cross' : ''}"`
+                    + ` style="background:rgba(111, 66, 193, ${(0.15 + 0.85 * p.degree).toFixed(2)})" title="${attr(title)}"></div>`;
+            }).join('');
+            const name = row.path.split('/').pop();
+            return `<span class="truncate pr-1" title="${attr(label(row))}">${i + 1}. ${ui.escape(name)}</span>${tiles}`;
+        }).join('');
+        el.innerHTML = `<div class="coupling-matrix" style="grid-template-columns: 9rem repeat(${files.length}, minmax(0, 1fr))">${header}${rows}</div>`;
+    }
+
+    // One cell per day from startDate to endDate (YYYY-MM-DD), a column per week starting Monday
+    function renderCalendar(el, buckets, { startDate, endDate }) {
+        const counts = new Map((buckets || []).map((b) => [b.bucket, b.count]));
+        const max = Math.max(...(buckets || []).map((b) => b.count), 1);
+        const day = new Date(`${startDate}T00:00:00Z`);
+        const last = new Date(`${endDate}T00:00:00Z`);
+        const tiles = Array.from({ length: (day.getUTCDay() + 6) % 7 }, () => '<span></span>');
+        for (; day <= last; day.setUTCDate(day.getUTCDate() + 1)) {
+            const key = day.toISOString().slice(0, 10);
+            const count = counts.get(key) || 0;
+            const style = count ? ` style="background:rgba(3, 102, 214, ${(0.15 + 0.85 * (count / max)).toFixed(2)})"` : '';
+            tiles.push(`<div class="calendar-cell"${style} title="${key} — ${fmtNum(count)} commits"></div>`);
+        }
+        el.innerHTML = `<div class="activity-calendar">${tiles.join('')}</div>`;
+    }
+
     function chartCard(title, canvasId, subtitle, { tall = false } = {}) {
         const sub = subtitle
             ? `<p class="text-xs text-gray-500 dark:text-dark-text-secondary mt-0.5">${subtitle}</p>`
@@ -284,6 +589,10 @@
         const linesCanvas = document.getElementById('chart-lines');
         const contribCanvas = document.getElementById('chart-contributors');
         const reposCanvas = document.getElementById('chart-repositories');
+        const typesCanvas = document.getElementById('chart-commit-types');
+        const ratioCanvas = document.getElementById('chart-fix-ratio');
+        const languagesCanvas = document.getElementById('chart-languages');
+        const commitTypes = data.commitTypes || {};
 
         if (commitsCanvas && (data.commitsOverTime || []).length) {
             renderCommitsChart(commitsCanvas, data.commitsOverTime, startDate, endDate);
@@ -291,6 +600,12 @@
         if (linesCanvas && (data.linesOverTime || []).length) {
             renderLinesChart(linesCanvas, data.linesOverTime, startDate, endDate);
         }
+        if (typesCanvas && (commitTypes.overTime || []).length) {
+            renderCommitTypesChart(typesCanvas, commitTypes.overTime, startDate, endDate);
+        }
+        if (ratioCanvas && (commitTypes.ratioOverTime || []).length) {
+            renderFixRatioChart(ratioCanvas, commitTypes.ratioOverTime);
+        }
         if (contribCanvas && (data.topContributors || []).length) {
             renderHorizontalRankChart(
                 contribCanvas,
@@ -300,6 +615,16 @@
                 'rgba(3, 102, 214, 0.75)'
             );
         }
+        if (languagesCanvas && (data.languages || []).length) {
+            renderHorizontalRankChart(
+                languagesCanvas,
+                data.languages,
+                'language',
+                'churn',
+                'rgba(40, 167, 69, 0.75)',
+                { unit: 'lines changed' }
+            );
+        }
         if (reposCanvas && (data.topRepositories || []).length) {
             renderHorizontalRankChart(
                 reposCanvas,
@@ -327,11 +652,17 @@
 
     window.analyticsCharts = {
         COLORS,
+        TYPE_COLORS,
         fmtNum,
         destroyAll,
         chartCard,
         mountAll,
         bindThemeRefresh,
-        fillDailySeries
+        fillDailySeries,
+        renderTreemap,
+        renderHeatmap,
+        renderCalendar,
+        renderCouplingMatrix,
+        renderLifecycleChart
     };
 })();
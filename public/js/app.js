@@ -186,8 +186,15 @@ class GitInsiderApp {
     getPageFromUrl() {
         const raw = window.location.hash ? window.location.hash.slice(1) : '';
         const aliases = { 'users': 'git-users', 'repositories': 'workspaces' };
-        const page = aliases[raw] || raw || 'dashboard';
-        return page;
+        const page = raw.split('/')[0];
+        return aliases[page] || page || 'dashboard';
+    }
+
+    // Path parameter after the page name, e.g. `12` for `#contributor/12`
+    getPageParamFromUrl() {
+        const raw = window.location.hash ? window.location.hash.slice(1) : '';
+        const slash = raw.indexOf('/');
+        return slash > 0 ? decodeURIComponent(raw.slice(slash + 1)) : null;
     }
 
     // Centralized route handler
@@ -198,28 +205,31 @@ class GitInsiderApp {
             this.navigateTo('dashboard', { updateHash: true });
             return;
         }
-        this.navigateTo(page, { updateHash: false });
+        this.navigateTo(page, { updateHash: false, param: this.getPageParamFromUrl() });
     }
 
-    navigateTo(page, { updateHash = true } = {}) {
+    navigateTo(page, { updateHash = true, param = null } = {}) {
         // Optionally update the URL hash (use alias for nicer URL)
         if (updateHash) {
-            const outHash = page === 'git-users' ? 'users' : page;
+            const outHash = (page === 'git-users' ? 'users' : page) + (param != null ? `/${encodeURIComponent(param)}` : '');
             if (window.location.hash !== `#${outHash}`) {
                 window.location.hash = `#${outHash}`;
             }
         }
 
         // Prevent duplicate navigation work
-        if (this.currentPage === page) {
+        const pageParam = param != null ? String(param) : null;
+        if (this.currentPage === page && this.currentPageParam === pageParam) {
             return;
         }
+        this.currentPageParam = pageParam;
 
-        // Update active nav link
+        // Update active nav link (a contributor profile sits under Contributors)
         document.querySelectorAll('.nav-link').forEach(link => {
             link.classList.remove('active');
         });
-        const activeLink = document.querySelector(`[data-page="${page}"]`);
+        const navPage = page === 'contributor' ? 'contributors' : page;
+        const activeLink = document.querySelector(`[data-page="${navPage}"]`);
         if (activeLink) activeLink.classList.add('active');
 
         // Hide all pages
@@ -254,6 +264,9 @@ class GitInsiderApp {
                 case 'contributors':
                     if (window.platformPages) await platformPages.loadContributorsPage();
                     break;
+                case 'contributor':
+                    if (window.platformPages) await platformPages.loadContributorProfilePage(this.currentPageParam);
+                    break;
                 case 'settings':
                     if (window.platformPages) await platformPages.loadSettingsPage();
                     break;
@@ -353,17 +366,7 @@ class GitInsiderApp {
             await this.loadRepositories();
             
             // Create stats cards
-            const statsGrid = document.getElementById('stats-grid');
-            statsGrid.innerHTML = ui.statTiles([
-                { label: 'Repositories', value: this.repositories.length, tone: 'text-git-blue' },
-                { label: 'Total Commits', value: '-', tone: 'text-gray-900 dark:text-dark-text' },
-                { label: 'Contributors', value: '-', tone: 'text-git-orange' },
-                { label: 'Active Repos', value: '-', tone: 'text-gray-900 dark:text-dark-text' }
-            ]);
-            ['total-commits', 'total-contributors', 'active-repos'].forEach((id, i) => {
-                const val = statsGrid.children[i + 1]?.querySelector('.stat-tile-value');
-                if (val) val.id = id;
-            });
+            await this.loadDashboardStats();
 
             // Load recent commits
             await this.loadRecentActivity();
@@ -373,6 +376,40 @@ class GitInsiderApp {
         }
     }
 
+    // Stat tiles for the selected period, with trend arrows against the period before it
+    async loadDashboardStats() {
+        const statsGrid = document.getElementById('stats-grid');
+        const periodEl = document.getElementById('dashboard-period');
+        if (periodEl && !periodEl.dataset.bound) {
+            periodEl.dataset.bound = '1';
+            periodEl.addEventListener('change', () => this.loadDashboardStats());
+        }
+        const days = parseInt(periodEl?.value, 10) || 14;
+        const tiles = (summary) => {
+            const c = summary?.comparison?.totals;
+            const trend = (change) => (change ? { change, label: `vs previous ${days} days` } : null);
+            return [
+                { label: 'Repositories', value: this.repositories.length, tone: 'text-git-blue' },
+                { label: 'Total Commits', value: summary ? c?.commits.current ?? '-' : '-', tone: 'text-gray-900 dark:text-dark-text', trend: trend(c?.commits) },
+                { label: 'Contributors', value: summary ? summary.activeContributors : '-', tone: 'text-git-orange', trend: trend(c?.contributors) },
+                { label: 'Active Repos', value: summary ? summary.activeRepositories : '-', tone: 'text-gray-900 dark:text-dark-text', trend: trend(c?.repositories) }
+            ];
+        };
+        statsGrid.innerHTML = ui.statTiles(tiles(null));
+
+        const end = new Date();
+        const start = new Date(end);
+        start.setDate(end.getDate() - (days - 1));
+        const ymd = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+        const params = new URLSearchParams({ startDate: ymd(start), endDate: ymd(end), compare: 'previous' });
+        try {
+            const summary = await this.apiCall(`/api/git/analytics?${params}`);
+            statsGrid.innerHTML = ui.statTiles(tiles(summary));
+        } catch (error) {
+            console.error('Error loading dashboard stats:', error);
+        }
+    }
+
     async loadRecentActivity() {
         try {
             const response = await this.apiCall('/api/git/commits?limit=10');
@@ -439,6 +476,7 @@ class GitInsiderApp {
                 ? `<div class="text-xs text-gray-400 dark:text-dark-text-secondary">Folder: ${this.escapeHtml(r.folderName)}</div>`
                 : '';
             const canRename = r.repositoryId != null;
+            const canEditRules = canRename && this.currentUser && this.currentUser.role === 'admin';
             const customBadge = r.displayNameCustom
                 ? '<span class="badge badge-gray text-xs">Custom name</span>'
                 : '';
@@ -455,6 +493,9 @@ class GitInsiderApp {
                         <div class="flex flex-shrink-0 items-center space-x-2">
                             ${r.alreadyAdded ? '<span class="badge badge-success">Tracked</span>' : ''}
                             ${customBadge}
+                            ${canRename ? '<button type="button" class="btn btn-secondary btn-sm" data-action="repo-releases">Releases</button>' : ''}
+                            ${canRename ? '<button type="button" class="btn btn-secondary btn-sm" data-action="repo-ownership">Ownership</button>' : ''}
+                            ${canEditRules ? '<button type="button" class="btn btn-secondary btn-sm" data-action="repo-file-rules" title="Generated and vendored file patterns">Exclusions</button>' : ''}
                             ${canRename ? '<button type="button" class="btn btn-secondary btn-sm" data-action="rename-repo">Rename</button>' : ''}
                             ${canRename && r.displayNameCustom ? '<button type="button" class="btn btn-secondary btn-sm" data-action="reset-repo-name">Reset</button>' : ''}
                         </div>
@@ -472,6 +513,27 @@ class GitInsiderApp {
         container.querySelectorAll('[data-action="reset-repo-name"]').forEach(btn => {
             btn.addEventListener('click', (e) => this.resetRepositoryDisplayName(e.currentTarget));
         });
+        container.querySelectorAll('[data-action="repo-ownership"]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const card = e.currentTarget.closest('[data-repository-id]');
+                const label = card?.querySelector('.repo-display-name')?.textContent.trim() || '';
+                if (window.platformPages) platformPages.showOwnershipPanel(parseInt(card.dataset.repositoryId, 10), label);
+            });
+        });
+        container.querySelectorAll('[data-action="repo-file-rules"]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const card = e.currentTarget.closest('[data-repository-id]');
+                const label = card?.querySelector('.repo-display-name')?.textContent.trim() || '';
+                if (window.platformPages) platformPages.showFileRulesPanel(parseInt(card.dataset.repositoryId, 10), label);
+            });
+        });
+        container.querySelectorAll('[data-action="repo-releases"]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const card = e.currentTarget.closest('[data-repository-id]');
+                const label = card?.querySelector('.repo-display-name')?.textContent.trim() || '';
+                if (window.platformPages) platformPages.showReleasesPanel(parseInt(card.dataset.repositoryId, 10), label);
+            });
+        });
     }
 
     startRepositoryRename(buttonEl) {
@@ -1364,6 +1426,10 @@ class GitInsiderApp {
         }
     }
 
+    viewContributor(contributorId) {
+        this.navigateTo('contributor', { param: contributorId });
+    }
+
     viewUserCommits(email) {
         document.getElementById('commits-user').value = email;
         this.navigateTo('commits');
@@ -1376,7 +1442,11 @@ class GitInsiderApp {
     async viewRepositoryStats(repositoryId) {
         try {
             const stats = await this.apiCall(`/api/git/repositories/${repositoryId}/stats`);
-            alert(`Repository Stats:\nTotal Commits: ${stats.totalCommits}\nContributors: ${stats.contributors}\nBranches: ${stats.branches}`);
+            const languages = (stats.languages || []).slice(0, 5)
+                .map((l) => `${l.language} ${Math.round(l.share * 100)}%`)
+                .join(', ');
+            alert(`Repository Stats:\nTotal Commits: ${stats.totalCommits}\nContributors: ${stats.contributors}\nBranches: ${stats.branches}`
+                + (languages ? `\nLanguages (indexed): ${languages}` : ''));
         } catch (error) {
             console.error('Error loading repository stats:', error);
             this.showError('Failed to load repository stats');
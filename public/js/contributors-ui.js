@@ -11,6 +11,7 @@
         _contributorsState: {
             contributors: [],
             unmapped: [],
+            clusters: [],
             expandedId: null,
             detailsCache: {}
         },
@@ -26,15 +27,20 @@
                 document.getElementById('contributors-add-btn')?.addEventListener('click', () => {
                     contributorsUi._showContributorFormModal({ mode: 'create' });
                 });
+                document.getElementById('contributors-mailmap-export-btn')?.addEventListener('click', () => contributorsUi._exportMailmap());
+                document.getElementById('contributors-mailmap-import-btn')?.addEventListener('click', () => contributorsUi._showMailmapImportModal());
+                document.getElementById('clusters-rebuild-btn')?.addEventListener('click', () => contributorsUi._rebuildClusters());
             }
 
             try {
-                const [contributors, unmapped] = await Promise.all([
+                const [contributors, unmapped, clusters] = await Promise.all([
                     app.apiCall('/api/git/contributors'),
-                    app.apiCall('/api/git/contributors/unmapped?limit=200')
+                    app.apiCall('/api/git/contributors/unmapped?limit=200'),
+                    app.apiCall('/api/git/contributors/clusters')
                 ]);
                 contributorsUi._contributorsState.contributors = contributors;
                 contributorsUi._contributorsState.unmapped = unmapped;
+                contributorsUi._contributorsState.clusters = clusters;
                 contributorsUi._renderContributorsPage();
             } catch (err) {
                 listEl.innerHTML = `<p class="text-red-500 dark:text-red-400 text-sm">${ui.escape(err.message)}</p>`;
@@ -87,6 +93,25 @@
             listEl.querySelectorAll('[data-contributor-toggle]').forEach((btn) => {
                 btn.addEventListener('click', () => contributorsUi._toggleContributorDetails(parseInt(btn.dataset.contributorToggle, 10)));
             });
+            listEl.querySelectorAll('[data-alias-remove]').forEach((btn) => {
+                btn.addEventListener('click', () => contributorsUi._removeAlias(parseInt(btn.dataset.contributorId, 10), parseInt(btn.dataset.aliasRemove, 10)));
+            });
+            listEl.querySelectorAll('[data-contributor-bot]').forEach((btn) => {
+                btn.addEventListener('click', () => contributorsUi._setBotFlag(parseInt(btn.dataset.contributorBot, 10), btn.dataset.isBot !== '1'));
+            });
+
+            const clustersEl = document.getElementById('clusters-list');
+            if (clustersEl) {
+                clustersEl.innerHTML = state.clusters.length
+                    ? state.clusters.map((c) => contributorsUi._clusterRowHtml(c)).join('')
+                    : ui.emptyState('No suggestions. Use "Find clusters" after indexing new commits.', 'py-4');
+                clustersEl.querySelectorAll('[data-cluster-accept]').forEach((btn) => {
+                    btn.addEventListener('click', () => contributorsUi._acceptCluster(parseInt(btn.dataset.clusterAccept, 10)));
+                });
+                clustersEl.querySelectorAll('[data-cluster-dismiss]').forEach((btn) => {
+                    btn.addEventListener('click', () => contributorsUi._dismissCluster(parseInt(btn.dataset.clusterDismiss, 10)));
+                });
+            }
 
             const unmappedEl = document.getElementById('unmapped-aliases-list');
             unmappedEl.innerHTML = unmapped.length
@@ -109,8 +134,9 @@
             const cached = contributorsUi._contributorsState.detailsCache[c.id];
             const aliasesHtml = expanded && cached
                 ? (cached.aliases || []).map((a) => `
-                    <li class="text-xs text-gray-600 dark:text-dark-text-secondary py-1 border-t border-gray-100 dark:border-gray-700 first:border-0">
-                        <span>${ui.escape(a.author_name || '—')} &lt;${ui.escape(a.author_email || '')}&gt;</span>
+                    <li class="flex items-center justify-between gap-2 text-xs text-gray-600 dark:text-dark-text-secondary py-1 border-t border-gray-100 dark:border-gray-700 first:border-0">
+                        <span class="truncate">${ui.escape(a.author_name || '—')} &lt;${ui.escape(a.author_email || '')}&gt;</span>
+                        <button type="button" class="text-red-600 dark:text-red-400 hover:underline shrink-0" data-alias-remove="${a.id}" data-contributor-id="${c.id}">Unlink</button>
                     </li>
                 `).join('') || '<li class="text-xs text-gray-500 dark:text-dark-text-secondary py-1">No aliases</li>'
                 : '';
@@ -123,9 +149,20 @@
                             <p class="font-medium text-gray-900 dark:text-dark-text truncate">${ui.escape(c.display_name)}</p>
                             ${c.primary_email ? `<p class="text-xs text-gray-500 dark:text-dark-text-secondary truncate">${ui.escape(c.primary_email)}</p>` : ''}
                         </${D}>
-                        <span class="badge badge-gray shrink-0">${c.alias_count || 0} aliases</span>
+                        <span class="flex items-center gap-1 shrink-0">
+                            ${c.is_bot ? '<span class="badge badge-warning" title="Left out of analytics by default">bot</span>' : ''}
+                            <span class="badge badge-gray">${c.alias_count || 0} aliases</span>
+                        </span>
                     </button>
-                    ${expanded ? `<ul class="mt-3 pt-2 border-t border-gray-200 dark:border-dark-border">${aliasesHtml}</ul>` : ''}
+                    ${expanded ? `
+                        <ul class="mt-3 pt-2 border-t border-gray-200 dark:border-dark-border">${aliasesHtml}</ul>
+                        <${D} class="mt-2 flex justify-end gap-2">
+                            <a href="#contributor/${c.id}" class="btn btn-secondary text-xs py-1">Profile</a>
+                            <button type="button" class="btn btn-secondary text-xs py-1" data-contributor-bot="${c.id}" data-is-bot="${c.is_bot ? '1' : '0'}">
+                                ${c.is_bot ? 'Not a bot' : 'Mark as bot'}
+                            </button>
+                        </${D}>
+                    ` : ''}
                 </article>
             `;
         },
@@ -150,6 +187,82 @@
             `;
         },
 
+        _clusterRowHtml(c) {
+            const target = c.contributor_name
+                ? `Link to <span class="font-medium">${ui.escape(c.contributor_name)}</span>`
+                : `New contributor <span class="font-medium">${ui.escape(c.display_name || 'Unknown')}</span>`;
+            const identities = c.identities.map((i, idx) => `
+                <li class="flex items-center gap-2 text-xs text-gray-600 dark:text-dark-text-secondary py-1">
+                    <input type="checkbox" class="checkbox" checked data-cluster-member="${c.id}" data-idx="${idx}"
+                        aria-label="Include ${ui.escape(i.author_name || i.author_email || '')}" />
+                    <span class="truncate flex-1">${ui.escape(i.author_name || '—')} &lt;${ui.escape(i.author_email || '')}&gt;</span>
+                    <span class="shrink-0">${i.commit_count} commits</span>
+                </li>
+            `).join('');
+            return `
+                <article class="list-row">
+                    <${D} class="flex items-start justify-between gap-3">
+                        <${D} class="min-w-0">
+                            <p class="text-sm text-gray-900 dark:text-dark-text">${target}</p>
+                            <${D} class="flex flex-wrap gap-1 mt-1">
+                                ${c.signals.map((s) => `<span class="badge badge-gray">${ui.escape(s)}</span>`).join('')}
+                            </${D}>
+                        </${D}>
+                        <span class="badge ${c.score >= 0.7 ? 'badge-success' : 'badge-warning'} shrink-0" title="Confidence">${Math.round(c.score * 100)}%</span>
+                    </${D}>
+                    <ul class="mt-2">${identities}</ul>
+                    <${D} class="mt-2 flex justify-end gap-2">
+                        <button type="button" class="btn btn-secondary text-xs py-1" data-cluster-dismiss="${c.id}">Dismiss</button>
+                        <button type="button" class="btn btn-primary text-xs py-1" data-cluster-accept="${c.id}">Accept</button>
+                    </${D}>
+                </article>
+            `;
+        },
+
+        async _rebuildClusters() {
+            const btn = document.getElementById('clusters-rebuild-btn');
+            if (btn) btn.disabled = true;
+            try {
+                const r = await app.apiCall('/api/git/contributors/clusters/rebuild', { method: 'POST' });
+                app.showSuccess(`Found ${r.clusters} clusters among ${r.identities} unmapped identities`);
+                await contributorsUi.loadContributorsPage();
+            } catch (err) {
+                app.showError(err.message);
+            } finally {
+                if (btn) btn.disabled = false;
+            }
+        },
+
+        /** Unticked identities are left unmapped. */
+        async _acceptCluster(id) {
+            const cluster = contributorsUi._contributorsState.clusters.find((c) => c.id === id);
+            if (!cluster) return;
+            const exclude = [...document.querySelectorAll(`[data-cluster-member="${id}"]`)]
+                .filter((el) => !el.checked)
+                .map((el) => cluster.identities[parseInt(el.dataset.idx, 10)])
+                .map((i) => ({ authorName: i.author_name, authorEmail: i.author_email }));
+            try {
+                const r = await app.apiCall(`/api/git/contributors/clusters/${id}/accept`, {
+                    method: 'POST',
+                    body: JSON.stringify({ exclude })
+                });
+                app.showSuccess(`Linked ${r.linked} identities to ${r.contributor.display_name}`);
+                contributorsUi._contributorsState.detailsCache = {};
+                await contributorsUi.loadContributorsPage();
+            } catch (err) {
+                app.showError(err.message);
+            }
+        },
+
+        async _dismissCluster(id) {
+            try {
+                await app.apiCall(`/api/git/contributors/clusters/${id}/dismiss`, { method: 'POST' });
+                await contributorsUi.loadContributorsPage();
+            } catch (err) {
+                app.showError(err.message);
+            }
+        },
+
         async _toggleContributorDetails(id) {
             const state = contributorsUi._contributorsState;
             if (state.expandedId === id) {
@@ -170,6 +283,198 @@
             contributorsUi._renderContributorsPage();
         },
 
+        /** The alias's commits go back to the unmapped list. */
+        async _removeAlias(contributorId, aliasId) {
+            try {
+                await app.apiCall(`/api/git/contributors/${contributorId}/aliases/${aliasId}`, { method: 'DELETE' });
+                app.showSuccess('Alias unlinked');
+                delete contributorsUi._contributorsState.detailsCache[contributorId];
+                await contributorsUi.loadContributorsPage();
+                if (contributorsUi._contributorsState.expandedId === contributorId) {
+                    contributorsUi._contributorsState.detailsCache[contributorId] = await app.apiCall(`/api/git/contributors/${contributorId}`);
+                    contributorsUi._renderContributorsPage();
+                }
+            } catch (err) {
+                app.showError(err.message);
+            }
+        },
+
+        /** Flags set here are kept when bot patterns change. */
+        async _setBotFlag(id, isBot) {
+            try {
+                await app.apiCall(`/api/git/contributors/${id}`, {
+                    method: 'PUT',
+                    body: JSON.stringify({ isBot })
+                });
+                app.showSuccess(isBot ? 'Marked as bot' : 'Bot flag removed');
+                await contributorsUi.loadContributorsPage();
+            } catch (err) {
+                app.showError(err.message);
+            }
+        },
+
+        _profileState: { id: null },
+
+        /** `#contributor/<id>`: aliases, repositories, activity calendar, commit types and top paths. */
+        async loadContributorProfilePage(id) {
+            const content = document.getElementById('contributor-profile-content');
+            if (!content) return;
+            const state = contributorsUi._profileState;
+            const form = document.getElementById('contributor-profile-form');
+            if (form && !form.dataset.bound) {
+                form.dataset.bound = '1';
+                ['contributor-profile-start', 'contributor-profile-end'].forEach((inputId) => {
+                    document.getElementById(inputId)?.addEventListener('change', () => contributorsUi._renderProfile(state.id));
+                });
+                document.getElementById('contributor-profile-commits-btn')?.addEventListener('click', () => {
+                    contributorsUi._viewContributorCommits(state.id);
+                });
+            }
+            if (state.id !== id) {
+                // Default range: the last year, as on GitHub profiles
+                const end = new Date();
+                const start = new Date(end);
+                start.setFullYear(end.getFullYear() - 1);
+                start.setDate(start.getDate() + 1);
+                document.getElementById('contributor-profile-start').value = start.toISOString().slice(0, 10);
+                document.getElementById('contributor-profile-end').value = end.toISOString().slice(0, 10);
+            }
+            state.id = id;
+            await contributorsUi._renderProfile(id);
+        },
+
+        async _renderProfile(id) {
+            const content = document.getElementById('contributor-profile-content');
+            const startDate = document.getElementById('contributor-profile-start')?.value;
+            const endDate = document.getElementById('contributor-profile-end')?.value;
+            const params = new URLSearchParams();
+            if (startDate) params.set('startDate', startDate);
+            if (endDate) params.set('endDate', endDate);
+
+            let profile;
+            try {
+                profile = await app.apiCall(`/api/git/contributors/${encodeURIComponent(id)}/profile?${params}`);
+            } catch (err) {
+                document.getElementById('contributor-profile-name').textContent = 'Contributor';
+                document.getElementById('contributor-profile-meta').textContent = '';
+                content.innerHTML = `<p class="text-red-500 dark:text-red-400 text-sm">${ui.escape(err.message)}</p>`;
+                return;
+            }
+
+            const c = profile.contributor;
+            const fmt = analyticsCharts.fmtNum;
+            const day = (iso) => (iso ? String(iso).slice(0, 10) : '—');
+            document.getElementById('contributor-profile-name').textContent = c.displayName;
+            document.getElementById('contributor-profile-meta').textContent = [
+                c.primaryEmail,
+                profile.gitlab?.username ? `@${profile.gitlab.username}` : null,
+                c.isBot ? 'bot' : null
+            ].filter(Boolean).join(' · ');
+            const avatar = document.getElementById('contributor-profile-avatar');
+            avatar.classList.toggle('hidden', !profile.gitlab?.avatarUrl);
+            if (profile.gitlab?.avatarUrl) avatar.src = profile.gitlab.avatarUrl;
+
+            const t = profile.totals;
+            const rangeCommits = profile.calendar.reduce((n, b) => n + b.count, 0);
+            const typeTotal = profile.commitTypes.reduce((n, x) => n + x.count, 0) || 1;
+            const pathList = (items) => (items.length
+                ? `<ul class="space-y-1">${items.map((f) => `
+                    <li class="flex items-center justify-between gap-3 text-sm">
+                        <span class="font-mono text-xs truncate text-gray-900 dark:text-dark-text" title="${ui.escape(f.repository)}">${ui.escape(f.path)}${f.isDirectory ? '/' : ''}</span>
+                        <span class="text-xs text-gray-500 dark:text-dark-text-secondary shrink-0">${fmt(f.changes)} commits · ${fmt(f.churn)} lines</span>
+                    </li>`).join('')}</ul>`
+                : ui.emptyState('No file changes in this range.', 'py-4'));
+
+            content.innerHTML = patchMotion(`
+                <${D} class="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    ${ui.statTiles([
+                        { label: 'Commits (all time)', value: fmt(t.commits), tone: 'text-git-blue' },
+                        { label: 'Lines added / deleted', value: `+${fmt(t.additions)} / −${fmt(t.deletions)}`, tone: 'text-gray-900 dark:text-dark-text' },
+                        { label: 'First commit', value: day(t.firstCommit), tone: 'text-gray-900 dark:text-dark-text' },
+                        { label: 'Last commit', value: day(t.lastCommit), tone: 'text-gray-900 dark:text-dark-text' }
+                    ])}
+                </${D}>
+                <${D} class="card">
+                    <h3 class="card-title">Activity</h3>
+                    <p class="text-xs text-gray-500 dark:text-dark-text-secondary mt-0.5 mb-3">${fmt(rangeCommits)} commits from ${ui.escape(profile.startDate)} to ${ui.escape(profile.endDate)}</p>
+                    <${D} id="contributor-profile-calendar"></${D}>
+                </${D}>
+                <${D} class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    <${D} class="card">
+                        <h3 class="card-title mb-3">Commit types</h3>
+                        ${profile.commitTypes.length
+                            ? profile.commitTypes.map((x) => `
+                                <${D} class="flex items-center gap-3 text-sm mb-1.5">
+                                    <span class="w-16 shrink-0 text-gray-700 dark:text-dark-text">${ui.escape(x.type)}</span>
+                                    <${D} class="flex-1 h-2 rounded bg-gray-100 dark:bg-dark-border overflow-hidden">
+                                        <${D} class="h-full" style="width:${Math.round((x.count / typeTotal) * 100)}%;background:${analyticsCharts.TYPE_COLORS[x.type] || analyticsCharts.TYPE_COLORS.other}"></${D}>
+                                    </${D}>
+                                    <span class="w-10 text-right text-xs text-gray-500 dark:text-dark-text-secondary">${fmt(x.count)}</span>
+                                </${D}>`).join('')
+                            : ui.emptyState('No commits in this range.', 'py-4')}
+                    </${D}>
+                    <${D} class="card">
+                        <${D} class="card-section-header">
+                            <h3 class="card-title">Repositories</h3>
+                            <span class="badge badge-gray">${t.repositories}</span>
+                        </${D}>
+                        ${profile.repositories.length
+                            ? `<ul class="space-y-1">${profile.repositories.map((r) => `
+                                <li class="flex items-center justify-between gap-3 text-sm">
+                                    <span class="truncate text-gray-900 dark:text-dark-text">${ui.escape(r.name)}</span>
+                                    <span class="text-xs text-gray-500 dark:text-dark-text-secondary shrink-0">${fmt(r.commits)} commits · ${day(r.firstCommit)} → ${day(r.lastCommit)}</span>
+                                </li>`).join('')}</ul>`
+                            : ui.emptyState('No indexed commits yet.', 'py-4')}
+                    </${D}>
+                    <${D} class="card">
+                        <h3 class="card-title mb-3">Top directories</h3>
+                        ${pathList(profile.topDirectories)}
+                    </${D}>
+                    <${D} class="card">
+                        <h3 class="card-title mb-3">Top files</h3>
+                        ${pathList(profile.topFiles)}
+                    </${D}>
+                </${D}>
+                <${D} class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    <${D} class="card">
+                        <h3 class="card-title mb-3">Languages</h3>
+                        ${profile.languages.length
+                            ? profile.languages.slice(0, 8).map((l) => `
+                                <${D} class="flex items-center gap-3 text-sm mb-1.5">
+                                    <span class="w-28 shrink-0 truncate text-gray-700 dark:text-dark-text">${ui.escape(l.language)}</span>
+                                    <${D} class="flex-1 h-2 rounded bg-gray-100 dark:bg-dark-border overflow-hidden">
+                                        <${D} class="h-full bg-green-500" style="width:${Math.round(l.share * 100)}%"></${D}>
+                                    </${D}>
+                                    <span class="w-20 text-right text-xs text-gray-500 dark:text-dark-text-secondary">${fmt(l.churn)} lines</span>
+                                </${D}>`).join('')
+                            : ui.emptyState('No file changes in this range.', 'py-4')}
+                    </${D}>
+                    <${D} class="card">
+                        <${D} class="card-section-header">
+                            <h3 class="card-title">Aliases</h3>
+                            <span class="badge badge-gray">${profile.aliases.length}</span>
+                        </${D}>
+                        ${profile.aliases.length
+                            ? `<ul>${profile.aliases.map((a) => `
+                                <li class="flex items-center justify-between gap-3 text-sm py-1 border-t border-gray-100 dark:border-gray-700 first:border-0">
+                                    <span class="truncate text-gray-700 dark:text-dark-text">${ui.escape(a.authorName || '—')} &lt;${ui.escape(a.authorEmail || '')}&gt;</span>
+                                    <span class="text-xs text-gray-500 dark:text-dark-text-secondary shrink-0">${fmt(a.commitCount)} commits</span>
+                                </li>`).join('')}</ul>`
+                            : ui.emptyState('No aliases linked.', 'py-4')}
+                    </${D}>
+                </${D}>
+            `);
+            analyticsCharts.renderCalendar(document.getElementById('contributor-profile-calendar'), profile.calendar, profile);
+        },
+
+        async _viewContributorCommits(id) {
+            app.navigateTo('commits');
+            await gitAnalytics.loadContributorsDropdown();
+            document.getElementById('commits-user').value = '';
+            document.getElementById('commits-contributor').value = String(id);
+            document.getElementById('commits-filter-form').dispatchEvent(new Event('submit'));
+        },
+
         _attachAutocomplete(inputEl, menuEl, fetchItems) {
             let timer = null;
             let activeIdx = -1;
@@ -398,6 +703,69 @@
             });
         },
 
+        async _exportMailmap() {
+            try {
+                const { content } = await app.apiCall('/api/git/contributors/mailmap?format=json');
+                const blob = new Blob([content], { type: 'text/plain;charset=utf-8;' });
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = '.mailmap';
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                URL.revokeObjectURL(link.href);
+            } catch (err) {
+                app.showError(err.message);
+            }
+        },
+
+        _showMailmapImportModal() {
+            const body = `
+                <p class="text-sm text-gray-600 dark:text-dark-text-secondary">Paste a .mailmap file or pick one. Matching identities are linked to the canonical contributor, creating it when needed.</p>
+                <input type="file" id="mailmap-import-file" class="input" />
+                <textarea id="mailmap-import-content" class="input font-mono text-xs" rows="10" placeholder="Jane Doe &lt;jane@example.com&gt; &lt;jdoe@old-laptop.local&gt;"></textarea>
+                <label class="flex items-center space-x-2">
+                    <input type="checkbox" id="mailmap-import-overwrite" class="checkbox" checked />
+                    <span class="text-sm text-gray-700 dark:text-dark-text">Relink identities already mapped to another contributor</span>
+                </label>
+            `;
+            const footer = `
+                <button type="button" class="btn btn-secondary modal-close-btn">Cancel</button>
+                <button type="button" id="mailmap-import-submit" class="btn btn-primary">Import</button>
+            `;
+            const modal = ui.showModal('mailmap-import-modal', 'Import .mailmap', body, footer);
+            modal.querySelector('.modal-close-btn')?.addEventListener('click', () => modal.remove());
+
+            const contentEl = modal.querySelector('#mailmap-import-content');
+            modal.querySelector('#mailmap-import-file').addEventListener('change', async (e) => {
+                const file = e.target.files && e.target.files[0];
+                if (file) contentEl.value = await file.text();
+            });
+
+            modal.querySelector('#mailmap-import-submit').addEventListener('click', async () => {
+                const content = contentEl.value;
+                if (!content.trim()) {
+                    app.showError('Paste or choose a .mailmap file first');
+                    return;
+                }
+                try {
+                    const r = await app.apiCall('/api/git/contributors/mailmap/import', {
+                        method: 'POST',
+                        body: JSON.stringify({
+                            content,
+                            overwrite: modal.querySelector('#mailmap-import-overwrite').checked
+                        })
+                    });
+                    app.showSuccess(`Linked ${r.linked} identities from ${r.entries} entries`);
+                    modal.remove();
+                    contributorsUi._contributorsState.detailsCache = {};
+                    await contributorsUi.loadContributorsPage();
+                } catch (err) {
+                    app.showError(err.message);
+                }
+            });
+        },
+
         _showContributorFormModal({ mode }) {
             const isCreate = mode === 'create';
             const body = patchMotion(`
@@ -456,6 +824,7 @@
 
     if (window.platformPages) {
         platformPages.loadContributorsPage = contributorsUi.loadContributorsPage.bind(contributorsUi);
+        platformPages.loadContributorProfilePage = contributorsUi.loadContributorProfilePage.bind(contributorsUi);
         window.contributorsUi = contributorsUi;
     }
 })();
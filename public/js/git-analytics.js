@@ -128,7 +128,7 @@ class GitAnalytics {
                             </div>
                             <div class="flex-1 min-w-0">
                                 <div class="text-sm font-medium text-gray-900 dark:text-dark-text">
-                                    ${this.escapeHtml(commit.message)}
+                                    ${this.formatMessage(commit.message, commit.tickets)}
                                 </div>
                                 <div class="flex items-center space-x-2 text-xs text-gray-500 dark:text-dark-text-secondary mt-1">
                                     <span>${this.escapeHtml(commit.contributorName || commit.author)}</span>
@@ -280,7 +280,7 @@ class GitAnalytics {
                                 </div>
                                 <div class="flex-1 min-w-0">
                                     <div class="text-sm font-medium text-gray-900 dark:text-dark-text">
-                                        ${this.escapeHtml(change.message)}
+                                        ${this.formatMessage(change.message, change.tickets)}
                                     </div>
                                     <div class="flex items-center space-x-2 text-xs text-gray-500 dark:text-dark-text-secondary mt-1">
                                         <span>${this.escapeHtml(change.author)}</span>
@@ -299,11 +299,21 @@ class GitAnalytics {
                                                               data-repo-path="${change.repositoryPath ? encodeURIComponent(change.repositoryPath) : ''}"
                                                               data-hash="${change.hash}"
                                                               data-file="${encodeURIComponent(file.filename)}">
-                                                            ${this.escapeHtml(file.filename)}
+                                                            ${file.oldFilename ? `${this.escapeHtml(file.oldFilename)} → ` : ''}${this.escapeHtml(file.filename)}
                                                         </span>
                                                         <div class="flex-shrink-0">
                                                             <span class="text-git-green">+${file.additions}</span>
                                                             <span class="text-git-red">-${file.deletions}</span>
+                                                            ${change.repositoryId ? `
+                                                                <button type="button" class="file-history-link ml-2 text-git-blue hover:underline"
+                                                                        data-repo-id="${change.repositoryId}"
+                                                                        data-file="${encodeURIComponent(file.filename)}">history</button>
+                                                                ${file.changeType !== 'D' ? `
+                                                                    <button type="button" class="file-blame-link ml-1 text-git-blue hover:underline"
+                                                                            data-repo-id="${change.repositoryId}"
+                                                                            data-file="${encodeURIComponent(file.filename)}">blame</button>
+                                                                ` : ''}
+                                                            ` : ''}
                                                         </div>
                                                     </div>
                                                 `).join('')}
@@ -338,6 +348,22 @@ class GitAnalytics {
                 this.viewFileDiff(repoId, hash, file, repoPath);
             });
         });
+
+        container.querySelectorAll('.file-history-link').forEach(el => {
+            el.addEventListener('click', (e) => {
+                const repoId = parseInt(e.currentTarget.getAttribute('data-repo-id'), 10);
+                const file = decodeURIComponent(e.currentTarget.getAttribute('data-file') || '');
+                this.viewFileHistory(repoId, file);
+            });
+        });
+
+        container.querySelectorAll('.file-blame-link').forEach(el => {
+            el.addEventListener('click', (e) => {
+                const repoId = parseInt(e.currentTarget.getAttribute('data-repo-id'), 10);
+                const file = decodeURIComponent(e.currentTarget.getAttribute('data-file') || '');
+                this.viewFileBlame(repoId, file);
+            });
+        });
     }
 
     displayCodeChangesPagination(pagination) {
@@ -493,6 +519,130 @@ class GitAnalytics {
         }
     }
 
+    async viewFileHistory(repositoryId, filePath) {
+        try {
+            app.showLoading();
+            const qp = new URLSearchParams({ path: filePath, limit: '100' });
+            const history = await app.apiCall(`/api/git/repositories/${repositoryId}/files/history?${qp}`);
+            this.showFileHistoryModal(history);
+        } catch (error) {
+            app.showError('Failed to load file history: ' + error.message);
+        } finally {
+            app.hideLoading();
+        }
+    }
+
+    showFileHistoryModal(history) {
+        const modal = document.createElement('div');
+        modal.id = 'file-history-modal';
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+
+        const formerPaths = history.paths.filter((p) => p !== history.path);
+        modal.innerHTML = `
+            <div class="bg-white dark:bg-dark-bg-secondary rounded-lg p-6 max-w-4xl w-full max-h-[80vh] overflow-y-auto">
+                <div class="flex items-center justify-between mb-4">
+                    <div class="min-w-0">
+                        <h2 class="text-xl font-bold text-gray-900 dark:text-dark-text font-mono truncate">${this.escapeHtml(history.path)}</h2>
+                        <p class="text-xs text-gray-500 dark:text-dark-text-secondary mt-1">
+                            ${this.escapeHtml(history.repository)} •
+                            ${history.totals.commits} commits •
+                            <span class="text-git-green">+${history.totals.additions}</span>
+                            <span class="text-git-red">-${history.totals.deletions}</span>
+                            ${formerPaths.length ? ` • previously ${formerPaths.map((p) => this.escapeHtml(p)).join(', ')}` : ''}
+                            ${history.indexing ? ' • indexing in background…' : ''}
+                        </p>
+                    </div>
+                    <button class="text-gray-500 hover:text-gray-700" onclick="this.closest('#file-history-modal').remove()">✕</button>
+                </div>
+                <div class="flex flex-wrap gap-2 mb-4">
+                    ${history.authors.map((a) => `
+                        <span class="badge badge-gray text-xs">${this.escapeHtml(a.name || a.email)} · ${a.commits}</span>
+                    `).join('')}
+                </div>
+                <div class="space-y-2">
+                    ${history.commits.map((c) => `
+                        <div class="list-row flex items-start justify-between text-sm">
+                            <div class="min-w-0 mr-3">
+                                <div class="text-gray-900 dark:text-dark-text truncate">${this.escapeHtml(c.message)}</div>
+                                <div class="text-xs text-gray-500 dark:text-dark-text-secondary mt-1">
+                                    ${this.escapeHtml(c.contributorName || c.author)} • ${this.formatDate(c.date)}
+                                    ${c.oldFilename ? ` • ${this.escapeHtml(c.oldFilename)} → ${this.escapeHtml(c.filename)}` : ''}
+                                </div>
+                            </div>
+                            <div class="flex-shrink-0 text-xs text-right">
+                                <span class="badge badge-gray font-mono">${c.hash.substring(0, 7)}</span>
+                                <div class="mt-1">
+                                    <span class="text-git-green">+${c.additions}</span>
+                                    <span class="text-git-red">-${c.deletions}</span>
+                                </div>
+                            </div>
+                        </div>
+                    `).join('') || '<p class="text-sm text-gray-500 dark:text-dark-text-secondary">No indexed commits touch this path yet.</p>'}
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+    }
+
+    async viewFileBlame(repositoryId, filePath) {
+        try {
+            app.showLoading();
+            const qp = new URLSearchParams({ path: filePath });
+            const blame = await app.apiCall(`/api/git/repositories/${repositoryId}/blame?${qp}`);
+            this.showFileBlameModal(blame);
+        } catch (error) {
+            app.showError('Failed to load blame: ' + error.message);
+        } finally {
+            app.hideLoading();
+        }
+    }
+
+    showFileBlameModal(blame) {
+        const modal = document.createElement('div');
+        modal.id = 'file-blame-modal';
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+
+        modal.innerHTML = `
+            <div class="bg-white dark:bg-dark-bg-secondary rounded-lg p-6 max-w-4xl w-full max-h-[80vh] overflow-y-auto">
+                <div class="flex items-center justify-between mb-4">
+                    <div class="min-w-0">
+                        <h2 class="text-xl font-bold text-gray-900 dark:text-dark-text font-mono truncate">${this.escapeHtml(blame.path)}</h2>
+                        <p class="text-xs text-gray-500 dark:text-dark-text-secondary mt-1">
+                            ${this.escapeHtml(blame.repository)} • ${this.escapeHtml(blame.rev)} • ${blame.totalLines} lines
+                        </p>
+                    </div>
+                    <button class="text-gray-500 hover:text-gray-700" onclick="this.closest('#file-blame-modal').remove()">✕</button>
+                </div>
+                <div class="space-y-2 mb-6">
+                    ${blame.contributors.map((c) => `
+                        <div class="text-sm">
+                            <div class="flex justify-between">
+                                <span class="text-gray-900 dark:text-dark-text">${this.escapeHtml(c.name || c.email)}</span>
+                                <span class="text-gray-500 dark:text-dark-text-secondary">${c.lines} lines · ${c.percentage}%</span>
+                            </div>
+                            <div class="h-2 rounded bg-gray-200 dark:bg-dark-border mt-1">
+                                <div class="h-2 rounded bg-git-blue" style="width: ${c.percentage}%"></div>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="space-y-1">
+                    ${blame.ranges.map((r) => `
+                        <div class="flex items-center text-xs border-b border-gray-200 dark:border-dark-border py-1">
+                            <span class="font-mono text-gray-500 dark:text-dark-text-secondary w-24 flex-shrink-0">${r.startLine === r.endLine ? r.startLine : `${r.startLine}–${r.endLine}`}</span>
+                            <span class="badge badge-gray font-mono mr-2">${r.hash.substring(0, 7)}</span>
+                            <span class="text-gray-900 dark:text-dark-text mr-2">${this.escapeHtml(r.contributorName || r.author)}</span>
+                            <span class="text-gray-500 dark:text-dark-text-secondary truncate">${this.escapeHtml(r.summary)} • ${this.formatDate(r.date)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+    }
+
     showDiffModal(title, diffText) {
         const modal = document.createElement('div');
         modal.id = 'file-diff-modal';
@@ -608,6 +758,20 @@ class GitAnalytics {
         return div.innerHTML;
     }
 
+    // Escaped commit subject with referenced ticket keys linked through the ticket URL template
+    formatMessage(message, tickets) {
+        const html = this.escapeHtml(message);
+        const linked = (tickets || []).filter((t) => t.url);
+        if (!linked.length) return html;
+        const urls = new Map(linked.map((t) => [t.key.toUpperCase(), t.url]));
+        const keys = linked.map((t) => this.escapeHtml(t.key).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const re = new RegExp(`(?<![\\w&-])(${keys.join('|')})(?![\\w-])`, 'gi');
+        return html.replace(re, (match) => {
+            const url = urls.get(match.toUpperCase());
+            return `<a href="${this.escapeHtml(url).replace(/"/g, '&quot;')}" target="_blank" rel="noopener noreferrer" class="text-git-blue hover:underline">${match}</a>`;
+        });
+    }
+
     exportCommitsToCSV() {
         if (!this.currentCommitsData || this.currentCommitsData.commits.length === 0) {
             app.showError('No commits data to export');
@@ -1,6 +1,7 @@
 /**
  * Indexing progress in the top toolbar: WebSocket push with 10s polling fallback.
  * Status text is shown only in the hover popover; toolbar shows spinner + ring only.
+ * The popover also lists unfinished index jobs; admins can retry failed ones.
  */
 const indexProgressPoller = {
     ws: null,
@@ -11,9 +12,12 @@ const indexProgressPoller = {
     pollMs: 10000,
     ringCircumference: 2 * Math.PI * 15,
     _wasIndexing: false,
+    _queue: { queued: 0, running: 0, failed: 0 },
+    _jobsLoadedAt: 0,
 
     start() {
         this.stop();
+        this._bindJobsList();
         this.applyStatus(this._idleStatus());
         this.connectWebSocket();
         this.poll();
@@ -117,6 +121,7 @@ const indexProgressPoller = {
     },
 
     applyStatus(status) {
+        if (status.queue) this._queue = status.queue;
         const widget = document.getElementById('index-toolbar-status');
         const tooltip = document.getElementById('index-toolbar-tooltip');
         const fill = document.getElementById('index-toolbar-fill');
@@ -162,14 +167,15 @@ const indexProgressPoller = {
         if (status.phase === 'complete') {
             widget.classList.remove('hidden');
             if (spinner) spinner.classList.add('hidden');
-            ring.classList.remove('stroke-git-blue');
+            ring.classList.remove('stroke-git-blue', 'stroke-red-500');
             ring.classList.add('stroke-green-500');
             ring.setAttribute('stroke-dashoffset', '0');
             fill.style.width = '100%';
-            fill.classList.remove('bg-git-blue');
+            fill.classList.remove('bg-git-blue', 'bg-red-500');
             fill.classList.add('bg-green-500');
             tooltip.textContent = status.message || 'Indexing complete';
             widget.setAttribute('aria-label', 'Indexing complete');
+            this._jobsLoadedAt = 0;
 
             if (this._wasIndexing) {
                 this._wasIndexing = false;
@@ -187,28 +193,113 @@ const indexProgressPoller = {
                 }
             }
 
-            this.hideTimeoutId = setTimeout(() => this.hideWidget(), 4000);
+            this.hideTimeoutId = setTimeout(() => this._settle(), 4000);
             return;
         }
 
         if (status.phase === 'error') {
             widget.classList.remove('hidden');
             if (spinner) spinner.classList.add('hidden');
-            ring.classList.remove('stroke-git-blue');
+            ring.classList.remove('stroke-git-blue', 'stroke-green-500');
             ring.classList.add('stroke-red-500');
             ring.setAttribute('stroke-dashoffset', '0');
             fill.style.width = '100%';
-            fill.classList.remove('bg-git-blue');
+            fill.classList.remove('bg-git-blue', 'bg-green-500');
             fill.classList.add('bg-red-500');
             tooltip.textContent = status.message || 'Indexing failed';
 
-            this.hideTimeoutId = setTimeout(() => this.hideWidget(), 6000);
+            this.hideTimeoutId = setTimeout(() => this._settle(), 6000);
             return;
         }
 
+        if (this._queue.failed) {
+            this._showFailedJobs();
+            return;
+        }
         this.hideWidget();
     },
 
+    /** After a run finishes: keep the widget up while failed jobs need attention. */
+    _settle() {
+        this.hideTimeoutId = null;
+        this.applyStatus(this._idleStatus());
+    },
+
+    _showFailedJobs() {
+        const widget = document.getElementById('index-toolbar-status');
+        const tooltip = document.getElementById('index-toolbar-tooltip');
+        const fill = document.getElementById('index-toolbar-fill');
+        const ring = document.getElementById('index-toolbar-ring');
+        const spinner = widget?.querySelector('.loading-spinner');
+        const failed = this._queue.failed;
+        widget.classList.remove('hidden');
+        if (spinner) spinner.classList.add('hidden');
+        ring.classList.remove('stroke-git-blue', 'stroke-green-500');
+        ring.classList.add('stroke-red-500');
+        ring.setAttribute('stroke-dashoffset', '0');
+        fill.style.width = '100%';
+        fill.classList.remove('bg-git-blue', 'bg-green-500');
+        fill.classList.add('bg-red-500');
+        tooltip.textContent = `${failed} index job${failed === 1 ? '' : 's'} failed`;
+        widget.setAttribute('aria-label', tooltip.textContent);
+    },
+
+    _bindJobsList() {
+        const widget = document.getElementById('index-toolbar-status');
+        if (!widget || widget.dataset.jobsBound) return;
+        widget.dataset.jobsBound = '1';
+        widget.addEventListener('mouseenter', () => this.loadJobs());
+        document.getElementById('index-toolbar-jobs')?.addEventListener('click', async (e) => {
+            const btn = e.target.closest('[data-retry-job]');
+            if (!btn) return;
+            btn.disabled = true;
+            try {
+                await app.apiCall(`/api/git/index/jobs/${btn.dataset.retryJob}/retry`, { method: 'POST' });
+                await this.loadJobs(true);
+                this.poll();
+            } catch (err) {
+                btn.disabled = false;
+                app.showError(err.message || 'Retry failed');
+            }
+        });
+    },
+
+    /** Unfinished jobs for the popover; refreshed at most every few seconds while hovering. */
+    async loadJobs(force = false) {
+        const list = document.getElementById('index-toolbar-jobs');
+        if (!list) return;
+        if (!force && Date.now() - this._jobsLoadedAt < 5000) return;
+        this._jobsLoadedAt = Date.now();
+        try {
+            const { jobs } = await app.apiCall('/api/git/index/jobs?status=running,failed,queued&limit=20');
+            const isAdmin = app.currentUser && app.currentUser.role === 'admin';
+            list.innerHTML = jobs.map((job) => {
+                const detail = [
+                    job.status,
+                    job.attempts ? `attempt ${job.attempts}/${job.maxAttempts}` : '',
+                    job.status === 'queued' && job.lastError && job.nextRunAt
+                        ? `retry ${new Date(job.nextRunAt).toLocaleTimeString()}`
+                        : ''
+                ].filter(Boolean).join(' · ');
+                const tone = job.status === 'failed' ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-dark-text-secondary';
+                return `
+                    <li class="flex items-start justify-between gap-2 text-xs">
+                        <div class="min-w-0">
+                            <div class="font-medium text-gray-800 dark:text-dark-text truncate">${ui.escape(job.repository || `Repository ${job.repositoryId}`)}</div>
+                            <div class="${tone}">${ui.escape(detail)}</div>
+                            ${job.lastError ? `<div class="text-red-600 dark:text-red-400 truncate" title="${ui.escape(job.lastError)}">${ui.escape(job.lastError)}</div>` : ''}
+                        </div>
+                        ${isAdmin && job.status === 'failed'
+                            ? `<button type="button" class="btn btn-secondary btn-sm flex-shrink-0" data-retry-job="${job.id}">Retry</button>`
+                            : ''}
+                    </li>
+                `;
+            }).join('');
+        } catch (_) {
+            list.innerHTML = '';
+        }
+    },
+
     hideWidget() {
         const widget = document.getElementById('index-toolbar-status');
         const ring = document.getElementById('index-toolbar-ring');
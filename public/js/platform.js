@@ -30,6 +30,15 @@ const platformPages = {
         const s = data.settings || {};
         document.getElementById('setting-index-window').value = s.index_window_months || '3';
         document.getElementById('setting-scan-interval').value = s.workspace_scan_interval_minutes || '30';
+        document.getElementById('setting-global-mailmap').value = s.global_mailmap || '';
+        document.getElementById('setting-bus-factor-threshold').value = s.bus_factor_threshold || '0.5';
+        document.getElementById('setting-ownership-inactive-days').value = s.ownership_inactive_days || '90';
+        document.getElementById('setting-ticket-patterns').value = s.ticket_patterns || '';
+        document.getElementById('setting-ticket-url-template').value = s.ticket_url_template || '';
+        document.getElementById('setting-bot-patterns').value = s.bot_patterns || '';
+        document.getElementById('setting-language-mappings').value = s.language_mappings || '';
+        document.getElementById('setting-generated-patterns').value = s.generated_patterns || '';
+        document.getElementById('setting-vendored-patterns').value = s.vendored_patterns || '';
         if (data.scheduler) {
             document.getElementById('scheduler-status').textContent =
                 `Last workspace scan: ${data.scheduler.last_workspace_scan_at || 'never'}`;
@@ -57,7 +66,16 @@ const platformPages = {
                     method: 'PUT',
                     body: JSON.stringify({
                         index_window_months: document.getElementById('setting-index-window').value,
-                        workspace_scan_interval_minutes: document.getElementById('setting-scan-interval').value
+                        workspace_scan_interval_minutes: document.getElementById('setting-scan-interval').value,
+                        global_mailmap: document.getElementById('setting-global-mailmap').value,
+                        bus_factor_threshold: document.getElementById('setting-bus-factor-threshold').value,
+                        ownership_inactive_days: document.getElementById('setting-ownership-inactive-days').value,
+                        ticket_patterns: document.getElementById('setting-ticket-patterns').value,
+                        ticket_url_template: document.getElementById('setting-ticket-url-template').value.trim(),
+                        bot_patterns: document.getElementById('setting-bot-patterns').value,
+                        language_mappings: document.getElementById('setting-language-mappings').value,
+                        generated_patterns: document.getElementById('setting-generated-patterns').value,
+                        vendored_patterns: document.getElementById('setting-vendored-patterns').value
                     })
                 });
                 await app.apiCall('/api/admin/gitlab', {
@@ -162,9 +180,10 @@ const platformPages = {
                 e.preventDefault();
                 this.renderAnalytics();
             });
-            ['analytics-start-date', 'analytics-end-date'].forEach((id) => {
+            ['analytics-start-date', 'analytics-end-date', 'analytics-team', 'analytics-include-bots', 'analytics-include-generated'].forEach((id) => {
                 document.getElementById(id)?.addEventListener('change', () => this.renderAnalytics());
             });
+            this._loadTeamFilter();
             if (window.analyticsCharts) {
                 analyticsCharts.bindThemeRefresh(() => this.renderAnalytics());
             }
@@ -172,6 +191,31 @@ const platformPages = {
         await this.renderAnalytics();
     },
 
+    /** Analytics exclude bot accounts unless "Include bots" is ticked. */
+    _applyBotFilter(params) {
+        if (document.getElementById('analytics-include-bots')?.checked) params.set('excludeBots', 'false');
+        return params;
+    },
+
+    /** Line counts leave out generated and vendored files unless "Include generated" is ticked. */
+    _applyFileFilter(params) {
+        if (document.getElementById('analytics-include-generated')?.checked) params.set('includeGenerated', 'true');
+        return params;
+    },
+
+    async _loadTeamFilter() {
+        const select = document.getElementById('analytics-team');
+        if (!select) return;
+        try {
+            const teams = await app.apiCall('/api/git/teams');
+            select.insertAdjacentHTML('beforeend', (teams || []).map((t) =>
+                `<option value="${t.id}">${platformPages._escape(t.name)}</option>`
+            ).join(''));
+        } catch (_) {
+            // leave the filter with "All teams" only
+        }
+    },
+
     _analyticsStatTiles(data) {
         const fmt = window.analyticsCharts?.fmtNum || ((n) => String(n ?? 0));
         const totalCommits = (data.commitsOverTime || []).reduce((s, b) => s + (b.count || 0), 0);
@@ -250,6 +294,21 @@ const platformPages = {
         const reposChart = (data.topRepositories || []).length && ac
             ? ac.chartCard('Top repositories', 'chart-repositories', null, { tall: true })
             : this._analyticsEmptyChartCard('Top repositories', 'No repository activity in range.');
+        const commitTypes = data.commitTypes || {};
+        const typesChart = (commitTypes.overTime || []).length && ac
+            ? ac.chartCard('Commit types', 'chart-commit-types', this._commitTypesSubtitle(commitTypes))
+            : this._analyticsEmptyChartCard('Commit types', 'No commits in this date range.');
+        const ratioChart = (commitTypes.ratioOverTime || []).length && ac
+            ? ac.chartCard(
+                'Fix-to-feature ratio',
+                'chart-fix-ratio',
+                `Weekly fix commits per feat commit · ${commitTypes.fixToFeatureRatio ?? '—'} overall`
+            )
+            : this._analyticsEmptyChartCard('Fix-to-feature ratio', 'No feat or fix commits in this date range.');
+        const languages = data.languages || [];
+        const languagesChart = languages.length && ac
+            ? ac.chartCard('Languages', 'chart-languages', this._languagesSubtitle(languages), { tall: true })
+            : this._analyticsEmptyChartCard('Languages', 'No file changes in this date range.');
 
         return `
             <div class="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-4 gap-4">
@@ -263,6 +322,16 @@ const platformPages = {
                 ${contribChart}
                 ${reposChart}
             </div>
+            <div class="grid grid-cols-1 xl:grid-cols-2 gap-6">
+                ${typesChart}
+                ${ratioChart}
+            </div>
+            ${languagesChart}
+            ${this._teamLeaderboardCard(data.topTeams)}
+            ${this._lifecycleCard()}
+            ${this._workingHoursCard()}
+            ${this._hotspotCard()}
+            ${this._couplingCard()}
             <div class="card">
                 <div class="flex items-center justify-between gap-3 mb-4">
                     <h3 class="card-title">Recent commits</h3>
@@ -273,15 +342,387 @@ const platformPages = {
         `;
     },
 
+    _commitTypesSubtitle(commitTypes) {
+        const total = (commitTypes.totals || []).reduce((sum, t) => sum + t.count, 0);
+        const typed = (commitTypes.totals || []).filter((t) => t.type !== 'other').reduce((sum, t) => sum + t.count, 0);
+        const pct = total ? Math.round((typed / total) * 100) : 0;
+        const breaking = commitTypes.breaking ? ` · ${analyticsCharts.fmtNum(commitTypes.breaking)} breaking` : '';
+        return `Conventional Commit types per day · ${pct}% typed${breaking}`;
+    },
+
+    _languagesSubtitle(languages) {
+        const top = languages.slice(0, 3)
+            .map((l) => `${platformPages._escape(l.language)} ${Math.round(l.share * 100)}%`)
+            .join(' · ');
+        return `Lines changed per language · ${top}`;
+    },
+
+    _teamLeaderboardCard(teams) {
+        if (!teams?.length) {
+            return this._analyticsEmptyChartCard(
+                'Team leaderboard',
+                'No team activity in this range. Teams and their members are managed in the Admin panel.'
+            );
+        }
+        const fmt = analyticsCharts.fmtNum;
+        const rows = teams.map((t, i) => `
+            <tr class="border-b border-gray-100 dark:border-dark-border">
+                <td class="py-2 pr-3 text-gray-500 dark:text-dark-text-secondary">${i + 1}</td>
+                <td class="py-2 pr-3 font-medium">${platformPages._escape(t.name)}</td>
+                <td class="py-2 pr-3 text-right">${fmt(t.commit_count)}</td>
+                <td class="py-2 pr-3 text-right">${fmt(t.contributors)}</td>
+                <td class="py-2 pr-3 text-right text-green-600 dark:text-green-400">+${fmt(t.additions)}</td>
+                <td class="py-2 text-right text-red-600 dark:text-red-400">−${fmt(t.deletions)}</td>
+            </tr>
+        `).join('');
+        return `
+            <div class="card">
+                <h3 class="card-title">Team leaderboard</h3>
+                <p class="text-xs text-gray-500 dark:text-dark-text-secondary mt-0.5 mb-3">
+                    Commits credited to the team each author belonged to on the commit date
+                </p>
+                <div class="overflow-x-auto">
+                    <table class="w-full text-sm text-gray-700 dark:text-dark-text">
+                        <thead>
+                            <tr class="text-left text-xs uppercase text-gray-500 dark:text-dark-text-secondary">
+                                <th class="pb-2 pr-3">#</th>
+                                <th class="pb-2 pr-3">Team</th>
+                                <th class="pb-2 pr-3 text-right">Commits</th>
+                                <th class="pb-2 pr-3 text-right">Contributors</th>
+                                <th class="pb-2 pr-3 text-right">Added</th>
+                                <th class="pb-2 text-right">Deleted</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    },
+
+    _lifecycleState: { months: '12' },
+
+    _lifecycleCard() {
+        const months = this._lifecycleState.months;
+        const option = (value, label) =>
+            `<option value="${value}"${value === months ? ' selected' : ''}>${label}</option>`;
+        return `
+            <div class="card analytics-chart-card">
+                <div class="flex flex-wrap items-start justify-between gap-3 mb-3">
+                    <div>
+                        <h3 class="card-title">Contributor lifecycle</h3>
+                        <p id="lifecycle-summary" class="text-xs text-gray-500 dark:text-dark-text-secondary mt-0.5">
+                            New, retained and churned contributors per month
+                        </p>
+                    </div>
+                    <select id="lifecycle-months" class="select text-sm w-auto">
+                        ${option('6', 'Last 6 months')}
+                        ${option('12', 'Last 12 months')}
+                        ${option('24', 'Last 24 months')}
+                    </select>
+                </div>
+                <div class="analytics-chart-wrap">
+                    <canvas id="chart-lifecycle" role="img" aria-label="Contributor lifecycle"></canvas>
+                </div>
+            </div>
+        `;
+    },
+
+    /** Has its own month range; the analytics date filter is usually too short for cohorts. */
+    async renderLifecycle() {
+        const canvas = document.getElementById('chart-lifecycle');
+        if (!canvas || !window.analyticsCharts || typeof Chart === 'undefined') return;
+        const state = this._lifecycleState;
+
+        const select = document.getElementById('lifecycle-months');
+        if (select && !select.dataset.bound) {
+            select.dataset.bound = '1';
+            select.addEventListener('change', () => {
+                state.months = select.value;
+                this.renderAnalytics();
+            });
+        }
+
+        const start = new Date();
+        start.setDate(1);
+        start.setMonth(start.getMonth() - (parseInt(state.months, 10) - 1));
+        const params = new URLSearchParams({ startDate: `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}-01` });
+        this._applyBotFilter(params);
+        try {
+            const report = await app.apiCall(`/api/git/analytics/lifecycle?${params}`);
+            analyticsCharts.renderLifecycleChart(canvas, report.months);
+            const t = report.totals;
+            document.getElementById('lifecycle-summary').textContent =
+                `${analyticsCharts.fmtNum(t.new)} new · ${analyticsCharts.fmtNum(t.churned)} churned (no commits for ${report.churnAfterMonths}+ months) · ${analyticsCharts.fmtNum(t.active)} active this month`
+                + (report.indexedFrom ? ` · history indexed from ${report.indexedFrom}` : '');
+        } catch (err) {
+            canvas.parentElement.innerHTML = `<p class="text-red-500 dark:text-red-400 text-sm">${platformPages._escape(err.message)}</p>`;
+        }
+    },
+
+    _workingHoursState: { contributorId: '' },
+
+    _workingHoursCard() {
+        return `
+            <div class="card analytics-chart-card">
+                <div class="flex flex-wrap items-start justify-between gap-3 mb-3">
+                    <div>
+                        <h3 class="card-title">Working hours</h3>
+                        <p id="working-hours-summary" class="text-xs text-gray-500 dark:text-dark-text-secondary mt-0.5">
+                            Commits by weekday and hour in each author's local time
+                        </p>
+                    </div>
+                    <select id="working-hours-contributor" class="select text-sm w-auto">
+                        <option value="">All contributors</option>
+                    </select>
+                </div>
+                <div id="working-hours-heatmap"></div>
+                <p id="working-hours-offsets" class="text-xs text-gray-500 dark:text-dark-text-secondary mt-2"></p>
+            </div>
+        `;
+    },
+
+    async renderWorkingHours(startDate, endDate) {
+        const el = document.getElementById('working-hours-heatmap');
+        if (!el || !window.analyticsCharts) return;
+        const state = this._workingHoursState;
+
+        const select = document.getElementById('working-hours-contributor');
+        if (select && !select.dataset.bound) {
+            select.dataset.bound = '1';
+            try {
+                const contributors = await app.apiCall('/api/git/contributors');
+                select.insertAdjacentHTML('beforeend', (contributors || []).map((c) =>
+                    `<option value="${c.id}"${String(c.id) === state.contributorId ? ' selected' : ''}>${platformPages._escape(c.display_name)}</option>`
+                ).join(''));
+            } catch (_) {
+                // leave the filter with "All contributors" only
+            }
+            select.addEventListener('change', () => {
+                state.contributorId = select.value;
+                this.renderWorkingHours(startDate, endDate);
+            });
+        }
+
+        const params = new URLSearchParams();
+        if (startDate) params.set('startDate', startDate);
+        if (endDate) params.set('endDate', endDate);
+        if (state.contributorId) params.set('contributorIds', state.contributorId);
+        const teamId = document.getElementById('analytics-team')?.value;
+        if (teamId) params.set('teamIds', teamId);
+        this._applyBotFilter(params);
+        this._applyFileFilter(params);
+        try {
+            const report = await app.apiCall(`/api/git/analytics/working-hours?${params}`);
+            analyticsCharts.renderHeatmap(el, report);
+            const t = report.totals;
+            const pct = (share) => `${Math.round(share * 100)}%`;
+            document.getElementById('working-hours-summary').textContent = t.commits
+                ? `${pct(t.afterHoursShare)} after hours (outside ${report.workdayStart}:00–${report.workdayEnd}:00 on weekdays) · ${pct(t.weekendShare)} on weekends`
+                : 'Commits by weekday and hour in each author\'s local time';
+            document.getElementById('working-hours-offsets').textContent = report.offsets.length
+                ? `Time zones: ${report.offsets.slice(0, 6).map((o) => `${o.label} (${analyticsCharts.fmtNum(o.commits)})`).join(', ')}`
+                : '';
+        } catch (err) {
+            el.innerHTML = `<p class="text-red-500 dark:text-red-400 text-sm">${platformPages._escape(err.message)}</p>`;
+        }
+    },
+
+    _hotspotState: { prefix: '', metric: 'churn' },
+
+    _hotspotCard() {
+        const metric = this._hotspotState.metric;
+        const option = (value, label) =>
+            `<option value="${value}"${value === metric ? ' selected' : ''}>${label}</option>`;
+        return `
+            <div class="card analytics-chart-card">
+                <div class="flex flex-wrap items-start justify-between gap-3 mb-3">
+                    <div>
+                        <h3 class="card-title">Hotspots</h3>
+                        <p id="hotspot-breadcrumb" class="text-xs text-gray-500 dark:text-dark-text-secondary mt-0.5"></p>
+                    </div>
+                    <select id="hotspot-metric" class="select text-sm w-auto">
+                        ${option('churn', 'Lines churned')}
+                        ${option('changes', 'Change count')}
+                        ${option('authors', 'Distinct authors')}
+                    </select>
+                </div>
+                <div id="hotspot-treemap" class="treemap"></div>
+                <p class="text-xs text-gray-500 dark:text-dark-text-secondary mt-2">
+                    Tile size follows the selected metric; colour runs from blue (few authors) to red (many). Click a directory to drill in.
+                </p>
+            </div>
+        `;
+    },
+
+    async renderHotspots(startDate, endDate) {
+        const el = document.getElementById('hotspot-treemap');
+        if (!el || !window.analyticsCharts) return;
+        const state = this._hotspotState;
+
+        const crumbs = document.getElementById('hotspot-breadcrumb');
+        if (crumbs) {
+            const parts = state.prefix ? state.prefix.split('/') : [];
+            crumbs.innerHTML = ['<button type="button" class="hover:underline" data-prefix="">All files</button>']
+                .concat(parts.map((part, i) => {
+                    const prefix = parts.slice(0, i + 1).join('/');
+                    return `<button type="button" class="hover:underline" data-prefix="${platformPages._escape(prefix)}">${platformPages._escape(part)}</button>`;
+                }))
+                .join(' / ');
+            crumbs.querySelectorAll('[data-prefix]').forEach((btn) => {
+                btn.addEventListener('click', () => {
+                    state.prefix = btn.dataset.prefix;
+                    this.renderHotspots(startDate, endDate);
+                });
+            });
+        }
+
+        const metricEl = document.getElementById('hotspot-metric');
+        if (metricEl && !metricEl.dataset.bound) {
+            metricEl.dataset.bound = '1';
+            metricEl.addEventListener('change', () => {
+                state.metric = metricEl.value;
+                this.renderHotspots(startDate, endDate);
+            });
+        }
+
+        const params = new URLSearchParams({ groupBy: 'directory', sort: state.metric, limit: '60' });
+        if (state.prefix) params.set('prefix', state.prefix);
+        if (startDate) params.set('startDate', startDate);
+        if (endDate) params.set('endDate', endDate);
+        this._applyBotFilter(params);
+        this._applyFileFilter(params);
+        try {
+            const report = await app.apiCall(`/api/git/analytics/hotspots?${params}`);
+            analyticsCharts.renderTreemap(el, report.items, {
+                valueKey: state.metric,
+                onSelect: (item) => {
+                    state.prefix = item.path;
+                    this.renderHotspots(startDate, endDate);
+                }
+            });
+        } catch (err) {
+            el.innerHTML = `<p class="text-red-500 dark:text-red-400 text-sm">${platformPages._escape(err.message)}</p>`;
+        }
+    },
+
+    _couplingState: { months: '6', crossModuleOnly: false },
+
+    _couplingCard() {
+        const { months, crossModuleOnly } = this._couplingState;
+        const option = (value, label) =>
+            `<option value="${value}"${value === months ? ' selected' : ''}>${label}</option>`;
+        return `
+            <div class="card">
+                <div class="flex flex-wrap items-start justify-between gap-3 mb-3">
+                    <div>
+                        <h3 class="card-title">Change coupling</h3>
+                        <p id="coupling-summary" class="text-xs text-gray-500 dark:text-dark-text-secondary mt-0.5">
+                            Files that keep changing in the same commits
+                        </p>
+                    </div>
+                    <div class="flex items-center gap-3">
+                        <label class="flex items-center gap-1.5 text-sm text-gray-700 dark:text-dark-text">
+                            <input type="checkbox" id="coupling-cross-module"${crossModuleOnly ? ' checked' : ''}>
+                            Across modules only
+                        </label>
+                        <select id="coupling-months" class="select text-sm w-auto">
+                            ${option('3', 'Last 3 months')}
+                            ${option('6', 'Last 6 months')}
+                            ${option('12', 'Last 12 months')}
+                        </select>
+                    </div>
+                </div>
+                <div class="grid grid-cols-1 xl:grid-cols-2 gap-6">
+                    <div id="coupling-matrix" class="overflow-x-auto"></div>
+                    <div id="coupling-pairs" class="overflow-x-auto"></div>
+                </div>
+                <p class="text-xs text-gray-500 dark:text-dark-text-secondary mt-2">
+                    Shade follows the degree of coupling (commits together over the files' average change count); outlined cells cross a top-level directory.
+                </p>
+            </div>
+        `;
+    },
+
+    /** Has its own month range; a week is too short to see files change together. */
+    async renderCoupling() {
+        const matrixEl = document.getElementById('coupling-matrix');
+        const pairsEl = document.getElementById('coupling-pairs');
+        if (!matrixEl || !pairsEl || !window.analyticsCharts) return;
+        const state = this._couplingState;
+
+        const select = document.getElementById('coupling-months');
+        if (select && !select.dataset.bound) {
+            select.dataset.bound = '1';
+            select.addEventListener('change', () => {
+                state.months = select.value;
+                this.renderCoupling();
+            });
+        }
+        const cross = document.getElementById('coupling-cross-module');
+        if (cross && !cross.dataset.bound) {
+            cross.dataset.bound = '1';
+            cross.addEventListener('change', () => {
+                state.crossModuleOnly = cross.checked;
+                this.renderCoupling();
+            });
+        }
+
+        const start = new Date();
+        start.setMonth(start.getMonth() - parseInt(state.months, 10));
+        const params = new URLSearchParams({ startDate: start.toISOString().slice(0, 10), minCoChanges: '3', limit: '60' });
+        if (state.crossModuleOnly) params.set('crossModuleOnly', 'true');
+        this._applyBotFilter(params);
+        this._applyFileFilter(params);
+        try {
+            const report = await app.apiCall(`/api/git/analytics/coupling?${params}`);
+            const fmt = analyticsCharts.fmtNum;
+            analyticsCharts.renderCouplingMatrix(matrixEl, report.pairs);
+            document.getElementById('coupling-summary').textContent =
+                `${fmt(report.pairs.length)} coupled pairs across ${fmt(report.commits)} commits`
+                + (report.skippedCommits ? ` · ${fmt(report.skippedCommits)} large commits skipped` : '');
+            const rows = report.pairs.slice(0, 12).map((p) => `
+                <tr class="border-b border-gray-100 dark:border-dark-border">
+                    <td class="py-1.5 pr-3 font-mono text-xs break-all">
+                        ${platformPages._escape(p.fileA)}<br>${platformPages._escape(p.fileB)}
+                        ${p.crossModule ? '<span class="badge badge-warning text-xs">cross-module</span>' : ''}
+                    </td>
+                    <td class="py-1.5 pr-3 text-right">${fmt(p.coChanges)}</td>
+                    <td class="py-1.5 text-right">${Math.round(p.degree * 100)}%</td>
+                </tr>
+            `).join('');
+            pairsEl.innerHTML = rows
+                ? `
+                    <table class="w-full text-sm text-gray-700 dark:text-dark-text">
+                        <thead>
+                            <tr class="text-left text-xs uppercase text-gray-500 dark:text-dark-text-secondary">
+                                <th class="pb-2 pr-3">Files</th>
+                                <th class="pb-2 pr-3 text-right">Together</th>
+                                <th class="pb-2 text-right">Degree</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                `
+                : '';
+        } catch (err) {
+            matrixEl.innerHTML = `<p class="text-red-500 dark:text-red-400 text-sm">${platformPages._escape(err.message)}</p>`;
+            pairsEl.innerHTML = '';
+        }
+    },
+
     async renderAnalytics() {
         const container = document.getElementById('analytics-content');
         if (!container) return;
 
         const startDate = document.getElementById('analytics-start-date')?.value;
         const endDate = document.getElementById('analytics-end-date')?.value;
+        const teamId = document.getElementById('analytics-team')?.value;
         const params = new URLSearchParams();
         if (startDate) params.set('startDate', startDate);
         if (endDate) params.set('endDate', endDate);
+        if (teamId) params.set('teamIds', teamId);
+        this._applyBotFilter(params);
 
         if (window.analyticsCharts) analyticsCharts.destroyAll();
         container.innerHTML = `
@@ -301,12 +742,266 @@ const platformPages = {
                 if (window.analyticsCharts) {
                     analyticsCharts.mountAll(data, { startDate, endDate });
                 }
+                this.renderHotspots(startDate, endDate);
+                this.renderWorkingHours(startDate, endDate);
+                this.renderLifecycle();
+                this.renderCoupling();
             });
         } catch (err) {
             container.innerHTML = `<p class="text-red-500 dark:text-red-400 text-sm">${platformPages._escape(err.message)}</p>`;
         }
     },
 
+    _ownerLabel(owner) {
+        if (!owner) return '—';
+        const pct = `${Math.round(owner.share * 100)}%`;
+        const idle = owner.inactive
+            ? ` <span class="badge badge-warning text-xs" title="Last commit: ${platformPages._escape(owner.lastActive || 'never')}">inactive</span>`
+            : '';
+        return `${platformPages._escape(owner.name)} · ${pct}${idle}`;
+    },
+
+    async showOwnershipPanel(repositoryId, label) {
+        const modal = ui.showModal(
+            'ownership-modal',
+            `Ownership · ${platformPages._escape(label || `Repository ${repositoryId}`)}`,
+            '<p class="empty-state py-8">Loading ownership…</p>',
+            '',
+            { wide: true }
+        );
+        const bodyEl = modal.querySelector('.modal-body');
+        try {
+            const params = platformPages._applyFileFilter(
+                platformPages._applyBotFilter(new URLSearchParams({ repositories: repositoryId, depth: '2' }))
+            );
+            const report = await app.apiCall(`/api/git/analytics/ownership?${params}`);
+            const repo = report.repositories[0];
+            if (!repo) {
+                bodyEl.innerHTML = ui.emptyState('No line changes indexed for this repository in the index window.');
+                return;
+            }
+            const atRisk = repo.directories.filter((d) => d.atRisk).length;
+            const rows = repo.directories.map((d) => `
+                <tr class="border-b border-gray-100 dark:border-dark-border${d.atRisk ? ' bg-orange-50 dark:bg-orange-900/20' : ''}">
+                    <td class="py-2 pr-3 font-mono text-xs">${platformPages._escape(d.path)}</td>
+                    <td class="py-2 pr-3 text-center">${d.busFactor}</td>
+                    <td class="py-2 pr-3">${this._ownerLabel(d.dominantOwner)}</td>
+                    <td class="py-2 text-right">${analyticsCharts.fmtNum(d.totalChurn)}</td>
+                </tr>
+            `).join('');
+            bodyEl.innerHTML = `
+                <div class="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+                    ${ui.statTiles([
+                        { label: 'Bus factor', value: repo.busFactor, tone: repo.busFactor <= 1 ? 'text-red-600 dark:text-red-400' : 'text-git-blue' },
+                        { label: 'Contributors', value: repo.owners.length },
+                        { label: 'Directories at risk', value: atRisk, tone: atRisk ? 'text-git-orange' : 'text-gray-900 dark:text-dark-text' }
+                    ])}
+                </div>
+                <p class="text-xs text-gray-500 dark:text-dark-text-secondary mb-3">
+                    Bus factor: fewest contributors covering ${Math.round(report.threshold * 100)}% of lines changed since ${platformPages._escape(report.startDate.slice(0, 10))}.
+                    Directories are flagged when their top owner has not committed for ${report.inactiveDays} days.
+                </p>
+                <h3 class="card-title mb-2">Top owners</h3>
+                <ul class="text-sm space-y-1 mb-4">
+                    ${repo.owners.map((o) => `<li>${this._ownerLabel(o)}</li>`).join('')}
+                </ul>
+                <h3 class="card-title mb-2">Directories</h3>
+                <div class="overflow-x-auto max-h-96">
+                    <table class="w-full text-sm text-gray-700 dark:text-dark-text">
+                        <thead>
+                            <tr class="text-left text-xs uppercase text-gray-500 dark:text-dark-text-secondary">
+                                <th class="pb-2 pr-3">Directory</th>
+                                <th class="pb-2 pr-3 text-center">Bus factor</th>
+                                <th class="pb-2 pr-3">Dominant owner</th>
+                                <th class="pb-2 text-right">Lines changed</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            `;
+        } catch (err) {
+            bodyEl.innerHTML = `<p class="text-red-500 dark:text-red-400 text-sm">${platformPages._escape(err.message)}</p>`;
+        }
+    },
+
+    /** Admin-only: this repository's generated/vendored patterns, added after the global ones. */
+    async showFileRulesPanel(repositoryId, label) {
+        const footer = `
+            <button type="button" class="btn btn-secondary modal-close-btn">Cancel</button>
+            <button type="button" id="file-rules-save" class="btn btn-primary" disabled>Save</button>
+        `;
+        const modal = ui.showModal(
+            'file-rules-modal',
+            `Exclusions · ${platformPages._escape(label || `Repository ${repositoryId}`)}`,
+            '<p class="empty-state py-8">Loading patterns…</p>',
+            footer
+        );
+        modal.querySelector('.modal-close-btn')?.addEventListener('click', () => modal.remove());
+        const bodyEl = modal.querySelector('.modal-body');
+        const saveBtn = modal.querySelector('#file-rules-save');
+        try {
+            const rules = await app.apiCall(`/api/admin/repositories/${repositoryId}/file-rules`);
+            bodyEl.innerHTML = `
+                <div class="space-y-3">
+                    <p class="text-xs text-gray-500 dark:text-dark-text-secondary">
+                        Added after the global patterns in Settings; <code>!pattern</code> un-flags a global match.
+                        <code>linguist-generated</code> and <code>linguist-vendored</code> in the repository's <code>.gitattributes</code> still take precedence.
+                    </p>
+                    <div>
+                        <label class="form-label" for="file-rules-generated">Generated file patterns</label>
+                        <textarea id="file-rules-generated" class="input font-mono text-xs" rows="4" placeholder="src/generated/&#10;*.g.dart"></textarea>
+                    </div>
+                    <div>
+                        <label class="form-label" for="file-rules-vendored">Vendored file patterns</label>
+                        <textarea id="file-rules-vendored" class="input font-mono text-xs" rows="3" placeholder="libs/external/"></textarea>
+                    </div>
+                </div>
+            `;
+            modal.querySelector('#file-rules-generated').value = rules.generatedPatterns;
+            modal.querySelector('#file-rules-vendored').value = rules.vendoredPatterns;
+            saveBtn.disabled = false;
+        } catch (err) {
+            bodyEl.innerHTML = `<p class="text-red-500 dark:text-red-400 text-sm">${platformPages._escape(err.message)}</p>`;
+            return;
+        }
+        saveBtn.addEventListener('click', async () => {
+            saveBtn.disabled = true;
+            try {
+                await app.apiCall(`/api/admin/repositories/${repositoryId}/file-rules`, {
+                    method: 'PUT',
+                    body: JSON.stringify({
+                        generatedPatterns: modal.querySelector('#file-rules-generated').value,
+                        vendoredPatterns: modal.querySelector('#file-rules-vendored').value
+                    })
+                });
+                app.showSuccess('Exclusions saved; indexed files are being re-flagged');
+                modal.remove();
+            } catch (err) {
+                app.showError(err.message || 'Failed to save exclusions');
+                saveBtn.disabled = false;
+            }
+        });
+    },
+
+    async showReleasesPanel(repositoryId, label) {
+        const modal = ui.showModal(
+            'releases-modal',
+            `Releases · ${platformPages._escape(label || `Repository ${repositoryId}`)}`,
+            '<p class="empty-state py-8">Loading tags…</p>',
+            '',
+            { wide: true }
+        );
+        const bodyEl = modal.querySelector('.modal-body');
+        try {
+            const { tags } = await app.apiCall(`/api/git/repositories/${repositoryId}/tags`);
+            if (!tags.length) {
+                bodyEl.innerHTML = ui.emptyState('No tags found in this repository.');
+                return;
+            }
+            const options = (selected) => [
+                `<option value="HEAD"${selected === 'HEAD' ? ' selected' : ''}>HEAD</option>`,
+                ...tags.map((t) => `<option value="${platformPages._escape(t.name)}"${t.name === selected ? ' selected' : ''}>${platformPages._escape(t.name)}</option>`)
+            ].join('');
+            bodyEl.innerHTML = `
+                <div class="flex flex-wrap items-end gap-3 mb-4">
+                    <label class="text-sm">Base
+                        <select id="releases-base" class="select mt-1">${options(tags[1] ? tags[1].name : tags[0].name)}</select>
+                    </label>
+                    <label class="text-sm">Head
+                        <select id="releases-head" class="select mt-1">${options(tags[1] ? tags[0].name : 'HEAD')}</select>
+                    </label>
+                    <button type="button" class="btn btn-primary btn-sm" id="releases-compare">Compare</button>
+                    <button type="button" class="btn btn-secondary btn-sm" id="releases-notes">Release notes</button>
+                </div>
+                <div id="releases-result"></div>
+                <h3 class="card-title mt-6 mb-2">Tags</h3>
+                <ul class="text-sm space-y-1 max-h-64 overflow-y-auto">
+                    ${tags.map((t) => `
+                        <li class="flex justify-between gap-3">
+                            <span><span class="font-mono">${platformPages._escape(t.name)}</span>
+                                ${t.type === 'annotated' ? '<span class="badge badge-gray text-xs">annotated</span>' : ''}
+                                <span class="text-gray-500 dark:text-dark-text-secondary">${platformPages._escape(t.message || '')}</span></span>
+                            <span class="text-xs text-gray-500 dark:text-dark-text-secondary">${platformPages._escape((t.date || '').slice(0, 10))}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+            const compare = () => this._renderComparison(
+                repositoryId,
+                bodyEl.querySelector('#releases-base').value,
+                bodyEl.querySelector('#releases-head').value,
+                bodyEl.querySelector('#releases-result')
+            );
+            bodyEl.querySelector('#releases-compare').addEventListener('click', compare);
+            bodyEl.querySelector('#releases-notes').addEventListener('click', () => this._downloadReleaseNotes(
+                repositoryId,
+                bodyEl.querySelector('#releases-base').value,
+                bodyEl.querySelector('#releases-head').value
+            ));
+            compare();
+        } catch (err) {
+            bodyEl.innerHTML = `<p class="text-red-500 dark:text-red-400 text-sm">${platformPages._escape(err.message)}</p>`;
+        }
+    },
+
+    async _downloadReleaseNotes(repositoryId, from, to) {
+        try {
+            const params = new URLSearchParams({ from, to, format: 'json' });
+            const notes = await app.apiCall(`/api/git/repositories/${repositoryId}/changelog?${params}`);
+            const blob = new Blob([notes.markdown], { type: 'text/markdown;charset=utf-8;' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `release-notes-${to.replace(/[^\w.-]+/g, '_')}.md`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(link.href);
+        } catch (err) {
+            app.showError(err.message);
+        }
+    },
+
+    async _renderComparison(repositoryId, base, head, el) {
+        el.innerHTML = '<p class="empty-state py-4">Comparing…</p>';
+        try {
+            const params = new URLSearchParams({ from: base, to: head });
+            const cmp = await app.apiCall(`/api/git/repositories/${repositoryId}/compare?${params}`);
+            el.innerHTML = `
+                <div class="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-4">
+                    ${ui.statTiles([
+                        { label: 'Commits', value: analyticsCharts.fmtNum(cmp.totals.commits) },
+                        { label: 'Contributors', value: cmp.totals.contributors },
+                        { label: 'Lines added', value: analyticsCharts.fmtNum(cmp.diff.additions), tone: 'text-git-green' },
+                        { label: 'Lines removed', value: analyticsCharts.fmtNum(cmp.diff.deletions), tone: 'text-git-red' }
+                    ])}
+                </div>
+                <p class="text-xs text-gray-500 dark:text-dark-text-secondary mb-3">
+                    ${platformPages._escape(cmp.from.ref)} (${cmp.from.hash.slice(0, 7)}) → ${platformPages._escape(cmp.to.ref)} (${cmp.to.hash.slice(0, 7)}) · ${cmp.diff.files} files changed
+                </p>
+                <h3 class="card-title mb-2">Contributors</h3>
+                <ul class="text-sm space-y-1 mb-4">
+                    ${cmp.contributors.map((c) => `
+                        <li>${platformPages._escape(c.name || c.email)} · ${c.commits} commits ·
+                            <span class="text-git-green">+${analyticsCharts.fmtNum(c.additions)}</span>
+                            <span class="text-git-red">-${analyticsCharts.fmtNum(c.deletions)}</span></li>
+                    `).join('')}
+                </ul>
+                <h3 class="card-title mb-2">Commits</h3>
+                <ul class="text-sm space-y-1 max-h-72 overflow-y-auto">
+                    ${cmp.commits.map((c) => `
+                        <li class="flex justify-between gap-3">
+                            <span class="truncate"><span class="font-mono text-xs">${c.hash.slice(0, 7)}</span> ${platformPages._escape(c.message)}</span>
+                            <span class="text-xs text-gray-500 dark:text-dark-text-secondary flex-shrink-0">${platformPages._escape(c.contributorName || c.author)}</span>
+                        </li>
+                    `).join('') || '<li class="text-gray-500 dark:text-dark-text-secondary">No commits between these refs.</li>'}
+                </ul>
+            `;
+        } catch (err) {
+            el.innerHTML = `<p class="text-red-500 dark:text-red-400 text-sm">${platformPages._escape(err.message)}</p>`;
+        }
+    },
+
     async loadContributorsPage() {
         if (window.contributorsUi) {
             return contributorsUi.loadContributorsPage();
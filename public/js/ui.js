@@ -13,17 +13,30 @@
             return `<p class="empty-state ${extraClass}">${ui.escape(message)}</p>`;
         },
 
-        statTile(label, value, tone = 'text-gray-900 dark:text-dark-text') {
+        statTile(label, value, tone = 'text-gray-900 dark:text-dark-text', trend = null) {
             return `
                 <${TAG} class="stat-tile">
                     <p class="stat-tile-label">${ui.escape(label)}</p>
                     <p class="stat-tile-value ${tone}">${ui.escape(value)}</p>
+                    ${trend ? ui.trend(trend.change, trend.label) : ''}
                 </${TAG}>
             `;
         },
 
         statTiles(tiles) {
-            return (tiles || []).map((t) => ui.statTile(t.label, t.value, t.tone)).join('');
+            return (tiles || []).map((t) => ui.statTile(t.label, t.value, t.tone, t.trend)).join('');
+        },
+
+        // Arrow and percentage for a { current, previous, delta, percent } change
+        trend(change, label = 'vs previous period') {
+            if (!change) return '';
+            const dir = change.delta > 0 ? 'up' : change.delta < 0 ? 'down' : 'flat';
+            const arrow = { up: '▲', down: '▼', flat: '▶' }[dir];
+            const amount = change.percent == null
+                ? (change.delta ? `${change.delta > 0 ? '+' : ''}${change.delta}` : 'no change')
+                : `${Math.abs(change.percent)}%`;
+            return `<p class="stat-tile-trend stat-tile-trend--${dir}" title="${ui.escape(`${change.previous} → ${change.current}`)}">`
+                + `${arrow} ${ui.escape(amount)} <span class="text-gray-500 dark:text-dark-text-secondary">${ui.escape(label)}</span></p>`;
         },
 
         cardSectionHeader(title, trailingHtml = '') {
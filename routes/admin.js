@@ -3,7 +3,9 @@ const router = express.Router();
 const User = require('../models/User');
 const GitService = require('../models/GitService');
 const SettingsService = require('../services/SettingsService');
+const ContributorService = require('../services/ContributorService');
 const GitLabClient = require('../services/GitLabClient');
+const TeamService = require('../services/TeamService');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 
 const userModel = new User();
@@ -91,6 +93,41 @@ router.post('/repositories', authenticateToken, requireAdmin, async (req, res) =
     }
 });
 
+// Per-repository generated/vendored patterns (added after the global settings)
+router.get('/repositories/:id/file-rules', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        const row = await gitService.db.get(
+            'SELECT id, generated_patterns, vendored_patterns FROM git_repositories WHERE id = ?',
+            [id]
+        );
+        if (!row) {
+            return res.status(404).json({ error: 'Repository not found' });
+        }
+        res.json({
+            repositoryId: row.id,
+            generatedPatterns: row.generated_patterns || '',
+            vendoredPatterns: row.vendored_patterns || ''
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.put('/repositories/:id/file-rules', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { generatedPatterns, vendoredPatterns } = req.body || {};
+        const updated = await gitService.updateRepositoryFileRules(req.params.id, { generatedPatterns, vendoredPatterns });
+        res.json({
+            repositoryId: updated.id,
+            generatedPatterns: updated.generated_patterns || '',
+            vendoredPatterns: updated.vendored_patterns || ''
+        });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
 // Get system stats
 router.get('/stats', authenticateToken, requireAdmin, async (req, res) => {
     try {
@@ -144,7 +181,33 @@ router.get('/settings', authenticateToken, requireAdmin, async (req, res) => {
 router.put('/settings', authenticateToken, requireAdmin, async (req, res) => {
     try {
         const settings = new SettingsService(gitService.db);
+        const previousPatterns = await settings.get('ticket_patterns');
+        const previousBotPatterns = await settings.get('bot_patterns');
+        const previousLanguages = await settings.get('language_mappings');
+        const previousMailmap = await settings.get('global_mailmap');
+        const previousFilePatterns = await settings.getFilePatterns();
         const updated = await settings.setMany(req.body);
+        if (updated.ticket_patterns !== previousPatterns && gitService.indexer) {
+            gitService.indexer.rebuildReferences()
+                .catch((err) => console.warn('Ticket reference rebuild failed:', err.message));
+        }
+        if (updated.global_mailmap !== previousMailmap && gitService.indexer) {
+            gitService.indexer.reapplyMailmaps()
+                .catch((err) => console.warn('Re-applying mailmaps failed:', err.message));
+        }
+        if (updated.language_mappings !== previousLanguages && gitService.indexer) {
+            gitService.indexer.reclassifyLanguages()
+                .catch((err) => console.warn('Language reclassification failed:', err.message));
+        }
+        if ((updated.generated_patterns !== previousFilePatterns.generated
+            || updated.vendored_patterns !== previousFilePatterns.vendored) && gitService.indexer) {
+            gitService.indexer.reflagFiles()
+                .catch((err) => console.warn('Re-flagging generated files failed:', err.message));
+        }
+        if (updated.bot_patterns !== previousBotPatterns) {
+            // Re-flagging is a few UPDATEs, so it runs inline and the response reflects it
+            await new ContributorService(gitService.db).refreshBotFlags(await settings.getBotPatterns());
+        }
         const Scheduler = require('../services/Scheduler');
         res.json({ settings: updated, message: 'Settings saved. Restart or wait for scheduler reschedule on next interval.' });
     } catch (error) {
@@ -213,4 +276,115 @@ router.get('/gitlab/users', authenticateToken, requireAdmin, async (req, res) =>
     }
 });
 
+router.post('/gitlab/import-group', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const client = new GitLabClient(gitService.db);
+        const { groupPath, teamId, startDate } = req.body || {};
+        const result = await client.importGroupMembers(groupPath, {
+            teamId: teamId ? parseInt(teamId, 10) : null,
+            startDate: startDate || null
+        });
+        res.json(result);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Teams and dated memberships
+router.post('/teams', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const svc = new TeamService(gitService.db);
+        const team = await svc.createTeam(req.body || {});
+        res.status(201).json(team);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+router.put('/teams/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const svc = new TeamService(gitService.db);
+        const team = await svc.updateTeam(parseInt(req.params.id, 10), req.body || {});
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        res.json(team);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+router.delete('/teams/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const svc = new TeamService(gitService.db);
+        if (await svc.deleteTeam(parseInt(req.params.id, 10))) {
+            res.json({ message: 'Team deleted' });
+        } else {
+            res.status(404).json({ error: 'Team not found' });
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/teams/:id/members', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { contributorId, startDate, endDate } = req.body || {};
+        const svc = new TeamService(gitService.db);
+        const member = await svc.addMember(parseInt(req.params.id, 10), {
+            contributorId: parseInt(contributorId, 10),
+            startDate,
+            endDate
+        });
+        res.status(201).json(member);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+router.put('/teams/:id/members/:memberId', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { startDate, endDate } = req.body || {};
+        const svc = new TeamService(gitService.db);
+        const member = await svc.updateMember(
+            parseInt(req.params.id, 10),
+            parseInt(req.params.memberId, 10),
+            { startDate, endDate }
+        );
+        res.json(member);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+router.delete('/teams/:id/members/:memberId', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const svc = new TeamService(gitService.db);
+        const removed = await svc.removeMember(parseInt(req.params.id, 10), parseInt(req.params.memberId, 10));
+        if (removed) {
+            res.json({ message: 'Member removed' });
+        } else {
+            res.status(404).json({ error: 'Team member not found' });
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Move a contributor between teams from a given day (earlier commits stay with the old team)
+router.post('/teams/move', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { contributorId, fromTeamId, toTeamId, date } = req.body || {};
+        const svc = new TeamService(gitService.db);
+        const member = await svc.moveMember(parseInt(contributorId, 10), {
+            fromTeamId: fromTeamId ? parseInt(fromTeamId, 10) : null,
+            toTeamId: parseInt(toTeamId, 10),
+            date
+        });
+        res.json(member);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
 module.exports = router;
@@ -2,11 +2,14 @@ const express = require('express');
 const router = express.Router();
 const path = require('path');
 const GitService = require('../models/GitService');
-const { authenticateToken, authenticateApiToken } = require('../middleware/auth');
+const { authenticateToken, authenticateApiToken, requireAdmin } = require('../middleware/auth');
 
 const gitService = new GitService();
 const ContributorService = require('../services/ContributorService');
+const TeamService = require('../services/TeamService');
+const IdentityClusterService = require('../services/IdentityClusterService');
 const { parseUserFilter } = require('../lib/userFilter');
+const { parseMailmap } = require('../lib/mailmap');
 
 gitService.initialize().catch(console.error);
 
@@ -15,9 +18,18 @@ async function ensureAnalytics() {
     return gitService.analytics;
 }
 
-function parseRepositoryIds(repositories) {
-    if (!repositories) return null;
-    return repositories.split(',').map((id) => parseInt(id.trim(), 10)).filter((n) => !Number.isNaN(n));
+// Comma-separated numeric ids (repositories, contributors, teams, ...); null when absent
+function parseIdList(value) {
+    if (!value) return null;
+    return String(value).split(',').map((id) => parseInt(id.trim(), 10)).filter((n) => !Number.isNaN(n));
+}
+
+// 'true' / 'false' query values; anything else means "not filtered"
+function parseOptionalBoolean(value) {
+    const v = String(value).toLowerCase();
+    if (v === 'true') return true;
+    if (v === 'false') return false;
+    return undefined;
 }
 
 // Authentication middleware for both web and API access
@@ -181,7 +193,15 @@ router.get('/commits', authenticate, async (req, res) => {
             includeChanges,
             hash,
             contributorId,
+            teamIds,
             message,
+            credit,
+            path,
+            followRenames,
+            type,
+            scope,
+            breaking,
+            excludeBots,
             page = 1,
             limit = 50
         } = req.query;
@@ -192,15 +212,23 @@ router.get('/commits', authenticate, async (req, res) => {
             userIdentifiers: identifiers,
             gitAuthorPattern,
             contributorId: contributorId ? parseInt(contributorId, 10) : null,
+            teamIds: parseIdList(teamIds),
             hash,
             message,
             startDate,
             endDate,
-            repositoryIds: parseRepositoryIds(repositories),
+            repositoryIds: parseIdList(repositories),
             branch,
             includeUnnamed: String(includeUnnamed).toLowerCase() === 'true',
             includeChanges: String(includeChanges).toLowerCase() === 'true',
             noCache: String(noCache).toLowerCase() === 'true',
+            credit,
+            path,
+            followRenames: String(followRenames).toLowerCase() !== 'false',
+            type,
+            scope,
+            breaking: parseOptionalBoolean(breaking),
+            excludeBots: parseOptionalBoolean(excludeBots),
             page: parseInt(page, 10) || 1,
             limit: parseInt(limit, 10) || 50
         });
@@ -250,8 +278,16 @@ router.get('/code-changes', authenticate, async (req, res) => {
             repositories,
             includeUnnamed,
             contributorId,
+            teamIds,
             hash,
             message,
+            credit,
+            path,
+            followRenames,
+            type,
+            scope,
+            breaking,
+            excludeBots,
             page = 1,
             limit = 50
         } = req.query;
@@ -262,14 +298,22 @@ router.get('/code-changes', authenticate, async (req, res) => {
             userIdentifiers: identifiers,
             gitAuthorPattern,
             contributorId: contributorId ? parseInt(contributorId, 10) : null,
+            teamIds: parseIdList(teamIds),
             hash,
             message,
             startDate,
             endDate,
-            repositoryIds: parseRepositoryIds(repositories),
+            repositoryIds: parseIdList(repositories),
             includeUnnamed: String(includeUnnamed).toLowerCase() === 'true',
             page: parseInt(page, 10) || 1,
             limit: parseInt(limit, 10) || 50,
+            credit,
+            path,
+            followRenames: String(followRenames).toLowerCase() !== 'false',
+            type,
+            scope,
+            breaking: parseOptionalBoolean(breaking),
+            excludeBots: parseOptionalBoolean(excludeBots),
             includeChanges: true
         });
 
@@ -282,14 +326,237 @@ router.get('/code-changes', authenticate, async (req, res) => {
 // Analytics summary
 router.get('/analytics', authenticate, async (req, res) => {
     try {
-        const { startDate, endDate, repositories, contributorIds } = req.query;
+        const {
+            startDate,
+            endDate,
+            repositories,
+            contributorIds,
+            teamIds,
+            credit,
+            compare,
+            compareStartDate,
+            compareEndDate,
+            excludeBots,
+            includeGenerated
+        } = req.query;
         const analytics = await ensureAnalytics();
-        const repoIds = parseRepositoryIds(repositories);
-        const contribIds = contributorIds
-            ? contributorIds.split(',').map((id) => parseInt(id.trim(), 10)).filter((n) => !Number.isNaN(n))
-            : null;
-        const summary = await analytics.getAnalyticsSummary(startDate, endDate, repoIds, contribIds);
+        const repoIds = parseIdList(repositories);
+        const summary = await analytics.getAnalyticsSummary(startDate, endDate, repoIds, parseIdList(contributorIds), {
+            credit,
+            teamIds: parseIdList(teamIds),
+            compare,
+            compareStartDate,
+            compareEndDate,
+            excludeBots: parseOptionalBoolean(excludeBots),
+            includeGenerated: parseOptionalBoolean(includeGenerated)
+        });
         res.json(summary);
+    } catch (error) {
+        const status = /^compare must/.test(error.message) ? 400 : 500;
+        res.status(status).json({ error: error.message });
+    }
+});
+
+// Files and directories ranked by change frequency, churn and distinct authors
+router.get('/analytics/hotspots', authenticate, async (req, res) => {
+    try {
+        const {
+            startDate,
+            endDate,
+            repositories,
+            contributorIds,
+            groupBy,
+            prefix,
+            sort,
+            limit,
+            followRenames,
+            excludeBots,
+            includeGenerated
+        } = req.query;
+        const analytics = await ensureAnalytics();
+        const report = await analytics.getHotspots({
+            startDate,
+            endDate,
+            repositoryIds: parseIdList(repositories),
+            contributorIds: parseIdList(contributorIds),
+            groupBy: groupBy === 'directory' ? 'directory' : 'file',
+            prefix,
+            sort,
+            limit: parseInt(limit, 10) || 50,
+            followRenames: followRenames !== 'false',
+            excludeBots: parseOptionalBoolean(excludeBots),
+            includeGenerated: parseOptionalBoolean(includeGenerated)
+        });
+        res.json(report);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Ownership shares and bus factor per repository/directory
+router.get('/analytics/ownership', authenticate, async (req, res) => {
+    try {
+        const { startDate, endDate, repositories, threshold, inactiveDays, depth, excludeBots, includeGenerated } = req.query;
+        const analytics = await ensureAnalytics();
+        const report = await analytics.getOwnershipReport({
+            startDate,
+            endDate,
+            repositoryIds: parseIdList(repositories),
+            threshold: threshold != null ? parseFloat(threshold) : undefined,
+            inactiveDays,
+            depth,
+            excludeBots: parseOptionalBoolean(excludeBots),
+            includeGenerated: parseOptionalBoolean(includeGenerated)
+        });
+        res.json(report);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Day-of-week × hour-of-day activity in each author's local time
+// Monthly new / retained / churned contributors, overall and per repository
+router.get('/analytics/lifecycle', authenticate, async (req, res) => {
+    try {
+        const { startDate, endDate, repositories, workspaces, churnAfterMonths, excludeBots } = req.query;
+        const analytics = await ensureAnalytics();
+        const report = await analytics.getContributorLifecycle({
+            startDate,
+            endDate,
+            repositoryIds: parseIdList(repositories),
+            workspaceIds: parseIdList(workspaces),
+            churnAfterMonths,
+            excludeBots: parseOptionalBoolean(excludeBots)
+        });
+        res.json(report);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.get('/analytics/coupling', authenticate, async (req, res) => {
+    try {
+        const {
+            startDate,
+            endDate,
+            repositories,
+            prefix,
+            minCoChanges,
+            minDegree,
+            maxFilesPerCommit,
+            moduleDepth,
+            crossModuleOnly,
+            limit,
+            followRenames,
+            excludeBots,
+            includeGenerated
+        } = req.query;
+        const analytics = await ensureAnalytics();
+        const report = await analytics.getChangeCoupling({
+            startDate,
+            endDate,
+            repositoryIds: parseIdList(repositories),
+            prefix,
+            minCoChanges,
+            minDegree,
+            maxFilesPerCommit,
+            moduleDepth,
+            crossModuleOnly: crossModuleOnly === 'true',
+            limit,
+            followRenames: followRenames !== 'false',
+            excludeBots: parseOptionalBoolean(excludeBots),
+            includeGenerated: parseOptionalBoolean(includeGenerated)
+        });
+        res.json(report);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.get('/analytics/rework', authenticate, async (req, res) => {
+    try {
+        const { startDate, endDate, repositories, contributorIds, windowDays, excludeBots, includeGenerated } = req.query;
+        const analytics = await ensureAnalytics();
+        const report = await analytics.getRework({
+            startDate,
+            endDate,
+            repositoryIds: parseIdList(repositories),
+            contributorIds: parseIdList(contributorIds),
+            windowDays,
+            excludeBots: parseOptionalBoolean(excludeBots),
+            includeGenerated: parseOptionalBoolean(includeGenerated)
+        });
+        res.json(report);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.get('/analytics/working-hours', authenticate, async (req, res) => {
+    try {
+        const {
+            startDate,
+            endDate,
+            repositories,
+            contributorIds,
+            teamIds,
+            credit,
+            workdayStart,
+            workdayEnd,
+            excludeBots
+        } = req.query;
+        const analytics = await ensureAnalytics();
+        const report = await analytics.getWorkingHours({
+            startDate,
+            endDate,
+            repositoryIds: parseIdList(repositories),
+            contributorIds: parseIdList(contributorIds),
+            teamIds: parseIdList(teamIds),
+            credit,
+            workdayStart,
+            workdayEnd,
+            excludeBots: parseOptionalBoolean(excludeBots)
+        });
+        res.json(report);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Issue-tracker keys referenced by commits in a date range
+router.get('/tickets', authenticate, async (req, res) => {
+    try {
+        const { startDate, endDate, repositories, contributorIds, project, excludeBots, page = 1, limit = 50 } = req.query;
+        const analytics = await ensureAnalytics();
+        const result = await analytics.getTickets({
+            startDate,
+            endDate,
+            repositoryIds: parseIdList(repositories),
+            contributorIds: parseIdList(contributorIds),
+            project,
+            excludeBots: parseOptionalBoolean(excludeBots),
+            page: parseInt(page, 10) || 1,
+            limit: parseInt(limit, 10) || 50
+        });
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// All indexed commits referencing one ticket key
+router.get('/tickets/:key/commits', authenticate, async (req, res) => {
+    try {
+        const { repositories, excludeBots, page = 1, limit = 50 } = req.query;
+        const analytics = await ensureAnalytics();
+        const result = await analytics.getTicketCommits({
+            key: req.params.key,
+            repositoryIds: parseIdList(repositories),
+            excludeBots: parseOptionalBoolean(excludeBots),
+            page: parseInt(page, 10) || 1,
+            limit: parseInt(limit, 10) || 50
+        });
+        res.json(result);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -329,6 +596,125 @@ router.get('/contributors/suggestions', authenticate, async (req, res) => {
     }
 });
 
+// Suggested clusters of unmapped identities (rebuilt daily by the scheduler or on demand)
+router.get('/contributors/clusters', authenticate, async (req, res) => {
+    try {
+        const svc = new IdentityClusterService(gitService.db);
+        const clusters = await svc.listClusters({
+            limit: parseInt(req.query.limit, 10) || 50,
+            minScore: parseFloat(req.query.minScore) || 0
+        });
+        res.json(clusters);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/contributors/clusters/rebuild', authenticate, async (req, res) => {
+    try {
+        const svc = new IdentityClusterService(gitService.db);
+        res.json(await svc.rebuild());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/contributors/clusters/:id/accept', authenticate, async (req, res) => {
+    try {
+        const svc = new IdentityClusterService(gitService.db);
+        const { contributorId, displayName, primaryEmail, exclude } = req.body || {};
+        const result = await svc.acceptCluster(parseInt(req.params.id, 10), {
+            contributorId: contributorId ? parseInt(contributorId, 10) : null,
+            displayName,
+            primaryEmail,
+            exclude: Array.isArray(exclude) ? exclude : []
+        });
+        res.json(result);
+    } catch (error) {
+        const status = /not found/i.test(error.message) ? 404 : 400;
+        res.status(status).json({ error: error.message });
+    }
+});
+
+router.post('/contributors/clusters/:id/dismiss', authenticate, async (req, res) => {
+    try {
+        const svc = new IdentityClusterService(gitService.db);
+        const dismissed = await svc.dismissCluster(parseInt(req.params.id, 10));
+        if (!dismissed) return res.status(404).json({ error: 'Cluster not found' });
+        res.json({ dismissed: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Contributor/alias graph as a .mailmap file (?format=json wraps it for API clients)
+router.get('/contributors/mailmap', authenticate, async (req, res) => {
+    try {
+        const svc = new ContributorService(gitService.db);
+        const content = await svc.exportMailmap();
+        if (req.query.format === 'json') {
+            return res.json({ content });
+        }
+        res.set('Content-Type', 'text/plain; charset=utf-8');
+        res.set('Content-Disposition', 'attachment; filename=".mailmap"');
+        res.send(content);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/contributors/mailmap/import', authenticate, async (req, res) => {
+    try {
+        const { content, overwrite } = req.body || {};
+        const entries = parseMailmap(content);
+        if (!entries.length) {
+            return res.status(400).json({ error: 'No valid .mailmap entries found' });
+        }
+        const svc = new ContributorService(gitService.db);
+        const result = await svc.applyMailmap(entries, { overwrite: overwrite !== false });
+        res.json(result);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Recorded contributor merges, newest first
+router.get('/contributors/merges', authenticate, async (req, res) => {
+    try {
+        const svc = new ContributorService(gitService.db);
+        res.json(await svc.listMerges({ limit: req.query.limit }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/contributors/merges/:id/undo', authenticate, async (req, res) => {
+    try {
+        const svc = new ContributorService(gitService.db);
+        res.json(await svc.undoMerge(parseInt(req.params.id, 10)));
+    } catch (error) {
+        res.status(/not found/i.test(error.message) ? 404 : 400).json({ error: error.message });
+    }
+});
+
+// Profile of one contributor; the activity calendar and top files cover startDate..endDate (default: last year)
+router.get('/contributors/:id/profile', authenticate, async (req, res) => {
+    try {
+        const { startDate, endDate, repositories, includeGenerated } = req.query;
+        const analytics = await ensureAnalytics();
+        const profile = await analytics.getContributorProfile(parseInt(req.params.id, 10), {
+            startDate,
+            endDate,
+            repositoryIds: parseIdList(repositories),
+            includeGenerated: parseOptionalBoolean(includeGenerated)
+        });
+        if (!profile) return res.status(404).json({ error: 'Contributor not found' });
+        res.json(profile);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 router.get('/contributors/:id', authenticate, async (req, res) => {
     try {
         const svc = new ContributorService(gitService.db);
@@ -373,6 +759,39 @@ router.post('/contributors/:id/aliases', authenticate, async (req, res) => {
     }
 });
 
+router.delete('/contributors/:id/aliases/:aliasId', authenticate, async (req, res) => {
+    try {
+        const svc = new ContributorService(gitService.db);
+        const removed = await svc.removeAlias(parseInt(req.params.id, 10), parseInt(req.params.aliasId, 10));
+        if (!removed) return res.status(404).json({ error: 'Alias not found' });
+        res.json({ removed: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/contributors/:id/aliases/move', authenticate, async (req, res) => {
+    try {
+        const { aliasIds, targetId } = req.body;
+        const svc = new ContributorService(gitService.db);
+        const contributor = await svc.moveAliases(parseInt(req.params.id, 10), aliasIds, parseInt(targetId, 10));
+        res.json(contributor);
+    } catch (error) {
+        res.status(/not found/i.test(error.message) ? 404 : 400).json({ error: error.message });
+    }
+});
+
+router.post('/contributors/:id/split', authenticate, async (req, res) => {
+    try {
+        const { aliasIds, displayName, primaryEmail } = req.body;
+        const svc = new ContributorService(gitService.db);
+        const contributor = await svc.splitContributor(parseInt(req.params.id, 10), { aliasIds, displayName, primaryEmail });
+        res.status(201).json(contributor);
+    } catch (error) {
+        res.status(/not found/i.test(error.message) ? 404 : 400).json({ error: error.message });
+    }
+});
+
 router.post('/contributors/merge', authenticate, async (req, res) => {
     try {
         const { targetId, sourceIds } = req.body;
@@ -384,6 +803,30 @@ router.post('/contributors/merge', authenticate, async (req, res) => {
     }
 });
 
+// Teams (managed under /api/admin/teams)
+router.get('/teams', authenticate, async (req, res) => {
+    try {
+        const svc = new TeamService(gitService.db);
+        const teams = await svc.listTeams();
+        res.json(teams);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.get('/teams/:id', authenticate, async (req, res) => {
+    try {
+        const svc = new TeamService(gitService.db);
+        const team = await svc.getTeam(parseInt(req.params.id, 10));
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        res.json(team);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Indexing progress (poll while indexing)
 router.get('/index/status', authenticate, async (req, res) => {
     try {
@@ -394,6 +837,33 @@ router.get('/index/status', authenticate, async (req, res) => {
     }
 });
 
+// Persistent index queue: unfinished jobs first, then recently finished ones
+router.get('/index/jobs', authenticate, async (req, res) => {
+    try {
+        if (!gitService.indexer) await gitService.initialize();
+        const { status, limit } = req.query;
+        const result = await gitService.indexer.listJobs({
+            status: status ? String(status).split(',').map((st) => st.trim()) : [],
+            limit
+        });
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Re-run a failed index job with a fresh set of attempts
+router.post('/index/jobs/:id/retry', authenticate, requireAdmin, async (req, res) => {
+    try {
+        if (!gitService.indexer) await gitService.initialize();
+        const job = await gitService.indexer.retryJob(parseInt(req.params.id, 10));
+        if (!job) return res.status(404).json({ error: 'No failed job with that id' });
+        res.json(job);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Trigger manual index (background, newest-first)
 router.post('/index', authenticate, async (req, res) => {
     try {
@@ -431,6 +901,120 @@ router.get('/repositories/:id/changes', authenticate, async (req, res) => {
     }
 });
 
+// Commits that touched a file, directory prefix or glob, following renames
+router.get('/repositories/:id/files/history', authenticate, async (req, res) => {
+    try {
+        const { path, startDate, endDate, followRenames, excludeBots, includeGenerated, page = 1, limit = 50 } = req.query;
+        if (!path || !String(path).trim()) {
+            return res.status(400).json({ error: 'path is required' });
+        }
+        const analytics = await ensureAnalytics();
+        const history = await analytics.getFileHistory({
+            repositoryId: parseInt(req.params.id, 10),
+            path,
+            startDate,
+            endDate,
+            followRenames: String(followRenames).toLowerCase() !== 'false',
+            excludeBots: parseOptionalBoolean(excludeBots),
+            includeGenerated: parseOptionalBoolean(includeGenerated),
+            page: parseInt(page, 10) || 1,
+            limit: parseInt(limit, 10) || 50
+        });
+        if (!history) return res.status(404).json({ error: 'Repository not found' });
+        res.json(history);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Annotated and lightweight tags (synced on indexing; refresh=true re-reads git)
+router.get('/repositories/:id/tags', authenticate, async (req, res) => {
+    try {
+        const analytics = await ensureAnalytics();
+        const result = await analytics.listTags(parseInt(req.params.id, 10), {
+            refresh: String(req.query.refresh).toLowerCase() === 'true'
+        });
+        if (!result) return res.status(404).json({ error: 'Repository not found' });
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Commits, contributors and line stats between two refs (from defaults to the previous tag)
+router.get('/repositories/:id/compare', authenticate, async (req, res) => {
+    try {
+        const { from, to, includeMerges, excludeBots, includeGenerated } = req.query;
+        const analytics = await ensureAnalytics();
+        const result = await analytics.compareRefs({
+            repositoryId: parseInt(req.params.id, 10),
+            from: from ? String(from) : null,
+            to: to ? String(to) : 'HEAD',
+            includeMerges: String(includeMerges).toLowerCase() === 'true',
+            excludeBots: parseOptionalBoolean(excludeBots),
+            includeGenerated: parseOptionalBoolean(includeGenerated)
+        });
+        res.json(result);
+    } catch (error) {
+        const status = /Repository not found/.test(error.message)
+            ? 404
+            : /Invalid revision|Unknown revision|No tag found/.test(error.message) ? 400 : 500;
+        res.status(status).json({ error: error.message });
+    }
+});
+
+// Markdown release notes between two refs or dates (JSON with format=json)
+router.get('/repositories/:id/changelog', authenticate, async (req, res) => {
+    try {
+        const { from, to, startDate, endDate, format, excludeBots, includeGenerated } = req.query;
+        const analytics = await ensureAnalytics();
+        const notes = await analytics.generateChangelog({
+            repositoryId: parseInt(req.params.id, 10),
+            from: from ? String(from) : null,
+            to: to ? String(to) : null,
+            startDate,
+            endDate,
+            excludeBots: parseOptionalBoolean(excludeBots),
+            includeGenerated: parseOptionalBoolean(includeGenerated)
+        });
+        if (!notes) return res.status(404).json({ error: 'Repository not found' });
+        if (format === 'json') {
+            return res.json(notes);
+        }
+        const label = notes.range.mode === 'refs' ? notes.range.to : notes.range.endDate.slice(0, 10);
+        const filename = `release-notes-${String(label).replace(/[^\w.-]+/g, '_')}.md`;
+        res.set('Content-Type', 'text/markdown; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(notes.markdown);
+    } catch (error) {
+        const status = /Invalid revision|Unknown revision|No tag found/.test(error.message) ? 400 : 500;
+        res.status(status).json({ error: error.message });
+    }
+});
+
+// Line authorship of a file at a revision, resolved to canonical contributors
+router.get('/repositories/:id/blame', authenticate, async (req, res) => {
+    try {
+        const { path, rev } = req.query;
+        if (!path || !String(path).trim()) {
+            return res.status(400).json({ error: 'path is required' });
+        }
+        if (rev && String(rev).startsWith('-')) {
+            return res.status(400).json({ error: 'Invalid revision' });
+        }
+        const analytics = await ensureAnalytics();
+        const blame = await analytics.getBlame({
+            repositoryId: parseInt(req.params.id, 10),
+            path: String(path),
+            rev: rev ? String(rev) : 'HEAD'
+        });
+        res.json(blame);
+    } catch (error) {
+        const notFound = /Repository not found|no such path|bad revision/i.test(error.message);
+        res.status(notFound ? 404 : 500).json({ error: error.message });
+    }
+});
+
 // Get all git users across all repositories
 router.get('/users', authenticate, async (req, res) => {
     try {
@@ -461,34 +1045,53 @@ router.get('/repositories/:id/branches', authenticate, async (req, res) => {
     }
 });
 
-// Search commits by message
+// Full-text search over commit messages and bodies (ranked)
 router.get('/search/commits', authenticate, async (req, res) => {
     try {
-        const { query, repositories, startDate, endDate, branch, page = 1, limit = 50 } = req.query;
+        const {
+            query,
+            user,
+            users,
+            contributorId,
+            repositories,
+            startDate,
+            endDate,
+            branch,
+            sort,
+            includeUnnamed,
+            credit,
+            excludeBots,
+            page = 1,
+            limit = 50
+        } = req.query;
 
         if (!query) {
             return res.status(400).json({ error: 'Search query is required' });
         }
 
-        const repositoryIds = repositories ? repositories.split(',').map(id => parseInt(id.trim())) : null;
-        const pgNum = Math.max(1, parseInt(page, 10) || 1);
-        const lmNum = Math.max(1, parseInt(limit, 10) || 50);
-        const earlyLimit = pgNum * lmNum;
-
         const analytics = await ensureAnalytics();
-        const result = await analytics.queryCommits({
-            message: query,
+        const { identifiers } = parseUserFilter({ user, users });
+        const result = await analytics.searchCommits({
+            query,
+            userIdentifiers: identifiers,
+            contributorId: contributorId ? parseInt(contributorId, 10) : null,
+            repositoryIds: parseIdList(repositories),
             startDate,
             endDate,
-            repositoryIds,
             branch,
-            page: pgNum,
-            limit: lmNum
+            sort: sort === 'date' ? 'date' : 'relevance',
+            includeUnnamed: String(includeUnnamed).toLowerCase() === 'true',
+            credit,
+            excludeBots: parseOptionalBoolean(excludeBots),
+            page: Math.max(1, parseInt(page, 10) || 1),
+            limit: Math.max(1, parseInt(limit, 10) || 50)
         });
 
         res.json(result);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        // e.g. `-foo` or `(`: nothing left to match
+        const status = /^Search query must/.test(error.message) ? 400 : 500;
+        res.status(status).json({ error: error.message });
     }
 });
 
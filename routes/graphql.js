@@ -5,8 +5,11 @@ const GitService = require('../models/GitService');
 const ContributorService = require('../services/ContributorService');
 const SettingsService = require('../services/SettingsService');
 const GitLabClient = require('../services/GitLabClient');
+const TeamService = require('../services/TeamService');
+const IdentityClusterService = require('../services/IdentityClusterService');
 const { authenticateToken, authenticateApiToken } = require('../middleware/auth');
 const { parseUserFilter } = require('../lib/userFilter');
+const { parseMailmap } = require('../lib/mailmap');
 
 const authenticate = (req, res, next) => {
   const apiKey = req.headers['x-api-key'];
@@ -23,6 +26,8 @@ const typeDefs = /* GraphQL */ `
     description: String
     display_name: String
     folder_name: String
+    generated_patterns: String
+    vendored_patterns: String
   }
 
   type Commit {
@@ -38,12 +43,27 @@ const typeDefs = /* GraphQL */ `
     message: String
     body: String
     branch: String
+    type: String
+    scope: String
+    breaking: Boolean
+    tickets: [TicketRef!]
     files: [FileStat!]
     changes: String
+    rank: Float
+    coAuthors: [CoAuthor!]
+  }
+
+  type CoAuthor {
+    name: String
+    email: String!
+    contributorId: Int
+    contributorName: String
   }
 
   type FileStat {
     filename: String!
+    oldFilename: String
+    changeType: String
     additions: Int!
     deletions: Int!
   }
@@ -56,7 +76,12 @@ const typeDefs = /* GraphQL */ `
     email: String
     date: String
     message: String
+    type: String
+    scope: String
+    breaking: Boolean
     files: [FileStat!]!
+    coAuthors: [CoAuthor!]
+    tickets: [TicketRef!]
   }
 
   type Pagination {
@@ -95,9 +120,20 @@ const typeDefs = /* GraphQL */ `
     totalCommits: Int!
     contributors: Int!
     branches: Int!
+    languages: [LanguageStats!]!
     lastCommit: CommitSummary
   }
 
+  type LanguageStats {
+    language: String!
+    commits: Int!
+    files: Int!
+    additions: Int!
+    deletions: Int!
+    churn: Int!
+    share: Float!
+  }
+
   type Branches {
     current: String
     detached: Boolean
@@ -139,9 +175,13 @@ const typeDefs = /* GraphQL */ `
     primary_email: String
     gitlab_user_id: Int
     alias_count: Int
+    is_bot: Boolean
+    bot_manual: Boolean
+    aliases: [ContributorAlias!]
   }
 
   type ContributorAlias {
+    id: Int
     author_name: String
     author_email: String
     commit_count: Int
@@ -159,6 +199,15 @@ const typeDefs = /* GraphQL */ `
     commit_count: Int!
   }
 
+  type TeamStats {
+    name: String!
+    team_id: Int!
+    commit_count: Int!
+    contributors: Int!
+    additions: Int!
+    deletions: Int!
+  }
+
   type TimeBucket {
     bucket: String!
     count: Int!
@@ -170,21 +219,693 @@ const typeDefs = /* GraphQL */ `
     deletions: Int!
   }
 
+  type CommitTypeCount {
+    type: String!
+    count: Int!
+  }
+
+  type CommitTypeBucket {
+    bucket: String!
+    type: String!
+    count: Int!
+  }
+
+  type CommitTypeGroup {
+    repositoryId: Int
+    contributorId: Int
+    name: String
+    total: Int!
+    types: [CommitTypeCount!]!
+  }
+
+  type FixFeatureBucket {
+    bucket: String!
+    feat: Int!
+    fix: Int!
+    ratio: Float
+  }
+
+  type CommitTypeBreakdown {
+    totals: [CommitTypeCount!]!
+    overTime: [CommitTypeBucket!]!
+    byRepository: [CommitTypeGroup!]!
+    byContributor: [CommitTypeGroup!]!
+    breaking: Int!
+    fixToFeatureRatio: Float
+    ratioOverTime: [FixFeatureBucket!]!
+  }
+
+  type PeriodRange {
+    startDate: String!
+    endDate: String!
+  }
+
+  type MetricChange {
+    current: Int!
+    previous: Int!
+    delta: Int!
+    percent: Float
+  }
+
+  type PeriodTotals {
+    commits: MetricChange!
+    filesChanged: MetricChange!
+    additions: MetricChange!
+    deletions: MetricChange!
+    contributors: MetricChange!
+    repositories: MetricChange!
+  }
+
+  type RankedChange {
+    name: String
+    contributorId: Int
+    repositoryId: Int
+    current: Int!
+    previous: Int!
+    delta: Int!
+    percent: Float
+  }
+
+  type PeriodComparison {
+    mode: String!
+    current: PeriodRange!
+    previous: PeriodRange!
+    totals: PeriodTotals!
+    topContributors: [RankedChange!]!
+    topRepositories: [RankedChange!]!
+  }
+
   type AnalyticsSummary {
     recentCommits: [Commit!]!
     topContributors: [ContributorStats!]!
     topRepositories: [RepositoryStats!]!
+    topTeams: [TeamStats!]!
     commitsOverTime: [TimeBucket!]!
     linesOverTime: [LinesBucket!]!
+    commitTypes: CommitTypeBreakdown!
+    languages: [LanguageStats!]!
+    comparison: PeriodComparison
+    activeContributors: Int!
+    activeRepositories: Int!
     filesChanged: Int!
     totalAdditions: Int!
     totalDeletions: Int!
   }
 
+  type Hotspot {
+    repositoryId: Int!
+    repository: String
+    path: String!
+    name: String!
+    isDirectory: Boolean!
+    changes: Int!
+    additions: Int!
+    deletions: Int!
+    churn: Int!
+    authors: Int!
+    lastChanged: String
+  }
+
+  type LifecycleMonth {
+    month: String!
+    new: Int!
+    retained: Int!
+    churned: Int!
+    active: Int!
+  }
+
+  type LifecycleTotals {
+    contributors: Int!
+    new: Int!
+    churned: Int!
+    active: Int!
+  }
+
+  type RepositoryLifecycle {
+    repositoryId: Int!
+    repository: String
+    indexedFrom: String
+    contributors: Int!
+    new: Int!
+    churned: Int!
+    active: Int!
+  }
+
+  type ContributorLifecycle {
+    startMonth: String!
+    endMonth: String!
+    churnAfterMonths: Int!
+    indexedFrom: String
+    months: [LifecycleMonth!]!
+    totals: LifecycleTotals!
+    byRepository: [RepositoryLifecycle!]!
+  }
+
+  type CouplingPair {
+    repositoryId: Int!
+    repository: String
+    fileA: String!
+    fileB: String!
+    coChanges: Int!
+    changesA: Int!
+    changesB: Int!
+    support: Float!
+    confidence: Float!
+    degree: Float!
+    crossModule: Boolean!
+  }
+
+  type ChangeCouplingReport {
+    startDate: String!
+    endDate: String!
+    minCoChanges: Int!
+    minDegree: Float!
+    maxFilesPerCommit: Int!
+    moduleDepth: Int!
+    commits: Int!
+    skippedCommits: Int!
+    pairs: [CouplingPair!]!
+  }
+
+  type ReworkTotals {
+    added: Int!
+    reworked: Int!
+    reworkedByOthers: Int!
+    reworkRate: Float!
+    survivalRate: Float!
+  }
+
+  type RepositoryRework {
+    repositoryId: Int!
+    repository: String
+    added: Int!
+    reworked: Int!
+    reworkedByOthers: Int!
+    reworkRate: Float!
+    survivalRate: Float!
+  }
+
+  type DirectoryRework {
+    repositoryId: Int!
+    repository: String
+    directory: String!
+    added: Int!
+    reworked: Int!
+    reworkedByOthers: Int!
+    reworkRate: Float!
+    survivalRate: Float!
+  }
+
+  type ContributorRework {
+    contributorId: Int
+    name: String!
+    added: Int!
+    reworked: Int!
+    reworkedByOthers: Int!
+    reworkRate: Float!
+    survivalRate: Float!
+  }
+
+  type ReworkReport {
+    windowDays: Int!
+    startDate: String!
+    endDate: String!
+    pendingCommits: Int!
+    totals: ReworkTotals!
+    byRepository: [RepositoryRework!]!
+    byDirectory: [DirectoryRework!]!
+    byContributor: [ContributorRework!]!
+  }
+
+  type ProfileContributor {
+    id: Int!
+    displayName: String!
+    primaryEmail: String
+    isBot: Boolean!
+  }
+
+  type ProfileGitLabUser {
+    username: String
+    name: String
+    email: String
+    avatarUrl: String
+  }
+
+  type ProfileAlias {
+    id: Int!
+    authorName: String
+    authorEmail: String
+    commitCount: Int!
+  }
+
+  type ProfileTotals {
+    commits: Int!
+    additions: Int!
+    deletions: Int!
+    repositories: Int!
+    firstCommit: String
+    lastCommit: String
+  }
+
+  type ProfileRepository {
+    repositoryId: Int!
+    name: String
+    commits: Int!
+    firstCommit: String
+    lastCommit: String
+  }
+
+  type ContributorProfile {
+    contributor: ProfileContributor!
+    gitlab: ProfileGitLabUser
+    aliases: [ProfileAlias!]!
+    totals: ProfileTotals!
+    repositories: [ProfileRepository!]!
+    startDate: String!
+    endDate: String!
+    calendar: [TimeBucket!]!
+    commitTypes: [CommitTypeCount!]!
+    languages: [LanguageStats!]!
+    topFiles: [Hotspot!]!
+    topDirectories: [Hotspot!]!
+  }
+
+  type HotspotReport {
+    groupBy: String!
+    prefix: String
+    sort: String!
+    items: [Hotspot!]!
+  }
+
+  type OwnershipShare {
+    contributorId: Int
+    name: String!
+    churn: Int!
+    share: Float!
+    lastActive: String
+    inactive: Boolean!
+  }
+
+  type DirectoryOwnership {
+    path: String!
+    totalChurn: Int!
+    busFactor: Int!
+    dominantOwner: OwnershipShare
+    atRisk: Boolean!
+    owners: [OwnershipShare!]!
+  }
+
+  type RepositoryOwnership {
+    repositoryId: Int!
+    repository: String
+    totalChurn: Int!
+    busFactor: Int!
+    owners: [OwnershipShare!]!
+    directories: [DirectoryOwnership!]!
+  }
+
+  type OwnershipReport {
+    threshold: Float!
+    inactiveDays: Int!
+    depth: Int!
+    startDate: String!
+    endDate: String!
+    repositories: [RepositoryOwnership!]!
+  }
+
+  type HeatmapCell {
+    day: Int!
+    hour: Int!
+    count: Int!
+  }
+
+  type UtcOffsetCount {
+    minutes: Int
+    label: String!
+    commits: Int!
+  }
+
+  type WorkingHoursTotals {
+    commits: Int!
+    afterHours: Int!
+    weekend: Int!
+    afterHoursShare: Float!
+    weekendShare: Float!
+  }
+
+  type WorkingHoursReport {
+    startDate: String
+    endDate: String
+    workdayStart: Int!
+    workdayEnd: Int!
+    totals: WorkingHoursTotals!
+    cells: [HeatmapCell!]!
+    offsets: [UtcOffsetCount!]!
+  }
+
+  type TicketRef {
+    key: String!
+    url: String
+  }
+
+  type TicketSummary {
+    key: String!
+    url: String
+    commits: Int!
+    repositories: Int!
+    contributors: Int!
+    firstCommit: String
+    lastCommit: String
+  }
+
+  type TicketList {
+    project: String
+    tickets: [TicketSummary!]!
+    pagination: Pagination!
+  }
+
+  type TicketTotals {
+    commits: Int!
+    repositories: Int!
+    contributors: Int!
+    firstCommit: String
+    lastCommit: String
+  }
+
+  type TicketRepository {
+    repositoryId: Int!
+    name: String
+    commits: Int!
+    firstCommit: String
+    lastCommit: String
+  }
+
+  type TicketContributor {
+    contributorId: Int
+    name: String
+    commits: Int!
+  }
+
+  type TicketCommits {
+    key: String!
+    url: String
+    totals: TicketTotals!
+    repositories: [TicketRepository!]!
+    contributors: [TicketContributor!]!
+    commits: [Commit!]!
+    pagination: Pagination!
+  }
+
+  type Tag {
+    name: String!
+    type: String!
+    commitHash: String!
+    taggerName: String
+    taggerEmail: String
+    date: String
+    message: String
+  }
+
+  type TagList {
+    repositoryId: Int!
+    repository: String!
+    tags: [Tag!]!
+  }
+
+  type CompareRef {
+    ref: String!
+    hash: String!
+    tags: [String!]!
+  }
+
+  type CompareCommit {
+    hash: String!
+    author: String
+    authorEmail: String
+    contributorId: Int
+    contributorName: String
+    date: String
+    message: String
+    files: Int!
+    additions: Int!
+    deletions: Int!
+    tags: [String!]!
+  }
+
+  type CompareContributor {
+    contributorId: Int
+    name: String
+    email: String
+    commits: Int!
+    additions: Int!
+    deletions: Int!
+  }
+
+  type CompareTotals {
+    commits: Int!
+    contributors: Int!
+    additions: Int!
+    deletions: Int!
+  }
+
+  type DiffStat {
+    files: Int!
+    additions: Int!
+    deletions: Int!
+  }
+
+  type RefComparison {
+    repositoryId: Int!
+    repository: String!
+    from: CompareRef!
+    to: CompareRef!
+    totals: CompareTotals!
+    diff: DiffStat!
+    contributors: [CompareContributor!]!
+    commits: [CompareCommit!]!
+  }
+
+  type ChangelogEntry {
+    hash: String!
+    type: String
+    scope: String
+    description: String!
+    breaking: Boolean!
+    breakingNote: String
+    author: String
+  }
+
+  type ChangelogSection {
+    key: String!
+    title: String!
+    commits: [ChangelogEntry!]!
+  }
+
+  type ChangelogCredit {
+    contributorId: Int
+    name: String
+    email: String
+    commits: Int!
+  }
+
+  type ChangelogRange {
+    mode: String!
+    from: String
+    to: String
+    fromHash: String
+    toHash: String
+    startDate: String
+    endDate: String
+  }
+
+  type Changelog {
+    repositoryId: Int!
+    repository: String!
+    range: ChangelogRange!
+    title: String!
+    commitCount: Int!
+    sections: [ChangelogSection!]!
+    contributors: [ChangelogCredit!]!
+    markdown: String!
+    indexing: Boolean
+  }
+
+  type BlameRange {
+    startLine: Int!
+    endLine: Int!
+    lines: Int!
+    hash: String!
+    author: String
+    authorEmail: String
+    contributorId: Int
+    contributorName: String
+    date: String
+    summary: String
+  }
+
+  type BlameOwner {
+    contributorId: Int
+    name: String
+    email: String
+    lines: Int!
+    percentage: Float!
+    lastCommit: String
+  }
+
+  type Blame {
+    repositoryId: Int!
+    repository: String!
+    path: String!
+    rev: String!
+    totalLines: Int!
+    contributors: [BlameOwner!]!
+    ranges: [BlameRange!]!
+  }
+
+  type FileHistoryCommit {
+    repositoryId: Int
+    hash: String!
+    author: String
+    authorEmail: String
+    contributorId: Int
+    contributorName: String
+    date: String
+    message: String
+    branch: String
+    filename: String!
+    oldFilename: String
+    changeType: String
+    matchedFiles: Int!
+    additions: Int!
+    deletions: Int!
+    coAuthors: [CoAuthor!]
+  }
+
+  type FileHistoryAuthor {
+    contributorId: Int
+    name: String
+    email: String
+    commits: Int!
+    additions: Int!
+    deletions: Int!
+    firstCommit: String
+    lastCommit: String
+  }
+
+  type FileHistoryTotals {
+    commits: Int!
+    additions: Int!
+    deletions: Int!
+    authors: Int!
+  }
+
+  type FileHistory {
+    repositoryId: Int!
+    repository: String!
+    path: String!
+    mode: String!
+    followRenames: Boolean!
+    paths: [String!]!
+    totals: FileHistoryTotals!
+    authors: [FileHistoryAuthor!]!
+    commits: [FileHistoryCommit!]!
+    indexing: Boolean
+    pagination: Pagination!
+  }
+
   type AppSettings {
     index_window_months: String
     retention_idle_days: String
     workspace_scan_interval_minutes: String
+    global_mailmap: String
+    bus_factor_threshold: String
+    ownership_inactive_days: String
+    ticket_patterns: String
+    ticket_url_template: String
+    bot_patterns: String
+    language_mappings: String
+    generated_patterns: String
+    vendored_patterns: String
+  }
+
+  type Team {
+    id: Int!
+    name: String!
+    description: String
+    gitlab_group_path: String
+    member_count: Int
+    members: [TeamMember!]
+  }
+
+  type TeamMember {
+    id: Int!
+    contributor_id: Int!
+    display_name: String
+    primary_email: String
+    start_date: String
+    end_date: String
+  }
+
+  type GitLabGroupImportResult {
+    teamId: Int!
+    group: String!
+    members: Int!
+    added: Int!
+    existing: Int!
+    contributorsCreated: Int!
+  }
+
+  type ContributorMerge {
+    id: Int!
+    target_id: Int!
+    target_name: String
+    source_id: Int!
+    source_display_name: String
+    source_primary_email: String
+    alias_count: Int!
+    created_at: String
+    undone_at: String
+  }
+
+  type UndoMergeResult {
+    contributor: Contributor
+    restoredAliases: Int!
+    skippedAliases: Int!
+  }
+
+  type IdentityCluster {
+    id: Int!
+    score: Float!
+    signals: [String!]!
+    status: String!
+    contributor_id: Int
+    contributor_name: String
+    display_name: String
+    primary_email: String
+    commit_count: Int!
+    identities: [ContributorAlias!]!
+  }
+
+  type IdentityClusterRebuild {
+    identities: Int!
+    clusters: Int!
+  }
+
+  type IdentityClusterAcceptResult {
+    contributor: Contributor
+    linked: Int!
+  }
+
+  input AuthorIdentityInput {
+    authorName: String
+    authorEmail: String
+  }
+
+  type MailmapImportResult {
+    entries: Int!
+    linked: Int!
+    skipped: Int!
+    contributorsCreated: Int!
   }
 
   type GitLabIntegration {
@@ -210,7 +931,15 @@ const typeDefs = /* GraphQL */ `
       noCache: Boolean,
       hash: String,
       contributorId: Int,
-      message: String
+      teamIds: [Int!],
+      message: String,
+      credit: String,
+      path: String,
+      followRenames: Boolean,
+      type: [String!],
+      scope: String,
+      breaking: Boolean,
+      excludeBots: Boolean
     ): CommitsResult!
     codeChanges(
       user: String,
@@ -223,17 +952,159 @@ const typeDefs = /* GraphQL */ `
       includeUnnamed: Boolean,
       hash: String,
       contributorId: Int,
-      message: String
+      teamIds: [Int!],
+      message: String,
+      credit: String,
+      path: String,
+      followRenames: Boolean,
+      type: [String!],
+      scope: String,
+      breaking: Boolean,
+      excludeBots: Boolean
     ): CodeChangesResult!
+    searchCommits(
+      query: String!,
+      users: [String!],
+      contributorId: Int,
+      startDate: String,
+      endDate: String,
+      repositories: [Int!],
+      branch: String,
+      sort: String,
+      includeUnnamed: Boolean,
+      credit: String,
+      excludeBots: Boolean,
+      page: Int,
+      limit: Int
+    ): CommitsResult!
     analytics(
       startDate: String,
       endDate: String,
       repositories: [Int!],
-      contributorIds: [Int!]
+      contributorIds: [Int!],
+      teamIds: [Int!],
+      credit: String,
+      compare: String,
+      compareStartDate: String,
+      compareEndDate: String,
+      excludeBots: Boolean,
+      includeGenerated: Boolean
     ): AnalyticsSummary!
+    hotspots(
+      startDate: String,
+      endDate: String,
+      repositories: [Int!],
+      contributorIds: [Int!],
+      groupBy: String,
+      prefix: String,
+      sort: String,
+      limit: Int,
+      followRenames: Boolean,
+      excludeBots: Boolean,
+      includeGenerated: Boolean
+    ): HotspotReport!
+    ownership(
+      repositories: [Int!],
+      startDate: String,
+      endDate: String,
+      threshold: Float,
+      inactiveDays: Int,
+      depth: Int,
+      excludeBots: Boolean,
+      includeGenerated: Boolean
+    ): OwnershipReport!
+    contributorProfile(
+      id: Int!,
+      startDate: String,
+      endDate: String,
+      repositories: [Int!],
+      includeGenerated: Boolean
+    ): ContributorProfile
+    contributorLifecycle(
+      startDate: String,
+      endDate: String,
+      repositories: [Int!],
+      workspaces: [Int!],
+      churnAfterMonths: Int,
+      excludeBots: Boolean
+    ): ContributorLifecycle!
+    changeCoupling(
+      startDate: String,
+      endDate: String,
+      repositories: [Int!],
+      prefix: String,
+      minCoChanges: Int,
+      minDegree: Float,
+      maxFilesPerCommit: Int,
+      moduleDepth: Int,
+      crossModuleOnly: Boolean,
+      limit: Int,
+      followRenames: Boolean,
+      excludeBots: Boolean,
+      includeGenerated: Boolean
+    ): ChangeCouplingReport!
+    rework(
+      startDate: String,
+      endDate: String,
+      repositories: [Int!],
+      contributorIds: [Int!],
+      windowDays: Int,
+      excludeBots: Boolean,
+      includeGenerated: Boolean
+    ): ReworkReport!
+    workingHours(
+      startDate: String,
+      endDate: String,
+      repositories: [Int!],
+      contributorIds: [Int!],
+      teamIds: [Int!],
+      credit: String,
+      workdayStart: Int,
+      workdayEnd: Int,
+      excludeBots: Boolean
+    ): WorkingHoursReport!
+    tickets(
+      startDate: String,
+      endDate: String,
+      repositories: [Int!],
+      contributorIds: [Int!],
+      project: String,
+      excludeBots: Boolean,
+      page: Int,
+      limit: Int
+    ): TicketList!
+    ticketCommits(key: String!, repositories: [Int!], excludeBots: Boolean, page: Int, limit: Int): TicketCommits!
+    fileHistory(
+      repositoryId: Int!,
+      path: String!,
+      startDate: String,
+      endDate: String,
+      followRenames: Boolean,
+      excludeBots: Boolean,
+      includeGenerated: Boolean,
+      page: Int,
+      limit: Int
+    ): FileHistory
+    blame(repositoryId: Int!, path: String!, rev: String): Blame!
+    tags(repositoryId: Int!, refresh: Boolean): TagList
+    compare(repositoryId: Int!, from: String, to: String, includeMerges: Boolean, excludeBots: Boolean, includeGenerated: Boolean): RefComparison!
+    changelog(
+      repositoryId: Int!,
+      from: String,
+      to: String,
+      startDate: String,
+      endDate: String,
+      excludeBots: Boolean,
+      includeGenerated: Boolean
+    ): Changelog
     contributors: [Contributor!]!
     contributor(id: Int!): Contributor
+    teams: [Team!]!
+    team(id: Int!): Team
     unmappedAliases(limit: Int): [ContributorAlias!]!
+    identityClusters(limit: Int, minScore: Float): [IdentityCluster!]!
+    contributorMerges(limit: Int): [ContributorMerge!]!
+    mailmap: String!
     commitDetails(repositoryId: Int!, hash: String!): CommitDetails
     commitDetailsByPath(repoPath: String!, hash: String!): CommitDetails
     fileDiff(repositoryId: Int!, hash: String!, filePath: String!): String!
@@ -262,12 +1133,45 @@ const typeDefs = /* GraphQL */ `
     updateSettings(
       index_window_months: String,
       retention_idle_days: String,
-      workspace_scan_interval_minutes: String
+      workspace_scan_interval_minutes: String,
+      global_mailmap: String,
+      bus_factor_threshold: String,
+      ownership_inactive_days: String,
+      ticket_patterns: String,
+      ticket_url_template: String,
+      bot_patterns: String,
+      language_mappings: String,
+      generated_patterns: String,
+      vendored_patterns: String
     ): AppSettings!
+    updateRepositoryFileRules(repositoryId: Int!, generatedPatterns: String, vendoredPatterns: String): Repository!
     saveGitLabIntegration(baseUrl: String!, privateToken: String, enabled: Boolean): GitLabIntegration!
     syncGitLabUsers: String!
     linkAlias(contributorId: Int!, authorName: String, authorEmail: String): Boolean!
     mergeContributors(targetId: Int!, sourceIds: [Int!]!): Contributor!
+    setContributorBot(contributorId: Int!, isBot: Boolean!): Contributor
+    removeAlias(contributorId: Int!, aliasId: Int!): Boolean!
+    moveAliases(contributorId: Int!, aliasIds: [Int!]!, targetId: Int!): Contributor
+    splitContributor(contributorId: Int!, aliasIds: [Int!]!, displayName: String!, primaryEmail: String): Contributor
+    undoMerge(id: Int!): UndoMergeResult!
+    rebuildIdentityClusters: IdentityClusterRebuild!
+    acceptIdentityCluster(
+      id: Int!,
+      contributorId: Int,
+      displayName: String,
+      primaryEmail: String,
+      exclude: [AuthorIdentityInput!]
+    ): IdentityClusterAcceptResult!
+    dismissIdentityCluster(id: Int!): Boolean!
+    importMailmap(content: String!, overwrite: Boolean): MailmapImportResult!
+    createTeam(name: String!, description: String, gitlabGroupPath: String): Team!
+    updateTeam(id: Int!, name: String, description: String, gitlabGroupPath: String): Team
+    deleteTeam(id: Int!): Boolean!
+    addTeamMember(teamId: Int!, contributorId: Int!, startDate: String, endDate: String): TeamMember!
+    updateTeamMember(teamId: Int!, memberId: Int!, startDate: String, endDate: String): TeamMember!
+    removeTeamMember(teamId: Int!, memberId: Int!): Boolean!
+    moveTeamMember(contributorId: Int!, fromTeamId: Int, toTeamId: Int!, date: String): TeamMember!
+    importGitLabGroup(groupPath: String!, teamId: Int, startDate: String): GitLabGroupImportResult!
   }
 `;
 
@@ -288,6 +1192,7 @@ const resolvers = {
         userIdentifiers: identifiers,
         gitAuthorPattern,
         contributorId: args.contributorId,
+        teamIds: args.teamIds,
         hash: args.hash,
         message: args.message,
         startDate: args.startDate,
@@ -297,6 +1202,13 @@ const resolvers = {
         includeUnnamed: !!args.includeUnnamed,
         includeChanges: !!args.includeChanges,
         noCache: !!args.noCache,
+        credit: args.credit,
+        path: args.path,
+        followRenames: args.followRenames !== false,
+        type: args.type,
+        scope: args.scope,
+        breaking: args.breaking,
+        excludeBots: !!args.excludeBots,
         page: args.page || 1,
         limit: args.limit || 50
       });
@@ -312,26 +1224,227 @@ const resolvers = {
         userIdentifiers: identifiers,
         gitAuthorPattern,
         contributorId: args.contributorId,
+        teamIds: args.teamIds,
         hash: args.hash,
         message: args.message,
         startDate: args.startDate,
         endDate: args.endDate,
         repositoryIds: args.repositories,
         includeUnnamed: !!args.includeUnnamed,
+        credit: args.credit,
+        path: args.path,
+        followRenames: args.followRenames !== false,
+        type: args.type,
+        scope: args.scope,
+        breaking: args.breaking,
+        excludeBots: !!args.excludeBots,
         page: args.page || 1,
         limit: args.limit || 50,
         includeChanges: true
       });
     },
+    searchCommits: async (_p, args, { gitService }) => {
+      if (!gitService.analytics) await gitService.initialize();
+      const { identifiers } = parseUserFilter({ users: args.users });
+      return gitService.analytics.searchCommits({
+        query: args.query,
+        userIdentifiers: identifiers,
+        contributorId: args.contributorId,
+        startDate: args.startDate,
+        endDate: args.endDate,
+        repositoryIds: args.repositories,
+        branch: args.branch,
+        sort: args.sort === 'date' ? 'date' : 'relevance',
+        includeUnnamed: !!args.includeUnnamed,
+        credit: args.credit,
+        excludeBots: !!args.excludeBots,
+        page: args.page || 1,
+        limit: args.limit || 50
+      });
+    },
     analytics: async (_p, args, { gitService }) => {
       if (!gitService.analytics) await gitService.initialize();
       return gitService.analytics.getAnalyticsSummary(
         args.startDate,
         args.endDate,
         args.repositories,
-        args.contributorIds
+        args.contributorIds,
+        {
+          credit: args.credit,
+          teamIds: args.teamIds,
+          compare: args.compare,
+          compareStartDate: args.compareStartDate,
+          compareEndDate: args.compareEndDate,
+          excludeBots: args.excludeBots,
+          includeGenerated: args.includeGenerated
+        }
       );
     },
+    hotspots: async (_p, args, { gitService }) => {
+      if (!gitService.analytics) await gitService.initialize();
+      return gitService.analytics.getHotspots({
+        startDate: args.startDate,
+        endDate: args.endDate,
+        repositoryIds: args.repositories,
+        contributorIds: args.contributorIds,
+        groupBy: args.groupBy === 'directory' ? 'directory' : 'file',
+        prefix: args.prefix,
+        sort: args.sort,
+        limit: args.limit || 50,
+        followRenames: args.followRenames !== false,
+        excludeBots: args.excludeBots,
+        includeGenerated: args.includeGenerated
+      });
+    },
+    ownership: async (_p, args, { gitService }) => {
+      if (!gitService.analytics) await gitService.initialize();
+      return gitService.analytics.getOwnershipReport({
+        repositoryIds: args.repositories,
+        startDate: args.startDate,
+        endDate: args.endDate,
+        threshold: args.threshold,
+        inactiveDays: args.inactiveDays,
+        depth: args.depth,
+        excludeBots: args.excludeBots,
+        includeGenerated: args.includeGenerated
+      });
+    },
+    contributorProfile: async (_p, args, { gitService }) => {
+      if (!gitService.analytics) await gitService.initialize();
+      return gitService.analytics.getContributorProfile(args.id, {
+        startDate: args.startDate,
+        endDate: args.endDate,
+        repositoryIds: args.repositories,
+        includeGenerated: args.includeGenerated
+      });
+    },
+    contributorLifecycle: async (_p, args, { gitService }) => {
+      if (!gitService.analytics) await gitService.initialize();
+      return gitService.analytics.getContributorLifecycle({
+        startDate: args.startDate,
+        endDate: args.endDate,
+        repositoryIds: args.repositories,
+        workspaceIds: args.workspaces,
+        churnAfterMonths: args.churnAfterMonths,
+        excludeBots: args.excludeBots
+      });
+    },
+    changeCoupling: async (_p, args, { gitService }) => {
+      if (!gitService.analytics) await gitService.initialize();
+      return gitService.analytics.getChangeCoupling({
+        startDate: args.startDate,
+        endDate: args.endDate,
+        repositoryIds: args.repositories,
+        prefix: args.prefix,
+        minCoChanges: args.minCoChanges,
+        minDegree: args.minDegree,
+        maxFilesPerCommit: args.maxFilesPerCommit,
+        moduleDepth: args.moduleDepth,
+        crossModuleOnly: args.crossModuleOnly === true,
+        limit: args.limit,
+        followRenames: args.followRenames !== false,
+        excludeBots: args.excludeBots,
+        includeGenerated: args.includeGenerated
+      });
+    },
+    rework: async (_p, args, { gitService }) => {
+      if (!gitService.analytics) await gitService.initialize();
+      return gitService.analytics.getRework({
+        startDate: args.startDate,
+        endDate: args.endDate,
+        repositoryIds: args.repositories,
+        contributorIds: args.contributorIds,
+        windowDays: args.windowDays,
+        excludeBots: args.excludeBots,
+        includeGenerated: args.includeGenerated
+      });
+    },
+    workingHours: async (_p, args, { gitService }) => {
+      if (!gitService.analytics) await gitService.initialize();
+      return gitService.analytics.getWorkingHours({
+        startDate: args.startDate,
+        endDate: args.endDate,
+        repositoryIds: args.repositories,
+        contributorIds: args.contributorIds,
+        teamIds: args.teamIds,
+        credit: args.credit,
+        workdayStart: args.workdayStart,
+        workdayEnd: args.workdayEnd,
+        excludeBots: args.excludeBots
+      });
+    },
+    tickets: async (_p, args, { gitService }) => {
+      if (!gitService.analytics) await gitService.initialize();
+      return gitService.analytics.getTickets({
+        startDate: args.startDate,
+        endDate: args.endDate,
+        repositoryIds: args.repositories,
+        contributorIds: args.contributorIds,
+        project: args.project,
+        excludeBots: args.excludeBots,
+        page: args.page || 1,
+        limit: args.limit || 50
+      });
+    },
+    ticketCommits: async (_p, args, { gitService }) => {
+      if (!gitService.analytics) await gitService.initialize();
+      return gitService.analytics.getTicketCommits({
+        key: args.key,
+        repositoryIds: args.repositories,
+        excludeBots: !!args.excludeBots,
+        page: args.page || 1,
+        limit: args.limit || 50
+      });
+    },
+    tags: async (_p, args, { gitService }) => {
+      if (!gitService.analytics) await gitService.initialize();
+      return gitService.analytics.listTags(args.repositoryId, { refresh: !!args.refresh });
+    },
+    compare: async (_p, args, { gitService }) => {
+      if (!gitService.analytics) await gitService.initialize();
+      return gitService.analytics.compareRefs({
+        repositoryId: args.repositoryId,
+        from: args.from || null,
+        to: args.to || 'HEAD',
+        includeMerges: !!args.includeMerges,
+        excludeBots: !!args.excludeBots,
+        includeGenerated: !!args.includeGenerated
+      });
+    },
+    changelog: async (_p, args, { gitService }) => {
+      if (!gitService.analytics) await gitService.initialize();
+      return gitService.analytics.generateChangelog({
+        repositoryId: args.repositoryId,
+        from: args.from || null,
+        to: args.to || null,
+        startDate: args.startDate,
+        endDate: args.endDate,
+        excludeBots: !!args.excludeBots,
+        includeGenerated: !!args.includeGenerated
+      });
+    },
+    blame: async (_p, args, { gitService }) => {
+      if (!gitService.analytics) await gitService.initialize();
+      return gitService.analytics.getBlame({
+        repositoryId: args.repositoryId,
+        path: args.path,
+        rev: args.rev || 'HEAD'
+      });
+    },
+    fileHistory: async (_p, args, { gitService }) => {
+      if (!gitService.analytics) await gitService.initialize();
+      return gitService.analytics.getFileHistory({
+        repositoryId: args.repositoryId,
+        path: args.path,
+        startDate: args.startDate,
+        endDate: args.endDate,
+        followRenames: args.followRenames !== false,
+        excludeBots: !!args.excludeBots,
+        includeGenerated: !!args.includeGenerated,
+        page: args.page || 1,
+        limit: args.limit || 50
+      });
+    },
     contributors: async (_p, _a, { gitService }) => {
       const svc = new ContributorService(gitService.db);
       return svc.listContributors();
@@ -340,10 +1453,30 @@ const resolvers = {
       const svc = new ContributorService(gitService.db);
       return svc.getContributor(id);
     },
+    teams: async (_p, _a, { gitService }) => {
+      const svc = new TeamService(gitService.db);
+      return svc.listTeams();
+    },
+    team: async (_p, { id }, { gitService }) => {
+      const svc = new TeamService(gitService.db);
+      return svc.getTeam(id);
+    },
     unmappedAliases: async (_p, { limit }, { gitService }) => {
       const svc = new ContributorService(gitService.db);
       return svc.listUnmappedAliases(limit || 100);
     },
+    contributorMerges: async (_p, { limit }, { gitService }) => {
+      const svc = new ContributorService(gitService.db);
+      return svc.listMerges({ limit });
+    },
+    identityClusters: async (_p, { limit, minScore }, { gitService }) => {
+      const svc = new IdentityClusterService(gitService.db);
+      return svc.listClusters({ limit: limit || 50, minScore: minScore || 0 });
+    },
+    mailmap: async (_p, _a, { gitService }) => {
+      const svc = new ContributorService(gitService.db);
+      return svc.exportMailmap();
+    },
     commitDetails: async (_p, { repositoryId, hash }, { gitService }) =>
       gitService.getCommitDetails(repositoryId, hash),
     commitDetailsByPath: async (_p, { repoPath, hash }, { gitService }) =>
@@ -395,8 +1528,43 @@ const resolvers = {
   Mutation: {
     updateSettings: async (_p, args, { gitService, user }) => {
       if (user.role !== 'admin') throw new Error('Admin only');
+      if (!gitService.analytics) await gitService.initialize();
       const settings = new SettingsService(gitService.db);
-      return settings.setMany(args);
+      const previousPatterns = await settings.get('ticket_patterns');
+      const previousBotPatterns = await settings.get('bot_patterns');
+      const previousLanguages = await settings.get('language_mappings');
+      const previousMailmap = await settings.get('global_mailmap');
+      const previousFilePatterns = await settings.getFilePatterns();
+      const updated = await settings.setMany(args);
+      if (updated.ticket_patterns !== previousPatterns) {
+        gitService.indexer.rebuildReferences()
+          .catch((err) => console.warn('Ticket reference rebuild failed:', err.message));
+      }
+      if (updated.global_mailmap !== previousMailmap) {
+        gitService.indexer.reapplyMailmaps()
+          .catch((err) => console.warn('Re-applying mailmaps failed:', err.message));
+      }
+      if (updated.language_mappings !== previousLanguages) {
+        gitService.indexer.reclassifyLanguages()
+          .catch((err) => console.warn('Language reclassification failed:', err.message));
+      }
+      if (updated.generated_patterns !== previousFilePatterns.generated
+        || updated.vendored_patterns !== previousFilePatterns.vendored) {
+        gitService.indexer.reflagFiles()
+          .catch((err) => console.warn('Re-flagging generated files failed:', err.message));
+      }
+      if (updated.bot_patterns !== previousBotPatterns) {
+        await new ContributorService(gitService.db).refreshBotFlags(await settings.getBotPatterns());
+      }
+      return updated;
+    },
+    updateRepositoryFileRules: async (_p, args, { gitService, user }) => {
+      if (user.role !== 'admin') throw new Error('Admin only');
+      if (!gitService.analytics) await gitService.initialize();
+      return gitService.updateRepositoryFileRules(args.repositoryId, {
+        generatedPatterns: args.generatedPatterns,
+        vendoredPatterns: args.vendoredPatterns
+      });
     },
     saveGitLabIntegration: async (_p, args, { gitService, user }) => {
       if (user.role !== 'admin') throw new Error('Admin only');
@@ -429,6 +1597,90 @@ const resolvers = {
       if (user.role !== 'admin') throw new Error('Admin only');
       const svc = new ContributorService(gitService.db);
       return svc.mergeContributors(targetId, sourceIds);
+    },
+    setContributorBot: async (_p, { contributorId, isBot }, { gitService, user }) => {
+      if (user.role !== 'admin') throw new Error('Admin only');
+      const svc = new ContributorService(gitService.db);
+      return svc.setBotFlag(contributorId, isBot);
+    },
+    removeAlias: async (_p, { contributorId, aliasId }, { gitService, user }) => {
+      if (user.role !== 'admin') throw new Error('Admin only');
+      const svc = new ContributorService(gitService.db);
+      return svc.removeAlias(contributorId, aliasId);
+    },
+    moveAliases: async (_p, { contributorId, aliasIds, targetId }, { gitService, user }) => {
+      if (user.role !== 'admin') throw new Error('Admin only');
+      const svc = new ContributorService(gitService.db);
+      return svc.moveAliases(contributorId, aliasIds, targetId);
+    },
+    splitContributor: async (_p, { contributorId, aliasIds, displayName, primaryEmail }, { gitService, user }) => {
+      if (user.role !== 'admin') throw new Error('Admin only');
+      const svc = new ContributorService(gitService.db);
+      return svc.splitContributor(contributorId, { aliasIds, displayName, primaryEmail });
+    },
+    undoMerge: async (_p, { id }, { gitService, user }) => {
+      if (user.role !== 'admin') throw new Error('Admin only');
+      const svc = new ContributorService(gitService.db);
+      return svc.undoMerge(id);
+    },
+    rebuildIdentityClusters: async (_p, _a, { gitService, user }) => {
+      if (user.role !== 'admin') throw new Error('Admin only');
+      return new IdentityClusterService(gitService.db).rebuild();
+    },
+    acceptIdentityCluster: async (_p, { id, ...options }, { gitService, user }) => {
+      if (user.role !== 'admin') throw new Error('Admin only');
+      return new IdentityClusterService(gitService.db).acceptCluster(id, options);
+    },
+    dismissIdentityCluster: async (_p, { id }, { gitService, user }) => {
+      if (user.role !== 'admin') throw new Error('Admin only');
+      return new IdentityClusterService(gitService.db).dismissCluster(id);
+    },
+    importMailmap: async (_p, { content, overwrite }, { gitService, user }) => {
+      if (user.role !== 'admin') throw new Error('Admin only');
+      const entries = parseMailmap(content);
+      if (!entries.length) throw new Error('No valid .mailmap entries found');
+      const svc = new ContributorService(gitService.db);
+      return svc.applyMailmap(entries, { overwrite: overwrite !== false });
+    },
+    createTeam: async (_p, args, { gitService, user }) => {
+      if (user.role !== 'admin') throw new Error('Admin only');
+      const svc = new TeamService(gitService.db);
+      return svc.createTeam(args);
+    },
+    updateTeam: async (_p, { id, ...changes }, { gitService, user }) => {
+      if (user.role !== 'admin') throw new Error('Admin only');
+      const svc = new TeamService(gitService.db);
+      return svc.updateTeam(id, changes);
+    },
+    deleteTeam: async (_p, { id }, { gitService, user }) => {
+      if (user.role !== 'admin') throw new Error('Admin only');
+      const svc = new TeamService(gitService.db);
+      return svc.deleteTeam(id);
+    },
+    addTeamMember: async (_p, { teamId, ...member }, { gitService, user }) => {
+      if (user.role !== 'admin') throw new Error('Admin only');
+      const svc = new TeamService(gitService.db);
+      return svc.addMember(teamId, member);
+    },
+    updateTeamMember: async (_p, { teamId, memberId, startDate, endDate }, { gitService, user }) => {
+      if (user.role !== 'admin') throw new Error('Admin only');
+      const svc = new TeamService(gitService.db);
+      return svc.updateMember(teamId, memberId, { startDate, endDate });
+    },
+    removeTeamMember: async (_p, { teamId, memberId }, { gitService, user }) => {
+      if (user.role !== 'admin') throw new Error('Admin only');
+      const svc = new TeamService(gitService.db);
+      return svc.removeMember(teamId, memberId);
+    },
+    moveTeamMember: async (_p, { contributorId, ...move }, { gitService, user }) => {
+      if (user.role !== 'admin') throw new Error('Admin only');
+      const svc = new TeamService(gitService.db);
+      return svc.moveMember(contributorId, move);
+    },
+    importGitLabGroup: async (_p, { groupPath, teamId, startDate }, { gitService, user }) => {
+      if (user.role !== 'admin') throw new Error('Admin only');
+      const client = new GitLabClient(gitService.db);
+      return client.importGroupMembers(groupPath, { teamId, startDate });
     }
   }
 };
@@ -0,0 +1,30 @@
+/**
+ * Quick sanity check for lib/botDetection.js
+ * Run: node scripts/test-bot-detection.js
+ */
+const assert = require('assert');
+const { DEFAULT_BOT_PATTERNS, compileBotPatterns, isBotIdentity } = require('../lib/botDetection');
+
+const defaults = compileBotPatterns(DEFAULT_BOT_PATTERNS);
+const bot = (name, email) => isBotIdentity(name, email, defaults);
+
+assert.ok(bot('dependabot[bot]', '49699333+dependabot[bot]@users.noreply.github.com'));
+assert.ok(bot('Renovate Bot', 'bot@renovateapp.com'));
+assert.ok(bot('github-actions', '41898282+github-actions@users.noreply.github.com'));
+assert.ok(bot('Release', 'noreply@example.com'));
+assert.ok(bot('Jenkins', 'ci@example.com'));
+assert.ok(bot('Merge Train', 'merge-bot@example.com'));
+assert.ok(bot('project_42_bot_3f2a', 'project_42_bot_3f2a@noreply.gitlab.example.com'));
+
+// People, including GitHub's per-user noreply addresses
+assert.ok(!bot('Alice', 'alice@example.com'));
+assert.ok(!bot('Bob', '1234+bob@users.noreply.github.com'));
+assert.ok(!bot('Abbot Smith', 'abbot@example.com'));
+assert.ok(!bot(null, null));
+
+const custom = compileBotPatterns('// deploy account\n^deployer$\n[invalid\n\n');
+assert.strictEqual(custom.length, 1);
+assert.ok(isBotIdentity('Deployer', 'ops@example.com', custom));
+assert.ok(!isBotIdentity('dependabot[bot]', null, custom));
+
+console.log('botDetection: all checks passed');
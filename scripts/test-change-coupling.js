@@ -0,0 +1,46 @@
+/**
+ * Quick sanity check for lib/changeCoupling.js
+ * Run: node scripts/test-change-coupling.js
+ */
+const assert = require('assert');
+const { moduleOf, computeCoupling } = require('../lib/changeCoupling');
+
+assert.strictEqual(moduleOf('README.md'), '.');
+assert.strictEqual(moduleOf('src/api/users.js'), 'src');
+assert.strictEqual(moduleOf('src/api/users.js', 2), 'src/api');
+assert.strictEqual(moduleOf('src/index.js', 3), 'src');
+
+const commits = [
+    { files: ['api/user.js', 'web/user-form.js'] },
+    { files: ['api/user.js', 'web/user-form.js', 'api/user.js'] },
+    { files: ['api/user.js', 'web/user-form.js', 'api/auth.js'] },
+    { files: ['api/user.js'] },
+    { files: ['api/auth.js', 'api/session.js'] },
+    { files: Array.from({ length: 5 }, (_, i) => `gen/${i}.js`) }
+];
+const report = computeCoupling(commits, { maxFilesPerCommit: 4 });
+
+assert.strictEqual(report.commits, 5);
+assert.strictEqual(report.skippedCommits, 1);
+// Pairs seen once are below the default minCoChanges of 2
+assert.strictEqual(report.pairs.length, 1);
+assert.deepStrictEqual(report.pairs[0], {
+    fileA: 'api/user.js',
+    fileB: 'web/user-form.js',
+    coChanges: 3,
+    changesA: 4,
+    changesB: 3,
+    support: 0.6,
+    confidence: 1,
+    degree: 0.857,
+    crossModule: true
+});
+
+const loose = computeCoupling(commits, { minCoChanges: 1, moduleDepth: 1 });
+const auth = loose.pairs.find((p) => p.fileA === 'api/auth.js' && p.fileB === 'api/session.js');
+assert.strictEqual(auth.crossModule, false);
+assert.strictEqual(auth.degree, 0.667);
+assert.ok(computeCoupling(commits, { minCoChanges: 1, minDegree: 0.9 }).pairs.every((p) => p.degree >= 0.9));
+assert.strictEqual(computeCoupling(commits, { minCoChanges: 1, limit: 2 }).pairs.length, 2);
+
+console.log('changeCoupling: all checks passed');
@@ -0,0 +1,96 @@
+/**
+ * Quick sanity check for lib/changelog.js
+ * Run: node scripts/test-changelog.js
+ */
+const assert = require('assert');
+const { CHANGELOG_SECTIONS, sectionFor, buildChangelog, renderChangelogMarkdown } = require('../lib/changelog');
+
+const hash = (c) => c.repeat(40);
+
+assert.strictEqual(CHANGELOG_SECTIONS[0].key, 'breaking');
+assert.strictEqual(CHANGELOG_SECTIONS[CHANGELOG_SECTIONS.length - 1].key, 'other');
+assert.strictEqual(sectionFor({ type: 'feat', breaking: true }), 'breaking');
+assert.strictEqual(sectionFor({ type: 'build', breaking: false }), 'chore');
+assert.strictEqual(sectionFor({ type: 'wip', breaking: false }), 'other');
+assert.strictEqual(sectionFor({ type: null, breaking: false }), 'other');
+
+const notes = buildChangelog([
+    { hash: hash('a'), message: 'feat(api): add endpoint', author: 'Ann', authorEmail: 'ann@x.io', contributorId: 1, contributorName: 'Ann Lee' },
+    {
+        hash: hash('b'),
+        message: 'fix: retry on outage',
+        author: 'bob',
+        authorEmail: 'Bob@x.io',
+        coAuthors: [{ name: 'Ann', email: 'ann@x.io', contributorId: 1, contributorName: 'Ann Lee' }]
+    },
+    { hash: hash('c'), message: 'refactor!: split parser', body: 'BREAKING CHANGE: parse() is async', author: 'bob', authorEmail: 'bob@x.io' },
+    { hash: hash('d'), message: 'ci: cache deps', author: 'Ann', authorEmail: 'ann@x.io', contributorId: 1 },
+    { hash: hash('e'), message: 'Update README', author: 'Cy', authorEmail: 'cy@x.io' },
+    { hash: hash('f'), message: 'wip(ui): thing', author: 'Cy', authorEmail: 'cy@x.io' }
+]);
+
+// Empty sections are dropped; breaking changes appear only under Breaking Changes
+assert.deepStrictEqual(
+    notes.sections.map((s) => [s.key, s.commits.map((c) => c.hash[0])]),
+    [['breaking', ['c']], ['feat', ['a']], ['fix', ['b']], ['chore', ['d']], ['other', ['e', 'f']]]
+);
+assert.deepStrictEqual(notes.sections[0].commits[0], {
+    hash: hash('c'),
+    type: 'refactor',
+    scope: null,
+    description: 'split parser',
+    breaking: true,
+    breakingNote: 'parse() is async',
+    author: 'bob'
+});
+assert.strictEqual(notes.sections[1].commits[0].author, 'Ann Lee');
+
+// Credits: by contributor when resolved (co-authorship included), else by email case-insensitively
+assert.deepStrictEqual(notes.contributors, [
+    { contributorId: 1, name: 'Ann Lee', email: 'ann@x.io', commits: 3 },
+    { contributorId: null, name: 'bob', email: 'Bob@x.io', commits: 2 },
+    { contributorId: null, name: 'Cy', email: 'cy@x.io', commits: 2 }
+]);
+
+assert.strictEqual(renderChangelogMarkdown({ title: 'v0.2', subtitle: 'From v0.1', ...notes }), [
+    '# v0.2',
+    '',
+    'From v0.1',
+    '',
+    '## Breaking Changes',
+    '',
+    '- split parser — parse() is async (ccccccc)',
+    '',
+    '## Features',
+    '',
+    '- **api:** add endpoint (aaaaaaa)',
+    '',
+    '## Bug Fixes',
+    '',
+    '- retry on outage (bbbbbbb)',
+    '',
+    '## Chores',
+    '',
+    '- cache deps (ddddddd)',
+    '',
+    '## Other Changes',
+    '',
+    '- Update README (eeeeeee)',
+    '- **ui:** thing (fffffff)',
+    '',
+    '## Contributors',
+    '',
+    '- Ann Lee (3 commits)',
+    '- bob (2 commits)',
+    '- Cy (2 commits)',
+    ''
+].join('\n'));
+
+// A `type!:` subject without a footer does not repeat the description as its note
+const bang = buildChangelog([{ hash: hash('1'), message: 'feat!: drop node 14', author: 'Ann', authorEmail: 'ann@x.io' }]);
+assert.ok(renderChangelogMarkdown({ title: 't', ...bang }).includes('- drop node 14 (1111111)\n'));
+assert.ok(renderChangelogMarkdown({ title: 't', ...bang }).includes('- Ann (1 commit)'));
+
+assert.strictEqual(renderChangelogMarkdown({ title: 'x', sections: [], contributors: [] }), '# x\n\nNo changes.\n');
+
+console.log('changelog: all checks passed');
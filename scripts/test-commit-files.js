@@ -0,0 +1,54 @@
+/**
+ * Quick sanity check for lib/commitFiles.js
+ * Run: node scripts/test-commit-files.js
+ */
+const assert = require('assert');
+const { parseRawNumstat, toPathFilter } = require('../lib/commitFiles');
+
+// `git show -M -C --raw --numstat -z --format=` for a commit that rewrites a
+// binary file, copies keep.txt, renames "a file.txt" to "moved<TAB>tab.txt"
+// and deletes "old notes.md"
+const output = [
+    ':100644 100644 d5d0b8b 407bbd5 M', 'bin.dat',
+    ':100644 100644 26e04c7 26e04c7 C100', 'keep.txt', 'copy.txt',
+    ':100644 100644 1c99002 6006ca4 R097', 'a file.txt', 'moved\ttab.txt',
+    ':100644 000000 3b18e51 0000000 D', 'old notes.md',
+    '-\t-\tbin.dat',
+    '0\t0\t', 'keep.txt', 'copy.txt',
+    '1\t0\t', 'a file.txt', 'moved\ttab.txt',
+    '0\t3\told notes.md',
+    ''
+].join('\0');
+
+const files = parseRawNumstat(output);
+assert.deepStrictEqual(files, [
+    { filename: 'bin.dat', oldFilename: null, changeType: 'M', additions: 0, deletions: 0 },
+    { filename: 'copy.txt', oldFilename: 'keep.txt', changeType: 'C', additions: 0, deletions: 0 },
+    { filename: 'moved\ttab.txt', oldFilename: 'a file.txt', changeType: 'R', additions: 1, deletions: 0 },
+    { filename: 'old notes.md', oldFilename: null, changeType: 'D', additions: 0, deletions: 3 }
+]);
+
+// Paths that look like rename arrows stay literal
+const arrow = parseRawNumstat([':100644 100644 aaa bbb A', 'docs/{a => b}.md', '2\t0\tdocs/{a => b}.md', ''].join('\0'));
+assert.deepStrictEqual(arrow, [
+    { filename: 'docs/{a => b}.md', oldFilename: null, changeType: 'A', additions: 2, deletions: 0 }
+]);
+
+// Numstat without a raw section falls back to R for renames and M otherwise;
+// a newline left between commits does not break the next record
+const bare = parseRawNumstat(['4\t1\t', 'src/old name.js', 'src/new name.js', '\n5\t0\tREADME.md', ''].join('\0'));
+assert.deepStrictEqual(bare.map(f => [f.filename, f.oldFilename, f.changeType, f.additions]), [
+    ['src/new name.js', 'src/old name.js', 'R', 4],
+    ['README.md', null, 'M', 5]
+]);
+
+assert.deepStrictEqual(parseRawNumstat(''), []);
+assert.deepStrictEqual(parseRawNumstat(null), []);
+
+assert.strictEqual(toPathFilter('  '), null);
+assert.deepStrictEqual(toPathFilter('./src/app.js'), { mode: 'exact', path: 'src/app.js', value: 'src/app.js' });
+assert.deepStrictEqual(toPathFilter('src/api_v1/'), { mode: 'prefix', path: 'src/api_v1/', value: 'src/api\\_v1/%' });
+assert.deepStrictEqual(toPathFilter('src/**/*.test.js'), { mode: 'glob', path: 'src/**/*.test.js', value: 'src/%%.test.js' });
+assert.strictEqual(toPathFilter('docs/v?.txt').value, 'docs/v_.txt');
+
+console.log('commitFiles: all checks passed');
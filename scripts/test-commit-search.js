@@ -0,0 +1,49 @@
+/**
+ * Quick sanity check for lib/commitSearch.js
+ * Run: node scripts/test-commit-search.js
+ */
+const assert = require('assert');
+const { parseSearchQuery, toFtsMatch, toTsQuery } = require('../lib/commitSearch');
+
+const parsed = parseSearchQuery('"connection reset" deploy* outage OR incident -revert NOT "merge branch"');
+assert.deepStrictEqual(parsed.groups, [
+    [{ text: 'connection reset', phrase: true, prefix: false }],
+    [{ text: 'deploy', phrase: false, prefix: true }],
+    [{ text: 'outage', phrase: false, prefix: false }, { text: 'incident', phrase: false, prefix: false }]
+]);
+assert.deepStrictEqual(parsed.excluded, [
+    { text: 'revert', phrase: false, prefix: false },
+    { text: 'merge branch', phrase: true, prefix: false }
+]);
+
+// A leading OR has nothing to join; OR before an excluded term is dropped
+assert.deepStrictEqual(parseSearchQuery('OR fix').groups, [[{ text: 'fix', phrase: false, prefix: false }]]);
+assert.strictEqual(parseSearchQuery('a OR -b c').groups.length, 2);
+
+// FTS5: every word quoted, groups AND-ed, exclusions appended with NOT
+assert.strictEqual(toFtsMatch('timeout retry'), '"timeout" AND "retry"');
+assert.strictEqual(toFtsMatch('fix AND retry'), '"fix" AND "retry"');
+assert.strictEqual(toFtsMatch('"connection reset" deploy*'), '"connection reset" AND "deploy"*');
+assert.strictEqual(toFtsMatch('outage OR incident retry'), '("outage" OR "incident") AND "retry"');
+assert.strictEqual(toFtsMatch('a OR b OR c -d'), '("a" OR "b" OR "c") NOT "d"');
+assert.strictEqual(toFtsMatch('-"wip commit" release'), '"release" NOT "wip commit"');
+// Punctuation splits words, so no user input reaches FTS5 unquoted
+assert.strictEqual(toFtsMatch('C++ co-author'), '"C" AND "co author"');
+assert.strictEqual(toFtsMatch('say "a" OR b)'), '"say" AND ("a" OR "b")');
+assert.strictEqual(toFtsMatch('naïve'), '"naïve"');
+
+// to_tsquery: lower-cased, phrases as <->, prefix as :*, exclusions as & !
+assert.strictEqual(toTsQuery('Timeout retry'), 'timeout & retry');
+assert.strictEqual(toTsQuery('"connection reset" deploy*'), '(connection <-> reset) & deploy:*');
+assert.strictEqual(toTsQuery('"release notes*"'), '(release <-> notes)');
+assert.strictEqual(toTsQuery('outage OR incident retry'), '(outage | incident) & retry');
+assert.strictEqual(toTsQuery('fix -revert NOT "merge branch"'), 'fix & !revert & !(merge <-> branch)');
+assert.strictEqual(toTsQuery('x-y*'), '(x <-> y:*)');
+
+// Nothing left to match once exclusions and punctuation are dropped
+for (const raw of ['', '   ', '(', '-foo', 'NOT', 'NOT foo', '-"a b" -c', 'OR', '***']) {
+    assert.throws(() => toFtsMatch(raw), /^Error: Search query must contain at least one word/, raw);
+    assert.throws(() => toTsQuery(raw), /^Error: Search query must contain at least one word/, raw);
+}
+
+console.log('commitSearch: all checks passed');
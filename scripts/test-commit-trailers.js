@@ -0,0 +1,30 @@
+/**
+ * Quick sanity check for lib/commitTrailers.js
+ * Run: node scripts/test-commit-trailers.js
+ */
+const assert = require('assert');
+const { parseCoAuthors, normalizeCredit } = require('../lib/commitTrailers');
+
+const body = [
+    'Pairing session on the retry logic.',
+    '',
+    'Co-authored-by: Bob Smith <bob@co.com>',
+    'co-authored-by: Carol <carol@co.com>',
+    'Co-Authored-By: Bob S. <BOB@co.com>',
+    'Co-authored-by: Alice <alice@co.com>',
+    'Signed-off-by: Alice <alice@co.com>'
+].join('\n');
+
+assert.deepStrictEqual(parseCoAuthors(body, { authorEmail: 'alice@co.com' }), [
+    { name: 'Bob Smith', email: 'bob@co.com' },
+    { name: 'Carol', email: 'carol@co.com' }
+]);
+assert.deepStrictEqual(parseCoAuthors('Co-authored-by: <anon@co.com>'), [{ name: null, email: 'anon@co.com' }]);
+assert.deepStrictEqual(parseCoAuthors('Mentions Co-authored-by: Bob <bob@co.com> inline'), []);
+assert.deepStrictEqual(parseCoAuthors(null), []);
+
+assert.strictEqual(normalizeCredit('SHARED'), 'shared');
+assert.strictEqual(normalizeCredit(undefined), 'primary');
+assert.strictEqual(normalizeCredit('bogus'), 'primary');
+
+console.log('commitTrailers: all checks passed');
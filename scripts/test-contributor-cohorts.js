@@ -0,0 +1,59 @@
+/**
+ * Quick sanity check for lib/contributorCohorts.js
+ * Run: node scripts/test-contributor-cohorts.js
+ */
+const assert = require('assert');
+const { monthIndex, monthRange, buildLifecycle } = require('../lib/contributorCohorts');
+
+assert.strictEqual(monthIndex('2024-03') - monthIndex('2023-12'), 3);
+assert.deepStrictEqual(monthRange('2023-11', '2024-02'), ['2023-11', '2023-12', '2024-01', '2024-02']);
+assert.deepStrictEqual(monthRange('2024-02', '2024-01'), []);
+
+const activity = [
+    // ann: steady since before the range
+    { key: 'ann', month: '2023-12' },
+    { key: 'ann', month: '2024-01' },
+    { key: 'ann', month: '2024-02' },
+    { key: 'ann', month: '2024-06' },
+    // bob: joins in January, last seen in February
+    { key: 'bob', month: '2024-01' },
+    { key: 'bob', month: '2024-02' },
+    // cat: joins in May, too recent to churn
+    { key: 'cat', month: '2024-05' }
+];
+const report = buildLifecycle(activity, {
+    startMonth: '2024-01',
+    endMonth: '2024-06',
+    currentMonth: '2024-06',
+    churnAfterMonths: 3
+});
+const byMonth = Object.fromEntries(report.months.map((m) => [m.month, m]));
+
+assert.strictEqual(report.months.length, 6);
+assert.deepStrictEqual(byMonth['2024-01'], { month: '2024-01', new: 1, retained: 1, churned: 0, active: 2 });
+assert.deepStrictEqual(byMonth['2024-02'], { month: '2024-02', new: 0, retained: 2, churned: 0, active: 2 });
+// bob has been gone March–May, so he churned in March
+assert.strictEqual(byMonth['2024-03'].churned, 1);
+assert.strictEqual(byMonth['2024-05'].new, 1);
+assert.strictEqual(byMonth['2024-06'].retained, 1);
+assert.deepStrictEqual(report.totals, { contributors: 3, new: 2, churned: 1, active: 1 });
+
+// With a longer threshold bob is not churned yet
+const patient = buildLifecycle(activity, {
+    startMonth: '2024-01',
+    endMonth: '2024-06',
+    currentMonth: '2024-06',
+    churnAfterMonths: 4
+});
+assert.strictEqual(patient.totals.churned, 0);
+
+// Indexed history starting in January: ann and bob may have committed before it
+const truncated = buildLifecycle(
+    activity.filter((row) => row.month >= '2024-01')
+        .map((row) => ({ ...row, truncated: row.month === '2024-01' })),
+    { startMonth: '2024-01', endMonth: '2024-06', currentMonth: '2024-06' }
+);
+assert.deepStrictEqual(truncated.months[0], { month: '2024-01', new: 0, retained: 2, churned: 0, active: 2 });
+assert.strictEqual(truncated.totals.new, 1);
+
+console.log('contributorCohorts: all checks passed');
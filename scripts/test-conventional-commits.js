@@ -0,0 +1,27 @@
+/**
+ * Quick sanity check for lib/conventionalCommits.js
+ * Run: node scripts/test-conventional-commits.js
+ */
+const assert = require('assert');
+const { parseConventionalCommit } = require('../lib/conventionalCommits');
+
+assert.deepStrictEqual(parseConventionalCommit('feat(api): add endpoint'), {
+    type: 'feat', scope: 'api', breaking: false, description: 'add endpoint', breakingNote: null
+});
+assert.deepStrictEqual(parseConventionalCommit('Fix!: drop node 14'), {
+    type: 'fix', scope: null, breaking: true, description: 'drop node 14', breakingNote: null
+});
+assert.deepStrictEqual(parseConventionalCommit('refactor: split parser', 'Details.\n\nBREAKING CHANGE: parse() is async'), {
+    type: 'refactor', scope: null, breaking: true, description: 'split parser', breakingNote: 'parse() is async'
+});
+assert.deepStrictEqual(parseConventionalCommit('chore(): tidy'), {
+    type: 'chore', scope: null, breaking: false, description: 'tidy', breakingNote: null
+});
+
+const plain = parseConventionalCommit('Merge branch main into feature');
+assert.strictEqual(plain.type, null);
+assert.strictEqual(plain.description, 'Merge branch main into feature');
+assert.strictEqual(parseConventionalCommit('feat:').type, null);
+assert.strictEqual(parseConventionalCommit(null).type, null);
+
+console.log('conventionalCommits: all checks passed');
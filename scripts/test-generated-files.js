@@ -0,0 +1,63 @@
+/**
+ * Quick sanity check for lib/generatedFiles.js
+ * Run: node scripts/test-generated-files.js
+ */
+const assert = require('assert');
+const {
+    DEFAULT_GENERATED_PATTERNS,
+    DEFAULT_VENDORED_PATTERNS,
+    globToRegExp,
+    parseGitattributes,
+    buildFileRules,
+    classifyFile
+} = require('../lib/generatedFiles');
+
+// Unanchored patterns match at any depth; anchored ones only from the root
+assert.ok(globToRegExp('yarn.lock').test('web/yarn.lock'));
+assert.ok(!globToRegExp('/yarn.lock').test('web/yarn.lock'));
+assert.ok(globToRegExp('api/*.pb.go').test('api/user.pb.go'));
+assert.ok(!globToRegExp('api/*.pb.go').test('api/v1/user.pb.go'));
+assert.ok(globToRegExp('api/**/*.pb.go').test('api/v1/user.pb.go'));
+assert.ok(globToRegExp('api/**/*.pb.go').test('api/user.pb.go'));
+// Directories match what is under them
+assert.ok(globToRegExp('vendor/').test('src/vendor/lib/a.go'));
+assert.ok(!globToRegExp('vendor/').test('vendor'));
+assert.ok(globToRegExp('build').test('build/out.js'));
+assert.ok(!globToRegExp('build', { matchDirectories: false }).test('build/out.js'));
+assert.ok(!globToRegExp('a.b').test('axb'));
+
+const defaults = buildFileRules({ generated: DEFAULT_GENERATED_PATTERNS, vendored: DEFAULT_VENDORED_PATTERNS });
+assert.deepStrictEqual(classifyFile('package-lock.json', defaults), { generated: true, vendored: false });
+assert.deepStrictEqual(classifyFile('proto/user_pb2.py', defaults), { generated: true, vendored: false });
+assert.deepStrictEqual(classifyFile('vendor/github.com/x/y.go', defaults), { generated: false, vendored: true });
+assert.deepStrictEqual(classifyFile('src/index.js', defaults), { generated: false, vendored: false });
+
+// A repository pattern can un-flag a global one
+const repoRules = buildFileRules({ generated: DEFAULT_GENERATED_PATTERNS, vendored: `${DEFAULT_VENDORED_PATTERNS}\n!/vendor/` });
+assert.strictEqual(classifyFile('vendor/x.go', repoRules).vendored, false);
+assert.strictEqual(classifyFile('lib/vendor/x.go', repoRules).vendored, true);
+
+const gitattributes = [
+    '# linguist overrides',
+    '*.txt text eol=lf',
+    'gen/** linguist-generated',
+    'gen/keep.js -linguist-generated',
+    '/yarn.lock linguist-generated=false',
+    'deps/** linguist-vendored=true',
+    'deps/own/** !linguist-vendored'
+].join('\n');
+assert.strictEqual(parseGitattributes(gitattributes).length, 5);
+const withAttributes = buildFileRules({
+    generated: DEFAULT_GENERATED_PATTERNS,
+    vendored: `${DEFAULT_VENDORED_PATTERNS}\ndeps/own/`,
+    gitattributes
+});
+assert.strictEqual(classifyFile('gen/api/client.js', withAttributes).generated, true);
+assert.strictEqual(classifyFile('gen/keep.js', withAttributes).generated, false);
+assert.strictEqual(classifyFile('yarn.lock', withAttributes).generated, false);
+assert.strictEqual(classifyFile('web/yarn.lock', withAttributes).generated, true);
+assert.strictEqual(classifyFile('deps/lib/a.c', withAttributes).vendored, true);
+// `!attr` falls back to the patterns, which flag deps/own/ here
+assert.strictEqual(classifyFile('deps/own/a.c', withAttributes).vendored, true);
+
+console.log('generatedFiles: all checks passed');
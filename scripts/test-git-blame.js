@@ -0,0 +1,80 @@
+/**
+ * Quick sanity check for lib/gitBlame.js
+ * Run: node scripts/test-git-blame.js
+ */
+const assert = require('assert');
+const { parseBlamePorcelain, toBlameRanges } = require('../lib/gitBlame');
+
+const ANN = '41b758ff47d701c97bc26afa9c2e6b93b6318a34';
+const BOB = '63af68591e4e54cdc927558ea2c39f1f0aa4af91';
+
+// `git blame --porcelain -M g.txt` after Bob renamed f.txt and edited line 2
+const output = [
+    `${ANN} 1 1 1`,
+    'author Ann',
+    'author-mail <ann@x.io>',
+    'author-time 1700000000',
+    'author-tz +0000',
+    'committer Ann',
+    'committer-mail <ann@x.io>',
+    'committer-time 1792370997',
+    'committer-tz +0000',
+    'summary init',
+    'boundary',
+    'filename f.txt',
+    '\tone',
+    `${BOB} 2 2 1`,
+    'author Bob',
+    'author-mail <bob@x.io>',
+    'author-time 1700003600',
+    'author-tz +0000',
+    'committer Bob',
+    'committer-mail <bob@x.io>',
+    'committer-time 1792370997',
+    'committer-tz +0000',
+    'summary rename and edit',
+    `previous ${ANN} f.txt`,
+    'filename g.txt',
+    '\t2',
+    // Repeated commits omit their metadata
+    `${ANN} 3 3 2`,
+    '\tthree',
+    `${ANN} 4 4`,
+    '\tauthor Mallory',
+    `${BOB} 5 5 1`,
+    'filename g.txt',
+    `\t${BOB} 9 9 1`,
+    ''
+].join('\n');
+
+const lines = parseBlamePorcelain(output);
+const ann = { hash: ANN, author: 'Ann', authorEmail: 'ann@x.io', authorTime: 1700000000, summary: 'init' };
+const bob = { hash: BOB, author: 'Bob', authorEmail: 'bob@x.io', authorTime: 1700003600, summary: 'rename and edit' };
+// Content lines (tab-prefixed) are never read as headers or metadata
+assert.deepStrictEqual(lines, [
+    { line: 1, ...ann },
+    { line: 2, ...bob },
+    { line: 3, ...ann },
+    { line: 4, ...ann },
+    { line: 5, ...bob }
+]);
+
+assert.deepStrictEqual(toBlameRanges(lines).map((r) => [r.hash, r.startLine, r.endLine, r.lines]), [
+    [ANN, 1, 1, 1],
+    [BOB, 2, 2, 1],
+    [ANN, 3, 4, 2],
+    [BOB, 5, 5, 1]
+]);
+
+// An empty author-mail and a missing author-time read as null
+const anon = parseBlamePorcelain([`${BOB} 1 1 1`, 'author Bob', 'author-mail <>', 'summary x', '\tline'].join('\n'));
+assert.deepStrictEqual(anon, [{ line: 1, hash: BOB, author: 'Bob', authorEmail: null, authorTime: null, summary: 'x' }]);
+
+// SHA-256 object names
+const sha256 = 'a'.repeat(64);
+assert.strictEqual(parseBlamePorcelain(`${sha256} 7 3 1\nauthor A\n\tx\n`)[0].line, 3);
+
+assert.deepStrictEqual(parseBlamePorcelain(''), []);
+assert.deepStrictEqual(parseBlamePorcelain(null), []);
+
+console.log('gitBlame: all checks passed');
@@ -0,0 +1,77 @@
+/**
+ * Quick sanity check for lib/gitLogParse.js
+ * Run: node scripts/test-git-log-parse.js
+ */
+const assert = require('assert');
+const {
+    parseCommitLogLine,
+    NUMSTAT_LOG_FORMAT,
+    numstatPath,
+    parseNumstatLog,
+    utcOffsetMinutes
+} = require('../lib/gitLogParse');
+
+assert.deepStrictEqual(parseCommitLogLine('abc|Ann|ann@x.io|2026-01-01|fix: a|b'), {
+    hash: 'abc', author: 'Ann', email: 'ann@x.io', date: '2026-01-01', message: 'fix: a|b'
+});
+assert.strictEqual(parseCommitLogLine('12\t3\tsrc/a|b.js'), null);
+assert.strictEqual(parseCommitLogLine(''), null);
+
+// Renames report the new side
+assert.strictEqual(numstatPath('src/app.js'), 'src/app.js');
+assert.strictEqual(numstatPath('old.txt => new.txt'), 'new.txt');
+assert.strictEqual(numstatPath('src/{lib => core}/a.js'), 'src/core/a.js');
+assert.strictEqual(numstatPath('src/{lib => }/a.js'), 'src/a.js');
+assert.strictEqual(numstatPath('{ => vendor}/dep.js'), 'vendor/dep.js');
+assert.strictEqual(numstatPath('docs/{a.md => b.md}'), 'docs/b.md');
+
+assert.ok(NUMSTAT_LOG_FORMAT.startsWith('%x1e') && NUMSTAT_LOG_FORMAT.endsWith('%b%x1d'));
+
+// `git log --numstat -M --format=NUMSTAT_LOG_FORMAT` for two commits
+const output = [
+    '\x1e70b41b69f5a7dcf6c69312e9f910b63c2d65f54b\x1fAnn\x1fann@x.io\x1f2026-10-19T00:50:35+00:00\x1frefactor: move\x1f\x1d',
+    '',
+    '-\t-\tlogo.png',
+    '0\t0\told.txt => new.txt',
+    '1\t0\tsrc/{lib => }/a.js',
+    '\x1ef8f96f11257a020f7b93fedfc62b6c32c9eaba3a\x1fAnn\x1fann@x.io\x1f2026-10-19T00:50:35+00:00\x1ffeat: init\x1fBody line|with pipe',
+    '\x1d',
+    '',
+    '-\t-\tlogo.png',
+    '20\t0\told.txt',
+    '30\t0\tsrc/lib/a.js',
+    ''
+].join('\n');
+
+const commits = parseNumstatLog(output);
+assert.deepStrictEqual(commits.map((c) => [c.message, c.body, c.files, c.additions, c.deletions, c.skippedFiles]), [
+    ['refactor: move', null, 3, 1, 0, 0],
+    ['feat: init', 'Body line|with pipe', 3, 50, 0, 0]
+]);
+assert.strictEqual(commits[0].hash, '70b41b69f5a7dcf6c69312e9f910b63c2d65f54b');
+assert.strictEqual(commits[0].date, '2026-10-19T00:50:35+00:00');
+
+// skipFile sees resolved rename targets; skipped files add nothing to the counts
+const seen = [];
+const filtered = parseNumstatLog(output, {
+    skipFile: (p) => {
+        seen.push(p);
+        return p.endsWith('.png') || p === 'src/a.js';
+    }
+});
+assert.deepStrictEqual(seen.slice(0, 3), ['logo.png', 'new.txt', 'src/a.js']);
+assert.deepStrictEqual(filtered.map((c) => [c.files, c.additions, c.skippedFiles]), [
+    [1, 0, 2],
+    [2, 50, 1]
+]);
+
+assert.deepStrictEqual(parseNumstatLog(''), []);
+assert.deepStrictEqual(parseNumstatLog('\x1eno terminator'), []);
+
+assert.strictEqual(utcOffsetMinutes('2026-01-01T10:00:00+05:30'), 330);
+assert.strictEqual(utcOffsetMinutes('2026-01-01T10:00:00-0800'), -480);
+assert.strictEqual(utcOffsetMinutes('2026-01-01T10:00:00Z'), 0);
+assert.strictEqual(utcOffsetMinutes('2026-01-01 10:00:00'), null);
+assert.strictEqual(utcOffsetMinutes(null), null);
+
+console.log('gitLogParse: all checks passed');
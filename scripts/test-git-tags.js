@@ -0,0 +1,68 @@
+/**
+ * Quick sanity check for lib/gitTags.js
+ * Run: node scripts/test-git-tags.js
+ */
+const assert = require('assert');
+const { TAG_REF_FORMAT, parseTagRefs } = require('../lib/gitTags');
+
+const COMMIT = 'fc15d330bd893add2683f299f0ca8e79311a9afd';
+const record = (...fields) => `${fields.join('\x1f')}\x1e\n`;
+
+assert.strictEqual(TAG_REF_FORMAT.split('%1f').length, 10);
+assert.ok(TAG_REF_FORMAT.endsWith('%1e'));
+
+// `git for-each-ref refs/tags --format=<TAG_REF_FORMAT>` output, one record per line
+const output = [
+    record('blob-tag', 'tag', '06aed095734be440839bb4af67bd8b22aa382875', 'blob', '78981922613b2afb6025042ff6bd878ac1994e85',
+        'Rel', '<rel@x.io>', '2026-03-01T00:00:00+00:00', '2026-03-01T00:00:00+00:00', 'a blob'),
+    record('tree-tag', 'tree', 'aaff74984cccd156a469afa7d9ab10e4777beb24', '', '', '', '', '', '', ''),
+    record('v0.1', 'commit', COMMIT, '', '', '', '', '', '2026-01-02T03:04:05+02:00', 'init'),
+    record('v0.2', 'tag', '9b95fa918f294b83b0a6818457352e62c29075f0', 'commit', COMMIT,
+        'Rel', '<rel@x.io>', '2026-02-01T10:00:00+00:00', '2026-02-01T10:00:00+00:00', 'Release 0.2'),
+    record('release/with space', 'tag', '1111111111111111111111111111111111111111', 'commit', COMMIT,
+        '', '', '', '2026-02-02T00:00:00+00:00', '')
+].join('');
+
+const tags = parseTagRefs(output);
+assert.deepStrictEqual(tags.map((t) => t.name), ['blob-tag', 'tree-tag', 'v0.1', 'v0.2', 'release/with space']);
+
+// Tags on blobs and trees have no commit (the indexer skips them)
+assert.strictEqual(tags[0].type, 'annotated');
+assert.strictEqual(tags[0].commitHash, null);
+assert.strictEqual(tags[1].type, 'lightweight');
+assert.strictEqual(tags[1].commitHash, null);
+assert.strictEqual(tags[1].date, null);
+
+// Lightweight: the commit itself, its date, no tagger or message
+assert.deepStrictEqual(tags[2], {
+    name: 'v0.1',
+    type: 'lightweight',
+    commitHash: COMMIT,
+    taggerName: null,
+    taggerEmail: null,
+    date: '2026-01-02T03:04:05+02:00',
+    message: null
+});
+
+// Annotated: the peeled commit, tagger and subject
+assert.deepStrictEqual(tags[3], {
+    name: 'v0.2',
+    type: 'annotated',
+    commitHash: COMMIT,
+    taggerName: 'Rel',
+    taggerEmail: 'rel@x.io',
+    date: '2026-02-01T10:00:00+00:00',
+    message: 'Release 0.2'
+});
+
+// Annotated without a tagger falls back to the creator date
+assert.deepStrictEqual(
+    [tags[4].taggerName, tags[4].taggerEmail, tags[4].date, tags[4].message],
+    [null, null, '2026-02-02T00:00:00+00:00', null]
+);
+
+assert.deepStrictEqual(parseTagRefs(''), []);
+assert.deepStrictEqual(parseTagRefs('\n'), []);
+assert.deepStrictEqual(parseTagRefs('truncated\x1ftag\x1e'), []);
+
+console.log('gitTags: all checks passed');
@@ -0,0 +1,61 @@
+/**
+ * Quick sanity check for lib/identityClusters.js
+ * Run: node scripts/test-identity-clusters.js
+ */
+const assert = require('assert');
+const {
+    identityKey,
+    normalizePersonName,
+    normalizeEmailLocal,
+    scoreSignals,
+    clusterIdentities
+} = require('../lib/identityClusters');
+
+assert.strictEqual(normalizePersonName('Smith, José'), 'jose smith');
+assert.strictEqual(normalizePersonName('José Smith'), 'jose smith');
+assert.strictEqual(normalizePersonName('x'), null);
+assert.strictEqual(normalizeEmailLocal('John.Smith+work@Example.com'), 'johnsmith');
+assert.strictEqual(normalizeEmailLocal('123456+jsmith@users.noreply.github.com'), 'jsmith');
+assert.strictEqual(normalizeEmailLocal('root@build-box'), null);
+assert.strictEqual(normalizeEmailLocal('no-at-sign'), null);
+assert.strictEqual(scoreSignals([]), 0);
+assert.strictEqual(scoreSignals(['email-local', 'name']), 0.7);
+
+const identities = [
+    { authorName: 'John Smith', authorEmail: 'john.smith@corp.com', commitCount: 40 },
+    { authorName: 'jsmith', authorEmail: 'johnsmith@laptop.local', commitCount: 5 },
+    { authorName: 'Smith, John', authorEmail: 'js@home.net', commitCount: 2 },
+    { authorName: 'Jane Roe', authorEmail: 'jane@corp.com', commitCount: 12 },
+    { authorName: 'jroe', authorEmail: 'jr@old.corp.com', commitCount: 3 },
+    { authorName: 'Mary Major', authorEmail: 'mary@corp.com', commitCount: 7 },
+    { authorName: 'Mary Major', authorEmail: 'mary@corp.com', contributorId: 9, contributorName: 'Mary M.' },
+    { authorName: 'root', authorEmail: 'root@box1', commitCount: 1 },
+    { authorName: 'root', authorEmail: 'root@box2', commitCount: 1 }
+];
+const clusters = clusterIdentities(identities, {
+    gitlabUsers: [{ gitlabId: 1, username: 'jroe', name: 'Jane Roe', email: null }],
+    sharedCommits: [[identityKey('John Smith', 'john.smith@corp.com'), identityKey('Smith, John', 'js@home.net')]]
+});
+
+const john = clusters.find((c) => c.displayName === 'John Smith');
+assert.ok(john);
+assert.strictEqual(john.identities.length, 3);
+assert.deepStrictEqual(john.signals, ['co-occurrence', 'email-local', 'name']);
+assert.strictEqual(john.primaryEmail, 'john.smith@corp.com');
+assert.strictEqual(john.commitCount, 47);
+assert.strictEqual(john.contributorId, null);
+
+const jane = clusters.find((c) => c.displayName === 'Jane Roe');
+assert.deepStrictEqual(jane.signals, ['gitlab']);
+assert.strictEqual(jane.identities.length, 2);
+
+const mary = clusters.find((c) => c.contributorId === 9);
+assert.strictEqual(mary.displayName, 'Mary M.');
+assert.strictEqual(mary.identities.length, 1);
+
+// `root` only shares a generic name and local part
+assert.ok(!clusters.some((c) => c.identities.some((i) => i.authorName === 'root')));
+assert.ok(clusters[0].score >= clusters[clusters.length - 1].score);
+assert.strictEqual(john.key.length, 40);
+
+console.log('identityClusters: all checks passed');
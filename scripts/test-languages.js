@@ -0,0 +1,37 @@
+/**
+ * Quick sanity check for lib/languages.js
+ * Run: node scripts/test-languages.js
+ */
+const assert = require('assert');
+const { compileLanguageMappings, classifyLanguage } = require('../lib/languages');
+
+assert.strictEqual(classifyLanguage('src/app.ts'), 'TypeScript');
+assert.strictEqual(classifyLanguage('web/Button.TSX'), 'TypeScript');
+assert.strictEqual(classifyLanguage('infra/main.tf'), 'Terraform');
+assert.strictEqual(classifyLanguage('docker/Dockerfile'), 'Dockerfile');
+assert.strictEqual(classifyLanguage('CMakeLists.txt'), 'CMake');
+assert.strictEqual(classifyLanguage('notes.txt'), 'Text');
+assert.strictEqual(classifyLanguage('.eslintrc'), 'Other');
+assert.strictEqual(classifyLanguage('.eslintrc.json'), 'JSON');
+assert.strictEqual(classifyLanguage('LICENSE'), 'Other');
+assert.strictEqual(classifyLanguage('constructor'), 'Other');
+assert.strictEqual(classifyLanguage(''), 'Other');
+
+const mappings = compileLanguageMappings([
+    '// project-specific',
+    '*.tpl = Helm',
+    '.d.ts = TypeScript Declarations',
+    'Jenkinsfile = CI',
+    '.tf = HCL',
+    'not a mapping',
+    '= nothing'
+].join('\n'));
+assert.strictEqual(mappings.extensions.size, 3);
+assert.strictEqual(mappings.filenames.size, 1);
+assert.strictEqual(classifyLanguage('charts/x/templates/deploy.tpl', mappings), 'Helm');
+assert.strictEqual(classifyLanguage('types/index.d.ts', mappings), 'TypeScript Declarations');
+assert.strictEqual(classifyLanguage('src/index.ts', mappings), 'TypeScript');
+assert.strictEqual(classifyLanguage('Jenkinsfile', mappings), 'CI');
+assert.strictEqual(classifyLanguage('main.tf', mappings), 'HCL');
+
+console.log('languages: all checks passed');
@@ -0,0 +1,70 @@
+/**
+ * Quick sanity check for lib/lineRework.js
+ * Run: node scripts/test-line-rework.js
+ */
+const assert = require('assert');
+const { parseDeletedRanges, countLineOrigins } = require('../lib/lineRework');
+
+const diff = [
+    'diff --git a/src/app.js b/src/app.js',
+    'index 1111111..2222222 100644',
+    '--- a/src/app.js',
+    '+++ b/src/app.js',
+    '@@ -3 +3 @@ function main() {',
+    '-    old();',
+    '+    neu();',
+    '@@ -10,4 +9,0 @@ function helper() {',
+    '@@ -20,0 +16,2 @@',
+    'diff --git a/new.txt b/new.txt',
+    'new file mode 100644',
+    '--- /dev/null',
+    '+++ b/new.txt',
+    '@@ -0,0 +1,3 @@',
+    'diff --git a/old name.txt b/renamed.txt',
+    'similarity index 80%',
+    'rename from old name.txt',
+    'rename to renamed.txt',
+    '--- "a/old name.txt"',
+    '+++ b/renamed.txt',
+    '@@ -2,2 +2 @@',
+    'diff --git a/img.png b/img.png',
+    'Binary files a/img.png and b/img.png differ'
+].join('\n');
+
+assert.deepStrictEqual(parseDeletedRanges(diff), [
+    { path: 'src/app.js', ranges: [[3, 3], [10, 13]], lines: 5 },
+    { path: 'old name.txt', ranges: [[2, 3]], lines: 2 }
+]);
+assert.deepStrictEqual(parseDeletedRanges(''), []);
+
+// Deleted SQL/Lua comments start with `--`, so their diff lines look like `--- ` headers
+const commentDiff = [
+    'diff --git a/schema.sql b/schema.sql',
+    '--- a/schema.sql',
+    '+++ b/schema.sql',
+    '@@ -4,2 +4 @@',
+    '--- old comment',
+    '--- another',
+    '+-- new comment',
+    '@@ -9 +8,0 @@',
+    '--- trailing',
+    'diff --git a/init.lua b/init.lua',
+    '--- a/init.lua',
+    '+++ b/init.lua',
+    '@@ -1 +0,0 @@',
+    '---',
+    '\\ No newline at end of file'
+].join('\n');
+assert.deepStrictEqual(parseDeletedRanges(commentDiff), [
+    { path: 'schema.sql', ranges: [[4, 5], [9, 9]], lines: 3 },
+    { path: 'init.lua', ranges: [[1, 1]], lines: 1 }
+]);
+
+const origins = countLineOrigins([
+    { hash: 'a', authorTime: 100 },
+    { hash: 'b', authorTime: 200 },
+    { hash: 'a', authorTime: 100 }
+]);
+assert.deepStrictEqual([...origins.entries()], [['a', { lines: 2, authorTime: 100 }], ['b', { lines: 1, authorTime: 200 }]]);
+
+console.log('lineRework: all checks passed');
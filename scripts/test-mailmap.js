@@ -0,0 +1,37 @@
+/**
+ * Quick sanity check for lib/mailmap.js
+ * Run: node scripts/test-mailmap.js
+ */
+const assert = require('assert');
+const { parseMailmap, resolveMailmap, isMailmapTarget, formatMailmap } = require('../lib/mailmap');
+
+const text = [
+    '# team identities',
+    'Jane Doe <jane@co.com>',
+    '<jane@co.com> <jane@laptop.local>',
+    'Jane Doe <jane@co.com> <JDOE@old.co.com>',
+    'Bob Smith <bob@co.com> bobby <bob@laptop.local>  # pairing box',
+    'not a mailmap line'
+].join('\n');
+
+const entries = parseMailmap(text);
+assert.strictEqual(entries.length, 4);
+assert.deepStrictEqual(entries[0], { properName: 'Jane Doe', properEmail: null, commitName: null, commitEmail: 'jane@co.com' });
+assert.deepStrictEqual(entries[3], { properName: 'Bob Smith', properEmail: 'bob@co.com', commitName: 'bobby', commitEmail: 'bob@laptop.local' });
+
+assert.deepStrictEqual(resolveMailmap(entries, 'jd', 'jdoe@old.co.com'), { name: 'Jane Doe', email: 'jane@co.com', matched: true });
+assert.deepStrictEqual(resolveMailmap(entries, 'jd', 'jane@laptop.local'), { name: 'jd', email: 'jane@co.com', matched: true });
+assert.deepStrictEqual(resolveMailmap(entries, 'Bobby', 'bob@laptop.local').email, 'bob@co.com');
+assert.strictEqual(resolveMailmap(entries, 'Robert', 'bob@laptop.local').matched, false);
+assert.strictEqual(resolveMailmap(entries, 'x', 'x@co.com').matched, false);
+
+// Proper identities are targets even when no entry maps them to themselves
+assert.strictEqual(isMailmapTarget(entries, 'Bob Smith', 'BOB@co.com'), true);
+assert.strictEqual(isMailmapTarget(entries, 'Robert', 'bob@co.com'), false);
+assert.strictEqual(isMailmapTarget(entries, 'jd', 'jane@laptop.local'), false);
+assert.strictEqual(isMailmapTarget(parseMailmap('<jane@co.com> <jd@old.com>'), 'Anyone', 'jane@co.com'), true);
+
+const roundTrip = parseMailmap(formatMailmap(entries, 'exported'));
+assert.deepStrictEqual(roundTrip, entries);
+
+console.log('mailmap: all checks passed');
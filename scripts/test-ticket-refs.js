@@ -0,0 +1,30 @@
+/**
+ * Quick sanity check for lib/ticketRefs.js
+ * Run: node scripts/test-ticket-refs.js
+ */
+const assert = require('assert');
+const {
+    DEFAULT_TICKET_PATTERNS,
+    compileTicketPatterns,
+    extractTicketKeys,
+    ticketUrl
+} = require('../lib/ticketRefs');
+
+const defaults = compileTicketPatterns(DEFAULT_TICKET_PATTERNS);
+assert.deepStrictEqual(
+    extractTicketKeys('fix(api): handle null ABC-12 (#34)\n\nAlso ABC-12, OPS2-7 and #34.', defaults),
+    ['ABC-12', 'OPS2-7', '#34']
+);
+assert.deepStrictEqual(extractTicketKeys('see https://x.io/page#9 and a&#39;b', defaults), []);
+assert.deepStrictEqual(extractTicketKeys(null, defaults), []);
+
+const custom = compileTicketPatterns('// GitHub closing keywords\n(?:[Ff]ixes|[Cc]loses) (#\\d+)\n[invalid\n\n');
+assert.strictEqual(custom.length, 1);
+assert.deepStrictEqual(extractTicketKeys('Fixes #12, closes #13, mentions #14', custom), ['#12', '#13']);
+assert.deepStrictEqual(extractTicketKeys('proj-5', compileTicketPatterns('proj-\\d+')), ['PROJ-5']);
+
+assert.strictEqual(ticketUrl('https://jira.example.com/browse/{key}', 'ABC-12'), 'https://jira.example.com/browse/ABC-12');
+assert.strictEqual(ticketUrl('https://github.com/acme/app/issues/{number}', '#34'), 'https://github.com/acme/app/issues/34');
+assert.strictEqual(ticketUrl('', 'ABC-12'), null);
+
+console.log('ticketRefs: all checks passed');
@@ -2,13 +2,77 @@ const moment = require('moment');
 const Database = require('../config/database');
 const CommitIndexer = require('./CommitIndexer');
 const ContributorService = require('./ContributorService');
+const SettingsService = require('./SettingsService');
 const {
     resolveUserFilter,
     normalizeRangeDates,
     likeContains,
-    escapeLikePattern
+    escapeLikePattern,
+    splitUserList
 } = require('../lib/userFilter');
 const { createQueryTimer } = require('../lib/queryTiming');
+const { toFtsMatch, toTsQuery } = require('../lib/commitSearch');
+const { normalizeCredit, parseCoAuthors } = require('../lib/commitTrailers');
+const { toPathFilter } = require('../lib/commitFiles');
+const { toBlameRanges } = require('../lib/gitBlame');
+const { buildChangelog, renderChangelogMarkdown } = require('../lib/changelog');
+const { normalizeTicketKey, ticketUrl } = require('../lib/ticketRefs');
+const { isBotIdentity } = require('../lib/botDetection');
+const { buildLifecycle } = require('../lib/contributorCohorts');
+const { MAX_REWORK_WINDOW_DAYS } = require('../lib/lineRework');
+const { DEFAULT_MAX_FILES_PER_COMMIT, computeCoupling } = require('../lib/changeCoupling');
+const { classifyFile } = require('../lib/generatedFiles');
+
+const HOTSPOT_SORTS = {
+    changes: 'changes DESC, churn DESC',
+    churn: 'churn DESC, changes DESC',
+    authors: 'authors DESC, changes DESC'
+};
+
+/**
+ * `type` filter values (comma/pipe string or array), lower-cased; `other`
+ * matches commits without a Conventional Commit type.
+ * @returns {string[]}
+ */
+function normalizeCommitTypes(raw) {
+    return [...new Set(splitUserList(raw).map((t) => t.toLowerCase()))];
+}
+
+/**
+ * Bot check for commits read live from git: a resolved contributor's flag,
+ * otherwise the `bot_patterns` heuristic on the raw identity.
+ */
+function isBotAuthor(contributor, name, email, patterns) {
+    return contributor ? contributor.isBot : isBotIdentity(name, email, patterns);
+}
+
+/** `330` → `UTC+05:30`; unknown offsets (null) are reported as `unknown`. */
+function formatUtcOffset(minutes) {
+    if (minutes == null) return 'unknown';
+    const n = Number(minutes);
+    const abs = Math.abs(n);
+    const hh = String(Math.floor(abs / 60)).padStart(2, '0');
+    const mm = String(abs % 60).padStart(2, '0');
+    return `UTC${n < 0 ? '-' : '+'}${hh}:${mm}`;
+}
+
+/**
+ * Condition on a `tm` team_members row covering the commit's day. Membership
+ * bounds are whole days compared with the date part of the author date.
+ */
+function membershipCovers(committedAt) {
+    return `(tm.start_date IS NULL OR tm.start_date <= substr(${committedAt}, 1, 10))
+        AND (tm.end_date IS NULL OR tm.end_date >= substr(${committedAt}, 1, 10))`;
+}
+
+// Drops commits whose author is flagged as a bot (see ContributorService.resolveBotFlag).
+const BOT_EXCLUSION = 'COALESCE(c.is_bot, 0) = 0';
+
+// Drops commit_files rows flagged generated or vendored (see CommitIndexer.reflagFiles).
+const GENERATED_EXCLUSION = 'COALESCE(cf.is_generated, 0) = 0 AND COALESCE(cf.is_vendored, 0) = 0';
+
+// Resolves a commit_files row to the file's latest known path (see CommitIndexer._recordRename).
+const FILE_ALIAS_JOIN = 'LEFT JOIN file_aliases fa ON fa.repository_id = c.repository_id AND fa.path = cf.filename';
 
 class AnalyticsQueryService {
     constructor(db = null, gitService = null, indexer = null) {
@@ -16,6 +80,7 @@ class AnalyticsQueryService {
         this.gitService = gitService;
         this.indexer = indexer || new CommitIndexer(this.db, gitService);
         this.contributors = new ContributorService(this.db);
+        this.settings = new SettingsService(this.db);
     }
 
     setGitService(gitService) {
@@ -56,7 +121,7 @@ class AnalyticsQueryService {
         await this.indexer.touchAccessForRepos(repos.map((r) => r.id));
     }
 
-    _appendUserIdentifiersClause(clauses, params, userIdentifiers) {
+    _appendUserIdentifiersClause(clauses, params, userIdentifiers, credit = 'primary') {
         if (!userIdentifiers || !userIdentifiers.length) return;
 
         const emails = [];
@@ -95,21 +160,88 @@ class AnalyticsQueryService {
             }
         }
 
+        if (credit === 'shared') {
+            const coParts = [];
+            if (emails.length) {
+                const emailPh = emails.map(() => '?').join(',');
+                coParts.push(`cca.author_email IN (${emailPh})`);
+                params.push(...emails);
+                coParts.push(
+                    `cca.contributor_id IN (SELECT contributor_id FROM contributor_aliases WHERE author_email IN (${emailPh}))`
+                );
+                params.push(...emails);
+            }
+            for (const identifier of others) {
+                coParts.push(`(cca.author_name = ? OR cca.author_email = ? OR cca.contributor_id IN (
+                    SELECT id FROM contributors WHERE display_name = ?
+                ))`);
+                params.push(identifier, identifier, identifier);
+            }
+            parts.push(`EXISTS (
+                SELECT 1 FROM commit_coauthors cca
+                WHERE cca.commit_id = c.id AND (${coParts.join(' OR ')})
+            )`);
+        }
+
         clauses.push(`(${parts.join(' OR ')})`);
     }
 
+    /**
+     * Contributor filter on `c`; with shared credit a matching co-author also qualifies.
+     */
+    _contributorClause(contributorIds, params, credit = 'primary') {
+        const ph = contributorIds.map(() => '?').join(',');
+        params.push(...contributorIds);
+        if (credit !== 'shared') return `c.contributor_id IN (${ph})`;
+        params.push(...contributorIds);
+        return `(c.contributor_id IN (${ph}) OR EXISTS (
+            SELECT 1 FROM commit_coauthors cca
+            WHERE cca.commit_id = c.id AND cca.contributor_id IN (${ph})
+        ))`;
+    }
+
+    /**
+     * Team filter on `c`: the author was on one of the teams when committing. With
+     * shared credit a co-author on one of the teams also qualifies.
+     */
+    _teamClause(teamIds, params, credit = 'primary') {
+        const ph = teamIds.map(() => '?').join(',');
+        params.push(...teamIds);
+        const author = `EXISTS (
+            SELECT 1 FROM team_members tm
+            WHERE tm.team_id IN (${ph}) AND tm.contributor_id = c.contributor_id
+                AND ${membershipCovers('c.committed_at')}
+        )`;
+        if (credit !== 'shared') return author;
+        params.push(...teamIds);
+        return `(${author} OR EXISTS (
+            SELECT 1 FROM commit_coauthors cca
+            JOIN team_members tm ON tm.contributor_id = cca.contributor_id
+            WHERE cca.commit_id = c.id AND tm.team_id IN (${ph})
+                AND ${membershipCovers('c.committed_at')}
+        ))`;
+    }
+
     _buildCommitWhere(filters, params) {
         const clauses = ['1=1'];
         const {
             userIdentifiers,
             contributorId,
             contributorIds,
+            teamIds,
             hash,
             message,
             startDate,
             endDate,
             branch,
-            repositoryIds
+            repositoryIds,
+            credit,
+            path,
+            followRenames,
+            commitTypes,
+            scope,
+            breaking,
+            excludeBots
         } = filters;
 
         if (repositoryIds && repositoryIds.length) {
@@ -118,16 +250,22 @@ class AnalyticsQueryService {
         }
 
         if (contributorId) {
-            clauses.push('c.contributor_id = ?');
-            params.push(contributorId);
+            clauses.push(this._contributorClause([contributorId], params, credit));
         }
 
         if (contributorIds && contributorIds.length) {
-            clauses.push(`c.contributor_id IN (${contributorIds.map(() => '?').join(',')})`);
-            params.push(...contributorIds);
+            clauses.push(this._contributorClause(contributorIds, params, credit));
+        }
+
+        if (teamIds && teamIds.length) {
+            clauses.push(this._teamClause(teamIds, params, credit));
         }
 
-        this._appendUserIdentifiersClause(clauses, params, userIdentifiers);
+        this._appendUserIdentifiersClause(clauses, params, userIdentifiers, credit);
+
+        if (excludeBots) {
+            clauses.push(BOT_EXCLUSION);
+        }
 
         if (hash) {
             const like = this.likeOp();
@@ -157,14 +295,59 @@ class AnalyticsQueryService {
             params.push(branch);
         }
 
+        if (commitTypes && commitTypes.length) {
+            const named = commitTypes.filter((t) => t !== 'other');
+            const parts = [];
+            if (named.length) {
+                parts.push(`c.commit_type IN (${named.map(() => '?').join(',')})`);
+                params.push(...named);
+            }
+            if (named.length < commitTypes.length) parts.push('c.commit_type IS NULL');
+            clauses.push(`(${parts.join(' OR ')})`);
+        }
+
+        if (scope) {
+            clauses.push('c.commit_scope = ?');
+            params.push(scope);
+        }
+
+        if (breaking != null) {
+            clauses.push(breaking ? 'c.is_breaking = 1' : 'COALESCE(c.is_breaking, 0) = 0');
+        }
+
+        const pathFilter = toPathFilter(path);
+        if (pathFilter) {
+            const match = this._pathMatch(pathFilter, params, followRenames !== false);
+            clauses.push(`EXISTS (
+                SELECT 1 FROM commit_files cf
+                ${followRenames !== false ? FILE_ALIAS_JOIN : ''}
+                WHERE cf.commit_id = c.id AND ${match}
+            )`);
+        }
+
         return clauses.join(' AND ');
     }
 
+    /**
+     * Condition on `cf` (and `fa` when following renames) for a lib/commitFiles
+     * path filter. Following renames, a file's former paths match its current path.
+     */
+    _pathMatch(pathFilter, params, followRenames = true) {
+        const op = pathFilter.mode === 'exact' ? '= ?' : "LIKE ? ESCAPE '\\'";
+        if (!followRenames) {
+            params.push(pathFilter.value);
+            return `cf.filename ${op}`;
+        }
+        params.push(pathFilter.value, pathFilter.value);
+        return `(cf.filename ${op} OR fa.canonical_path ${op})`;
+    }
+
     async queryCommits(options = {}) {
         const timer = createQueryTimer('queryCommits');
         const {
             contributorId,
             contributorIds,
+            teamIds,
             hash,
             message,
             repositoryIds,
@@ -172,15 +355,24 @@ class AnalyticsQueryService {
             includeUnnamed = false,
             includeChanges = false,
             noCache = false,
+            path,
+            followRenames = true,
+            scope,
+            breaking,
+            excludeBots = false,
             page = 1,
             limit = 50
         } = options;
 
         const { identifiers: userIdentifiers, gitAuthorPattern } = resolveUserFilter(options);
+        const commitTypes = normalizeCommitTypes(options.type);
         const { startDate, endDate } = normalizeRangeDates(options.startDate, options.endDate);
-        timer.mark('resolveFilters', { users: userIdentifiers.length, includeChanges, noCache });
+        const credit = normalizeCredit(options.credit);
+        timer.mark('resolveFilters', { users: userIdentifiers.length, includeChanges, noCache, credit });
 
-        if (noCache && this.gitService) {
+        // Path, Conventional Commit, team and bot filters need indexed data, so they always read from the index
+        const hasTeams = !!(teamIds && teamIds.length);
+        if (noCache && this.gitService && !path && !commitTypes.length && !scope && breaking == null && !hasTeams && !excludeBots) {
             const result = await this._fallbackLiveCommits({
                 ...options,
                 userIdentifiers,
@@ -216,12 +408,20 @@ class AnalyticsQueryService {
                 userIdentifiers,
                 contributorId,
                 contributorIds,
+                teamIds,
                 hash,
                 message,
                 startDate,
                 endDate,
                 branch,
-                repositoryIds: repoIds
+                repositoryIds: repoIds,
+                credit,
+                path,
+                followRenames,
+                commitTypes,
+                scope,
+                breaking,
+                excludeBots
             },
             params
         );
@@ -234,6 +434,7 @@ class AnalyticsQueryService {
         const rows = await this.db.all(`
             SELECT c.id, c.repository_id, c.hash, c.author_name, c.author_email,
                 c.contributor_id, c.committed_at, c.message, c.branch, c.files_indexed_at,
+                c.commit_type, c.commit_scope, c.is_breaking,
                 r.name AS repo_name, r.display_name, r.path AS repo_path,
                 ct.display_name AS contributor_name,
                 COUNT(*) OVER() AS _total
@@ -248,21 +449,10 @@ class AnalyticsQueryService {
 
         const total = rows.length ? (rows[0]._total || 0) : 0;
 
-        const commits = rows.map((row) => ({
-            id: row.id,
-            repository: row.display_name || row.repo_name,
-            repositoryId: row.repository_id,
-            repositoryPath: row.repo_path,
-            hash: row.hash,
-            author: row.author_name,
-            authorEmail: row.author_email,
-            contributorId: row.contributor_id,
-            contributorName: row.contributor_name,
-            date: row.committed_at,
-            message: row.message,
-            branch: row.branch,
-            files: []
-        }));
+        const commits = rows.map((row) => this._commitFromRow(row));
+        await this._attachCoAuthors(commits);
+        await this._attachReferences(commits);
+        timer.mark('coAuthors');
 
         if (includeChanges) {
             timer.mark('includeChangesStart');
@@ -270,7 +460,7 @@ class AnalyticsQueryService {
             const placeholders = commitIds.map(() => '?').join(',');
             const allFiles = commitIds.length
                 ? await this.db.all(
-                    `SELECT commit_id, filename, additions, deletions FROM commit_files WHERE commit_id IN (${placeholders})`,
+                    `SELECT commit_id, filename, old_filename, change_type, additions, deletions FROM commit_files WHERE commit_id IN (${placeholders})`,
                     commitIds
                 )
                 : [];
@@ -278,7 +468,7 @@ class AnalyticsQueryService {
             const filesByCommitId = new Map();
             for (const f of allFiles) {
                 if (!filesByCommitId.has(f.commit_id)) filesByCommitId.set(f.commit_id, []);
-                filesByCommitId.get(f.commit_id).push({ filename: f.filename, additions: f.additions, deletions: f.deletions });
+                filesByCommitId.get(f.commit_id).push(this._fileFromRow(f));
             }
 
             const unindexed = rows.filter((r) => !r.files_indexed_at);
@@ -288,12 +478,12 @@ class AnalyticsQueryService {
                 );
                 const unindexedIds = unindexed.map((r) => r.id);
                 const newFiles = await this.db.all(
-                    `SELECT commit_id, filename, additions, deletions FROM commit_files WHERE commit_id IN (${unindexedIds.map(() => '?').join(',')})`,
+                    `SELECT commit_id, filename, old_filename, change_type, additions, deletions FROM commit_files WHERE commit_id IN (${unindexedIds.map(() => '?').join(',')})`,
                     unindexedIds
                 );
                 for (const f of newFiles) {
                     if (!filesByCommitId.has(f.commit_id)) filesByCommitId.set(f.commit_id, []);
-                    filesByCommitId.get(f.commit_id).push({ filename: f.filename, additions: f.additions, deletions: f.deletions });
+                    filesByCommitId.get(f.commit_id).push(this._fileFromRow(f));
                 }
             }
 
@@ -328,6 +518,204 @@ class AnalyticsQueryService {
         return result;
     }
 
+    _commitFromRow(row) {
+        return {
+            id: row.id,
+            repository: row.display_name || row.repo_name,
+            repositoryId: row.repository_id,
+            repositoryPath: row.repo_path,
+            hash: row.hash,
+            author: row.author_name,
+            authorEmail: row.author_email,
+            contributorId: row.contributor_id,
+            contributorName: row.contributor_name,
+            date: row.committed_at,
+            message: row.message,
+            branch: row.branch,
+            type: row.commit_type || null,
+            scope: row.commit_scope || null,
+            breaking: Number(row.is_breaking) === 1,
+            coAuthors: [],
+            tickets: [],
+            files: []
+        };
+    }
+
+    _fileFromRow(row) {
+        return {
+            filename: row.filename,
+            oldFilename: row.old_filename || null,
+            changeType: row.change_type || 'M',
+            additions: row.additions,
+            deletions: row.deletions
+        };
+    }
+
+    async _attachCoAuthors(commits) {
+        if (!commits.length) return;
+        const ids = commits.map((c) => c.id);
+        const rows = await this.db.all(`
+            SELECT cca.commit_id, cca.author_name, cca.author_email, cca.contributor_id,
+                ct.display_name AS contributor_name
+            FROM commit_coauthors cca
+            LEFT JOIN contributors ct ON ct.id = cca.contributor_id
+            WHERE cca.commit_id IN (${ids.map(() => '?').join(',')})
+            ORDER BY cca.id
+        `, ids);
+        const byCommit = new Map();
+        for (const row of rows) {
+            if (!byCommit.has(row.commit_id)) byCommit.set(row.commit_id, []);
+            byCommit.get(row.commit_id).push({
+                name: row.author_name,
+                email: row.author_email,
+                contributorId: row.contributor_id,
+                contributorName: row.contributor_name
+            });
+        }
+        for (const commit of commits) {
+            commit.coAuthors = byCommit.get(commit.id) || [];
+        }
+    }
+
+    /**
+     * Set `tickets: [{ key, url }]` on each commit from commit_references.
+     */
+    async _attachReferences(commits) {
+        if (!commits.length) return;
+        const ids = commits.map((c) => c.id);
+        const [rows, template] = await Promise.all([
+            this.db.all(`
+                SELECT commit_id, ticket_key FROM commit_references
+                WHERE commit_id IN (${ids.map(() => '?').join(',')})
+                ORDER BY id
+            `, ids),
+            this.settings.getTicketUrlTemplate()
+        ]);
+        const byCommit = new Map();
+        for (const row of rows) {
+            if (!byCommit.has(row.commit_id)) byCommit.set(row.commit_id, []);
+            byCommit.get(row.commit_id).push({ key: row.ticket_key, url: ticketUrl(template, row.ticket_key) });
+        }
+        for (const commit of commits) {
+            commit.tickets = byCommit.get(commit.id) || [];
+        }
+    }
+
+    /**
+     * Ranked full-text search over indexed commit messages and bodies
+     * (FTS5 on SQLite, tsvector on PostgreSQL). Query syntax: lib/commitSearch.js.
+     */
+    async searchCommits(options = {}) {
+        const timer = createQueryTimer('searchCommits');
+        const {
+            query,
+            contributorId,
+            contributorIds,
+            repositoryIds,
+            branch,
+            sort = 'relevance',
+            includeUnnamed = false,
+            excludeBots = false,
+            page = 1,
+            limit = 50
+        } = options;
+
+        const isPg = this.db.dialect === 'postgres';
+        const match = isPg ? toTsQuery(query) : toFtsMatch(query);
+        const { identifiers: userIdentifiers } = resolveUserFilter(options);
+        const credit = normalizeCredit(options.credit);
+        const { startDate, endDate } = normalizeRangeDates(options.startDate, options.endDate);
+        const pg = Math.max(1, page);
+        const lm = Math.max(1, limit);
+
+        const repos = await this._repoFilter(includeUnnamed, repositoryIds);
+        timer.mark('repoFilter', { repos: repos.length });
+        if (!repos.length) {
+            timer.finish({ commits: 0, total: 0 });
+            return {
+                commits: [],
+                indexing: false,
+                enqueued: 0,
+                pagination: { page: pg, limit: lm, total: 0, totalPages: 0, indexing: false, enqueued: 0 }
+            };
+        }
+
+        const repoIds = repos.map((r) => r.id);
+        const indexMeta = await this.indexer.ensureRangesIndexed(repos, options.startDate, options.endDate);
+        await this.indexer.touchAccessForRepos(repoIds);
+
+        const params = [match];
+        const where = this._buildCommitWhere(
+            {
+                userIdentifiers,
+                contributorId,
+                contributorIds,
+                startDate,
+                endDate,
+                branch,
+                repositoryIds: repoIds,
+                credit,
+                excludeBots
+            },
+            params
+        );
+
+        const matches = isPg
+            ? `SELECT id AS commit_id, ts_rank_cd(search_vector, q.query) AS rank
+               FROM commits, to_tsquery('english', ?) AS q(query)
+               WHERE search_vector @@ q.query`
+            : `SELECT rowid AS commit_id, -bm25(commits_fts, 10.0, 1.0) AS rank
+               FROM commits_fts
+               WHERE commits_fts MATCH ?`;
+        const orderBy = sort === 'date'
+            ? 'c.committed_at DESC'
+            : 'm.rank DESC, c.committed_at DESC';
+
+        const rows = await this.db.all(`
+            WITH matches AS (${matches})
+            SELECT c.id, c.repository_id, c.hash, c.author_name, c.author_email,
+                c.contributor_id, c.committed_at, c.message, c.body, c.branch,
+                c.commit_type, c.commit_scope, c.is_breaking,
+                r.name AS repo_name, r.display_name, r.path AS repo_path,
+                ct.display_name AS contributor_name,
+                m.rank,
+                COUNT(*) OVER() AS _total
+            FROM matches m
+            JOIN commits c ON c.id = m.commit_id
+            JOIN git_repositories r ON r.id = c.repository_id
+            LEFT JOIN contributors ct ON ct.id = c.contributor_id
+            WHERE ${where}
+            ORDER BY ${orderBy}
+            LIMIT ? OFFSET ?
+        `, [...params, lm, (pg - 1) * lm]);
+        timer.mark('selectMatches', { rows: rows.length });
+
+        const total = rows.length ? Number(rows[0]._total || 0) : 0;
+        const commits = rows.map((row) => ({
+            ...this._commitFromRow(row),
+            body: row.body,
+            rank: Number(row.rank) || 0
+        }));
+        await this._attachCoAuthors(commits);
+        await this._attachReferences(commits);
+
+        const indexing = (indexMeta.enqueued || 0) > 0;
+        timer.finish({ path: 'fts', commits: commits.length, total });
+        return {
+            commits,
+            indexing,
+            enqueued: indexMeta.enqueued || 0,
+            pagination: {
+                page: pg,
+                limit: lm,
+                total,
+                totalPages: Math.ceil(total / lm) || 0,
+                indexing,
+                enqueued: indexMeta.enqueued || 0
+            }
+        };
+    }
+
     async _fallbackLiveCommits(options) {
         if (!this.gitService) {
             return {
@@ -390,12 +778,732 @@ class AnalyticsQueryService {
             email: c.authorEmail,
             date: c.date,
             message: c.message,
-            files: c.files || []
+            type: c.type,
+            scope: c.scope,
+            breaking: c.breaking,
+            files: c.files || [],
+            coAuthors: c.coAuthors || [],
+            tickets: c.tickets || []
         }));
         return { changes, pagination: result.pagination };
     }
 
-    async getAnalyticsSummary(startDate, endDate, repositoryIds, contributorIds) {
+    /**
+     * Commits in one repository that touched `path` (exact, `dir/` prefix or glob;
+     * see lib/commitFiles.toPathFilter), newest first, with the line deltas of the
+     * matching files and a per-author summary. Following renames, history recorded
+     * under a file's former paths is included. Without a date range this covers
+     * everything indexed so far. Directory and glob filters skip generated and
+     * vendored files unless `includeGenerated`; an exact path is always shown.
+     */
+    async getFileHistory(options = {}) {
+        const { repositoryId, startDate, endDate, followRenames = true, excludeBots = false, page = 1, limit = 50 } = options;
+        const pathFilter = toPathFilter(options.path);
+        if (!pathFilter) throw new Error('path is required');
+
+        const pg = Math.max(1, parseInt(page, 10) || 1);
+        const lm = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+        const repos = await this._repoFilter(true, [repositoryId]);
+        if (!repos.length) return null;
+        const repo = repos[0];
+        const indexMeta = await this.indexer.ensureRangesIndexed(repos, startDate, endDate);
+        await this.indexer.touchAccessForRepos([repo.id]);
+
+        const params = [repo.id];
+        const clauses = ['c.repository_id = ?', this._pathMatch(pathFilter, params, followRenames)];
+        if (excludeBots) clauses.push(BOT_EXCLUSION);
+        if (pathFilter.mode !== 'exact' && options.includeGenerated !== true) clauses.push(GENERATED_EXCLUSION);
+        const { startDate: start, endDate: end } = normalizeRangeDates(startDate, endDate);
+        if (start) {
+            clauses.push('c.committed_at >= ?');
+            params.push(start);
+        }
+        if (end) {
+            clauses.push('c.committed_at <= ?');
+            params.push(end);
+        }
+        const from = `
+            FROM commits c
+            JOIN commit_files cf ON cf.commit_id = c.id
+            ${followRenames ? FILE_ALIAS_JOIN : ''}
+            WHERE ${clauses.join(' AND ')}
+        `;
+
+        const [rows, authorRows, pathRows] = await Promise.all([
+            this.db.all(`
+                SELECT c.id, c.repository_id, c.hash, c.author_name, c.author_email,
+                    c.contributor_id, c.committed_at, c.message, c.branch,
+                    c.commit_type, c.commit_scope, c.is_breaking,
+                    ct.display_name AS contributor_name,
+                    COUNT(*) AS files,
+                    SUM(COALESCE(cf.additions, 0)) AS additions,
+                    SUM(COALESCE(cf.deletions, 0)) AS deletions,
+                    MIN(cf.filename) AS filename,
+                    MIN(cf.old_filename) AS old_filename,
+                    MIN(cf.change_type) AS change_type
+                FROM commits c
+                JOIN commit_files cf ON cf.commit_id = c.id
+                ${followRenames ? FILE_ALIAS_JOIN : ''}
+                LEFT JOIN contributors ct ON ct.id = c.contributor_id
+                WHERE ${clauses.join(' AND ')}
+                GROUP BY c.id, c.repository_id, c.hash, c.author_name, c.author_email,
+                    c.contributor_id, c.committed_at, c.message, c.branch,
+                    c.commit_type, c.commit_scope, c.is_breaking, ct.display_name
+                ORDER BY c.committed_at DESC
+                LIMIT ? OFFSET ?
+            `, [...params, lm, (pg - 1) * lm]),
+            this.db.all(`
+                SELECT MIN(c.contributor_id) AS contributor_id,
+                    MIN(c.author_name) AS author_name,
+                    MIN(c.author_email) AS author_email,
+                    COUNT(DISTINCT c.id) AS commits,
+                    SUM(COALESCE(cf.additions, 0)) AS additions,
+                    SUM(COALESCE(cf.deletions, 0)) AS deletions,
+                    MIN(c.committed_at) AS first_commit,
+                    MAX(c.committed_at) AS last_commit
+                ${from}
+                GROUP BY COALESCE(CAST(c.contributor_id AS TEXT), c.author_email, c.author_name)
+                ORDER BY commits DESC, additions DESC
+            `, params),
+            this.db.all(`SELECT DISTINCT cf.filename ${from} ORDER BY cf.filename`, params)
+        ]);
+
+        const contributorIds = [...new Set(authorRows.map((r) => r.contributor_id).filter(Boolean))];
+        const names = contributorIds.length
+            ? await this.db.all(
+                `SELECT id, display_name FROM contributors WHERE id IN (${contributorIds.map(() => '?').join(',')})`,
+                contributorIds
+            )
+            : [];
+        const nameById = new Map(names.map((n) => [n.id, n.display_name]));
+
+        const commits = rows.map((row) => {
+            const commit = this._commitFromRow({
+                ...row,
+                display_name: repo.display_name,
+                repo_name: repo.name,
+                repo_path: repo.path
+            });
+            delete commit.files;
+            return {
+                ...commit,
+                ...this._fileFromRow(row),
+                matchedFiles: Number(row.files) || 0,
+                additions: Number(row.additions) || 0,
+                deletions: Number(row.deletions) || 0
+            };
+        });
+        await this._attachCoAuthors(commits);
+        await this._attachReferences(commits);
+
+        const authors = authorRows.map((row) => ({
+            contributorId: row.contributor_id || null,
+            name: nameById.get(row.contributor_id) || row.author_name,
+            email: row.author_email,
+            commits: Number(row.commits) || 0,
+            additions: Number(row.additions) || 0,
+            deletions: Number(row.deletions) || 0,
+            firstCommit: row.first_commit,
+            lastCommit: row.last_commit
+        }));
+        const total = authors.reduce((n, a) => n + a.commits, 0);
+        const indexing = (indexMeta.enqueued || 0) > 0;
+
+        return {
+            repositoryId: repo.id,
+            repository: repo.display_name || repo.name,
+            path: pathFilter.path,
+            mode: pathFilter.mode,
+            followRenames: Boolean(followRenames),
+            paths: pathRows.map((r) => r.filename),
+            totals: {
+                commits: total,
+                additions: authors.reduce((n, a) => n + a.additions, 0),
+                deletions: authors.reduce((n, a) => n + a.deletions, 0),
+                authors: authors.length
+            },
+            authors,
+            commits,
+            indexing,
+            pagination: { page: pg, limit: lm, total, totalPages: Math.ceil(total / lm) || 0, indexing }
+        };
+    }
+
+    /**
+     * Indexed tags for a repository, newest first. Tags are synced with every
+     * indexing job; `refresh` (or an empty table) re-reads them from git first.
+     */
+    async listTags(repositoryId, { refresh = false } = {}) {
+        const repos = await this._repoFilter(true, [repositoryId]);
+        if (!repos.length) return null;
+        const repo = repos[0];
+        let rows = await this.db.all(
+            'SELECT * FROM repository_tags WHERE repository_id = ? ORDER BY tagged_at DESC, name DESC',
+            [repo.id]
+        );
+        if (refresh || !rows.length) {
+            await this.indexer.indexTags(repo.id, repo.path);
+            rows = await this.db.all(
+                'SELECT * FROM repository_tags WHERE repository_id = ? ORDER BY tagged_at DESC, name DESC',
+                [repo.id]
+            );
+        }
+        return {
+            repositoryId: repo.id,
+            repository: repo.display_name || repo.name,
+            tags: rows.map((row) => ({
+                name: row.name,
+                type: row.tag_type,
+                commitHash: row.commit_hash,
+                taggerName: row.tagger_name,
+                taggerEmail: row.tagger_email,
+                date: row.tagged_at,
+                message: row.message
+            }))
+        };
+    }
+
+    /**
+     * Release scope between two refs: commits in `from..to` with their line
+     * stats, contributors resolved to canonical identities, and the net diff.
+     * `from` defaults to the nearest tag before `to`, as in generateChangelog. `excludeBots` drops bot
+     * commits from the lists and totals; the net diff still covers the whole range.
+     * Line stats leave out generated and vendored files unless `includeGenerated`.
+     */
+    async compareRefs({ repositoryId, from, to = 'HEAD', includeMerges = false, excludeBots = false, includeGenerated = false } = {}) {
+        if (!this.gitService) throw new Error('Git service unavailable');
+        const skipFile = includeGenerated ? null : await this._generatedFileFilter(repositoryId);
+        const range = await this.gitService.getCommitRange(repositoryId, from, to, { includeMerges, skipFile });
+        const resolved = await this.contributors.resolveIdentities(
+            range.commits.map((c) => ({ name: c.author, email: c.email }))
+        );
+        const botPatterns = excludeBots ? await this.settings.getBotPatterns() : null;
+        const rangeCommits = botPatterns
+            ? range.commits.filter((c) => !isBotAuthor(resolved.get(`${c.author || ''}\0${c.email || ''}`), c.author, c.email, botPatterns))
+            : range.commits;
+        const tagRows = await this.db.all(
+            'SELECT name, commit_hash FROM repository_tags WHERE repository_id = ?',
+            [range.repositoryId]
+        );
+        const tagsByHash = new Map();
+        for (const t of tagRows) {
+            if (!tagsByHash.has(t.commit_hash)) tagsByHash.set(t.commit_hash, []);
+            tagsByHash.get(t.commit_hash).push(t.name);
+        }
+
+        const byContributor = new Map();
+        const commits = rangeCommits.map((c) => {
+            const contributor = resolved.get(`${c.author || ''}\0${c.email || ''}`) || null;
+            const key = contributor ? `c:${contributor.id}` : `e:${String(c.email || c.author || '').toLowerCase()}`;
+            if (!byContributor.has(key)) {
+                byContributor.set(key, {
+                    contributorId: contributor ? contributor.id : null,
+                    name: contributor ? contributor.displayName : c.author,
+                    email: c.email,
+                    commits: 0,
+                    additions: 0,
+                    deletions: 0
+                });
+            }
+            const agg = byContributor.get(key);
+            agg.commits += 1;
+            agg.additions += c.additions;
+            agg.deletions += c.deletions;
+            return {
+                hash: c.hash,
+                author: c.author,
+                authorEmail: c.email,
+                contributorId: agg.contributorId,
+                contributorName: contributor ? contributor.displayName : null,
+                date: c.date,
+                message: c.message,
+                files: c.files,
+                additions: c.additions,
+                deletions: c.deletions,
+                tags: tagsByHash.get(c.hash) || []
+            };
+        });
+
+        const contributors = [...byContributor.values()].sort((a, b) => b.commits - a.commits || b.additions - a.additions);
+        return {
+            repositoryId: range.repositoryId,
+            repository: range.repository,
+            from: { ...range.base, tags: tagsByHash.get(range.base.hash) || [] },
+            to: { ...range.head, tags: tagsByHash.get(range.head.hash) || [] },
+            totals: {
+                commits: commits.length,
+                contributors: contributors.length,
+                additions: commits.reduce((n, c) => n + c.additions, 0),
+                deletions: commits.reduce((n, c) => n + c.deletions, 0)
+            },
+            diff: range.diff,
+            contributors,
+            commits
+        };
+    }
+
+    /**
+     * Markdown release notes for one repository, grouped by Conventional Commit
+     * type with contributor credits (authors and co-authors). Between refs
+     * (`from` defaults to the tag before `to`) commits are read live from git;
+     * with only `startDate`/`endDate` they come from the index. `excludeBots`
+     * leaves out commits by bot accounts, and commits that only touched
+     * generated or vendored files are left out unless `includeGenerated`.
+     */
+    async generateChangelog(options = {}) {
+        const { repositoryId, from, to, startDate, endDate, excludeBots = false } = options;
+        const includeGenerated = options.includeGenerated === true;
+        const repos = await this._repoFilter(true, [repositoryId]);
+        if (!repos.length) return null;
+        const repo = repos[0];
+        const repoName = repo.display_name || repo.name;
+        const byDate = !from && !to && Boolean(startDate || endDate);
+
+        let commits;
+        let range;
+        let title;
+        let indexing = false;
+        if (byDate) {
+            const meta = await this.indexer.ensureRangesIndexed([repo], startDate, endDate);
+            indexing = (meta.enqueued || 0) > 0;
+            const { start, end } = this._rangeBounds(startDate, endDate);
+            const rows = await this.db.all(`
+                SELECT c.id, c.hash, c.author_name, c.author_email, c.contributor_id, c.committed_at,
+                    c.message, c.body, ct.display_name AS contributor_name
+                FROM commits c
+                LEFT JOIN contributors ct ON ct.id = c.contributor_id
+                WHERE c.repository_id = ? AND c.committed_at >= ? AND c.committed_at <= ?
+                    AND COALESCE(c.is_merge, 0) = 0${excludeBots ? ` AND ${BOT_EXCLUSION}` : ''}
+                    ${includeGenerated ? '' : `AND (
+                        NOT EXISTS (SELECT 1 FROM commit_files cf WHERE cf.commit_id = c.id)
+                        OR EXISTS (SELECT 1 FROM commit_files cf WHERE cf.commit_id = c.id AND ${GENERATED_EXCLUSION})
+                    )`}
+                ORDER BY c.committed_at DESC
+            `, [repo.id, start, end]);
+            commits = rows.map((row) => ({
+                id: row.id,
+                hash: row.hash,
+                message: row.message,
+                body: row.body,
+                author: row.author_name,
+                authorEmail: row.author_email,
+                contributorId: row.contributor_id,
+                contributorName: row.contributor_name,
+                coAuthors: []
+            }));
+            await this._attachCoAuthors(commits);
+            range = { mode: 'dates', startDate: start, endDate: end };
+            title = `${repoName} changes ${start.slice(0, 10)} – ${end.slice(0, 10)}`;
+        } else {
+            if (!this.gitService) throw new Error('Git service unavailable');
+            const skipFile = includeGenerated ? null : await this._generatedFileFilter(repo.id);
+            const log = await this.gitService.getCommitRange(repo.id, from || null, to || 'HEAD', { skipFile });
+            const identities = [];
+            // Only generated or vendored files changed (lockfile refreshes, rebuilt bundles)
+            const parsed = log.commits.filter((c) => c.files > 0 || !c.skippedFiles).map((c) => {
+                const coAuthors = parseCoAuthors(c.body, { authorEmail: c.email });
+                identities.push({ name: c.author, email: c.email }, ...coAuthors);
+                return { ...c, coAuthors };
+            });
+            const resolved = await this.contributors.resolveIdentities(identities);
+            const lookup = (name, email) => resolved.get(`${name || ''}\0${email || ''}`) || null;
+            const botPatterns = excludeBots ? await this.settings.getBotPatterns() : null;
+            const kept = botPatterns
+                ? parsed.filter((c) => !isBotAuthor(lookup(c.author, c.email), c.author, c.email, botPatterns))
+                : parsed;
+            commits = kept.map((c) => {
+                const contributor = lookup(c.author, c.email);
+                return {
+                    hash: c.hash,
+                    message: c.message,
+                    body: c.body,
+                    author: c.author,
+                    authorEmail: c.email,
+                    contributorId: contributor ? contributor.id : null,
+                    contributorName: contributor ? contributor.displayName : null,
+                    coAuthors: c.coAuthors.map((co) => {
+                        const match = lookup(co.name, co.email);
+                        return {
+                            name: co.name,
+                            email: co.email,
+                            contributorId: match ? match.id : null,
+                            contributorName: match ? match.displayName : null
+                        };
+                    })
+                };
+            });
+            range = { mode: 'refs', from: log.base.ref, to: log.head.ref, fromHash: log.base.hash, toHash: log.head.hash };
+            title = `${repoName} ${log.head.ref === 'HEAD' ? 'unreleased changes' : log.head.ref}`;
+        }
+
+        const notes = buildChangelog(commits);
+        const subtitle = range.mode === 'refs'
+            ? `Changes since ${range.from} (${commits.length} commits).`
+            : `${commits.length} commits.`;
+        return {
+            repositoryId: repo.id,
+            repository: repoName,
+            range,
+            title,
+            commitCount: commits.length,
+            sections: notes.sections,
+            contributors: notes.contributors,
+            markdown: renderChangelogMarkdown({ title, subtitle, ...notes }),
+            indexing
+        };
+    }
+
+    /** Path predicate for files a repository flags as generated or vendored (see lib/generatedFiles). */
+    async _generatedFileFilter(repositoryId) {
+        const repo = await this.db.get('SELECT id, path FROM git_repositories WHERE id = ?', [repositoryId]);
+        if (!repo || !this.indexer) return null;
+        const rules = await this.indexer.getFileRules(repo.id, repo.path);
+        return (path) => {
+            const flags = classifyFile(path, rules);
+            return flags.generated || flags.vendored;
+        };
+    }
+
+    /**
+     * Current authorship of a file: `git blame` line ranges with each author
+     * resolved to its canonical contributor, plus each contributor's share of lines.
+     */
+    async getBlame({ repositoryId, path, rev = 'HEAD' } = {}) {
+        if (!this.gitService) throw new Error('Git service unavailable');
+        const blame = await this.gitService.getFileBlame(repositoryId, path, rev || 'HEAD');
+        const resolved = await this.contributors.resolveIdentities(
+            blame.lines.map((l) => ({ name: l.author, email: l.authorEmail }))
+        );
+
+        const owners = new Map();
+        const ranges = toBlameRanges(blame.lines).map((range) => {
+            const contributor = resolved.get(`${range.author || ''}\0${range.authorEmail || ''}`) || null;
+            const key = contributor ? `c:${contributor.id}` : `e:${String(range.authorEmail || range.author || '').toLowerCase()}`;
+            const date = range.authorTime ? new Date(range.authorTime * 1000).toISOString() : null;
+            if (!owners.has(key)) {
+                owners.set(key, {
+                    contributorId: contributor ? contributor.id : null,
+                    name: contributor ? contributor.displayName : range.author,
+                    email: range.authorEmail,
+                    lines: 0,
+                    lastCommit: null
+                });
+            }
+            const owner = owners.get(key);
+            owner.lines += range.lines;
+            if (date && (!owner.lastCommit || date > owner.lastCommit)) owner.lastCommit = date;
+            return {
+                startLine: range.startLine,
+                endLine: range.endLine,
+                lines: range.lines,
+                hash: range.hash,
+                author: range.author,
+                authorEmail: range.authorEmail,
+                contributorId: owner.contributorId,
+                contributorName: contributor ? contributor.displayName : null,
+                date,
+                summary: range.summary
+            };
+        });
+
+        const totalLines = blame.lines.length;
+        const contributors = [...owners.values()]
+            .map((o) => ({ ...o, percentage: totalLines ? Math.round((o.lines / totalLines) * 1000) / 10 : 0 }))
+            .sort((a, b) => b.lines - a.lines);
+
+        return {
+            repositoryId: blame.repositoryId,
+            repository: blame.repository,
+            path,
+            rev: rev || 'HEAD',
+            totalLines,
+            contributors,
+            ranges
+        };
+    }
+
+    /**
+     * Every indexed commit referencing one ticket key (case-insensitive), newest
+     * first, with the repositories and people involved. Not limited to a date range.
+     */
+    async getTicketCommits(options = {}) {
+        const { repositoryIds, excludeBots = false, page = 1, limit = 50 } = options;
+        const key = normalizeTicketKey(options.key);
+        const url = ticketUrl(await this.settings.getTicketUrlTemplate(), key);
+        const pg = Math.max(parseInt(page, 10) || 1, 1);
+        const lm = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+        const empty = {
+            key,
+            url,
+            totals: { commits: 0, repositories: 0, contributors: 0, firstCommit: null, lastCommit: null },
+            repositories: [],
+            contributors: [],
+            commits: [],
+            pagination: { page: pg, limit: lm, total: 0, totalPages: 0 }
+        };
+        if (!key) return empty;
+
+        const repos = await this._repoFilter(true, repositoryIds);
+        if (!repos.length) return empty;
+        const repoIds = repos.map((r) => r.id);
+        const params = [key, ...repoIds];
+        const where = `cr.ticket_key = ? AND cr.repository_id IN (${repoIds.map(() => '?').join(',')})`
+            + (excludeBots ? ` AND ${BOT_EXCLUSION}` : '');
+
+        const [rows, byRepo, byContributor] = await Promise.all([
+            this.db.all(`
+                SELECT c.id, c.repository_id, c.hash, c.author_name, c.author_email,
+                    c.contributor_id, c.committed_at, c.message, c.branch,
+                    c.commit_type, c.commit_scope, c.is_breaking,
+                    r.name AS repo_name, r.display_name, r.path AS repo_path,
+                    ct.display_name AS contributor_name,
+                    COUNT(*) OVER() AS _total
+                FROM commit_references cr
+                JOIN commits c ON c.id = cr.commit_id
+                JOIN git_repositories r ON r.id = c.repository_id
+                LEFT JOIN contributors ct ON ct.id = c.contributor_id
+                WHERE ${where}
+                ORDER BY c.committed_at DESC
+                LIMIT ? OFFSET ?
+            `, [...params, lm, (pg - 1) * lm]),
+            this.db.all(`
+                SELECT c.repository_id, COALESCE(r.display_name, r.name) AS name, COUNT(*) AS commits,
+                    MIN(c.committed_at) AS first_commit, MAX(c.committed_at) AS last_commit
+                FROM commit_references cr
+                JOIN commits c ON c.id = cr.commit_id
+                JOIN git_repositories r ON r.id = c.repository_id
+                WHERE ${where}
+                GROUP BY c.repository_id, r.display_name, r.name
+                ORDER BY commits DESC
+            `, params),
+            this.db.all(`
+                SELECT c.contributor_id, COALESCE(ct.display_name, c.author_name, 'Unknown') AS name, COUNT(*) AS commits
+                FROM commit_references cr
+                JOIN commits c ON c.id = cr.commit_id
+                LEFT JOIN contributors ct ON ct.id = c.contributor_id
+                WHERE ${where}
+                GROUP BY c.contributor_id, ct.display_name, c.author_name
+                ORDER BY commits DESC
+            `, params)
+        ]);
+
+        const commits = rows.map((row) => this._commitFromRow(row));
+        await this._attachCoAuthors(commits);
+        await this._attachReferences(commits);
+
+        const total = rows.length ? Number(rows[0]._total || 0) : byRepo.reduce((sum, r) => sum + Number(r.commits), 0);
+        const firsts = byRepo.map((r) => r.first_commit).sort();
+        const lasts = byRepo.map((r) => r.last_commit).sort();
+        return {
+            key,
+            url,
+            totals: {
+                commits: total,
+                repositories: byRepo.length,
+                contributors: byContributor.length,
+                firstCommit: firsts[0] || null,
+                lastCommit: lasts[lasts.length - 1] || null
+            },
+            repositories: byRepo.map((r) => ({
+                repositoryId: r.repository_id,
+                name: r.name,
+                commits: Number(r.commits),
+                firstCommit: r.first_commit,
+                lastCommit: r.last_commit
+            })),
+            contributors: byContributor.map((r) => ({
+                contributorId: r.contributor_id || null,
+                name: r.name,
+                commits: Number(r.commits)
+            })),
+            commits,
+            pagination: { page: pg, limit: lm, total, totalPages: Math.ceil(total / lm) }
+        };
+    }
+
+    /**
+     * Day-of-week × hour-of-day commit counts in each author's local time (from
+     * the UTC offset recorded at index time), with after-hours and weekend totals
+     * and the spread of UTC offsets. Days run 0 (Sunday) to 6; hours outside
+     * `workdayStart`–`workdayEnd` on weekdays count as after hours.
+     */
+    async getWorkingHours(options = {}) {
+        const { startDate, endDate, repositoryIds, contributorIds, teamIds, credit } = options;
+        const excludeBots = options.excludeBots !== false;
+        // 0 is a valid hour, so only a missing or non-numeric value falls back
+        const startHour = parseInt(options.workdayStart, 10);
+        const endHour = parseInt(options.workdayEnd, 10);
+        const workdayStart = Math.min(Math.max(Number.isNaN(startHour) ? 9 : startHour, 0), 23);
+        const workdayEnd = Math.min(Math.max(Number.isNaN(endHour) ? 18 : endHour, workdayStart + 1), 24);
+        const report = {
+            startDate: null,
+            endDate: null,
+            workdayStart,
+            workdayEnd,
+            totals: { commits: 0, afterHours: 0, weekend: 0, afterHoursShare: 0, weekendShare: 0 },
+            cells: [],
+            offsets: []
+        };
+
+        const repos = await this._repoFilter(true, repositoryIds);
+        if (!repos.length) return report;
+        await this._ensureIndexed(repos, startDate, endDate);
+        const repoIds = repos.map((r) => r.id);
+        const { start, end } = this._rangeBounds(startDate, endDate);
+        report.startDate = start;
+        report.endDate = end;
+
+        const params = [...repoIds, start, end];
+        const clauses = [
+            `c.repository_id IN (${repoIds.map(() => '?').join(',')})`,
+            'c.committed_at >= ?',
+            'c.committed_at <= ?'
+        ];
+        if (contributorIds && contributorIds.length) {
+            clauses.push(this._contributorClause(contributorIds, params, normalizeCredit(credit)));
+        }
+        if (teamIds && teamIds.length) {
+            clauses.push(this._teamClause(teamIds, params, normalizeCredit(credit)));
+        }
+        if (excludeBots) clauses.push(BOT_EXCLUSION);
+
+        // Wall-clock time where the author was: the UTC instant shifted by their offset
+        let dayExpr;
+        let hourExpr;
+        if (this.db.dialect === 'postgres') {
+            const local = "((CAST(c.committed_at AS TIMESTAMPTZ) AT TIME ZONE 'UTC') + COALESCE(c.author_tz_offset, 0) * INTERVAL '1 minute')";
+            dayExpr = `CAST(EXTRACT(DOW FROM ${local}) AS INTEGER)`;
+            hourExpr = `CAST(EXTRACT(HOUR FROM ${local}) AS INTEGER)`;
+        } else {
+            const local = "datetime(c.committed_at, COALESCE(c.author_tz_offset, 0) || ' minutes')";
+            dayExpr = `CAST(strftime('%w', ${local}) AS INTEGER)`;
+            hourExpr = `CAST(strftime('%H', ${local}) AS INTEGER)`;
+        }
+        const where = clauses.join(' AND ');
+
+        const [cells, offsets] = await Promise.all([
+            this.db.all(`
+                SELECT ${dayExpr} AS day, ${hourExpr} AS hour, COUNT(*) AS count
+                FROM commits c
+                WHERE ${where}
+                GROUP BY ${dayExpr}, ${hourExpr}
+                ORDER BY day, hour
+            `, params),
+            this.db.all(`
+                SELECT c.author_tz_offset AS minutes, COUNT(*) AS commits
+                FROM commits c
+                WHERE ${where}
+                GROUP BY c.author_tz_offset
+                ORDER BY commits DESC
+            `, params)
+        ]);
+
+        for (const row of cells) {
+            const count = Number(row.count);
+            const day = Number(row.day);
+            const hour = Number(row.hour);
+            report.cells.push({ day, hour, count });
+            report.totals.commits += count;
+            if (day === 0 || day === 6) report.totals.weekend += count;
+            else if (hour < workdayStart || hour >= workdayEnd) report.totals.afterHours += count;
+        }
+        const share = (n) => (report.totals.commits ? Math.round((n / report.totals.commits) * 1000) / 1000 : 0);
+        report.totals.afterHoursShare = share(report.totals.afterHours);
+        report.totals.weekendShare = share(report.totals.weekend);
+        report.offsets = offsets.map((row) => ({
+            minutes: row.minutes == null ? null : Number(row.minutes),
+            label: formatUtcOffset(row.minutes),
+            commits: Number(row.commits)
+        }));
+        return report;
+    }
+
+    /**
+     * Ticket keys referenced by commits in the date range, most recently touched
+     * first. `project` keeps keys starting with `PROJECT-`.
+     */
+    async getTickets(options = {}) {
+        const { startDate, endDate, repositoryIds, contributorIds, page = 1, limit = 50 } = options;
+        const excludeBots = options.excludeBots !== false;
+        const project = normalizeTicketKey(options.project).replace(/-+$/, '');
+        const pg = Math.max(parseInt(page, 10) || 1, 1);
+        const lm = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+
+        const repos = await this._repoFilter(true, repositoryIds);
+        if (!repos.length) {
+            return { project: project || null, tickets: [], pagination: { page: pg, limit: lm, total: 0, totalPages: 0 } };
+        }
+        await this._ensureIndexed(repos, startDate, endDate);
+        const repoIds = repos.map((r) => r.id);
+        const { start, end } = this._rangeBounds(startDate, endDate);
+
+        const params = [...repoIds, start, end];
+        const clauses = [
+            `c.repository_id IN (${repoIds.map(() => '?').join(',')})`,
+            'c.committed_at >= ?',
+            'c.committed_at <= ?'
+        ];
+        if (contributorIds && contributorIds.length) {
+            clauses.push(this._contributorClause(contributorIds, params));
+        }
+        if (excludeBots) clauses.push(BOT_EXCLUSION);
+        if (project) {
+            clauses.push(`cr.ticket_key LIKE ? ESCAPE '\\'`);
+            params.push(`${escapeLikePattern(project)}-%`);
+        }
+
+        const [rows, template] = await Promise.all([
+            this.db.all(`
+                SELECT cr.ticket_key,
+                    COUNT(DISTINCT c.id) AS commits,
+                    COUNT(DISTINCT c.repository_id) AS repositories,
+                    COUNT(DISTINCT COALESCE(CAST(c.contributor_id AS TEXT), c.author_email)) AS contributors,
+                    MIN(c.committed_at) AS first_commit,
+                    MAX(c.committed_at) AS last_commit,
+                    COUNT(*) OVER() AS _total
+                FROM commit_references cr
+                JOIN commits c ON c.id = cr.commit_id
+                WHERE ${clauses.join(' AND ')}
+                GROUP BY cr.ticket_key
+                ORDER BY last_commit DESC, cr.ticket_key
+                LIMIT ? OFFSET ?
+            `, [...params, lm, (pg - 1) * lm]),
+            this.settings.getTicketUrlTemplate()
+        ]);
+
+        const total = rows.length ? Number(rows[0]._total || 0) : 0;
+        return {
+            project: project || null,
+            tickets: rows.map((r) => ({
+                key: r.ticket_key,
+                url: ticketUrl(template, r.ticket_key),
+                commits: Number(r.commits),
+                repositories: Number(r.repositories),
+                contributors: Number(r.contributors),
+                firstCommit: r.first_commit,
+                lastCommit: r.last_commit
+            })),
+            pagination: { page: pg, limit: lm, total, totalPages: Math.ceil(total / lm) }
+        };
+    }
+
+    /**
+     * @param {object} [options]
+     * @param {'primary'|'shared'} [options.credit] shared also credits Co-authored-by trailers
+     * @param {'previous'|'year'|'custom'} [options.compare] add a `comparison` against the
+     *   preceding period of equal length, the same dates a year earlier, or
+     *   `compareStartDate`–`compareEndDate`
+     * @param {number|null} [options.topLimit] rows in the top lists (null: all)
+     * @param {boolean} [options.excludeBots=true] leave out commits by bot accounts
+     * @param {boolean} [options.includeGenerated=false] count generated and vendored files in file and line totals
+     */
+    async getAnalyticsSummary(startDate, endDate, repositoryIds, contributorIds, options = {}) {
+        const credit = normalizeCredit(options.credit);
+        const excludeBots = options.excludeBots !== false;
+        const includeGenerated = options.includeGenerated === true;
+        const fileClause = includeGenerated ? '' : ` AND ${GENERATED_EXCLUSION}`;
+        const topLimit = options.topLimit === undefined ? 10 : options.topLimit;
+        const limitSql = topLimit ? `LIMIT ${Math.max(parseInt(topLimit, 10) || 10, 1)}` : '';
         const repos = await this._repoFilter(true, repositoryIds);
         if (!repos.length) {
             return this._emptyAnalytics();
@@ -404,19 +1512,20 @@ class AnalyticsQueryService {
         await this._ensureIndexed(repos, startDate, endDate);
         const repoIds = repos.map((r) => r.id);
 
-        const start = startDate
-            ? moment(startDate).startOf('day').toISOString()
-            : moment().subtract(3, 'months').startOf('day').toISOString();
-        const end = endDate
-            ? moment(endDate).endOf('day').toISOString()
-            : moment().endOf('day').toISOString();
+        const { start, end } = this._rangeBounds(startDate, endDate);
         const repoClause = `c.repository_id IN (${repoIds.map(() => '?').join(',')})`;
 
+        const teamIds = options.teamIds && options.teamIds.length ? options.teamIds : null;
         let contributorClause = '';
         const contributorParams = [];
         if (contributorIds && contributorIds.length) {
-            contributorClause = ` AND c.contributor_id IN (${contributorIds.map(() => '?').join(',')})`;
-            contributorParams.push(...contributorIds);
+            contributorClause = ` AND ${this._contributorClause(contributorIds, contributorParams, credit)}`;
+        }
+        if (teamIds) {
+            contributorClause += ` AND ${this._teamClause(teamIds, contributorParams, credit)}`;
+        }
+        if (excludeBots) {
+            contributorClause += ` AND ${BOT_EXCLUSION}`;
         }
 
         const rangeParams = [...repoIds, start, end, ...contributorParams];
@@ -433,17 +1542,19 @@ class AnalyticsQueryService {
             LIMIT 20
         `, rangeParams);
 
-        const topContributors = await this.db.all(`
-            SELECT COALESCE(ct.display_name, c.author_name, 'Unknown') AS name,
-                c.contributor_id,
-                COUNT(*) AS commit_count
-            FROM commits c
-            LEFT JOIN contributors ct ON ct.id = c.contributor_id
-            WHERE ${repoClause} AND ${dateFilter}${contributorClause}
-            GROUP BY c.contributor_id, ct.display_name, c.author_name
-            ORDER BY commit_count DESC
-            LIMIT 10
-        `, rangeParams);
+        const topContributors = credit === 'shared'
+            ? await this._topContributorsShared(repoClause, dateFilter, [...repoIds, start, end], contributorIds, limitSql, teamIds, excludeBots)
+            : await this.db.all(`
+                SELECT COALESCE(ct.display_name, c.author_name, 'Unknown') AS name,
+                    c.contributor_id,
+                    COUNT(*) AS commit_count
+                FROM commits c
+                LEFT JOIN contributors ct ON ct.id = c.contributor_id
+                WHERE ${repoClause} AND ${dateFilter}${contributorClause}
+                GROUP BY c.contributor_id, ct.display_name, c.author_name
+                ORDER BY commit_count DESC
+                ${limitSql}
+            `, rangeParams);
 
         const topRepositories = await this.db.all(`
             SELECT COALESCE(r.display_name, r.name) AS name, c.repository_id, COUNT(*) AS commit_count
@@ -452,20 +1563,27 @@ class AnalyticsQueryService {
             WHERE ${repoClause} AND ${dateFilter}${contributorClause}
             GROUP BY c.repository_id, r.display_name, r.name
             ORDER BY commit_count DESC
-            LIMIT 10
+            ${limitSql}
+        `, rangeParams);
+
+        const activity = await this.db.get(`
+            SELECT COUNT(DISTINCT COALESCE(CAST(c.contributor_id AS TEXT), c.author_email)) AS contributors,
+                COUNT(DISTINCT c.repository_id) AS repositories
+            FROM commits c
+            WHERE ${repoClause} AND ${dateFilter}${contributorClause}
         `, rangeParams);
 
         const filesChanged = await this.db.get(`
             SELECT COUNT(*) AS total FROM commit_files cf
             JOIN commits c ON c.id = cf.commit_id
-            WHERE ${repoClause} AND ${dateFilter}${contributorClause}
+            WHERE ${repoClause} AND ${dateFilter}${contributorClause}${fileClause}
         `, rangeParams);
 
         const linesTotals = await this.db.get(`
             SELECT COALESCE(SUM(cf.additions), 0) AS additions, COALESCE(SUM(cf.deletions), 0) AS deletions
             FROM commit_files cf
             JOIN commits c ON c.id = cf.commit_id
-            WHERE ${repoClause} AND ${dateFilter}${contributorClause}
+            WHERE ${repoClause} AND ${dateFilter}${contributorClause}${fileClause}
         `, rangeParams);
 
         const commitsOverTime = await this.db.all(`
@@ -482,12 +1600,31 @@ class AnalyticsQueryService {
                 COALESCE(SUM(cf.deletions), 0) AS deletions
             FROM commit_files cf
             JOIN commits c ON c.id = cf.commit_id
-            WHERE ${repoClause} AND ${dateFilter}${contributorClause}
+            WHERE ${repoClause} AND ${dateFilter}${contributorClause}${fileClause}
             GROUP BY bucket
             ORDER BY bucket
         `, rangeParams);
 
-        return {
+        const commitTypes = await this._commitTypeBreakdown(
+            `${repoClause} AND ${dateFilter}${contributorClause}`,
+            rangeParams
+        );
+
+        const languages = await this._languageBreakdown(
+            `${repoClause} AND ${dateFilter}${contributorClause}${fileClause}`,
+            rangeParams
+        );
+
+        const topTeams = await this._teamLeaderboard(
+            `${repoClause} AND ${dateFilter}${contributorClause}`,
+            rangeParams,
+            credit,
+            teamIds,
+            limitSql,
+            includeGenerated
+        );
+
+        const summary = {
             recentCommits: recentCommits.map((row) => ({
                 repository: row.display_name || row.repo_name,
                 repositoryId: row.repository_id,
@@ -502,11 +1639,1050 @@ class AnalyticsQueryService {
             })),
             topContributors,
             topRepositories,
+            topTeams,
+            activeContributors: Number(activity?.contributors || 0),
+            activeRepositories: Number(activity?.repositories || 0),
             filesChanged: filesChanged?.total || 0,
             totalAdditions: linesTotals?.additions || 0,
             totalDeletions: linesTotals?.deletions || 0,
             commitsOverTime,
-            linesOverTime
+            linesOverTime,
+            commitTypes,
+            languages
+        };
+
+        if (options.compare) {
+            const previous = this._comparisonRange(options, start, end);
+            const before = await this.getAnalyticsSummary(
+                previous.startDate,
+                previous.endDate,
+                repositoryIds,
+                contributorIds,
+                { credit, teamIds, excludeBots, includeGenerated, topLimit: null }
+            );
+            const bounds = this._rangeBounds(previous.startDate, previous.endDate);
+            summary.comparison = this._comparePeriods(summary, before, {
+                mode: previous.mode,
+                current: { startDate: start, endDate: end },
+                previous: { startDate: bounds.start, endDate: bounds.end }
+            });
+        }
+        return summary;
+    }
+
+    /**
+     * Dates of the period to compare `start`–`end` against (see getAnalyticsSummary).
+     * `previous` is the same number of whole days immediately before `start`.
+     */
+    _comparisonRange(options, start, end) {
+        const mode = String(options.compare).toLowerCase();
+        const from = moment(start);
+        const to = moment(end);
+        if (mode === 'previous') {
+            const days = to.clone().startOf('day').diff(from.clone().startOf('day'), 'days') + 1;
+            return {
+                mode,
+                startDate: from.clone().subtract(days, 'days').format('YYYY-MM-DD'),
+                endDate: to.clone().subtract(days, 'days').format('YYYY-MM-DD')
+            };
+        }
+        if (mode === 'year') {
+            return {
+                mode,
+                startDate: from.clone().subtract(1, 'year').format('YYYY-MM-DD'),
+                endDate: to.clone().subtract(1, 'year').format('YYYY-MM-DD')
+            };
+        }
+        if (mode === 'custom' && options.compareStartDate && options.compareEndDate) {
+            return { mode, startDate: options.compareStartDate, endDate: options.compareEndDate };
+        }
+        throw new Error('compare must be previous, year or custom (with compareStartDate and compareEndDate)');
+    }
+
+    /**
+     * Deltas between two summaries. Top lists keep the current period's entries
+     * and look up each one's count in the (untruncated) previous lists.
+     */
+    _comparePeriods(current, previous, ranges) {
+        const change = (now, before) => {
+            const cur = Number(now || 0);
+            const prev = Number(before || 0);
+            return {
+                current: cur,
+                previous: prev,
+                delta: cur - prev,
+                percent: prev ? Math.round(((cur - prev) / prev) * 1000) / 10 : null
+            };
+        };
+        const commitCount = (s) => (s.commitsOverTime || []).reduce((sum, b) => sum + Number(b.count || 0), 0);
+        const contributorKey = (row) => (row.contributor_id ? `c:${row.contributor_id}` : `n:${row.name}`);
+        const before = (rows, keyOf) => new Map((rows || []).map((row) => [keyOf(row), row.commit_count]));
+        const prevContributors = before(previous.topContributors, contributorKey);
+        const prevRepositories = before(previous.topRepositories, (row) => row.repository_id);
+
+        return {
+            ...ranges,
+            totals: {
+                commits: change(commitCount(current), commitCount(previous)),
+                filesChanged: change(current.filesChanged, previous.filesChanged),
+                additions: change(current.totalAdditions, previous.totalAdditions),
+                deletions: change(current.totalDeletions, previous.totalDeletions),
+                contributors: change(current.activeContributors, previous.activeContributors),
+                repositories: change(current.activeRepositories, previous.activeRepositories)
+            },
+            topContributors: current.topContributors.map((row) => ({
+                name: row.name,
+                contributorId: row.contributor_id || null,
+                ...change(row.commit_count, prevContributors.get(contributorKey(row)))
+            })),
+            topRepositories: current.topRepositories.map((row) => ({
+                name: row.name,
+                repositoryId: row.repository_id,
+                ...change(row.commit_count, prevRepositories.get(row.repository_id))
+            }))
+        };
+    }
+
+    /**
+     * Lines changed per language (commit_files.language) for commits matching
+     * `where`, most churn first.
+     */
+    async _languageBreakdown(where, params) {
+        const rows = await this.db.all(`
+            SELECT COALESCE(cf.language, 'Other') AS language,
+                COUNT(DISTINCT cf.commit_id) AS commits,
+                COUNT(DISTINCT cf.filename) AS files,
+                COALESCE(SUM(cf.additions), 0) AS additions,
+                COALESCE(SUM(cf.deletions), 0) AS deletions
+            FROM commit_files cf
+            JOIN commits c ON c.id = cf.commit_id
+            WHERE ${where}
+            GROUP BY COALESCE(cf.language, 'Other')
+        `, params);
+        const total = rows.reduce((n, r) => n + Number(r.additions) + Number(r.deletions), 0);
+        return rows
+            .map((r) => {
+                const churn = Number(r.additions) + Number(r.deletions);
+                return {
+                    language: r.language,
+                    commits: Number(r.commits) || 0,
+                    files: Number(r.files) || 0,
+                    additions: Number(r.additions) || 0,
+                    deletions: Number(r.deletions) || 0,
+                    churn,
+                    share: total ? Math.round((churn / total) * 1000) / 1000 : 0
+                };
+            })
+            .sort((a, b) => b.churn - a.churn || b.commits - a.commits);
+    }
+
+    /**
+     * Language breakdown (see _languageBreakdown) for the repositories in scope.
+     * Without dates it covers all indexed history, as on repository stats.
+     */
+    async getLanguageBreakdown(options = {}) {
+        const { startDate, endDate, repositoryIds, contributorIds } = options;
+        const excludeBots = options.excludeBots !== false;
+        const repos = await this._repoFilter(true, repositoryIds);
+        if (!repos.length) return [];
+        const repoIds = repos.map((r) => r.id);
+        const params = [...repoIds];
+        const clauses = [`c.repository_id IN (${repoIds.map(() => '?').join(',')})`];
+        if (startDate || endDate) {
+            await this._ensureIndexed(repos, startDate, endDate);
+            const { start, end } = this._rangeBounds(startDate, endDate);
+            clauses.push('c.committed_at >= ?', 'c.committed_at <= ?');
+            params.push(start, end);
+        }
+        if (contributorIds && contributorIds.length) {
+            clauses.push(this._contributorClause(contributorIds, params));
+        }
+        if (excludeBots) clauses.push(BOT_EXCLUSION);
+        if (options.includeGenerated !== true) clauses.push(GENERATED_EXCLUSION);
+        return this._languageBreakdown(clauses.join(' AND '), params);
+    }
+
+    /**
+     * Conventional Commit type counts overall, per day, per repository and for
+     * the ten most active contributors, plus the weekly fix-to-feature ratio.
+     * Commits without a type are counted as `other`. Credits the git author only.
+     */
+    async _commitTypeBreakdown(where, params) {
+        const typeExpr = "COALESCE(c.commit_type, 'other')";
+        const [totals, overTime, byRepo, byContributor, breaking] = await Promise.all([
+            this.db.all(`
+                SELECT ${typeExpr} AS type, COUNT(*) AS count
+                FROM commits c
+                WHERE ${where}
+                GROUP BY ${typeExpr}
+                ORDER BY count DESC
+            `, params),
+            this.db.all(`
+                SELECT substr(c.committed_at, 1, 10) AS bucket, ${typeExpr} AS type, COUNT(*) AS count
+                FROM commits c
+                WHERE ${where}
+                GROUP BY substr(c.committed_at, 1, 10), ${typeExpr}
+                ORDER BY bucket
+            `, params),
+            this.db.all(`
+                SELECT c.repository_id, COALESCE(r.display_name, r.name) AS name, ${typeExpr} AS type, COUNT(*) AS count
+                FROM commits c
+                JOIN git_repositories r ON r.id = c.repository_id
+                WHERE ${where}
+                GROUP BY c.repository_id, r.display_name, r.name, ${typeExpr}
+            `, params),
+            this.db.all(`
+                SELECT c.contributor_id, COALESCE(ct.display_name, c.author_name, 'Unknown') AS name,
+                    ${typeExpr} AS type, COUNT(*) AS count
+                FROM commits c
+                LEFT JOIN contributors ct ON ct.id = c.contributor_id
+                WHERE ${where}
+                GROUP BY c.contributor_id, ct.display_name, c.author_name, ${typeExpr}
+            `, params),
+            this.db.get(`SELECT COUNT(*) AS n FROM commits c WHERE ${where} AND c.is_breaking = 1`, params)
+        ]);
+
+        const pivot = (rows, keyOf, labelOf) => {
+            const out = new Map();
+            for (const row of rows) {
+                const key = keyOf(row);
+                if (!out.has(key)) out.set(key, { ...labelOf(row), total: 0, types: {} });
+                const entry = out.get(key);
+                entry.types[row.type] = (entry.types[row.type] || 0) + Number(row.count);
+                entry.total += Number(row.count);
+            }
+            return [...out.values()]
+                .map((entry) => ({
+                    ...entry,
+                    types: Object.entries(entry.types)
+                        .map(([type, n]) => ({ type, count: n }))
+                        .sort((a, b) => b.count - a.count)
+                }))
+                .sort((a, b) => b.total - a.total);
+        };
+
+        const weeks = new Map();
+        for (const row of overTime) {
+            const week = moment(row.bucket).startOf('isoWeek').format('YYYY-MM-DD');
+            if (!weeks.has(week)) weeks.set(week, { bucket: week, feat: 0, fix: 0 });
+            if (row.type === 'feat' || row.type === 'fix') weeks.get(week)[row.type] += Number(row.count);
+        }
+        const ratio = (fix, feat) => (feat ? Math.round((fix / feat) * 100) / 100 : null);
+        const count = (type) => Number((totals.find((t) => t.type === type) || {}).count || 0);
+
+        return {
+            totals: totals.map((t) => ({ type: t.type, count: Number(t.count) })),
+            overTime: overTime.map((t) => ({ bucket: t.bucket, type: t.type, count: Number(t.count) })),
+            byRepository: pivot(byRepo, (r) => r.repository_id, (r) => ({ repositoryId: r.repository_id, name: r.name })),
+            byContributor: pivot(
+                byContributor,
+                (r) => (r.contributor_id ? `c:${r.contributor_id}` : `n:${r.name}`),
+                (r) => ({ contributorId: r.contributor_id || null, name: r.name })
+            ).slice(0, 10),
+            breaking: Number(breaking?.n || 0),
+            fixToFeatureRatio: ratio(count('fix'), count('feat')),
+            ratioOverTime: [...weeks.values()].map((w) => ({ ...w, ratio: ratio(w.fix, w.feat) }))
+        };
+    }
+
+    /**
+     * Top contributors where each commit credits its author and every co-author once.
+     * The contributor filter applies to the credited person, not the commit.
+     * Excluding bots drops bot commits and bot co-authors.
+     */
+    async _topContributorsShared(repoClause, dateFilter, baseParams, contributorIds, limitSql = 'LIMIT 10', teamIds = null, excludeBots = false) {
+        const params = [...baseParams, ...baseParams];
+        const authorBots = excludeBots ? ` AND ${BOT_EXCLUSION}` : '';
+        const coAuthorBots = excludeBots ? ` AND ${BOT_EXCLUSION} AND COALESCE(ct.is_bot, 0) = 0` : '';
+        const credited = [];
+        if (contributorIds && contributorIds.length) {
+            credited.push(`contributor_id IN (${contributorIds.map(() => '?').join(',')})`);
+            params.push(...contributorIds);
+        }
+        if (teamIds && teamIds.length) {
+            credited.push(`EXISTS (
+                SELECT 1 FROM team_members tm
+                WHERE tm.team_id IN (${teamIds.map(() => '?').join(',')})
+                    AND tm.contributor_id = credits.contributor_id
+                    AND ${membershipCovers('credits.committed_at')}
+            )`);
+            params.push(...teamIds);
+        }
+        const creditedClause = credited.length ? `WHERE ${credited.join(' AND ')}` : '';
+        return this.db.all(`
+            WITH credits AS (
+                SELECT c.id AS commit_id, c.contributor_id, c.committed_at,
+                    COALESCE(ct.display_name, c.author_name, 'Unknown') AS name
+                FROM commits c
+                LEFT JOIN contributors ct ON ct.id = c.contributor_id
+                WHERE ${repoClause} AND ${dateFilter}${authorBots}
+                UNION ALL
+                SELECT c.id AS commit_id, cca.contributor_id, c.committed_at,
+                    COALESCE(ct.display_name, cca.author_name, cca.author_email, 'Unknown') AS name
+                FROM commit_coauthors cca
+                JOIN commits c ON c.id = cca.commit_id
+                LEFT JOIN contributors ct ON ct.id = cca.contributor_id
+                WHERE ${repoClause} AND ${dateFilter}${coAuthorBots}
+            )
+            SELECT name, contributor_id, COUNT(DISTINCT commit_id) AS commit_count
+            FROM credits
+            ${creditedClause}
+            GROUP BY contributor_id, name
+            ORDER BY commit_count DESC
+            ${limitSql}
+        `, params);
+    }
+
+    /**
+     * Teams ranked by commits in `where`, crediting each commit to the teams its
+     * author (and, with shared credit, its co-authors) belonged to that day. A
+     * commit counts once per team however many of its members worked on it.
+     * Line totals leave out generated and vendored files unless `includeGenerated`.
+     */
+    async _teamLeaderboard(where, params, credit, teamIds, limitSql = 'LIMIT 10', includeGenerated = false) {
+        let credits = `
+            SELECT c.id AS commit_id, c.contributor_id, c.committed_at
+            FROM commits c
+            WHERE ${where}`;
+        const queryParams = [...params];
+        if (credit === 'shared') {
+            credits += `
+            UNION ALL
+            SELECT c.id AS commit_id, cca.contributor_id, c.committed_at
+            FROM commit_coauthors cca
+            JOIN commits c ON c.id = cca.commit_id
+            WHERE ${where}`;
+            queryParams.push(...params);
+        }
+        let teamFilter = '';
+        if (teamIds && teamIds.length) {
+            teamFilter = `AND tm.team_id IN (${teamIds.map(() => '?').join(',')})`;
+            queryParams.push(...teamIds);
+        }
+        const rows = await this.db.all(`
+            WITH credits AS (${credits}
+            ),
+            team_credits AS (
+                SELECT DISTINCT tm.team_id, cr.commit_id, cr.contributor_id
+                FROM credits cr
+                JOIN team_members tm ON tm.contributor_id = cr.contributor_id
+                    AND ${membershipCovers('cr.committed_at')}
+                    ${teamFilter}
+            ),
+            team_lines AS (
+                SELECT tc.team_id,
+                    COALESCE(SUM(cf.additions), 0) AS additions,
+                    COALESCE(SUM(cf.deletions), 0) AS deletions
+                FROM (SELECT DISTINCT team_id, commit_id FROM team_credits) tc
+                JOIN commit_files cf ON cf.commit_id = tc.commit_id
+                ${includeGenerated ? '' : `WHERE ${GENERATED_EXCLUSION}`}
+                GROUP BY tc.team_id
+            )
+            SELECT t.id AS team_id, t.name,
+                COUNT(DISTINCT tcr.commit_id) AS commit_count,
+                COUNT(DISTINCT tcr.contributor_id) AS contributors,
+                COALESCE(MAX(tl.additions), 0) AS additions,
+                COALESCE(MAX(tl.deletions), 0) AS deletions
+            FROM team_credits tcr
+            JOIN teams t ON t.id = tcr.team_id
+            LEFT JOIN team_lines tl ON tl.team_id = t.id
+            GROUP BY t.id, t.name
+            ORDER BY commit_count DESC, t.name
+            ${limitSql}
+        `, queryParams);
+        return rows.map((row) => ({
+            team_id: row.team_id,
+            name: row.name,
+            commit_count: Number(row.commit_count),
+            contributors: Number(row.contributors),
+            additions: Number(row.additions),
+            deletions: Number(row.deletions)
+        }));
+    }
+
+    /**
+     * Whole-day ISO bounds for analytics ranges (defaults to the last 3 months).
+     */
+    _rangeBounds(startDate, endDate) {
+        return {
+            start: startDate
+                ? moment(startDate).startOf('day').toISOString()
+                : moment().subtract(3, 'months').startOf('day').toISOString(),
+            end: endDate
+                ? moment(endDate).endOf('day').toISOString()
+                : moment().endOf('day').toISOString()
+        };
+    }
+
+    /**
+     * Rank files or directories by change frequency, churn and distinct authors.
+     * `groupBy: 'directory'` returns the immediate children (sub-directories and
+     * files) of `prefix`, so callers can drill down one level at a time.
+     * @param {object} options
+     * @param {'file'|'directory'} [options.groupBy]
+     * @param {string} [options.prefix] path prefix, e.g. `src/api`
+     * @param {'changes'|'churn'|'authors'} [options.sort]
+     * @param {boolean} [options.followRenames] credit changes made under former paths to the current path
+     */
+    async getHotspots(options = {}) {
+        const {
+            startDate,
+            endDate,
+            repositoryIds,
+            contributorIds,
+            groupBy = 'file',
+            sort = 'churn',
+            limit = 50,
+            followRenames = true
+        } = options;
+        const excludeBots = options.excludeBots !== false;
+        const prefix = String(options.prefix || '').replace(/^\/+|\/+$/g, '');
+        const pathPrefix = prefix ? `${prefix}/` : '';
+        const sortKey = HOTSPOT_SORTS[sort] ? sort : 'churn';
+        const lm = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+        const empty = { groupBy, prefix, sort: sortKey, items: [] };
+
+        const repos = await this._repoFilter(true, repositoryIds);
+        if (!repos.length) return empty;
+        await this._ensureIndexed(repos, startDate, endDate);
+        const repoIds = repos.map((r) => r.id);
+        const { start, end } = this._rangeBounds(startDate, endDate);
+
+        const params = [...repoIds, start, end];
+        const clauses = [
+            `c.repository_id IN (${repoIds.map(() => '?').join(',')})`,
+            'c.committed_at >= ?',
+            'c.committed_at <= ?'
+        ];
+        if (contributorIds && contributorIds.length) {
+            clauses.push(this._contributorClause(contributorIds, params));
+        }
+        if (excludeBots) clauses.push(BOT_EXCLUSION);
+        if (options.includeGenerated !== true) clauses.push(GENERATED_EXCLUSION);
+        const pathExpr = followRenames ? 'COALESCE(fa.canonical_path, cf.filename)' : 'cf.filename';
+        if (pathPrefix) {
+            clauses.push(`${pathExpr} LIKE ? ESCAPE '\\'`);
+            params.push(`${escapeLikePattern(pathPrefix)}%`);
+        }
+
+        let nameExpr = pathExpr;
+        let dirExpr = '0';
+        if (groupBy === 'directory') {
+            const pos = this.db.dialect === 'postgres' ? 'strpos' : 'instr';
+            const rest = `substr(${pathExpr}, ${pathPrefix.length + 1})`;
+            nameExpr = `CASE WHEN ${pos}(${rest}, '/') > 0 THEN substr(${rest}, 1, ${pos}(${rest}, '/') - 1) ELSE ${rest} END`;
+            dirExpr = `CASE WHEN ${pos}(${rest}, '/') > 0 THEN 1 ELSE 0 END`;
+        }
+
+        const rows = await this.db.all(`
+            SELECT repository_id, repository, name, is_dir,
+                COUNT(DISTINCT commit_id) AS changes,
+                SUM(additions) AS additions,
+                SUM(deletions) AS deletions,
+                SUM(additions + deletions) AS churn,
+                COUNT(DISTINCT author_key) AS authors,
+                MAX(committed_at) AS last_changed
+            FROM (
+                SELECT c.repository_id, COALESCE(r.display_name, r.name) AS repository,
+                    c.id AS commit_id, ${nameExpr} AS name, ${dirExpr} AS is_dir,
+                    COALESCE(cf.additions, 0) AS additions, COALESCE(cf.deletions, 0) AS deletions,
+                    COALESCE(CAST(c.contributor_id AS TEXT), c.author_email, c.author_name) AS author_key,
+                    c.committed_at
+                FROM commit_files cf
+                JOIN commits c ON c.id = cf.commit_id
+                JOIN git_repositories r ON r.id = c.repository_id
+                ${followRenames ? FILE_ALIAS_JOIN : ''}
+                WHERE ${clauses.join(' AND ')}
+            ) t
+            GROUP BY repository_id, repository, name, is_dir
+            ORDER BY ${HOTSPOT_SORTS[sortKey]}
+            LIMIT ?
+        `, [...params, lm]);
+
+        return {
+            ...empty,
+            items: rows.map((row) => ({
+                repositoryId: row.repository_id,
+                repository: row.repository,
+                path: groupBy === 'directory' ? `${pathPrefix}${row.name}` : row.name,
+                name: row.name,
+                isDirectory: Number(row.is_dir) === 1,
+                changes: Number(row.changes) || 0,
+                additions: Number(row.additions) || 0,
+                deletions: Number(row.deletions) || 0,
+                churn: Number(row.churn) || 0,
+                authors: Number(row.authors) || 0,
+                lastChanged: row.last_changed
+            }))
+        };
+    }
+
+    /**
+     * Ownership shares and bus factor per repository and per directory, weighted
+     * by lines changed. The bus factor is the smallest number of contributors
+     * whose combined share reaches `threshold`. Directories whose dominant owner
+     * has not committed anywhere for `inactiveDays` are flagged `atRisk`.
+     * Defaults: the index window, and the bus_factor_threshold /
+     * ownership_inactive_days settings.
+     */
+    async getOwnershipReport(options = {}) {
+        const { repositoryIds } = options;
+        const excludeBots = options.excludeBots !== false;
+        const depth = Math.min(Math.max(parseInt(options.depth, 10) || 1, 1), 5);
+        const threshold = options.threshold > 0 && options.threshold <= 1
+            ? Number(options.threshold)
+            : await this.settings.getBusFactorThreshold();
+        const inactiveDays = parseInt(options.inactiveDays, 10) > 0
+            ? parseInt(options.inactiveDays, 10)
+            : await this.settings.getOwnershipInactiveDays();
+        const startDate = options.startDate
+            || moment().subtract(await this.settings.getIndexWindowMonths(), 'months').format('YYYY-MM-DD');
+        const { start, end } = this._rangeBounds(startDate, options.endDate);
+        const report = { threshold, inactiveDays, depth, startDate: start, endDate: end, repositories: [] };
+
+        const repos = await this._repoFilter(true, repositoryIds);
+        if (!repos.length) return report;
+        await this._ensureIndexed(repos, startDate, options.endDate);
+        const repoIds = repos.map((r) => r.id);
+        const ownerKey = "COALESCE(CAST(c.contributor_id AS TEXT), 'email:' || COALESCE(c.author_email, c.author_name, ''))";
+
+        const rows = await this.db.all(`
+            SELECT c.repository_id, COALESCE(r.display_name, r.name) AS repository,
+                COALESCE(fa.canonical_path, cf.filename) AS filename,
+                ${ownerKey} AS owner_key,
+                c.contributor_id,
+                COALESCE(ct.display_name, c.author_name, c.author_email, 'Unknown') AS owner_name,
+                SUM(COALESCE(cf.additions, 0) + COALESCE(cf.deletions, 0)) AS churn
+            FROM commit_files cf
+            JOIN commits c ON c.id = cf.commit_id
+            JOIN git_repositories r ON r.id = c.repository_id
+            LEFT JOIN contributors ct ON ct.id = c.contributor_id
+            ${FILE_ALIAS_JOIN}
+            WHERE c.repository_id IN (${repoIds.map(() => '?').join(',')})
+              AND c.committed_at >= ? AND c.committed_at <= ?${excludeBots ? ` AND ${BOT_EXCLUSION}` : ''}
+              ${options.includeGenerated === true ? '' : `AND ${GENERATED_EXCLUSION}`}
+            GROUP BY c.repository_id, r.display_name, r.name, COALESCE(fa.canonical_path, cf.filename), ${ownerKey},
+                c.contributor_id, ct.display_name, c.author_name, c.author_email
+        `, [...repoIds, start, end]);
+
+        const lastActiveRows = await this.db.all(`
+            SELECT ${ownerKey} AS owner_key, MAX(c.committed_at) AS last_active
+            FROM commits c
+            GROUP BY ${ownerKey}
+        `);
+        const lastActive = new Map(lastActiveRows.map((r) => [r.owner_key, r.last_active]));
+        const inactiveBefore = moment().subtract(inactiveDays, 'days');
+
+        const byRepo = new Map();
+        const addShare = (bucket, row, churn) => {
+            bucket.totalChurn += churn;
+            const owner = bucket.owners.get(row.owner_key)
+                || { key: row.owner_key, contributorId: row.contributor_id, name: row.owner_name, churn: 0 };
+            owner.churn += churn;
+            bucket.owners.set(row.owner_key, owner);
+        };
+        for (const row of rows) {
+            const churn = Number(row.churn) || 0;
+            if (!churn) continue;
+            if (!byRepo.has(row.repository_id)) {
+                byRepo.set(row.repository_id, {
+                    repositoryId: row.repository_id,
+                    repository: row.repository,
+                    totalChurn: 0,
+                    owners: new Map(),
+                    directories: new Map()
+                });
+            }
+            const repo = byRepo.get(row.repository_id);
+            addShare(repo, row, churn);
+            const segments = String(row.filename).split('/').slice(0, -1);
+            const dir = segments.slice(0, depth).join('/') || '.';
+            if (!repo.directories.has(dir)) repo.directories.set(dir, { path: dir, totalChurn: 0, owners: new Map() });
+            addShare(repo.directories.get(dir), row, churn);
+        }
+
+        const summarize = (bucket) => {
+            const owners = [...bucket.owners.values()]
+                .sort((a, b) => b.churn - a.churn)
+                .map((o) => {
+                    const last = lastActive.get(o.key) || null;
+                    return {
+                        contributorId: o.contributorId,
+                        name: o.name,
+                        churn: o.churn,
+                        share: bucket.totalChurn ? o.churn / bucket.totalChurn : 0,
+                        lastActive: last,
+                        inactive: !last || moment(last).isBefore(inactiveBefore)
+                    };
+                });
+            let covered = 0;
+            let busFactor = 0;
+            for (const o of owners) {
+                if (covered >= threshold) break;
+                covered += o.share;
+                busFactor += 1;
+            }
+            return { totalChurn: bucket.totalChurn, busFactor, owners };
+        };
+
+        report.repositories = [...byRepo.values()].map((repo) => {
+            const summary = summarize(repo);
+            const directories = [...repo.directories.values()].map((dir) => {
+                const d = summarize(dir);
+                const dominant = d.owners[0] || null;
+                return {
+                    path: dir.path,
+                    totalChurn: d.totalChurn,
+                    busFactor: d.busFactor,
+                    dominantOwner: dominant,
+                    atRisk: !!(dominant && dominant.inactive),
+                    owners: d.owners.slice(0, 5)
+                };
+            }).sort((a, b) => (Number(b.atRisk) - Number(a.atRisk)) || (a.busFactor - b.busFactor) || (b.totalChurn - a.totalChurn));
+            return {
+                repositoryId: repo.repositoryId,
+                repository: repo.repository,
+                ...summary,
+                owners: summary.owners.slice(0, 10),
+                directories
+            };
+        }).sort((a, b) => a.busFactor - b.busFactor || b.totalChurn - a.totalChurn);
+
+        return report;
+    }
+
+    /**
+     * Monthly new, retained and churned contributors (see lib/contributorCohorts)
+     * for the repositories in scope, overall and per repository. First and last
+     * commits are taken from all indexed history, so contributors active before
+     * the index window count as new in their first indexed month.
+     * @param {object} options
+     * @param {number[]} [options.workspaceIds] keep repositories under these workspace roots
+     * @param {number} [options.churnAfterMonths=3] whole months without commits before a contributor counts as churned
+     */
+    async getContributorLifecycle(options = {}) {
+        const { repositoryIds, workspaceIds } = options;
+        const excludeBots = options.excludeBots !== false;
+        const churnAfterMonths = Math.min(Math.max(parseInt(options.churnAfterMonths, 10) || 3, 1), 24);
+        const startDate = options.startDate || moment().subtract(11, 'months').startOf('month').format('YYYY-MM-DD');
+        const endDate = options.endDate || moment().format('YYYY-MM-DD');
+        const startMonth = String(startDate).slice(0, 7);
+        const endMonth = String(endDate).slice(0, 7);
+        const report = {
+            startMonth,
+            endMonth,
+            churnAfterMonths,
+            indexedFrom: null,
+            months: [],
+            totals: { contributors: 0, new: 0, churned: 0, active: 0 },
+            byRepository: []
+        };
+
+        let repos = await this._repoFilter(true, repositoryIds);
+        if (workspaceIds && workspaceIds.length) {
+            const roots = await this.db.all(
+                `SELECT root_path FROM workspaces WHERE id IN (${workspaceIds.map(() => '?').join(',')})`,
+                workspaceIds
+            );
+            repos = repos.filter((r) => roots.some((w) => r.path === w.root_path || String(r.path).startsWith(`${w.root_path.replace(/\/+$/, '')}/`)));
+        }
+        if (!repos.length) return report;
+        await this._ensureIndexed(repos, startDate, endDate);
+
+        const repoIds = repos.map((r) => r.id);
+        const rows = await this.db.all(`
+            SELECT c.repository_id, COALESCE(r.display_name, r.name) AS repository,
+                COALESCE(CAST(c.contributor_id AS TEXT), c.author_email, c.author_name) AS author_key,
+                substr(c.committed_at, 1, 7) AS month
+            FROM commits c
+            JOIN git_repositories r ON r.id = c.repository_id
+            WHERE c.repository_id IN (${repoIds.map(() => '?').join(',')})
+                AND substr(c.committed_at, 1, 7) <= ?${excludeBots ? ` AND ${BOT_EXCLUSION}` : ''}
+            GROUP BY c.repository_id, r.display_name, r.name, author_key, month
+        `, [...repoIds, endMonth]);
+
+        // First indexed month per repository, or null once its root commit is indexed.
+        // Eviction and the index window hide earlier history, so activity in that
+        // month may not be a contributor's first.
+        const starts = await this.db.all(`
+            SELECT c.repository_id, MIN(c.committed_at) AS oldest,
+                MIN(substr(c.committed_at, 1, 7)) AS oldest_month, ic.history_start_at
+            FROM commits c
+            LEFT JOIN index_coverage ic ON ic.repository_id = c.repository_id
+            WHERE c.repository_id IN (${repoIds.map(() => '?').join(',')})
+            GROUP BY c.repository_id, ic.history_start_at
+        `, repoIds);
+        const indexedFrom = new Map(starts.map((row) => [
+            row.repository_id,
+            row.history_start_at && !moment(row.oldest).isAfter(moment(row.history_start_at)) ? null : row.oldest_month
+        ]));
+        const bounds = [...indexedFrom.values()].filter(Boolean).sort();
+        report.indexedFrom = bounds.length ? bounds[bounds.length - 1] : null;
+
+        const activity = rows.map((row) => ({
+            key: row.author_key,
+            month: row.month,
+            truncated: row.month === indexedFrom.get(row.repository_id)
+        }));
+        const lifecycle = { startMonth, endMonth, currentMonth: moment().format('YYYY-MM'), churnAfterMonths };
+        const overall = buildLifecycle(activity, lifecycle);
+        report.months = overall.months;
+        report.totals = overall.totals;
+
+        const perRepo = new Map();
+        rows.forEach((row, i) => {
+            if (!perRepo.has(row.repository_id)) perRepo.set(row.repository_id, { name: row.repository, activity: [] });
+            perRepo.get(row.repository_id).activity.push(activity[i]);
+        });
+        report.byRepository = [...perRepo.entries()]
+            .map(([repositoryId, { name, activity: repoActivity }]) => ({
+                repositoryId,
+                repository: name,
+                indexedFrom: indexedFrom.get(repositoryId) || null,
+                ...buildLifecycle(repoActivity, lifecycle).totals
+            }))
+            .sort((a, b) => b.active - a.active || b.new - a.new);
+        return report;
+    }
+
+    /**
+     * File pairs that change in the same commits (see lib/changeCoupling), per
+     * repository, strongest coupling first. `crossModule` marks pairs whose first
+     * `moduleDepth` path segments differ, the dependencies the layout hides.
+     * @param {object} options
+     * @param {string} [options.prefix] only files under this path
+     * @param {number} [options.minCoChanges=2]
+     * @param {number} [options.minDegree=0]
+     * @param {number} [options.maxFilesPerCommit=50] larger commits are skipped
+     * @param {boolean} [options.crossModuleOnly=false]
+     */
+    async getChangeCoupling(options = {}) {
+        const { startDate, endDate, repositoryIds, followRenames = true, crossModuleOnly = false } = options;
+        const excludeBots = options.excludeBots !== false;
+        const minCoChanges = Math.max(parseInt(options.minCoChanges, 10) || 2, 1);
+        const minDegree = Math.min(Math.max(Number(options.minDegree) || 0, 0), 1);
+        const maxFilesPerCommit = Math.min(Math.max(parseInt(options.maxFilesPerCommit, 10) || DEFAULT_MAX_FILES_PER_COMMIT, 2), 500);
+        const moduleDepth = Math.min(Math.max(parseInt(options.moduleDepth, 10) || 1, 1), 5);
+        const limit = Math.min(Math.max(parseInt(options.limit, 10) || 100, 1), 500);
+        const prefix = String(options.prefix || '').replace(/^\/+|\/+$/g, '');
+        const { start, end } = this._rangeBounds(startDate, endDate);
+        const report = {
+            startDate: start,
+            endDate: end,
+            minCoChanges,
+            minDegree,
+            maxFilesPerCommit,
+            moduleDepth,
+            commits: 0,
+            skippedCommits: 0,
+            pairs: []
+        };
+
+        const repos = await this._repoFilter(true, repositoryIds);
+        if (!repos.length) return report;
+        await this._ensureIndexed(repos, startDate, endDate);
+        const repoIds = repos.map((r) => r.id);
+
+        const params = [...repoIds, start, end];
+        const clauses = [
+            `c.repository_id IN (${repoIds.map(() => '?').join(',')})`,
+            'c.committed_at >= ?',
+            'c.committed_at <= ?'
+        ];
+        if (excludeBots) clauses.push(BOT_EXCLUSION);
+        if (options.includeGenerated !== true) clauses.push(GENERATED_EXCLUSION);
+        const pathExpr = followRenames ? 'COALESCE(fa.canonical_path, cf.filename)' : 'cf.filename';
+        if (prefix) {
+            clauses.push(`${pathExpr} LIKE ? ESCAPE '\\'`);
+            params.push(`${escapeLikePattern(prefix)}/%`);
+        }
+
+        const rows = await this.db.all(`
+            SELECT c.repository_id, COALESCE(r.display_name, r.name) AS repository, c.id AS commit_id, ${pathExpr} AS path
+            FROM commit_files cf
+            JOIN commits c ON c.id = cf.commit_id
+            JOIN git_repositories r ON r.id = c.repository_id
+            ${followRenames ? FILE_ALIAS_JOIN : ''}
+            WHERE ${clauses.join(' AND ')}
+            ORDER BY c.repository_id, c.id
+        `, params);
+
+        const byRepo = new Map();
+        for (const row of rows) {
+            if (!byRepo.has(row.repository_id)) {
+                byRepo.set(row.repository_id, { name: row.repository, commits: new Map() });
+            }
+            const commits = byRepo.get(row.repository_id).commits;
+            if (!commits.has(row.commit_id)) commits.set(row.commit_id, { files: [] });
+            commits.get(row.commit_id).files.push(row.path);
+        }
+
+        const pairs = [];
+        for (const [repositoryId, { name, commits }] of byRepo) {
+            const result = computeCoupling(commits.values(), {
+                minCoChanges,
+                minDegree,
+                maxFilesPerCommit,
+                moduleDepth,
+                limit: Infinity
+            });
+            report.commits += result.commits;
+            report.skippedCommits += result.skippedCommits;
+            for (const pair of result.pairs) {
+                if (crossModuleOnly && !pair.crossModule) continue;
+                pairs.push({ repositoryId, repository: name, ...pair });
+            }
+        }
+        report.pairs = pairs
+            .sort((a, b) => b.degree - a.degree || b.coChanges - a.coChanges)
+            .slice(0, limit);
+        return report;
+    }
+
+    /**
+     * Rework: how many of the lines added by commits in the range were deleted or
+     * rewritten within `windowDays` (by anyone, from commit_line_origins), per
+     * repository, top-level directory and original author. Rewrites are scanned
+     * up to `windowDays` past the range, so commits younger than the window are
+     * not fully measured yet. Bot commits are left out on both sides by default.
+     * `pendingCommits` counts commits still queued for line attribution.
+     * @param {object} options
+     * @param {number} [options.windowDays=21] capped at MAX_REWORK_WINDOW_DAYS
+     */
+    async getRework(options = {}) {
+        const { startDate, endDate, repositoryIds, contributorIds } = options;
+        const excludeBots = options.excludeBots !== false;
+        const windowDays = Math.min(Math.max(parseInt(options.windowDays, 10) || 21, 1), MAX_REWORK_WINDOW_DAYS);
+        const { start, end } = this._rangeBounds(startDate, endDate);
+        const emptyTotals = { added: 0, reworked: 0, reworkedByOthers: 0, reworkRate: 0, survivalRate: 1 };
+        const report = {
+            windowDays,
+            startDate: start,
+            endDate: end,
+            pendingCommits: 0,
+            totals: emptyTotals,
+            byRepository: [],
+            byDirectory: [],
+            byContributor: []
+        };
+
+        const repos = await this._repoFilter(true, repositoryIds);
+        if (!repos.length) return report;
+        const scanEnd = moment(end).add(windowDays, 'days');
+        const scanEndIso = moment.min(scanEnd, moment()).toISOString();
+        await this._ensureIndexed(repos, startDate, scanEnd.format('YYYY-MM-DD'));
+        report.pendingCommits = await this.indexer.ensureLineOriginsIndexed(repos, start, scanEndIso);
+
+        const repoIds = repos.map((r) => r.id);
+        const params = [...repoIds, start, end];
+        const clauses = [
+            `c.repository_id IN (${repoIds.map(() => '?').join(',')})`,
+            'c.committed_at >= ?',
+            'c.committed_at <= ?'
+        ];
+        if (contributorIds && contributorIds.length) {
+            clauses.push(this._contributorClause(contributorIds, params));
+        }
+        if (excludeBots) clauses.push(BOT_EXCLUSION);
+
+        // Reworked lines are matched to the flags of the reworking commit's file row
+        const includeGenerated = options.includeGenerated === true;
+        const reworkedFileClause = includeGenerated ? '' : ` AND NOT EXISTS (
+                SELECT 1 FROM commit_files cf
+                WHERE cf.commit_id = clo.commit_id AND cf.filename = clo.filename AND NOT (${GENERATED_EXCLUSION})
+            )`;
+
+        const authorKey = 'COALESCE(CAST(c.contributor_id AS TEXT), c.author_email, c.author_name)';
+        const pos = this.db.dialect === 'postgres' ? 'strpos' : 'instr';
+        const topDir = (col) => `CASE WHEN ${pos}(${col}, '/') > 0 THEN substr(${col}, 1, ${pos}(${col}, '/') - 1) ELSE '.' END`;
+        const groupCols = `c.repository_id, r.display_name, r.name, directory, author_key,
+                c.contributor_id, ct.display_name, c.author_name, c.author_email`;
+        const selectCols = (pathCol) => `c.repository_id, COALESCE(r.display_name, r.name) AS repository,
+                ${topDir(pathCol)} AS directory, ${authorKey} AS author_key, c.contributor_id,
+                COALESCE(ct.display_name, c.author_name, c.author_email, 'Unknown') AS author_name`;
+
+        const added = await this.db.all(`
+            SELECT ${selectCols('cf.filename')}, SUM(COALESCE(cf.additions, 0)) AS lines
+            FROM commit_files cf
+            JOIN commits c ON c.id = cf.commit_id
+            JOIN git_repositories r ON r.id = c.repository_id
+            LEFT JOIN contributors ct ON ct.id = c.contributor_id
+            WHERE ${clauses.join(' AND ')}${includeGenerated ? '' : ` AND ${GENERATED_EXCLUSION}`}
+            GROUP BY ${groupCols}
+        `, params);
+
+        const reworked = await this.db.all(`
+            SELECT ${selectCols('clo.filename')}, SUM(clo.lines) AS lines,
+                SUM(CASE WHEN COALESCE(CAST(rw.contributor_id AS TEXT), rw.author_email, rw.author_name) <> ${authorKey}
+                    THEN clo.lines ELSE 0 END) AS by_others
+            FROM commit_line_origins clo
+            JOIN commits c ON c.repository_id = clo.repository_id AND c.hash = clo.origin_hash
+            JOIN commits rw ON rw.id = clo.commit_id
+            JOIN git_repositories r ON r.id = c.repository_id
+            LEFT JOIN contributors ct ON ct.id = c.contributor_id
+            WHERE ${clauses.join(' AND ')} AND clo.age_seconds <= ?${excludeBots ? ' AND COALESCE(rw.is_bot, 0) = 0' : ''}${reworkedFileClause}
+            GROUP BY ${groupCols}
+        `, [...params, windowDays * 86400]);
+
+        const rate = (n, d) => (d ? Math.round((Math.min(n, d) / d) * 1000) / 1000 : 0);
+        const finish = (g) => ({ ...g, reworkRate: rate(g.reworked, g.added), survivalRate: Math.round((1 - rate(g.reworked, g.added)) * 1000) / 1000 });
+        const groups = { repo: new Map(), dir: new Map(), author: new Map() };
+        const totals = { added: 0, reworked: 0, reworkedByOthers: 0 };
+        const bucket = (map, key, init) => {
+            if (!map.has(key)) map.set(key, { ...init, added: 0, reworked: 0, reworkedByOthers: 0 });
+            return map.get(key);
+        };
+        const tally = (row, field, value, others) => {
+            const targets = [
+                totals,
+                bucket(groups.repo, row.repository_id, { repositoryId: row.repository_id, repository: row.repository }),
+                bucket(groups.dir, `${row.repository_id}:${row.directory}`, {
+                    repositoryId: row.repository_id,
+                    repository: row.repository,
+                    directory: row.directory
+                }),
+                bucket(groups.author, row.author_key, {
+                    contributorId: row.contributor_id ?? null,
+                    name: row.author_name
+                })
+            ];
+            for (const t of targets) {
+                t[field] += value;
+                t.reworkedByOthers += others;
+            }
+        };
+        for (const row of added) tally(row, 'added', Number(row.lines) || 0, 0);
+        for (const row of reworked) tally(row, 'reworked', Number(row.lines) || 0, Number(row.by_others) || 0);
+
+        const ranked = (map) => [...map.values()]
+            .filter((g) => g.added > 0)
+            .map(finish)
+            .sort((a, b) => b.reworkRate - a.reworkRate || b.added - a.added);
+        report.totals = totals.added ? finish(totals) : emptyTotals;
+        report.byRepository = ranked(groups.repo);
+        report.byDirectory = ranked(groups.dir).slice(0, 50);
+        report.byContributor = ranked(groups.author).slice(0, 50);
+        return report;
+    }
+
+    /**
+     * Everything about one contributor: aliases with commit counts, GitLab user,
+     * all-time totals and repositories, and for the date range (default: the last
+     * year) a daily activity calendar, commit types and top files/directories.
+     * Bot flags are ignored; line counts leave out generated and vendored files
+     * unless `includeGenerated`. Returns null for an unknown contributor.
+     */
+    async getContributorProfile(contributorId, options = {}) {
+        const contributor = await this.contributors.getContributor(contributorId);
+        if (!contributor) return null;
+        const { repositoryIds } = options;
+        const includeGenerated = options.includeGenerated === true;
+        const fileClause = includeGenerated ? '' : ` AND ${GENERATED_EXCLUSION}`;
+        const startDate = options.startDate || moment().subtract(1, 'year').add(1, 'day').format('YYYY-MM-DD');
+        const endDate = options.endDate || moment().format('YYYY-MM-DD');
+
+        const repos = await this._repoFilter(true, repositoryIds);
+        const repoIds = repos.map((r) => r.id);
+        if (repos.length) await this._ensureIndexed(repos, startDate, endDate);
+        const { start, end } = this._rangeBounds(startDate, endDate);
+        const repoClause = repoIds.length ? `c.repository_id IN (${repoIds.map(() => '?').join(',')})` : '1=0';
+        const allTime = `c.contributor_id = ? AND ${repoClause}`;
+        const allTimeParams = [contributorId, ...repoIds];
+        const inRange = `${allTime} AND c.committed_at >= ? AND c.committed_at <= ?`;
+        const rangeParams = [...allTimeParams, start, end];
+
+        const emails = [contributor.primary_email, ...contributor.aliases.map((a) => a.author_email)]
+            .filter(Boolean)
+            .map((e) => String(e).toLowerCase());
+        const gitlabSql = contributor.gitlab_user_id
+            ? 'SELECT username, name, email, avatar_url FROM gitlab_users WHERE gitlab_id = ?'
+            : `SELECT username, name, email, avatar_url FROM gitlab_users
+               WHERE LOWER(email) IN (${emails.map(() => '?').join(',') || "''"}) ORDER BY gitlab_id LIMIT 1`;
+
+        const [gitlab, identities, totals, lines, repositories, calendar, commitTypes, languages, topFiles, topDirectories] = await Promise.all([
+            this.db.get(gitlabSql, contributor.gitlab_user_id ? [contributor.gitlab_user_id] : emails),
+            this.db.all(`
+                SELECT c.author_name, c.author_email, COUNT(*) AS commit_count
+                FROM commits c
+                WHERE c.contributor_id = ?
+                GROUP BY c.author_name, c.author_email
+            `, [contributorId]),
+            this.db.get(`
+                SELECT COUNT(*) AS commits, MIN(c.committed_at) AS first_commit, MAX(c.committed_at) AS last_commit
+                FROM commits c
+                WHERE ${allTime}
+            `, allTimeParams),
+            this.db.get(`
+                SELECT COALESCE(SUM(cf.additions), 0) AS additions, COALESCE(SUM(cf.deletions), 0) AS deletions
+                FROM commit_files cf
+                JOIN commits c ON c.id = cf.commit_id
+                WHERE ${allTime}${fileClause}
+            `, allTimeParams),
+            this.db.all(`
+                SELECT c.repository_id, COALESCE(r.display_name, r.name) AS name, COUNT(*) AS commits,
+                    MIN(c.committed_at) AS first_commit, MAX(c.committed_at) AS last_commit
+                FROM commits c
+                JOIN git_repositories r ON r.id = c.repository_id
+                WHERE ${allTime}
+                GROUP BY c.repository_id, r.display_name, r.name
+                ORDER BY commits DESC
+            `, allTimeParams),
+            this.db.all(`
+                SELECT substr(c.committed_at, 1, 10) AS bucket, COUNT(*) AS count
+                FROM commits c
+                WHERE ${inRange}
+                GROUP BY bucket
+                ORDER BY bucket
+            `, rangeParams),
+            this.db.all(`
+                SELECT COALESCE(c.commit_type, 'other') AS type, COUNT(*) AS count
+                FROM commits c
+                WHERE ${inRange}
+                GROUP BY COALESCE(c.commit_type, 'other')
+                ORDER BY count DESC
+            `, rangeParams),
+            this._languageBreakdown(`${inRange}${fileClause}`, rangeParams),
+            this.getHotspots({ startDate, endDate, repositoryIds, contributorIds: [contributorId], sort: 'changes', limit: 10, excludeBots: false, includeGenerated }),
+            this.getHotspots({ startDate, endDate, repositoryIds, contributorIds: [contributorId], groupBy: 'directory', sort: 'changes', limit: 10, excludeBots: false, includeGenerated })
+        ]);
+
+        const counts = new Map(identities.map((i) => [`${i.author_name || ''}\0${i.author_email || ''}`, Number(i.commit_count)]));
+        return {
+            contributor: {
+                id: contributor.id,
+                displayName: contributor.display_name,
+                primaryEmail: contributor.primary_email,
+                isBot: Number(contributor.is_bot) === 1
+            },
+            gitlab: gitlab ? { username: gitlab.username, name: gitlab.name, email: gitlab.email, avatarUrl: gitlab.avatar_url } : null,
+            aliases: contributor.aliases.map((a) => ({
+                id: a.id,
+                authorName: a.author_name,
+                authorEmail: a.author_email,
+                commitCount: counts.get(`${a.author_name || ''}\0${a.author_email || ''}`) || 0
+            })),
+            totals: {
+                commits: Number(totals.commits) || 0,
+                additions: Number(lines.additions) || 0,
+                deletions: Number(lines.deletions) || 0,
+                repositories: repositories.length,
+                firstCommit: totals.first_commit || null,
+                lastCommit: totals.last_commit || null
+            },
+            repositories: repositories.map((r) => ({
+                repositoryId: r.repository_id,
+                name: r.name,
+                commits: Number(r.commits),
+                firstCommit: r.first_commit,
+                lastCommit: r.last_commit
+            })),
+            startDate,
+            endDate,
+            calendar: calendar.map((row) => ({ bucket: row.bucket, count: Number(row.count) })),
+            commitTypes: commitTypes.map((row) => ({ type: row.type, count: Number(row.count) })),
+            languages,
+            topFiles: topFiles.items,
+            topDirectories: topDirectories.items
         };
     }
 
@@ -515,11 +2691,24 @@ class AnalyticsQueryService {
             recentCommits: [],
             topContributors: [],
             topRepositories: [],
+            topTeams: [],
+            activeContributors: 0,
+            activeRepositories: 0,
             filesChanged: 0,
             totalAdditions: 0,
             totalDeletions: 0,
             commitsOverTime: [],
-            linesOverTime: []
+            linesOverTime: [],
+            commitTypes: {
+                totals: [],
+                overTime: [],
+                byRepository: [],
+                byContributor: [],
+                breaking: 0,
+                fixToFeatureRatio: null,
+                ratioOverTime: []
+            },
+            languages: []
         };
     }
 }
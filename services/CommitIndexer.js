@@ -4,8 +4,40 @@ const Database = require('../config/database');
 const SettingsService = require('./SettingsService');
 const ContributorService = require('./ContributorService');
 const IndexProgress = require('./IndexProgress');
+const { parseCoAuthors } = require('../lib/commitTrailers');
+const { parseMailmap } = require('../lib/mailmap');
+const { parseRawNumstat } = require('../lib/commitFiles');
+const { TAG_REF_FORMAT, parseTagRefs } = require('../lib/gitTags');
+const { parseConventionalCommit } = require('../lib/conventionalCommits');
+const { extractTicketKeys } = require('../lib/ticketRefs');
+const { utcOffsetMinutes } = require('../lib/gitLogParse');
+const { parseBlamePorcelain } = require('../lib/gitBlame');
+const { MAX_REWORK_WINDOW_DAYS, parseDeletedRanges, countLineOrigins } = require('../lib/lineRework');
+const { classifyLanguage } = require('../lib/languages');
+const { buildFileRules, classifyFile } = require('../lib/generatedFiles');
 
 const BATCH_SIZE = Math.max(20, parseInt(process.env.INDEX_BATCH_SIZE || '80', 10));
+const JOB_STATES = ['queued', 'running', 'failed', 'done'];
+const MAX_JOB_ATTEMPTS = 3;
+// Retries wait 1, then 4 minutes
+const RETRY_BASE_MS = 60 * 1000;
+// Finished jobs are pruned with the daily eviction
+const JOB_RETENTION_DAYS = 7;
+// An open-ended job finished this recently still counts as "up to now"
+const FRESH_INDEX_MS = 60 * 1000;
+// _backfillCommitBodies: NUL-separated, body last so it may contain anything
+const BODY_FORMAT = '%H%x00%an%x00%ae%x00%aI%x00%D%x00%s%x00%b';
+
+/**
+ * Whether a job's range covers a task's. Null dates: a start means the index
+ * window, an end means "up to now" when the job runs.
+ */
+function jobCovers(job, startDate, endDate) {
+    const startCovered = job.start_date === startDate
+        || (!!job.start_date && !!startDate && job.start_date <= startDate);
+    const endCovered = !job.end_date || (!!endDate && job.end_date >= endDate);
+    return startCovered && endCovered;
+}
 
 class CommitIndexer {
     constructor(db = null, gitService = null) {
@@ -17,7 +49,10 @@ class CommitIndexer {
         this.excludeMerges = String(process.env.GIT_EXCLUDE_MERGES || 'true').toLowerCase() === 'true';
         this.indexCommitBranch = String(process.env.INDEX_COMMIT_BRANCH || 'true').toLowerCase() === 'true';
         this._jobPromise = null;
-        this._pendingQueue = [];
+        this._retryTimer = null;
+        this._fileRules = new Map();
+        // repositoryId -> mailmap last applied to its indexed identities
+        this._appliedMailmaps = new Map();
     }
 
     setGitService(gitService) {
@@ -39,6 +74,7 @@ class CommitIndexer {
 
     /**
      * Schedule indexing without blocking the caller (queries use partial index).
+     * Explicit requests queue repositories even when their last job failed.
      */
     scheduleIndexing(repos, startDate, endDate) {
         if (!repos || !repos.length) return;
@@ -49,69 +85,283 @@ class CommitIndexer {
             startDate,
             endDate
         }));
-        this._enqueueTasks(tasks);
+        this._enqueueTasks(tasks, { force: true })
+            .catch((err) => console.warn('[indexer] Could not queue index jobs:', err.message));
     }
 
-    _enqueueTasks(tasks) {
-        this._pendingQueue.push(...tasks);
+    /**
+     * Persist tasks as `queued` index_jobs and start draining the queue. Ends
+     * at or after now are stored as NULL ("up to now"). A task is skipped when
+     * a queued or running job for the repository covers its range, or an
+     * open-ended one finished within FRESH_INDEX_MS; and, unless `force`, when
+     * the repository's latest job failed for good (see retryJob).
+     * @returns {Promise<number>} jobs added
+     */
+    async _enqueueTasks(tasks, { force = false } = {}) {
+        const now = moment();
+        let added = 0;
+        for (const t of tasks) {
+            const startDate = t.startDate ? moment(t.startDate).toISOString() : null;
+            const endDate = t.endDate && moment(t.endDate).isBefore(now)
+                ? moment(t.endDate).toISOString()
+                : null;
+            const jobs = await this.db.all(`
+                SELECT start_date, end_date FROM index_jobs
+                WHERE repository_id = ?
+                  AND (status IN ('queued', 'running')
+                       OR (status = 'done' AND end_date IS NULL AND finished_at >= ?))
+            `, [t.repositoryId, moment(now).subtract(FRESH_INDEX_MS, 'ms').toISOString()]);
+            if (jobs.some((j) => jobCovers(j, startDate, endDate))) continue;
+            if (!force && await this._latestJobFailed(t.repositoryId)) continue;
+            await this.db.run(
+                `INSERT INTO index_jobs (repository_id, start_date, end_date, status, max_attempts, next_run_at)
+                 VALUES (?, ?, ?, 'queued', ?, ?)`,
+                [t.repositoryId, startDate, endDate, MAX_JOB_ATTEMPTS, now.toISOString()]
+            );
+            added += 1;
+        }
+        await this._publishQueueCounts();
         this._drainQueue();
+        return added;
+    }
+
+    async _latestJobFailed(repositoryId) {
+        const latest = await this.db.get(
+            'SELECT status FROM index_jobs WHERE repository_id = ? ORDER BY id DESC LIMIT 1',
+            [repositoryId]
+        );
+        return !!latest && latest.status === 'failed';
     }
 
     _drainQueue() {
         if (this._jobPromise) return;
-        if (!this._pendingQueue.length) return;
-
-        const batch = [...this._pendingQueue];
-        this._pendingQueue = [];
+        if (this._retryTimer) {
+            clearTimeout(this._retryTimer);
+            this._retryTimer = null;
+        }
 
-        this._jobPromise = this._runJob(batch)
+        this._jobPromise = this._runQueue()
             .catch((err) => {
                 console.error('[indexer] Job failed:', err);
                 IndexProgress.fail(err);
             })
             .finally(() => {
                 this._jobPromise = null;
-                if (this._pendingQueue.length) {
-                    this._drainQueue();
-                } else {
-                    const snap = IndexProgress.snapshot();
-                    if (snap.phase === 'indexing') {
-                        IndexProgress.complete(
-                            `Indexed ${snap.commitsIndexed} new commits`
-                        );
-                    }
-                }
+                this._scheduleRetry().catch(() => {});
             });
     }
 
-    async _runJob(tasks) {
-        const unique = new Map();
-        for (const t of tasks) {
-            unique.set(`${t.repositoryId}:${t.startDate || ''}:${t.endDate || ''}`, t);
+    /** Wake up for the earliest job waiting out its retry backoff. */
+    async _scheduleRetry() {
+        const next = await this.db.get(
+            "SELECT MIN(next_run_at) AS next_run_at FROM index_jobs WHERE status = 'queued'"
+        );
+        if (!next || !next.next_run_at || this._jobPromise) return;
+        const delay = Math.max(0, moment(next.next_run_at).diff(moment()));
+        this._retryTimer = setTimeout(() => {
+            this._retryTimer = null;
+            this._drainQueue();
+        }, delay + 1000);
+        if (this._retryTimer.unref) this._retryTimer.unref();
+    }
+
+    /**
+     * Claim and run queued jobs that are due, oldest first, until none are left.
+     * Claims are conditional updates, so several indexers sharing the database
+     * never run the same job.
+     */
+    async _runQueue() {
+        let claimed = 0;
+        let failed = 0;
+        for (;;) {
+            const job = await this._claimNextJob();
+            if (!job) break;
+            claimed += 1;
+            if (claimed === 1 && !IndexProgress.isActive()) {
+                const due = await this._countDueJobs();
+                IndexProgress.start({ reposTotal: due + 1, message: 'Indexing commits (newest first)…' });
+            } else if (claimed > IndexProgress.snapshot().reposTotal) {
+                IndexProgress.addRepos(1);
+            }
+
+            const sinceIso = job.start_date
+                || moment().subtract(await this.settings.getIndexWindowMonths(), 'months').toISOString();
+            const endIso = job.end_date || moment().toISOString();
+            IndexProgress.setRepository(job.repository_id, job.display_name || job.name, IndexProgress.snapshot().reposCompleted);
+            try {
+                const indexed = await this._indexRepositoryNewestFirst(job.repository_id, job.path, sinceIso, endIso);
+                await this.db.run(
+                    "UPDATE index_jobs SET status = 'done', commits_indexed = ?, last_error = NULL, finished_at = ? WHERE id = ?",
+                    [indexed, moment().toISOString(), job.id]
+                );
+                // Earlier failures whose range this run covered no longer need a retry
+                const covered = ['repository_id = ?', "status = 'failed'"];
+                const coveredParams = [moment().toISOString(), job.repository_id];
+                if (job.start_date) {
+                    covered.push('start_date >= ?');
+                    coveredParams.push(job.start_date);
+                }
+                if (job.end_date) {
+                    covered.push('end_date IS NOT NULL AND end_date <= ?');
+                    coveredParams.push(job.end_date);
+                }
+                await this.db.run(
+                    `UPDATE index_jobs SET status = 'done', finished_at = ? WHERE ${covered.join(' AND ')}`,
+                    coveredParams
+                );
+            } catch (err) {
+                failed += await this._recordJobFailure(job, err) ? 1 : 0;
+            }
+            IndexProgress.completeRepository();
+            await this._publishQueueCounts();
         }
-        const list = [...unique.values()];
 
-        if (!IndexProgress.isActive()) {
-            IndexProgress.start({ reposTotal: list.length, message: 'Indexing commits (newest first)…' });
-        } else {
-            IndexProgress.addRepos(list.length);
+        const snap = IndexProgress.snapshot();
+        if (claimed && snap.phase === 'indexing') {
+            IndexProgress.complete(failed
+                ? `Indexed ${snap.commitsIndexed} new commits; ${failed} job${failed === 1 ? '' : 's'} failed`
+                : `Indexed ${snap.commitsIndexed} new commits`);
         }
+    }
 
-        let repoIndex = IndexProgress.snapshot().reposCompleted;
+    async _claimNextJob() {
+        const now = moment().toISOString();
+        for (;;) {
+            const job = await this.db.get(`
+                SELECT j.*, r.path, r.name, r.display_name
+                FROM index_jobs j
+                JOIN git_repositories r ON r.id = j.repository_id
+                WHERE j.status = 'queued' AND (j.next_run_at IS NULL OR j.next_run_at <= ?)
+                ORDER BY j.id
+                LIMIT 1
+            `, [now]);
+            if (!job) return null;
+            const claim = await this.db.run(
+                `UPDATE index_jobs SET status = 'running', attempts = attempts + 1, started_at = ?, finished_at = NULL
+                 WHERE id = ? AND status = 'queued'`,
+                [now, job.id]
+            );
+            if (claim.changes) return { ...job, attempts: job.attempts + 1 };
+        }
+    }
 
-        for (const task of list) {
-            const sinceIso = task.startDate
-                ? moment(task.startDate).toISOString()
-                : moment().subtract(await this.settings.getIndexWindowMonths(), 'months').toISOString();
-            const endIso = task.endDate
-                ? moment(task.endDate).endOf('day').toISOString()
-                : moment().toISOString();
+    async _countDueJobs() {
+        const row = await this.db.get(
+            "SELECT COUNT(*) AS n FROM index_jobs WHERE status = 'queued' AND (next_run_at IS NULL OR next_run_at <= ?)",
+            [moment().toISOString()]
+        );
+        return Number(row?.n) || 0;
+    }
 
-            IndexProgress.setRepository(task.repositoryId, task.repoName, repoIndex);
-            await this._indexRepositoryNewestFirst(task.repositoryId, task.repoPath, sinceIso, endIso);
-            IndexProgress.completeRepository();
-            repoIndex += 1;
+    /**
+     * Re-queue a failed job with exponential backoff, or mark it failed once it
+     * has used its attempts. @returns {Promise<boolean>} true when it gave up
+     */
+    async _recordJobFailure(job, err) {
+        const message = String(err?.message || err).slice(0, 2000);
+        if (job.attempts < job.max_attempts) {
+            const nextRunAt = moment().add(RETRY_BASE_MS * 4 ** (job.attempts - 1), 'ms').toISOString();
+            await this.db.run(
+                "UPDATE index_jobs SET status = 'queued', last_error = ?, next_run_at = ? WHERE id = ?",
+                [message, nextRunAt, job.id]
+            );
+            return false;
         }
+        await this.db.run(
+            "UPDATE index_jobs SET status = 'failed', last_error = ?, finished_at = ? WHERE id = ?",
+            [message, moment().toISOString(), job.id]
+        );
+        return true;
+    }
+
+    async _publishQueueCounts() {
+        const rows = await this.db.all(
+            "SELECT status, COUNT(*) AS n FROM index_jobs WHERE status <> 'done' GROUP BY status"
+        );
+        const counts = { queued: 0, running: 0, failed: 0 };
+        for (const row of rows) counts[row.status] = Number(row.n) || 0;
+        IndexProgress.setQueue(counts);
+        return counts;
+    }
+
+    /**
+     * Startup: jobs left `running` by a stopped process go back to the queue
+     * (the interrupted run still counts as an attempt), then draining resumes.
+     * Call once per process, before any indexer starts running jobs.
+     * @returns {Promise<number>} jobs re-queued
+     */
+    async resumeJobs() {
+        const result = await this.db.run(
+            "UPDATE index_jobs SET status = 'queued', next_run_at = ? WHERE status = 'running'",
+            [moment().toISOString()]
+        );
+        await this._publishQueueCounts();
+        this._drainQueue();
+        return result.changes || 0;
+    }
+
+    /**
+     * @param {object} [options]
+     * @param {string[]} [options.status] e.g. `['failed']`; all states when empty
+     * @param {number} [options.limit=50] max 500
+     */
+    async listJobs({ status = [], limit = 50 } = {}) {
+        const lm = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+        const states = status.filter((st) => JOB_STATES.includes(st));
+        const where = states.length ? `WHERE j.status IN (${states.map(() => '?').join(',')})` : '';
+        const rows = await this.db.all(`
+            SELECT j.*, COALESCE(r.display_name, r.name) AS repository
+            FROM index_jobs j
+            LEFT JOIN git_repositories r ON r.id = j.repository_id
+            ${where}
+            ORDER BY CASE j.status WHEN 'running' THEN 0 WHEN 'failed' THEN 1 WHEN 'queued' THEN 2 ELSE 3 END, j.id DESC
+            LIMIT ?
+        `, [...states, lm]);
+        return {
+            counts: await this._publishQueueCounts(),
+            jobs: rows.map((row) => this._jobFromRow(row))
+        };
+    }
+
+    _jobFromRow(row) {
+        return {
+            id: row.id,
+            repositoryId: row.repository_id,
+            repository: row.repository || null,
+            startDate: row.start_date,
+            endDate: row.end_date,
+            status: row.status,
+            attempts: Number(row.attempts) || 0,
+            maxAttempts: Number(row.max_attempts) || 0,
+            nextRunAt: row.next_run_at || null,
+            lastError: row.last_error || null,
+            commitsIndexed: Number(row.commits_indexed) || 0,
+            createdAt: row.created_at,
+            startedAt: row.started_at || null,
+            finishedAt: row.finished_at || null
+        };
+    }
+
+    /**
+     * Give a failed job a fresh set of attempts and run it now.
+     * @returns {Promise<object|null>} the job, or null when it is not failed
+     */
+    async retryJob(id) {
+        const result = await this.db.run(
+            `UPDATE index_jobs SET status = 'queued', attempts = 0, next_run_at = ?, finished_at = NULL
+             WHERE id = ? AND status = 'failed'`,
+            [moment().toISOString(), id]
+        );
+        if (!result.changes) return null;
+        await this._publishQueueCounts();
+        this._drainQueue();
+        const row = await this.db.get(`
+            SELECT j.*, COALESCE(r.display_name, r.name) AS repository
+            FROM index_jobs j
+            LEFT JOIN git_repositories r ON r.id = j.repository_id
+            WHERE j.id = ?
+        `, [id]);
+        return row ? this._jobFromRow(row) : null;
     }
 
     async indexWorkspace(workspaceId) {
@@ -171,16 +421,20 @@ class CommitIndexer {
                 repoName
             };
 
+            // Open ranges are queued as "up to now" so repeated queries share one job
+            const taskEnd = endDate ? end.toISOString() : null;
             if (!coverage) {
                 tasks.push({
                     ...base,
                     startDate: start.toISOString(),
-                    endDate: end.toISOString()
+                    endDate: taskEnd
                 });
                 continue;
             }
 
-            if (coverage.oldest_indexed_at && start.isBefore(moment(coverage.oldest_indexed_at))) {
+            const historyExhausted = coverage.history_start_at && coverage.oldest_indexed_at
+                && !moment(coverage.history_start_at).isBefore(moment(coverage.oldest_indexed_at));
+            if (coverage.oldest_indexed_at && !historyExhausted && start.isBefore(moment(coverage.oldest_indexed_at))) {
                 tasks.push({
                     ...base,
                     startDate: start.toISOString(),
@@ -195,18 +449,48 @@ class CommitIndexer {
                 tasks.push({
                     ...base,
                     startDate: since,
-                    endDate: end.toISOString()
+                    endDate: taskEnd
                 });
             }
         }
 
         if (tasks.length) {
-            this._enqueueTasks(tasks);
+            await this._enqueueTasks(tasks);
         }
 
         return { enqueued: tasks.length };
     }
 
+    /**
+     * Queue repos whose commits in the range still lack line attribution (for
+     * example, indexed before commit_line_origins existed).
+     * @returns {Promise<number>} commits awaiting attribution
+     */
+    async ensureLineOriginsIndexed(repos, startIso, endIso) {
+        if (!repos.length) return 0;
+        const rows = await this.db.all(`
+            SELECT repository_id, COUNT(*) AS pending
+            FROM commits
+            WHERE repository_id IN (${repos.map(() => '?').join(',')})
+              AND committed_at >= ? AND committed_at <= ?
+              AND lines_attributed_at IS NULL
+            GROUP BY repository_id
+        `, [...repos.map((r) => r.id), startIso, endIso]);
+        const pendingByRepo = new Map(rows.map((r) => [r.repository_id, Number(r.pending) || 0]));
+
+        const tasks = repos
+            .filter((repo) => pendingByRepo.get(repo.id))
+            .map((repo) => ({
+                repositoryId: repo.id,
+                repoPath: repo.path,
+                repoName: repo.display_name || repo.name,
+                startDate: startIso,
+                endDate: endIso
+            }));
+        if (tasks.length) await this._enqueueTasks(tasks);
+        return [...pendingByRepo.values()].reduce((n, v) => n + v, 0);
+    }
+
     async ensureRangeIndexed(repositoryId, repoPath, startDate, endDate) {
         const repo = await this.db.get(
             'SELECT id, path, name, display_name FROM git_repositories WHERE id = ?',
@@ -222,10 +506,18 @@ class CommitIndexer {
 
     /**
      * Index commits newest-first in batches so recent data is queryable quickly.
+     * Errors are rethrown so the index job can be retried.
+     * @returns {Promise<number>} new commits
      */
     async _indexRepositoryNewestFirst(repositoryId, repoPath, sinceIso, untilIso) {
+        // Pick up .gitattributes and pattern changes made since the last run
+        this._fileRules.delete(repositoryId);
         try {
             const git = await this._getGit(repoPath);
+            const mailmap = await this._loadMailmap(git);
+            await this._applyMailmapToIndexed(repositoryId, mailmap);
+            const ticketPatterns = await this.settings.getTicketPatterns();
+            const botPatterns = await this.settings.getBotPatterns();
             const since = moment(sinceIso);
             let until = untilIso ? moment(untilIso) : moment();
             let totalNew = 0;
@@ -267,7 +559,7 @@ class CommitIndexer {
                 let batchNew = 0;
                 let batchSkipped = 0;
                 for (const entry of commits) {
-                    const r = await this._upsertCommit(repositoryId, entry, repoPath);
+                    const r = await this._upsertCommit(repositoryId, entry, repoPath, mailmap, ticketPatterns, botPatterns);
                     if (r.inserted) {
                         batchNew += 1;
                         if (r.id) {
@@ -296,13 +588,99 @@ class CommitIndexer {
                 if (!until.isAfter(since)) break;
             }
 
+            await this._recordHistoryStart(repositoryId, git);
             await this._backfillCommitFiles(repositoryId, repoPath, sinceIso, untilIso);
+            await this._backfillCommitBodies(repositoryId, repoPath, git, mailmap, ticketPatterns, botPatterns);
+            await this._backfillLineOrigins(repositoryId, repoPath, sinceIso, untilIso);
+            await this.indexTags(repositoryId, repoPath);
 
             return totalNew;
         } catch (err) {
             console.warn(`Index failed for repo ${repositoryId} (${repoPath}):`, err.message);
-            return 0;
+            throw err;
+        }
+    }
+
+    /** Oldest root commit's author date, so ensureRangesIndexed stops backfilling there. */
+    async _recordHistoryStart(repositoryId, git) {
+        let out;
+        try {
+            out = await git.raw(['log', '--all', '--max-parents=0', '--format=%aI']);
+        } catch (_) {
+            return;
+        }
+        const roots = out.split('\n').filter(Boolean).map((d) => moment(d)).filter((d) => d.isValid());
+        if (!roots.length) return;
+        await this.db.run(
+            'UPDATE index_coverage SET history_start_at = ? WHERE repository_id = ?',
+            [moment.min(roots).toISOString(), repositoryId]
+        );
+    }
+
+    /**
+     * Global mailmap (admin setting) followed by the repository's `.mailmap`
+     * at HEAD, so repository entries win on conflicts.
+     */
+    async _loadMailmap(git) {
+        const globalText = await this.settings.getGlobalMailmap();
+        let repoText = '';
+        try {
+            repoText = await git.raw(['show', 'HEAD:.mailmap']);
+        } catch (_) {
+            // no .mailmap in this repository
+        }
+        return [...parseMailmap(globalText), ...parseMailmap(repoText)];
+    }
+
+    /**
+     * Resolve already-indexed identities of a repository that have no
+     * contributor yet, the way indexing resolves new commits, whenever its
+     * mailmap differs from the one last applied.
+     * @returns {Promise<number>} identities linked
+     */
+    async _applyMailmapToIndexed(repositoryId, mailmap) {
+        const key = JSON.stringify(mailmap);
+        if (this._appliedMailmaps.get(repositoryId) === key) return 0;
+        this._appliedMailmaps.set(repositoryId, key);
+        if (!mailmap.length) return 0;
+        const identities = await this.db.all(`
+            SELECT author_name, author_email FROM commits
+            WHERE repository_id = ? AND contributor_id IS NULL
+            UNION
+            SELECT ca.author_name, ca.author_email FROM commit_coauthors ca
+            JOIN commits c ON c.id = ca.commit_id
+            WHERE c.repository_id = ? AND ca.contributor_id IS NULL
+        `, [repositoryId, repositoryId]);
+        let linked = 0;
+        for (const identity of identities) {
+            const contributorId = await this.contributors.ensureAliasFromCommit(
+                identity.author_name,
+                identity.author_email,
+                mailmap
+            );
+            if (contributorId) linked += 1;
         }
+        return linked;
+    }
+
+    /**
+     * Re-apply the global mailmap and each active repository's `.mailmap` to
+     * indexed commits, after `global_mailmap` changes.
+     * @returns {Promise<number>} identities linked
+     */
+    async reapplyMailmaps() {
+        this._appliedMailmaps.clear();
+        const repos = await this.db.all('SELECT id, path FROM git_repositories WHERE is_active = 1');
+        let linked = 0;
+        for (const repo of repos) {
+            try {
+                const git = await this._getGit(repo.path);
+                linked += await this._applyMailmapToIndexed(repo.id, await this._loadMailmap(git));
+            } catch (e) {
+                console.warn(`Could not apply mailmap to repo ${repo.id}:`, e.message);
+            }
+        }
+        return linked;
     }
 
     async _resolveBranchForCommit(repoPath, entry) {
@@ -322,10 +700,17 @@ class CommitIndexer {
         return null;
     }
 
-    async _upsertCommit(repositoryId, entry, repoPath) {
+    async _upsertCommit(repositoryId, entry, repoPath, mailmap = null, ticketPatterns = null, botPatterns = null) {
         const contributorId = await this.contributors.ensureAliasFromCommit(
             entry.author,
-            entry.authorEmail
+            entry.authorEmail,
+            mailmap
+        );
+        const isBot = await this.contributors.resolveBotFlag(
+            contributorId,
+            entry.author,
+            entry.authorEmail,
+            botPatterns || await this.settings.getBotPatterns()
         );
 
         let branch = null;
@@ -338,23 +723,276 @@ class CommitIndexer {
             [repositoryId, entry.hash]
         );
 
+        const body = (entry.body || '').trim() || null;
+        const cc = parseConventionalCommit(entry.message, body);
+        const ccValues = [cc.type, cc.scope, cc.breaking ? 1 : 0];
+        const tzOffset = utcOffsetMinutes(entry.date);
+
         if (existing) {
             await this.db.run(
                 `UPDATE commits SET author_name = ?, author_email = ?, contributor_id = COALESCE(?, contributor_id),
-                    message = ?, committed_at = ?, branch = COALESCE(?, branch) WHERE id = ?`,
-                [entry.author, entry.authorEmail, contributorId, entry.message, entry.date, branch, existing.id]
+                    message = ?, body = ?, committed_at = ?, branch = COALESCE(?, branch),
+                    commit_type = ?, commit_scope = ?, is_breaking = ?, author_tz_offset = ?, is_bot = ?,
+                    body_indexed_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [entry.author, entry.authorEmail, contributorId, entry.message, body, entry.date, branch, ...ccValues, tzOffset, isBot, existing.id]
             );
+            await this._indexCoAuthors(existing.id, entry, body);
+            await this._indexReferences(existing.id, repositoryId, entry.message, body, ticketPatterns);
             return { inserted: false };
         }
 
         const result = await this.db.run(
-            `INSERT INTO commits (repository_id, hash, author_name, author_email, contributor_id, committed_at, message, branch, is_merge)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0)`,
-            [repositoryId, entry.hash, entry.author, entry.authorEmail, contributorId, entry.date, entry.message, branch]
+            `INSERT INTO commits (repository_id, hash, author_name, author_email, contributor_id, committed_at, message, body, branch, is_merge,
+                commit_type, commit_scope, is_breaking, author_tz_offset, is_bot, body_indexed_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+            [repositoryId, entry.hash, entry.author, entry.authorEmail, contributorId, entry.date, entry.message, body, branch, ...ccValues, tzOffset, isBot]
         );
+        await this._indexCoAuthors(result.id, entry, body);
+        await this._indexReferences(result.id, repositoryId, entry.message, body, ticketPatterns);
         return { inserted: true, id: result.id };
     }
 
+    /**
+     * Replace the commit's ticket references with the keys found in its subject
+     * and body, leaving unchanged rows alone. Patterns default to the
+     * `ticket_patterns` setting.
+     */
+    async _indexReferences(commitId, repositoryId, message, body, patterns = null) {
+        if (!commitId) return;
+        const keys = extractTicketKeys(
+            [message, body].filter(Boolean).join('\n'),
+            patterns || await this.settings.getTicketPatterns()
+        );
+        const existing = await this.db.all('SELECT ticket_key FROM commit_references WHERE commit_id = ?', [commitId]);
+        const current = existing.map((r) => r.ticket_key).sort();
+        if (current.length === keys.length && [...keys].sort().every((k, i) => k === current[i])) return;
+        await this.db.run('DELETE FROM commit_references WHERE commit_id = ?', [commitId]);
+        for (const key of keys) {
+            await this.db.run(
+                'INSERT INTO commit_references (commit_id, repository_id, ticket_key) VALUES (?, ?, ?)',
+                [commitId, repositoryId, key]
+            );
+        }
+    }
+
+    /**
+     * Re-extract ticket references for every indexed commit from the stored
+     * subject and body, e.g. after `ticket_patterns` changed. No git access.
+     * @returns {Promise<number>} commits scanned
+     */
+    async rebuildReferences() {
+        const patterns = await this.settings.getTicketPatterns();
+        let lastId = 0;
+        let scanned = 0;
+        for (;;) {
+            const rows = await this.db.all(
+                'SELECT id, repository_id, message, body FROM commits WHERE id > ? ORDER BY id LIMIT 500',
+                [lastId]
+            );
+            if (!rows.length) break;
+            for (const row of rows) {
+                await this._indexReferences(row.id, row.repository_id, row.message, row.body, patterns);
+            }
+            scanned += rows.length;
+            lastId = rows[rows.length - 1].id;
+        }
+        return scanned;
+    }
+
+    /** Admin language mappings, loaded once per indexer until reclassifyLanguages() resets them. */
+    async _getLanguageMappings() {
+        if (!this._languageMappings) {
+            this._languageMappings = await this.settings.getLanguageMappings();
+        }
+        return this._languageMappings;
+    }
+
+    /**
+     * Re-apply the language classifier to every indexed file row, after the
+     * language_mappings setting changes or when the column is first added.
+     * Rows are updated per distinct filename, grouped by language.
+     * @returns {Promise<number>} distinct filenames classified
+     */
+    async reclassifyLanguages() {
+        this._languageMappings = null;
+        const languages = await this._getLanguageMappings();
+        const rows = await this.db.all('SELECT DISTINCT filename FROM commit_files');
+        const byLanguage = new Map();
+        for (const row of rows) {
+            const language = classifyLanguage(row.filename, languages);
+            if (!byLanguage.has(language)) byLanguage.set(language, []);
+            byLanguage.get(language).push(row.filename);
+        }
+        const CHUNK = 500;
+        for (const [language, filenames] of byLanguage) {
+            for (let i = 0; i < filenames.length; i += CHUNK) {
+                const chunk = filenames.slice(i, i + CHUNK);
+                await this.db.run(
+                    `UPDATE commit_files SET language = ? WHERE filename IN (${chunk.map(() => '?').join(',')})`,
+                    [language, ...chunk]
+                );
+            }
+        }
+        return rows.length;
+    }
+
+    /**
+     * Generated/vendored rules for a repository: global patterns, then the
+     * repository's own, then linguist attributes from `.gitattributes` at HEAD.
+     * Cached per repository until the next index run or reflagFiles().
+     */
+    async getFileRules(repositoryId, repoPath) {
+        if (this._fileRules.has(repositoryId)) return this._fileRules.get(repositoryId);
+        const global = await this.settings.getFilePatterns();
+        const repo = repositoryId
+            ? await this.db.get('SELECT generated_patterns, vendored_patterns FROM git_repositories WHERE id = ?', [repositoryId])
+            : null;
+        let gitattributes = '';
+        if (repoPath) {
+            try {
+                const git = await this._getGit(repoPath);
+                gitattributes = await git.raw(['show', 'HEAD:.gitattributes']);
+            } catch (e) {
+                // No .gitattributes (or no HEAD yet)
+            }
+        }
+        const rules = buildFileRules({
+            generated: [global.generated, repo && repo.generated_patterns].filter(Boolean).join('\n'),
+            vendored: [global.vendored, repo && repo.vendored_patterns].filter(Boolean).join('\n'),
+            gitattributes
+        });
+        this._fileRules.set(repositoryId, rules);
+        return rules;
+    }
+
+    /**
+     * Recompute is_generated / is_vendored on indexed file rows, after the
+     * global or per-repository patterns change or when the columns are first
+     * added. Rows are updated per distinct filename, grouped by flags.
+     * @param {number|null} [repositoryId] all repositories when omitted
+     * @returns {Promise<number>} distinct filenames flagged generated or vendored
+     */
+    async reflagFiles(repositoryId = null) {
+        const repos = repositoryId
+            ? await this.db.all('SELECT id, path FROM git_repositories WHERE id = ?', [repositoryId])
+            : await this.db.all('SELECT id, path FROM git_repositories');
+        let flagged = 0;
+        for (const repo of repos) {
+            this._fileRules.delete(repo.id);
+            const rules = await this.getFileRules(repo.id, repo.path);
+            const rows = await this.db.all(`
+                SELECT DISTINCT cf.filename FROM commit_files cf
+                JOIN commits c ON c.id = cf.commit_id
+                WHERE c.repository_id = ?
+            `, [repo.id]);
+            const byFlags = new Map();
+            for (const row of rows) {
+                const { generated, vendored } = classifyFile(row.filename, rules);
+                if (generated || vendored) flagged += 1;
+                const key = `${generated ? 1 : 0}${vendored ? 1 : 0}`;
+                if (!byFlags.has(key)) byFlags.set(key, []);
+                byFlags.get(key).push(row.filename);
+            }
+            const CHUNK = 500;
+            for (const [key, filenames] of byFlags) {
+                for (let i = 0; i < filenames.length; i += CHUNK) {
+                    const chunk = filenames.slice(i, i + CHUNK);
+                    await this.db.run(`
+                        UPDATE commit_files SET is_generated = ?, is_vendored = ?
+                        WHERE filename IN (${chunk.map(() => '?').join(',')})
+                          AND commit_id IN (SELECT id FROM commits WHERE repository_id = ?)
+                    `, [Number(key[0]), Number(key[1]), ...chunk, repo.id]);
+                }
+            }
+        }
+        return flagged;
+    }
+
+    /**
+     * Replace the commit's Co-authored-by rows with those parsed from its body.
+     */
+    async _indexCoAuthors(commitId, entry, body) {
+        if (!commitId) return;
+        const coAuthors = parseCoAuthors(body, { authorEmail: entry.authorEmail });
+        await this.db.run('DELETE FROM commit_coauthors WHERE commit_id = ?', [commitId]);
+        for (const co of coAuthors) {
+            const contributorId = await this.contributors.resolveContributorId(co.name, co.email);
+            await this.db.run(
+                'INSERT INTO commit_coauthors (commit_id, author_name, author_email, contributor_id) VALUES (?, ?, ?, ?)',
+                [commitId, co.name, co.email, contributorId]
+            );
+        }
+    }
+
+    /**
+     * Point `oldPath` (and every path already resolving to it) at the latest
+     * known name of `newPath`. Renames may be indexed in any order.
+     */
+    async _recordRename(repositoryId, oldPath, newPath) {
+        const alias = await this.db.get(
+            'SELECT canonical_path FROM file_aliases WHERE repository_id = ? AND path = ?',
+            [repositoryId, newPath]
+        );
+        const canonical = alias ? alias.canonical_path : newPath;
+        await this.db.run('DELETE FROM file_aliases WHERE repository_id = ? AND path = ?', [repositoryId, oldPath]);
+        if (canonical === oldPath) return;
+        await this.db.run(
+            'INSERT INTO file_aliases (repository_id, path, canonical_path) VALUES (?, ?, ?)',
+            [repositoryId, oldPath, canonical]
+        );
+        await this.db.run(
+            'UPDATE file_aliases SET canonical_path = ? WHERE repository_id = ? AND canonical_path = ?',
+            [canonical, repositoryId, oldPath]
+        );
+    }
+
+    /**
+     * Sync repository_tags with the repository's current tags: new tags are
+     * inserted, moved or re-annotated tags updated and deleted tags removed.
+     * Tags that do not point at a commit are skipped.
+     * @returns {Promise<number>} tags present after the sync
+     */
+    async indexTags(repositoryId, repoPath) {
+        try {
+            const git = await this._getGit(repoPath);
+            const output = await git.raw(['for-each-ref', 'refs/tags', `--format=${TAG_REF_FORMAT}`]);
+            const tags = parseTagRefs(output).filter((t) => t.commitHash);
+
+            const existing = await this.db.all(
+                'SELECT id, name, commit_hash, tag_type, message FROM repository_tags WHERE repository_id = ?',
+                [repositoryId]
+            );
+            const byName = new Map(existing.map((row) => [row.name, row]));
+            for (const tag of tags) {
+                const row = byName.get(tag.name);
+                byName.delete(tag.name);
+                const values = [tag.commitHash, tag.type, tag.taggerName, tag.taggerEmail, tag.date, tag.message];
+                if (!row) {
+                    await this.db.run(
+                        `INSERT INTO repository_tags
+                            (repository_id, name, commit_hash, tag_type, tagger_name, tagger_email, tagged_at, message)
+                         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                        [repositoryId, tag.name, ...values]
+                    );
+                } else if (row.commit_hash !== tag.commitHash || row.tag_type !== tag.type || row.message !== tag.message) {
+                    await this.db.run(
+                        `UPDATE repository_tags SET commit_hash = ?, tag_type = ?, tagger_name = ?, tagger_email = ?,
+                            tagged_at = ?, message = ?, indexed_at = CURRENT_TIMESTAMP
+                         WHERE id = ?`,
+                        [...values, row.id]
+                    );
+                }
+            }
+            for (const stale of byName.values()) {
+                await this.db.run('DELETE FROM repository_tags WHERE id = ?', [stale.id]);
+            }
+            return tags.length;
+        } catch (e) {
+            console.warn(`Failed to index tags for repo ${repositoryId} (${repoPath}):`, e.message);
+            return 0;
+        }
+    }
+
     async _backfillCommitFiles(repositoryId, repoPath, sinceIso, untilIso) {
         const BATCH = 40;
         for (;;) {
@@ -376,40 +1014,112 @@ class CommitIndexer {
         }
     }
 
+    /**
+     * Re-read commits of the repository whose body was never read (indexed
+     * before commits.body existed) through _upsertCommit, whatever their date.
+     * Commits git no longer has are marked read with their body left NULL.
+     */
+    async _backfillCommitBodies(repositoryId, repoPath, git, mailmap, ticketPatterns, botPatterns) {
+        const BATCH = 40;
+        let lastId = 0;
+        for (;;) {
+            const rows = await this.db.all(`
+                SELECT id, hash FROM commits
+                WHERE repository_id = ? AND body_indexed_at IS NULL AND id > ?
+                ORDER BY id
+                LIMIT ?
+            `, [repositoryId, lastId, BATCH]);
+            if (!rows.length) break;
+            for (const row of rows) {
+                let fields = null;
+                try {
+                    const out = await git.raw(['show', '-s', `--format=${BODY_FORMAT}`, row.hash]);
+                    fields = out.replace(/\n$/, '').split('\0');
+                } catch (_) {
+                    // unreachable commit, already garbage-collected
+                }
+                if (fields && fields.length >= 7) {
+                    const [hash, author, authorEmail, date, refs, message] = fields;
+                    const entry = { hash, author, authorEmail, date, refs, message, body: fields.slice(6).join('\0') };
+                    await this._upsertCommit(repositoryId, entry, repoPath, mailmap, ticketPatterns, botPatterns);
+                } else {
+                    await this.db.run('UPDATE commits SET body_indexed_at = CURRENT_TIMESTAMP WHERE id = ?', [row.id]);
+                }
+            }
+            lastId = rows[rows.length - 1].id;
+            if (rows.length < BATCH) break;
+        }
+    }
+
+    /**
+     * Startup: queue a refresh of every active repository that still has
+     * commits with an unread body, so _backfillCommitBodies runs for it.
+     * @returns {Promise<number>} commits awaiting a re-read
+     */
+    async queuePendingBodies() {
+        const rows = await this.db.all(`
+            SELECT r.id, r.path, r.name, r.display_name, COUNT(*) AS pending,
+                   (SELECT MAX(n.committed_at) FROM commits n WHERE n.repository_id = r.id) AS newest
+            FROM commits c
+            JOIN git_repositories r ON r.id = c.repository_id
+            WHERE c.body_indexed_at IS NULL AND r.is_active = 1
+            GROUP BY r.id, r.path, r.name, r.display_name
+        `);
+        if (!rows.length) return 0;
+        // From the newest indexed commit: refreshes the repository and triggers the backfill
+        await this._enqueueTasks(rows.map((repo) => ({
+            repositoryId: repo.id,
+            repoPath: repo.path,
+            repoName: repo.display_name || repo.name,
+            startDate: repo.newest,
+            endDate: null
+        })));
+        return rows.reduce((n, r) => n + (Number(r.pending) || 0), 0);
+    }
+
     async indexCommitFiles(commitId, repoPath, hash) {
         const existing = await this.db.get(
-            'SELECT files_indexed_at FROM commits WHERE id = ?',
+            'SELECT repository_id, files_indexed_at FROM commits WHERE id = ?',
             [commitId]
         );
         if (existing && existing.files_indexed_at) return;
 
         try {
             const git = await this._getGit(repoPath);
-            const stat = await git.raw(['show', '--numstat', '--format=', hash]);
-            const lines = (stat || '').split('\n').filter(Boolean);
-
-            const fileRows = [];
-            for (const line of lines) {
-                const parts = line.split('\t');
-                if (parts.length < 3) continue;
-                const additions = parseInt(parts[0], 10) || 0;
-                const deletions = parseInt(parts[1], 10) || 0;
-                const filename = parts[2];
-                if (filename === '-') continue;
-                fileRows.push([commitId, filename, additions, deletions]);
-            }
+            const stat = await git.raw(['show', '-M', '-C', '--raw', '--numstat', '-z', '--format=', hash]);
+            const files = parseRawNumstat(stat);
+            const languages = await this._getLanguageMappings();
+            const rules = await this.getFileRules(existing ? existing.repository_id : null, repoPath);
+
+            const fileRows = files.map((f) => {
+                const { generated, vendored } = classifyFile(f.filename, rules);
+                return [
+                    commitId, f.filename, f.oldFilename, f.changeType, f.additions, f.deletions,
+                    classifyLanguage(f.filename, languages), generated ? 1 : 0, vendored ? 1 : 0
+                ];
+            });
 
-            // Insert in chunks of 200 rows to stay within SQLite's 999-variable limit
-            const CHUNK = 200;
+            // Insert in chunks of 110 rows to stay within SQLite's 999-variable limit
+            const CHUNK = 110;
             for (let i = 0; i < fileRows.length; i += CHUNK) {
                 const chunk = fileRows.slice(i, i + CHUNK);
-                const placeholders = chunk.map(() => '(?, ?, ?, ?)').join(', ');
+                const placeholders = chunk.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
                 await this.db.run(
-                    `INSERT INTO commit_files (commit_id, filename, additions, deletions) VALUES ${placeholders}`,
+                    `INSERT INTO commit_files
+                        (commit_id, filename, old_filename, change_type, additions, deletions, language, is_generated, is_vendored)
+                     VALUES ${placeholders}`,
                     chunk.flat()
                 );
             }
 
+            if (existing) {
+                for (const f of files) {
+                    if (f.changeType === 'R' && f.oldFilename) {
+                        await this._recordRename(existing.repository_id, f.oldFilename, f.filename);
+                    }
+                }
+            }
+
             await this.db.run(
                 'UPDATE commits SET files_indexed_at = CURRENT_TIMESTAMP WHERE id = ?',
                 [commitId]
@@ -419,6 +1129,83 @@ class CommitIndexer {
         }
     }
 
+    async _backfillLineOrigins(repositoryId, repoPath, sinceIso, untilIso) {
+        const BATCH = 40;
+        for (;;) {
+            const rows = await this.db.all(`
+                SELECT c.id, c.hash
+                FROM commits c
+                WHERE c.repository_id = ?
+                  AND c.committed_at >= ?
+                  AND c.committed_at <= ?
+                  AND c.lines_attributed_at IS NULL
+                ORDER BY c.committed_at DESC
+                LIMIT ?
+            `, [repositoryId, sinceIso, untilIso || moment().toISOString(), BATCH]);
+            if (!rows.length) break;
+            for (const row of rows) {
+                await this.indexLineOrigins(row.id, repoPath, row.hash);
+            }
+            if (rows.length < BATCH) break;
+        }
+    }
+
+    /**
+     * Blame the lines a commit deleted or rewrote on its parent and record, per
+     * originating commit, how many there were and how old they were. Merge and
+     * root commits have nothing to attribute. Failures still mark the commit so
+     * a file git cannot blame is not retried on every run.
+     */
+    async indexLineOrigins(commitId, repoPath, hash) {
+        const existing = await this.db.get(
+            'SELECT repository_id, lines_attributed_at FROM commits WHERE id = ?',
+            [commitId]
+        );
+        if (!existing || existing.lines_attributed_at) return;
+
+        try {
+            const git = await this._getGit(repoPath);
+            const show = await git.raw(['-c', 'core.quotepath=off', 'show', '-U0', '-M', '--no-color', '--format=%P%x00%at', hash]);
+            const headerEnd = show.indexOf('\n');
+            const [parents, authorTime] = (headerEnd === -1 ? show : show.slice(0, headerEnd)).split('\0');
+            const files = parents.trim().split(/\s+/).filter(Boolean).length === 1
+                ? parseDeletedRanges(show.slice(headerEnd + 1))
+                : [];
+            const maxAge = MAX_REWORK_WINDOW_DAYS * 86400;
+            await this.db.run('DELETE FROM commit_line_origins WHERE commit_id = ?', [commitId]);
+
+            for (const file of files) {
+                const args = ['blame', '--porcelain'];
+                for (const [a, b] of file.ranges) args.push('-L', `${a},${b}`);
+                args.push(`${hash}^`, '--', file.path);
+                // One file failing to blame should not cost the commit its other files
+                let origins;
+                try {
+                    origins = countLineOrigins(parseBlamePorcelain(await git.raw(args)));
+                } catch (e) {
+                    console.warn(`Failed to blame ${file.path} at ${hash}^:`, e.message);
+                    continue;
+                }
+
+                for (const [originHash, origin] of origins) {
+                    const age = parseInt(authorTime, 10) - (origin.authorTime || 0);
+                    if (!origin.authorTime || age < 0 || age > maxAge) continue;
+                    await this.db.run(`
+                        INSERT INTO commit_line_origins (commit_id, repository_id, origin_hash, filename, lines, age_seconds)
+                        VALUES (?, ?, ?, ?, ?, ?)
+                    `, [commitId, existing.repository_id, originHash, file.path, origin.lines, age]);
+                }
+            }
+        } catch (e) {
+            console.warn(`Failed to attribute rewritten lines for commit ${hash}:`, e.message);
+        }
+
+        await this.db.run(
+            'UPDATE commits SET lines_attributed_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [commitId]
+        );
+    }
+
     async _updateCoverage(repositoryId, sinceIso, newestIso, oldestIso) {
         const agg = await this.db.get(`
             SELECT MIN(committed_at) AS oldest, MAX(committed_at) AS newest
@@ -496,6 +1283,11 @@ class CommitIndexer {
             await this._recomputeCoverageAfterEviction(row.repository_id);
         }
 
+        await this.db.run(
+            "DELETE FROM index_jobs WHERE status = 'done' AND finished_at < ?",
+            [moment().subtract(JOB_RETENTION_DAYS, 'days').toISOString()]
+        );
+
         await this.db.run(
             'UPDATE scheduler_status SET last_eviction_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = 1'
         ).catch(() => {});
@@ -1,4 +1,7 @@
 const Database = require('../config/database');
+const { resolveMailmap, isMailmapTarget, formatMailmap } = require('../lib/mailmap');
+const { isBotIdentity } = require('../lib/botDetection');
+const SettingsService = require('./SettingsService');
 
 class ContributorService {
     constructor(db = null) {
@@ -32,7 +35,10 @@ class ContributorService {
         return this.getContributor(result.id);
     }
 
-    async updateContributor(id, { displayName, primaryEmail, gitlabUserId }) {
+    async updateContributor(id, { displayName, primaryEmail, gitlabUserId, isBot }) {
+        if (isBot !== undefined && isBot !== null) {
+            await this.setBotFlag(id, isBot);
+        }
         await this.db.run(
             `UPDATE contributors SET
                 display_name = COALESCE(?, display_name),
@@ -65,12 +71,42 @@ class ContributorService {
             'UPDATE commits SET contributor_id = ? WHERE author_name = ? AND author_email = ?',
             [contributorId, authorName || null, authorEmail || null]
         );
+        await this.db.run(
+            'UPDATE commit_coauthors SET contributor_id = ? WHERE author_name = ? AND author_email = ?',
+            [contributorId, authorName || null, authorEmail || null]
+        );
+        await this._syncCommitBotFlags(contributorId);
         return { contributorId, authorName, authorEmail };
     }
 
+    /**
+     * Fold each source contributor into `targetId`. Every merge is recorded in
+     * `contributor_merges` so it can be reverted with undoMerge.
+     */
     async mergeContributors(targetId, sourceIds) {
         for (const sid of sourceIds) {
             if (sid === targetId) continue;
+            const source = await this.db.get('SELECT * FROM contributors WHERE id = ?', [sid]);
+            if (!source) continue;
+            const [aliases, members] = await Promise.all([
+                this.db.all('SELECT id FROM contributor_aliases WHERE contributor_id = ?', [sid]),
+                this.db.all('SELECT id FROM team_members WHERE contributor_id = ?', [sid])
+            ]);
+            await this.db.run(`
+                INSERT INTO contributor_merges (target_id, source_id, source_display_name, source_primary_email,
+                    source_gitlab_user_id, source_is_bot, source_bot_manual, alias_ids, team_member_ids)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                targetId,
+                sid,
+                source.display_name,
+                source.primary_email,
+                source.gitlab_user_id,
+                Number(source.is_bot) ? 1 : 0,
+                Number(source.bot_manual) ? 1 : 0,
+                aliases.map((a) => a.id).join(','),
+                members.map((m) => m.id).join(',')
+            ]);
             await this.db.run('UPDATE contributor_aliases SET contributor_id = ? WHERE contributor_id = ?', [
                 targetId,
                 sid
@@ -79,11 +115,277 @@ class ContributorService {
                 targetId,
                 sid
             ]);
+            await this.db.run('UPDATE commit_coauthors SET contributor_id = ? WHERE contributor_id = ?', [
+                targetId,
+                sid
+            ]);
+            await this.db.run('UPDATE team_members SET contributor_id = ? WHERE contributor_id = ?', [
+                targetId,
+                sid
+            ]);
             await this.db.run('DELETE FROM contributors WHERE id = ?', [sid]);
         }
+        await this._syncCommitBotFlags(targetId);
+        return this.getContributor(targetId);
+    }
+
+    /**
+     * Recorded merges, newest first, with the target's current name.
+     */
+    async listMerges({ limit = 50 } = {}) {
+        const lm = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+        const rows = await this.db.all(`
+            SELECT m.*, t.display_name AS target_name
+            FROM contributor_merges m
+            LEFT JOIN contributors t ON t.id = m.target_id
+            ORDER BY m.created_at DESC, m.id DESC
+            LIMIT ?
+        `, [lm]);
+        return rows.map((r) => ({
+            id: r.id,
+            target_id: r.target_id,
+            target_name: r.target_name || null,
+            source_id: r.source_id,
+            source_display_name: r.source_display_name,
+            source_primary_email: r.source_primary_email,
+            alias_count: r.alias_ids ? r.alias_ids.split(',').length : 0,
+            created_at: r.created_at,
+            undone_at: r.undone_at || null
+        }));
+    }
+
+    /**
+     * Recreate the source contributor of a recorded merge (same id) and give it
+     * back the aliases and team memberships it had, as long as they still sit on
+     * the merge target. Aliases moved elsewhere since are left alone.
+     * @returns {Promise<{ contributor: object, restoredAliases: number, skippedAliases: number }>}
+     */
+    async undoMerge(mergeId) {
+        const merge = await this.db.get('SELECT * FROM contributor_merges WHERE id = ?', [mergeId]);
+        if (!merge) throw new Error('Merge not found');
+        if (merge.undone_at) throw new Error('Merge already undone');
+        if (await this.db.get('SELECT id FROM contributors WHERE id = ?', [merge.source_id])) {
+            throw new Error(`Contributor ${merge.source_id} already exists`);
+        }
+
+        await this.db.run(`
+            INSERT INTO contributors (id, display_name, primary_email, gitlab_user_id, is_bot, bot_manual)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+            merge.source_id,
+            merge.source_display_name,
+            merge.source_primary_email,
+            merge.source_gitlab_user_id,
+            merge.source_is_bot || 0,
+            merge.source_bot_manual || 0
+        ]);
+
+        const aliasIds = this._parseIds(merge.alias_ids);
+        const aliases = aliasIds.length
+            ? await this.db.all(
+                `SELECT id, author_name, author_email FROM contributor_aliases
+                 WHERE contributor_id = ? AND id IN (${aliasIds.map(() => '?').join(',')})`,
+                [merge.target_id, ...aliasIds]
+            )
+            : [];
+        if (aliases.length) {
+            await this.db.run(
+                `UPDATE contributor_aliases SET contributor_id = ? WHERE id IN (${aliases.map(() => '?').join(',')})`,
+                [merge.source_id, ...aliases.map((a) => a.id)]
+            );
+            await this._reresolveIdentities(aliases);
+        }
+
+        const memberIds = this._parseIds(merge.team_member_ids);
+        if (memberIds.length) {
+            await this.db.run(
+                `UPDATE team_members SET contributor_id = ? WHERE contributor_id = ? AND id IN (${memberIds.map(() => '?').join(',')})`,
+                [merge.source_id, merge.target_id, ...memberIds]
+            );
+        }
+
+        await this.db.run('UPDATE contributor_merges SET undone_at = CURRENT_TIMESTAMP WHERE id = ?', [mergeId]);
+        return {
+            contributor: await this.getContributor(merge.source_id),
+            restoredAliases: aliases.length,
+            skippedAliases: aliasIds.length - aliases.length
+        };
+    }
+
+    /**
+     * Detach an alias from its contributor. Its commits become unmapped.
+     * @returns {Promise<boolean>} false when the alias does not belong to the contributor
+     */
+    async removeAlias(contributorId, aliasId) {
+        const alias = await this.db.get(
+            'SELECT id, author_name, author_email FROM contributor_aliases WHERE id = ? AND contributor_id = ?',
+            [aliasId, contributorId]
+        );
+        if (!alias) return false;
+        await this.db.run('DELETE FROM contributor_aliases WHERE id = ?', [aliasId]);
+        await this._reresolveIdentities([alias]);
+        return true;
+    }
+
+    /**
+     * Move some of a contributor's aliases, with their commits, to another contributor.
+     */
+    async moveAliases(contributorId, aliasIds, targetId) {
+        if (!(await this.db.get('SELECT id FROM contributors WHERE id = ?', [targetId]))) {
+            throw new Error('Target contributor not found');
+        }
+        const aliases = await this._ownAliases(contributorId, aliasIds);
+        for (const alias of aliases) {
+            await this.db.run('UPDATE contributor_aliases SET contributor_id = ? WHERE id = ?', [targetId, alias.id]);
+        }
+        await this._reresolveIdentities(aliases);
         return this.getContributor(targetId);
     }
 
+    /**
+     * Split some aliases off into a new contributor.
+     * @returns {Promise<object>} the new contributor
+     */
+    async splitContributor(contributorId, { aliasIds, displayName, primaryEmail }) {
+        const name = String(displayName || '').trim();
+        if (!name) throw new Error('displayName is required');
+        const aliases = await this._ownAliases(contributorId, aliasIds);
+        const created = await this.createContributor({ displayName: name, primaryEmail });
+        for (const alias of aliases) {
+            await this.db.run('UPDATE contributor_aliases SET contributor_id = ? WHERE id = ?', [created.id, alias.id]);
+        }
+        await this._reresolveIdentities(aliases);
+        return this.getContributor(created.id);
+    }
+
+    async _ownAliases(contributorId, aliasIds) {
+        const ids = (aliasIds || []).map((id) => parseInt(id, 10)).filter(Number.isFinite);
+        if (!ids.length) throw new Error('aliasIds is required');
+        if (!(await this.db.get('SELECT id FROM contributors WHERE id = ?', [contributorId]))) {
+            throw new Error('Contributor not found');
+        }
+        const aliases = await this.db.all(
+            `SELECT id, author_name, author_email FROM contributor_aliases
+             WHERE contributor_id = ? AND id IN (${ids.map(() => '?').join(',')})`,
+            [contributorId, ...ids]
+        );
+        if (aliases.length !== new Set(ids).size) throw new Error('Alias not found on this contributor');
+        return aliases;
+    }
+
+    _parseIds(csv) {
+        return String(csv || '').split(',').map((v) => parseInt(v, 10)).filter(Number.isFinite);
+    }
+
+    /**
+     * Point commits and co-author rows of each identity at whatever its alias now
+     * says (null when unlinked) and recompute their bot flags.
+     */
+    async _reresolveIdentities(identities) {
+        let patterns = null;
+        const contributorIds = new Set();
+        for (const identity of identities) {
+            const args = [identity.author_name || '', identity.author_email || ''];
+            const alias = await this.db.get(`
+                SELECT contributor_id FROM contributor_aliases
+                WHERE COALESCE(author_name, '') = ? AND COALESCE(author_email, '') = ?
+            `, args);
+            const contributorId = alias ? alias.contributor_id : null;
+            const match = "COALESCE(author_name, '') = ? AND COALESCE(author_email, '') = ?";
+            await this.db.run(`UPDATE commits SET contributor_id = ? WHERE ${match}`, [contributorId, ...args]);
+            await this.db.run(`UPDATE commit_coauthors SET contributor_id = ? WHERE ${match}`, [contributorId, ...args]);
+            if (contributorId) {
+                contributorIds.add(contributorId);
+            } else {
+                patterns = patterns || await new SettingsService(this.db).getBotPatterns();
+                const flag = isBotIdentity(identity.author_name, identity.author_email, patterns) ? 1 : 0;
+                await this.db.run(`UPDATE commits SET is_bot = ? WHERE contributor_id IS NULL AND ${match}`, [flag, ...args]);
+            }
+        }
+        for (const id of contributorIds) await this._syncCommitBotFlags(id);
+    }
+
+    /**
+     * Mark a contributor as a bot (or not) by hand; automatic detection leaves
+     * manually flagged contributors alone.
+     */
+    async setBotFlag(contributorId, isBot) {
+        await this.db.run(
+            'UPDATE contributors SET is_bot = ?, bot_manual = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [isBot ? 1 : 0, contributorId]
+        );
+        await this._syncCommitBotFlags(contributorId);
+        return this.getContributor(contributorId);
+    }
+
+    /**
+     * Effective `commits.is_bot` for a newly indexed commit. A manually flagged
+     * contributor decides; otherwise a bot-like identity flags both the commit
+     * and its contributor.
+     * @param {RegExp[]} patterns compiled `bot_patterns`
+     */
+    async resolveBotFlag(contributorId, authorName, authorEmail, patterns) {
+        const looksLikeBot = isBotIdentity(authorName, authorEmail, patterns);
+        if (!contributorId) return looksLikeBot ? 1 : 0;
+        const row = await this.db.get('SELECT is_bot, bot_manual FROM contributors WHERE id = ?', [contributorId]);
+        if (!row) return looksLikeBot ? 1 : 0;
+        if (Number(row.bot_manual)) return Number(row.is_bot) ? 1 : 0;
+        if (Number(row.is_bot)) return 1;
+        if (looksLikeBot) {
+            await this.db.run('UPDATE contributors SET is_bot = 1 WHERE id = ?', [contributorId]);
+            await this._syncCommitBotFlags(contributorId);
+            return 1;
+        }
+        return 0;
+    }
+
+    /**
+     * Re-run bot detection over every contributor not flagged by hand and every
+     * indexed identity, e.g. after `bot_patterns` changed.
+     * @param {RegExp[]} patterns compiled `bot_patterns`
+     * @returns {Promise<{ botContributors: number, botCommits: number }>}
+     */
+    async refreshBotFlags(patterns) {
+        const contributors = await this.db.all('SELECT id, display_name, primary_email FROM contributors WHERE COALESCE(bot_manual, 0) = 0');
+        const aliases = await this.db.all('SELECT contributor_id, author_name, author_email FROM contributor_aliases');
+        const aliasBots = new Set(aliases
+            .filter((a) => isBotIdentity(a.author_name, a.author_email, patterns))
+            .map((a) => a.contributor_id));
+        for (const c of contributors) {
+            const flag = aliasBots.has(c.id) || isBotIdentity(c.display_name, c.primary_email, patterns) ? 1 : 0;
+            await this.db.run('UPDATE contributors SET is_bot = ? WHERE id = ? AND COALESCE(is_bot, 0) != ?', [flag, c.id, flag]);
+        }
+
+        await this.db.run(`
+            UPDATE commits SET is_bot = COALESCE((SELECT ct.is_bot FROM contributors ct WHERE ct.id = commits.contributor_id), 0)
+            WHERE contributor_id IS NOT NULL
+        `);
+        const identities = await this.db.all(`
+            SELECT DISTINCT author_name, author_email FROM commits WHERE contributor_id IS NULL
+        `);
+        for (const identity of identities) {
+            const flag = isBotIdentity(identity.author_name, identity.author_email, patterns) ? 1 : 0;
+            await this.db.run(`
+                UPDATE commits SET is_bot = ?
+                WHERE contributor_id IS NULL AND COALESCE(author_name, '') = ? AND COALESCE(author_email, '') = ?
+                    AND COALESCE(is_bot, 0) != ?
+            `, [flag, identity.author_name || '', identity.author_email || '', flag]);
+        }
+
+        const counts = await this.db.get(`
+            SELECT (SELECT COUNT(*) FROM contributors WHERE is_bot = 1) AS contributors,
+                (SELECT COUNT(*) FROM commits WHERE is_bot = 1) AS commits
+        `);
+        return { botContributors: Number(counts.contributors), botCommits: Number(counts.commits) };
+    }
+
+    async _syncCommitBotFlags(contributorId) {
+        await this.db.run(
+            'UPDATE commits SET is_bot = COALESCE((SELECT is_bot FROM contributors WHERE id = ?), 0) WHERE contributor_id = ?',
+            [contributorId, contributorId]
+        );
+    }
+
     async listUnmappedAliases(limit = 100) {
         return this.db.all(`
             SELECT DISTINCT c.author_name, c.author_email, COUNT(*) AS commit_count
@@ -152,10 +454,61 @@ class ContributorService {
         return alias ? alias.contributor_id : null;
     }
 
-    async ensureAliasFromCommit(authorName, authorEmail) {
+    /**
+     * Canonical contributor for each `{ name, email }` identity, matched on exact
+     * aliases like resolveContributorId. Unmapped identities are absent.
+     * @param {{ name: string|null, email: string|null }[]} identities
+     * @returns {Promise<Map<string, { id: number, displayName: string }>>} keyed by `name\0email`
+     */
+    async resolveIdentities(identities) {
+        const resolved = new Map();
+        const emails = [...new Set(identities.map((i) => i.email || ''))];
+        const CHUNK = 500;
+        for (let i = 0; i < emails.length; i += CHUNK) {
+            const chunk = emails.slice(i, i + CHUNK);
+            const rows = await this.db.all(`
+                SELECT a.author_name, a.author_email, c.id, c.display_name, c.is_bot
+                FROM contributor_aliases a
+                JOIN contributors c ON c.id = a.contributor_id
+                WHERE a.author_email IN (${chunk.map(() => '?').join(',')})
+            `, chunk);
+            for (const row of rows) {
+                resolved.set(`${row.author_name || ''}\0${row.author_email || ''}`, {
+                    id: row.id,
+                    displayName: row.display_name,
+                    isBot: Number(row.is_bot) === 1
+                });
+            }
+        }
+        return resolved;
+    }
+
+    /**
+     * @param {object[]} [mailmap] parsed `.mailmap` entries consulted before GitLab lookup.
+     * A match links both the commit identity and the canonical one; an identity
+     * that is itself some entry's canonical side joins that contributor too.
+     */
+    async ensureAliasFromCommit(authorName, authorEmail, mailmap = null) {
         let contributorId = await this.resolveContributorId(authorName, authorEmail);
         if (contributorId) return contributorId;
 
+        if (mailmap && mailmap.length) {
+            const canonical = resolveMailmap(mailmap, authorName, authorEmail);
+            if (canonical.matched) {
+                contributorId = await this.findOrCreateByIdentity(canonical.name, canonical.email);
+                await this.linkAlias(contributorId, authorName, authorEmail);
+                if (!(await this.resolveContributorId(canonical.name, canonical.email))) {
+                    await this.linkAlias(contributorId, canonical.name, canonical.email);
+                }
+                return contributorId;
+            }
+            if (isMailmapTarget(mailmap, authorName, authorEmail)) {
+                contributorId = await this.findOrCreateByIdentity(authorName, authorEmail);
+                await this.linkAlias(contributorId, authorName, authorEmail);
+                return contributorId;
+            }
+        }
+
         if (authorEmail) {
             const gitlab = await this.db.get('SELECT gitlab_id FROM gitlab_users WHERE email = ?', [authorEmail]);
             if (gitlab) {
@@ -179,6 +532,144 @@ class ContributorService {
         }
         return null;
     }
+
+    /**
+     * Contributor for a canonical identity: matched by primary email, then alias
+     * email, then display name; created when none exists.
+     */
+    async findOrCreateByIdentity(name, email) {
+        if (email) {
+            const byEmail = await this.db.get(
+                'SELECT id FROM contributors WHERE LOWER(primary_email) = LOWER(?) ORDER BY id LIMIT 1',
+                [email]
+            );
+            if (byEmail) return byEmail.id;
+            const byAlias = await this.db.get(
+                `SELECT contributor_id FROM contributor_aliases
+                 WHERE LOWER(author_email) = LOWER(?) AND contributor_id IS NOT NULL
+                 ORDER BY id LIMIT 1`,
+                [email]
+            );
+            if (byAlias) return byAlias.contributor_id;
+        }
+        if (name) {
+            const byName = await this.db.get(
+                'SELECT id FROM contributors WHERE display_name = ? ORDER BY id LIMIT 1',
+                [name]
+            );
+            if (byName) return byName.id;
+        }
+        const ins = await this.db.run(
+            'INSERT INTO contributors (display_name, primary_email) VALUES (?, ?)',
+            [name || email, email || null]
+        );
+        return ins.id;
+    }
+
+    /**
+     * Link every known identity matching each mailmap entry (from commits,
+     * co-author trailers and existing aliases) to the entry's canonical contributor.
+     * @param {object[]} entries parsed with lib/mailmap.parseMailmap
+     * @param {{ overwrite?: boolean }} [options] relink identities already mapped elsewhere
+     */
+    async applyMailmap(entries, { overwrite = true } = {}) {
+        const result = { entries: entries.length, linked: 0, skipped: 0, contributorsCreated: 0 };
+        const before = await this.db.get('SELECT COUNT(*) AS n FROM contributors');
+
+        for (const entry of entries) {
+            const targetId = await this.findOrCreateByIdentity(
+                entry.properName || entry.commitName,
+                entry.properEmail || entry.commitEmail
+            );
+
+            let identities = await this._knownIdentities(entry.commitEmail, entry.commitName);
+            if (!identities.length) {
+                identities = [{
+                    author_name: entry.commitName || entry.properName,
+                    author_email: entry.commitEmail
+                }];
+            }
+            // Commits already authored as the canonical identity join the same contributor
+            if (entry.properEmail) {
+                const seen = new Set(identities.map((i) => `${i.author_name}\0${i.author_email}`));
+                for (const identity of await this._knownIdentities(entry.properEmail, entry.properName)) {
+                    if (!seen.has(`${identity.author_name}\0${identity.author_email}`)) identities.push(identity);
+                }
+            }
+
+            for (const identity of identities) {
+                const current = await this.resolveContributorId(identity.author_name, identity.author_email);
+                if (current === targetId || (current && !overwrite)) {
+                    result.skipped += 1;
+                    continue;
+                }
+                await this.linkAlias(targetId, identity.author_name, identity.author_email);
+                result.linked += 1;
+            }
+        }
+
+        const after = await this.db.get('SELECT COUNT(*) AS n FROM contributors');
+        result.contributorsCreated = Number(after.n) - Number(before.n);
+        return result;
+    }
+
+    /** Identities seen on commits, co-author trailers or aliases with this email (and name, if given). */
+    async _knownIdentities(email, name = null) {
+        const nameClause = name ? ' AND LOWER(author_name) = LOWER(?)' : '';
+        const args = name ? [email, name] : [email];
+        return this.db.all(`
+            SELECT author_name, author_email FROM commits WHERE LOWER(author_email) = LOWER(?)${nameClause}
+            UNION
+            SELECT author_name, author_email FROM commit_coauthors WHERE LOWER(author_email) = LOWER(?)${nameClause}
+            UNION
+            SELECT author_name, author_email FROM contributor_aliases WHERE LOWER(author_email) = LOWER(?)${nameClause}
+        `, [...args, ...args, ...args]);
+    }
+
+    /**
+     * Current contributor/alias graph as `.mailmap` text.
+     */
+    async exportMailmap() {
+        const contributors = await this.db.all(
+            'SELECT id, display_name, primary_email FROM contributors ORDER BY display_name, id'
+        );
+        const aliases = await this.db.all(`
+            SELECT contributor_id, author_name, author_email FROM contributor_aliases
+            WHERE author_email IS NOT NULL AND author_email != ''
+            ORDER BY contributor_id, author_email, author_name
+        `);
+        const byContributor = new Map();
+        for (const a of aliases) {
+            if (!byContributor.has(a.contributor_id)) byContributor.set(a.contributor_id, []);
+            byContributor.get(a.contributor_id).push(a);
+        }
+
+        const entries = [];
+        for (const c of contributors) {
+            const list = byContributor.get(c.id) || [];
+            const properEmail = c.primary_email || (list[0] && list[0].author_email);
+            if (!properEmail) continue;
+            for (const a of list) {
+                const sameEmail = a.author_email.toLowerCase() === properEmail.toLowerCase();
+                if (sameEmail && a.author_name === c.display_name) continue;
+                entries.push({
+                    properName: c.display_name,
+                    properEmail,
+                    commitName: sameEmail ? null : (a.author_name || null),
+                    commitEmail: a.author_email
+                });
+            }
+        }
+
+        const seen = new Set();
+        const unique = entries.filter((e) => {
+            const key = `${e.properEmail}\0${e.commitName || ''}\0${e.commitEmail}`.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+        return formatMailmap(unique, 'Generated by Git Insider from contributor mappings');
+    }
 }
 
 module.exports = ContributorService;
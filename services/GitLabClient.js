@@ -1,10 +1,12 @@
 const Database = require('../config/database');
 const ContributorService = require('./ContributorService');
+const TeamService = require('./TeamService');
 
 class GitLabClient {
     constructor(db = null) {
         this.db = db || new Database();
         this.contributors = new ContributorService(this.db);
+        this.teams = new TeamService(this.db);
     }
 
     _isMaskedToken(token) {
@@ -177,6 +179,92 @@ class GitLabClient {
         );
     }
 
+    /**
+     * Import a GitLab group's members (including inherited ones) into a team.
+     * The team is `teamId`, else the team already linked to the group, else a new
+     * team named after the group. Members without a contributor get one linked by
+     * GitLab user id. Memberships start on `startDate` (default: open-ended);
+     * contributors already on the team from then on are left alone.
+     */
+    async importGroupMembers(groupPath, { teamId = null, startDate = null } = {}) {
+        const path = String(groupPath || '').trim().replace(/^\/+|\/+$/g, '');
+        if (!path) throw new Error('GitLab group path is required');
+        if (startDate && !/^\d{4}-\d{2}-\d{2}$/.test(startDate)) {
+            throw new Error('startDate must be a date (YYYY-MM-DD)');
+        }
+        const integration = await this.resolveIntegration();
+        if (!integration.enabled) {
+            throw new Error('Enable GitLab integration (checkbox) before importing groups');
+        }
+
+        const group = await this._fetch(`/groups/${encodeURIComponent(path)}`, integration);
+        let team = teamId
+            ? await this.teams.getTeam(teamId)
+            : await this.teams.findTeamByGitLabGroup(group.full_path);
+        if (teamId && !team) throw new Error('Team not found');
+        if (!team) {
+            team = await this.teams.createTeam({
+                name: group.name || group.full_path,
+                description: group.description || null,
+                gitlabGroupPath: group.full_path
+            });
+        } else if (!team.gitlab_group_path) {
+            await this.teams.updateTeam(team.id, { gitlabGroupPath: group.full_path });
+        }
+
+        const members = [];
+        const perPage = 100;
+        for (let page = 1; ; page++) {
+            const batch = await this._fetch(
+                `/groups/${group.id}/members/all?per_page=${perPage}&page=${page}`,
+                integration
+            );
+            if (!Array.isArray(batch) || batch.length === 0) break;
+            members.push(...batch.filter((m) => m.state !== 'blocked'));
+            if (batch.length < perPage) break;
+        }
+
+        const result = { teamId: team.id, group: group.full_path, members: members.length, added: 0, existing: 0, contributorsCreated: 0 };
+        for (const m of members) {
+            const { contributorId, created } = await this._contributorForGitLabUser(m);
+            if (created) result.contributorsCreated += 1;
+            // Any membership reaching into the imported period (open-ended when no startDate)
+            const current = await this.db.get(`
+                SELECT id FROM team_members
+                WHERE team_id = ? AND contributor_id = ? AND COALESCE(end_date, '9999-12-31') >= ?
+            `, [team.id, contributorId, startDate || '0000-01-01']);
+            if (current) {
+                result.existing += 1;
+                continue;
+            }
+            await this.teams.addMember(team.id, { contributorId, startDate });
+            result.added += 1;
+        }
+        return result;
+    }
+
+    async _contributorForGitLabUser(member) {
+        const linked = await this.db.get('SELECT id FROM contributors WHERE gitlab_user_id = ?', [member.id]);
+        if (linked) return { contributorId: linked.id, created: false };
+        const cached = await this.db.get('SELECT email FROM gitlab_users WHERE gitlab_id = ?', [member.id]);
+        const email = member.public_email || member.email || cached?.email || null;
+        if (email) {
+            const before = await this.db.get('SELECT COUNT(*) AS n FROM contributors');
+            const contributorId = await this.contributors.findOrCreateByIdentity(member.name || member.username, email);
+            await this.db.run(
+                'UPDATE contributors SET gitlab_user_id = COALESCE(gitlab_user_id, ?) WHERE id = ?',
+                [member.id, contributorId]
+            );
+            const after = await this.db.get('SELECT COUNT(*) AS n FROM contributors');
+            return { contributorId, created: Number(after.n) > Number(before.n) };
+        }
+        const ins = await this.db.run(
+            'INSERT INTO contributors (display_name, gitlab_user_id) VALUES (?, ?)',
+            [member.name || member.username, member.id]
+        );
+        return { contributorId: ins.id, created: true };
+    }
+
     async getProjectByPath(fullpath) {
         const integration = await this.getIntegration();
         if (!integration || !integration.enabled || !integration.base_url || !integration.private_token) {
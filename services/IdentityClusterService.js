@@ -0,0 +1,211 @@
+const Database = require('../config/database');
+const ContributorService = require('./ContributorService');
+const { clusterIdentities, identityKey } = require('../lib/identityClusters');
+
+/**
+ * Suggested clusters of unmapped author identities (see lib/identityClusters).
+ * `rebuild()` recomputes the open suggestions; accepted and dismissed clusters
+ * are remembered by key so the same group is not offered again.
+ */
+class IdentityClusterService {
+    constructor(db = null) {
+        this.db = db || new Database();
+        this.contributors = new ContributorService(this.db);
+    }
+
+    /**
+     * @returns {Promise<{ identities: number, clusters: number }>}
+     */
+    async rebuild() {
+        const [unmapped, mapped, contributors, gitlabUsers, shared] = await Promise.all([
+            this.db.all(`
+                SELECT c.author_name, c.author_email, COUNT(*) AS commit_count
+                FROM commits c
+                LEFT JOIN contributor_aliases a
+                    ON c.author_name = a.author_name AND c.author_email = a.author_email
+                WHERE c.contributor_id IS NULL
+                    AND a.id IS NULL
+                    AND (c.author_name IS NOT NULL OR c.author_email IS NOT NULL)
+                GROUP BY c.author_name, c.author_email
+            `),
+            this.db.all(`
+                SELECT a.author_name, a.author_email, a.contributor_id, ct.display_name
+                FROM contributor_aliases a
+                JOIN contributors ct ON ct.id = a.contributor_id
+            `),
+            this.db.all('SELECT id, display_name, primary_email FROM contributors'),
+            this.db.all('SELECT gitlab_id, username, name, email FROM gitlab_users'),
+            // The same commit recorded under two identities, e.g. after a history rewrite or a mirror
+            this.db.all(`
+                SELECT DISTINCT a.author_name AS a_name, a.author_email AS a_email,
+                    b.author_name AS b_name, b.author_email AS b_email
+                FROM commits a
+                JOIN commits b ON b.committed_at = a.committed_at AND b.message = a.message AND b.id > a.id
+                WHERE (a.contributor_id IS NULL OR b.contributor_id IS NULL)
+                    AND (COALESCE(a.author_name, '') != COALESCE(b.author_name, '')
+                        OR COALESCE(a.author_email, '') != COALESCE(b.author_email, ''))
+            `)
+        ]);
+
+        const identities = [
+            ...unmapped.map((r) => ({
+                authorName: r.author_name,
+                authorEmail: r.author_email,
+                commitCount: Number(r.commit_count)
+            })),
+            ...mapped.map((r) => ({
+                authorName: r.author_name,
+                authorEmail: r.author_email,
+                contributorId: r.contributor_id,
+                contributorName: r.display_name
+            })),
+            ...contributors.map((c) => ({
+                authorName: c.display_name,
+                authorEmail: c.primary_email,
+                contributorId: c.id,
+                contributorName: c.display_name
+            }))
+        ];
+        const clusters = clusterIdentities(identities, {
+            gitlabUsers: gitlabUsers.map((u) => ({ gitlabId: u.gitlab_id, username: u.username, name: u.name, email: u.email })),
+            sharedCommits: shared.map((r) => [identityKey(r.a_name, r.a_email), identityKey(r.b_name, r.b_email)])
+        });
+
+        await this.db.run(`DELETE FROM identity_cluster_members
+            WHERE cluster_id IN (SELECT id FROM identity_clusters WHERE status = 'open')`);
+        await this.db.run("DELETE FROM identity_clusters WHERE status = 'open'");
+        const resolved = new Set((await this.db.all('SELECT cluster_key FROM identity_clusters')).map((r) => r.cluster_key));
+
+        let stored = 0;
+        for (const cluster of clusters) {
+            if (resolved.has(cluster.key)) continue;
+            const result = await this.db.run(`
+                INSERT INTO identity_clusters (cluster_key, score, signals, contributor_id, display_name, primary_email, commit_count)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                cluster.key,
+                cluster.score,
+                cluster.signals.join(','),
+                cluster.contributorId,
+                cluster.displayName,
+                cluster.primaryEmail,
+                cluster.commitCount
+            ]);
+            for (const identity of cluster.identities) {
+                await this.db.run(
+                    'INSERT INTO identity_cluster_members (cluster_id, author_name, author_email, commit_count) VALUES (?, ?, ?, ?)',
+                    [result.id, identity.authorName, identity.authorEmail, identity.commitCount]
+                );
+            }
+            stored += 1;
+        }
+        return { identities: unmapped.length, clusters: stored };
+    }
+
+    /**
+     * Open suggestions, best first, each with its `identities`.
+     */
+    async listClusters({ limit = 50, minScore = 0 } = {}) {
+        const lm = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+        const rows = await this.db.all(`
+            SELECT ic.*, ct.display_name AS contributor_name
+            FROM identity_clusters ic
+            LEFT JOIN contributors ct ON ct.id = ic.contributor_id
+            WHERE ic.status = 'open' AND ic.score >= ?
+            ORDER BY ic.score DESC, ic.commit_count DESC
+            LIMIT ?
+        `, [Number(minScore) || 0, lm]);
+        if (!rows.length) return [];
+        const members = await this.db.all(`
+            SELECT cluster_id, author_name, author_email, commit_count
+            FROM identity_cluster_members
+            WHERE cluster_id IN (${rows.map(() => '?').join(',')})
+            ORDER BY commit_count DESC
+        `, rows.map((r) => r.id));
+        return rows.map((row) => this._fromRow(row, members.filter((m) => m.cluster_id === row.id)));
+    }
+
+    async getCluster(id) {
+        const row = await this.db.get(`
+            SELECT ic.*, ct.display_name AS contributor_name
+            FROM identity_clusters ic
+            LEFT JOIN contributors ct ON ct.id = ic.contributor_id
+            WHERE ic.id = ?
+        `, [id]);
+        if (!row) return null;
+        const members = await this.db.all(
+            'SELECT author_name, author_email, commit_count FROM identity_cluster_members WHERE cluster_id = ? ORDER BY commit_count DESC',
+            [id]
+        );
+        return this._fromRow(row, members);
+    }
+
+    /**
+     * Link every identity in an open cluster to one contributor: `contributorId`,
+     * else the contributor the cluster was matched to, else a new contributor
+     * named `displayName` (default: the suggested name). `exclude` lists
+     * `{ authorName, authorEmail }` pairs to leave unmapped.
+     */
+    async acceptCluster(id, { contributorId, displayName, primaryEmail, exclude } = {}) {
+        const cluster = await this.getCluster(id);
+        if (!cluster) throw new Error('Cluster not found');
+        if (cluster.status !== 'open') throw new Error(`Cluster already ${cluster.status}`);
+        const skipped = new Set((exclude || []).map((i) => identityKey(i.authorName, i.authorEmail)));
+        const identities = cluster.identities.filter((i) => !skipped.has(identityKey(i.author_name, i.author_email)));
+        if (!identities.length) throw new Error('No identities left to link');
+
+        let targetId = contributorId || cluster.contributor_id;
+        if (targetId) {
+            const target = await this.db.get('SELECT id FROM contributors WHERE id = ?', [targetId]);
+            if (!target) throw new Error('Contributor not found');
+        } else {
+            const name = String(displayName || cluster.display_name || identities[0].author_name || identities[0].author_email || '').trim();
+            if (!name) throw new Error('displayName is required');
+            const created = await this.contributors.createContributor({
+                displayName: name,
+                primaryEmail: primaryEmail || cluster.primary_email
+            });
+            targetId = created.id;
+        }
+
+        for (const identity of identities) {
+            await this.contributors.linkAlias(targetId, identity.author_name, identity.author_email);
+        }
+        await this.db.run(
+            "UPDATE identity_clusters SET status = 'accepted', contributor_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+            [targetId, id]
+        );
+        return { contributor: await this.contributors.getContributor(targetId), linked: identities.length };
+    }
+
+    async dismissCluster(id) {
+        const cluster = await this.db.get('SELECT id, status FROM identity_clusters WHERE id = ?', [id]);
+        if (!cluster) return false;
+        await this.db.run(
+            "UPDATE identity_clusters SET status = 'dismissed', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+            [id]
+        );
+        return true;
+    }
+
+    _fromRow(row, members) {
+        return {
+            id: row.id,
+            score: Number(row.score),
+            signals: row.signals ? row.signals.split(',') : [],
+            status: row.status,
+            contributor_id: row.contributor_id,
+            contributor_name: row.contributor_name || null,
+            display_name: row.display_name,
+            primary_email: row.primary_email,
+            commit_count: Number(row.commit_count || 0),
+            identities: members.map((m) => ({
+                author_name: m.author_name,
+                author_email: m.author_email,
+                commit_count: Number(m.commit_count || 0)
+            }))
+        };
+    }
+}
+
+module.exports = IdentityClusterService;
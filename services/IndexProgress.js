@@ -1,5 +1,6 @@
 /**
  * In-memory indexing job progress (singleton) for UI + WebSocket broadcast.
+ * Jobs themselves are persisted in index_jobs; `queue` mirrors their counts.
  */
 const { EventEmitter } = require('events');
 
@@ -20,7 +21,8 @@ const state = {
     batchesInCurrentRepo: 0,
     message: '',
     percent: 0,
-    error: null
+    error: null,
+    queue: { queued: 0, running: 0, failed: 0 }
 };
 
 function snapshot() {
@@ -36,7 +38,8 @@ function snapshot() {
         commitsSkipped: state.commitsSkipped,
         message: state.message,
         percent: state.percent,
-        error: state.error
+        error: state.error,
+        queue: { ...state.queue }
     };
 }
 
@@ -128,6 +131,12 @@ function fail(error) {
     _emit();
 }
 
+/** Counts of unfinished index_jobs by status (see CommitIndexer._publishQueueCounts). */
+function setQueue(counts) {
+    state.queue = { queued: 0, running: 0, failed: 0, ...counts };
+    _emit();
+}
+
 function isActive() {
     return state.active;
 }
@@ -142,5 +151,6 @@ module.exports = {
     recordBatch,
     complete,
     fail,
+    setQueue,
     isActive
 };
@@ -5,6 +5,7 @@ try {
     cron = null;
 }
 const SettingsService = require('./SettingsService');
+const IdentityClusterService = require('./IdentityClusterService');
 
 class Scheduler {
     constructor(gitService) {
@@ -17,9 +18,11 @@ class Scheduler {
         this.indexer = gitService.indexer;
         this.workspaceTask = null;
         this.evictionTask = null;
+        this.clusterTask = null;
     }
 
     async start() {
+        await this.resumeIndexJobs();
         if (!cron) {
             console.warn('[scheduler] node-cron not installed; using setInterval fallback');
             this._startIntervalFallback();
@@ -34,7 +37,8 @@ class Scheduler {
                 console.error('[scheduler] Eviction failed:', e.message);
             }
         });
-        console.log('[scheduler] Started (workspace scan + daily index-window eviction)');
+        this.clusterTask = cron.schedule('30 3 * * *', () => this.runIdentityClustering());
+        console.log('[scheduler] Started (workspace scan + daily index-window eviction and identity clustering)');
     }
 
     _startIntervalFallback() {
@@ -51,9 +55,39 @@ class Scheduler {
             } catch (e) {
                 console.error('[scheduler] Eviction failed:', e.message);
             }
+            await this.runIdentityClustering();
         }, 24 * 60 * 60 * 1000);
     }
 
+    /**
+     * Re-queue index jobs interrupted by the last shutdown, queue repositories
+     * with unread commit bodies and keep draining the queue.
+     */
+    async resumeIndexJobs() {
+        try {
+            const resumed = await this.indexer.resumeJobs();
+            if (resumed) console.log(`[scheduler] Resumed ${resumed} interrupted index job(s)`);
+        } catch (e) {
+            console.error('[scheduler] Resuming index jobs failed:', e.message);
+        }
+        try {
+            const pending = await this.indexer.queuePendingBodies();
+            if (pending) console.log(`[scheduler] Queued a re-read of ${pending} commit bodies`);
+        } catch (e) {
+            console.error('[scheduler] Queueing commit body re-reads failed:', e.message);
+        }
+    }
+
+    /** Refresh the suggested clusters of unmapped author identities. */
+    async runIdentityClustering() {
+        try {
+            const result = await new IdentityClusterService(this.db).rebuild();
+            console.log('[scheduler] Identity clustering completed:', result);
+        } catch (e) {
+            console.error('[scheduler] Identity clustering failed:', e.message);
+        }
+    }
+
     async _scheduleWorkspaceScan() {
         if (this.workspaceTask) {
             this.workspaceTask.stop();
@@ -101,6 +135,7 @@ class Scheduler {
     stop() {
         if (this.workspaceTask) this.workspaceTask.stop();
         if (this.evictionTask) this.evictionTask.stop();
+        if (this.clusterTask) this.clusterTask.stop();
         if (this._intervalHandle) clearInterval(this._intervalHandle);
     }
 }
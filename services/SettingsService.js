@@ -1,9 +1,22 @@
 const Database = require('../config/database');
+const { DEFAULT_TICKET_PATTERNS, compileTicketPatterns } = require('../lib/ticketRefs');
+const { DEFAULT_BOT_PATTERNS, compileBotPatterns } = require('../lib/botDetection');
+const { compileLanguageMappings } = require('../lib/languages');
+const { DEFAULT_GENERATED_PATTERNS, DEFAULT_VENDORED_PATTERNS } = require('../lib/generatedFiles');
 
 const DEFAULTS = {
     index_window_months: '3',
     retention_idle_days: '7',
-    workspace_scan_interval_minutes: '30'
+    workspace_scan_interval_minutes: '30',
+    global_mailmap: '',
+    bus_factor_threshold: '0.5',
+    ownership_inactive_days: '90',
+    ticket_patterns: DEFAULT_TICKET_PATTERNS,
+    ticket_url_template: '',
+    bot_patterns: DEFAULT_BOT_PATTERNS,
+    language_mappings: '',
+    generated_patterns: DEFAULT_GENERATED_PATTERNS,
+    vendored_patterns: DEFAULT_VENDORED_PATTERNS
 };
 
 class SettingsService {
@@ -58,6 +71,47 @@ class SettingsService {
     async getScanIntervalMinutes() {
         return this.getNumber('workspace_scan_interval_minutes', 30);
     }
+
+    async getBusFactorThreshold() {
+        const n = parseFloat(await this.get('bus_factor_threshold'));
+        return n > 0 && n <= 1 ? n : 0.5;
+    }
+
+    async getOwnershipInactiveDays() {
+        return this.getNumber('ownership_inactive_days', 90);
+    }
+
+    async getGlobalMailmap() {
+        return (await this.get('global_mailmap')) || '';
+    }
+
+    /** Compiled `ticket_patterns`, one RegExp per non-blank line. */
+    async getTicketPatterns() {
+        return compileTicketPatterns(await this.get('ticket_patterns'));
+    }
+
+    /** Compiled `bot_patterns`, one case-insensitive RegExp per non-blank line. */
+    async getBotPatterns() {
+        return compileBotPatterns(await this.get('bot_patterns'));
+    }
+
+    /** Compiled `language_mappings`, applied on top of the built-in table in lib/languages. */
+    async getLanguageMappings() {
+        return compileLanguageMappings(await this.get('language_mappings'));
+    }
+
+    /** Global `generated_patterns` and `vendored_patterns` glob lines (see lib/generatedFiles). */
+    async getFilePatterns() {
+        return {
+            generated: (await this.get('generated_patterns')) || '',
+            vendored: (await this.get('vendored_patterns')) || ''
+        };
+    }
+
+    /** e.g. `https://jira.example.com/browse/{key}`; empty when tickets are not linked. */
+    async getTicketUrlTemplate() {
+        return (await this.get('ticket_url_template')) || '';
+    }
 }
 
 module.exports = SettingsService;
@@ -0,0 +1,189 @@
+const moment = require('moment');
+const Database = require('../config/database');
+
+const DAY_FORMAT = 'YYYY-MM-DD';
+
+/** `YYYY-MM-DD` for a membership bound; empty values mean open-ended (null). */
+function normalizeDay(value, field) {
+    if (value == null || value === '') return null;
+    const day = moment(String(value), [DAY_FORMAT, moment.ISO_8601], true);
+    if (!day.isValid()) {
+        throw new Error(`${field} must be a date (YYYY-MM-DD)`);
+    }
+    return day.format(DAY_FORMAT);
+}
+
+/**
+ * Teams of contributors. Memberships carry inclusive start/end days so that a
+ * contributor's commits count for the team they belonged to when committing.
+ */
+class TeamService {
+    constructor(db = null) {
+        this.db = db || new Database();
+    }
+
+    async listTeams() {
+        const today = moment().format(DAY_FORMAT);
+        return this.db.all(`
+            SELECT t.*,
+                (SELECT COUNT(DISTINCT tm.contributor_id) FROM team_members tm
+                 WHERE tm.team_id = t.id
+                    AND (tm.start_date IS NULL OR tm.start_date <= ?)
+                    AND (tm.end_date IS NULL OR tm.end_date >= ?)) AS member_count
+            FROM teams t
+            ORDER BY t.name
+        `, [today, today]);
+    }
+
+    async getTeam(id) {
+        const team = await this.db.get('SELECT * FROM teams WHERE id = ?', [id]);
+        if (!team) return null;
+        const members = await this.db.all(`
+            SELECT tm.id, tm.contributor_id, c.display_name, c.primary_email, tm.start_date, tm.end_date
+            FROM team_members tm
+            JOIN contributors c ON c.id = tm.contributor_id
+            WHERE tm.team_id = ?
+            ORDER BY c.display_name, tm.start_date
+        `, [id]);
+        return { ...team, members };
+    }
+
+    async findTeamByGitLabGroup(groupPath) {
+        return this.db.get('SELECT * FROM teams WHERE gitlab_group_path = ?', [groupPath]);
+    }
+
+    async createTeam({ name, description, gitlabGroupPath }) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) throw new Error('Team name is required');
+        const existing = await this.db.get('SELECT id FROM teams WHERE name = ?', [trimmed]);
+        if (existing) throw new Error(`A team named "${trimmed}" already exists`);
+        const result = await this.db.run(
+            'INSERT INTO teams (name, description, gitlab_group_path) VALUES (?, ?, ?)',
+            [trimmed, description || null, gitlabGroupPath || null]
+        );
+        return this.getTeam(result.id);
+    }
+
+    async updateTeam(id, { name, description, gitlabGroupPath }) {
+        const trimmed = name == null ? null : String(name).trim() || null;
+        if (trimmed) {
+            const clash = await this.db.get('SELECT id FROM teams WHERE name = ? AND id != ?', [trimmed, id]);
+            if (clash) throw new Error(`A team named "${trimmed}" already exists`);
+        }
+        await this.db.run(
+            `UPDATE teams SET
+                name = COALESCE(?, name),
+                description = COALESCE(?, description),
+                gitlab_group_path = COALESCE(?, gitlab_group_path),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?`,
+            [trimmed, description ?? null, gitlabGroupPath ?? null, id]
+        );
+        return this.getTeam(id);
+    }
+
+    async deleteTeam(id) {
+        const team = await this.db.get('SELECT id FROM teams WHERE id = ?', [id]);
+        if (!team) return false;
+        await this.db.run('DELETE FROM team_members WHERE team_id = ?', [id]);
+        await this.db.run('DELETE FROM teams WHERE id = ?', [id]);
+        return true;
+    }
+
+    /**
+     * Add a contributor to a team from `startDate` to `endDate` (both optional,
+     * inclusive). Periods for the same contributor and team may not overlap.
+     */
+    async addMember(teamId, { contributorId, startDate, endDate }) {
+        const team = await this.db.get('SELECT id FROM teams WHERE id = ?', [teamId]);
+        if (!team) throw new Error('Team not found');
+        const contributor = await this.db.get('SELECT id FROM contributors WHERE id = ?', [contributorId]);
+        if (!contributor) throw new Error('Contributor not found');
+        const start = normalizeDay(startDate, 'startDate');
+        const end = normalizeDay(endDate, 'endDate');
+        await this._assertNoOverlap(teamId, contributorId, start, end);
+        const result = await this.db.run(
+            'INSERT INTO team_members (team_id, contributor_id, start_date, end_date) VALUES (?, ?, ?, ?)',
+            [teamId, contributorId, start, end]
+        );
+        return this._getMember(teamId, result.id);
+    }
+
+    /** Change a membership's dates; `null` or `''` clears a bound, `undefined` keeps it. */
+    async updateMember(teamId, memberId, { startDate, endDate }) {
+        const member = await this._getMember(teamId, memberId);
+        if (!member) throw new Error('Team member not found');
+        const start = startDate === undefined ? member.start_date : normalizeDay(startDate, 'startDate');
+        const end = endDate === undefined ? member.end_date : normalizeDay(endDate, 'endDate');
+        await this._assertNoOverlap(teamId, member.contributor_id, start, end, memberId);
+        await this.db.run('UPDATE team_members SET start_date = ?, end_date = ? WHERE id = ?', [start, end, memberId]);
+        return this._getMember(teamId, memberId);
+    }
+
+    async removeMember(teamId, memberId) {
+        const member = await this._getMember(teamId, memberId);
+        if (!member) return false;
+        await this.db.run('DELETE FROM team_members WHERE id = ?', [memberId]);
+        return true;
+    }
+
+    /**
+     * Move a contributor to `toTeamId` from `date` (default today): their open
+     * membership in `fromTeamId` ends the day before, so earlier commits stay
+     * with the old team.
+     */
+    async moveMember(contributorId, { fromTeamId, toTeamId, date }) {
+        const day = normalizeDay(date, 'date') || moment().format(DAY_FORMAT);
+        const dayBefore = moment(day, DAY_FORMAT).subtract(1, 'day').format(DAY_FORMAT);
+        if (fromTeamId && Number(fromTeamId) === Number(toTeamId)) {
+            throw new Error('Source and target team must differ');
+        }
+        await this._assertNoOverlap(toTeamId, contributorId, day, null);
+        if (fromTeamId) {
+            const open = await this.db.get(`
+                SELECT id, start_date FROM team_members
+                WHERE team_id = ? AND contributor_id = ? AND (end_date IS NULL OR end_date >= ?)
+                    AND (start_date IS NULL OR start_date <= ?)
+            `, [fromTeamId, contributorId, day, day]);
+            if (!open) throw new Error('Contributor is not a member of the source team on that date');
+            if (open.start_date && open.start_date > dayBefore) {
+                await this.db.run('DELETE FROM team_members WHERE id = ?', [open.id]);
+            } else {
+                await this.db.run('UPDATE team_members SET end_date = ? WHERE id = ?', [dayBefore, open.id]);
+            }
+        }
+        return this.addMember(toTeamId, { contributorId, startDate: day });
+    }
+
+    async _getMember(teamId, memberId) {
+        return this.db.get(`
+            SELECT tm.id, tm.team_id, tm.contributor_id, c.display_name, tm.start_date, tm.end_date
+            FROM team_members tm
+            JOIN contributors c ON c.id = tm.contributor_id
+            WHERE tm.id = ? AND tm.team_id = ?
+        `, [memberId, teamId]);
+    }
+
+    async _assertNoOverlap(teamId, contributorId, start, end, exceptId = null) {
+        if (start && end && start > end) {
+            throw new Error('startDate must not be after endDate');
+        }
+        const params = [teamId, contributorId, end || '9999-12-31', start || '0000-01-01'];
+        let sql = `
+            SELECT id FROM team_members
+            WHERE team_id = ? AND contributor_id = ?
+                AND COALESCE(start_date, '0000-01-01') <= ?
+                AND COALESCE(end_date, '9999-12-31') >= ?
+        `;
+        if (exceptId) {
+            sql += ' AND id != ?';
+            params.push(exceptId);
+        }
+        const clash = await this.db.get(sql, params);
+        if (clash) {
+            throw new Error('Membership overlaps an existing period for this contributor');
+        }
+    }
+}
+
+module.exports = TeamService;